@@ -403,11 +403,11 @@ Then tighten the rules later.`);
         }
       },
       
-      // Escape HTML to prevent XSS
+      // Escape HTML to prevent XSS (quotes too, for attribute values)
       escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;');
       },
       
       // Get player name by ID
@@ -1560,6 +1560,8 @@ Then tighten the rules later.`);
               if (userData && userData.gameState) {
                 // Load saved game state
                 Object.assign(GameState, userData.gameState);
+                // Older cloud saves only carry the top-level timestamp
+                if (!GameState.lastSave && userData.lastSave) GameState.lastSave = userData.lastSave;
                 console.log('[GoogleAuth] ✅ Cloud data loaded');
               } else {
                 console.log('[GoogleAuth] No cloud data found, attempting backup recovery...');
@@ -2278,6 +2280,9 @@ Then tighten the rules later.`);
           }
           
           // CRITICAL: Clear gang-related state to prevent gang bleeding
+          if (typeof GangNetwork !== 'undefined') {
+            GangNetwork.disconnect();
+          }
           if (GameState.gang) {
             GameState.gang = null;
           }
@@ -4646,11 +4651,13 @@ const CartoonSpriteGenerator = {
     const DEFAULT_STATE = {
       // PHASE A: Account binding
       accountId: null, // Links this GameState to an account
+      lastSave: null,  // Stamped by Storage.save(); OfflineProgress catches up from here
       
       player: {
         id: null,
         name: "Unknown",
         cash: 1000,
+        dirtyCash: 0,   // Crime proceeds; front businesses launder it into cash
         xp: 0,
         level: 1,
         reputation: 0,
@@ -4665,7 +4672,10 @@ const CartoonSpriteGenerator = {
         history: [],
         jail: {
           isJailed: false,
-          releaseTime: null
+          releaseTime: null,
+          yard: null,          // Per-sentence PrisonYard state, cleared on release
+          hearing: null,       // Per-sentence CourtSystem outcome, cleared on release
+          prisonGang: { member: false, respect: 0 }
         },
         rngMemory: {
           eventOutcomes: [],  // Track recent event outcomes
@@ -4695,7 +4705,8 @@ const CartoonSpriteGenerator = {
       inmates: {
         recruited: [],        // Recruited inmates currently in hideout
         available: [],        // Available inmates in jail (refreshes periodically)
-        lastRefresh: null     // When jail inmates were last refreshed
+        lastRefresh: null,    // When jail inmates were last refreshed
+        cellmatesSentence: null // PrisonYard sentence id whose cellmates were generated
       },
       
       character: {
@@ -4754,6 +4765,27 @@ const CartoonSpriteGenerator = {
       
       // PROPERTY BUILDINGS - Player-owned real estate (fixed positions on gray buildings)
       propertyBuildings: [],
+
+      // Dirty -> clean cash through front businesses (see Laundering)
+      laundering: {
+        lastRun: null,
+        totalLaundered: 0
+      },
+
+      // Multi-step jobs from NPC fixers (see FixerContracts)
+      fixerContracts: {
+        offers: [],           // { id, templateId, offeredAt }
+        active: [],           // { id, templateId, squad, deadline, stepId, stepEndsAt, choices, log }
+        history: [],
+        nextId: 1,
+        propertyDiscount: 0   // Fraction off the next property purchase
+      },
+
+      // Gang influence per turf zone (see TerritoryControl)
+      territory: {
+        zones: {},          // { zoneId: { gangId: { value, updatedAt } } }
+        lastAccrual: null   // Last hourly property influence tick
+      },
       
       // FIXED PROPERTY BUILDING POSITIONS (all 21 purchasable properties)
       // Optimized spacing for mobile with minimum 10% gaps to prevent overlapping
@@ -4858,6 +4890,24 @@ const CartoonSpriteGenerator = {
       },
       
       heatLog: [],  // Track heat-generating events
+      legal: {
+        witnesses: [],  // { id, crime, weight, spawnedAt } from ConsequenceSystem (see CourtSystem)
+        hearings: []    // Past court outcomes
+      },
+      investigation: {
+        caseNumber: 1,
+        nextId: 1,
+        detective: null,  // { name, openedAt } while a case is open (see InvestigationSystem)
+        evidence: [],     // { id, type, crime, collectedAt, weaponId? } - witnesses live in legal
+        fired: {},        // Threshold key -> timestamp, once per case
+        log: []
+      },
+      policeOps: {
+        scheduled: [],  // Upcoming operations (see PoliceOperations)
+        active: [],     // { id, type, name, target, startsAt, endsAt, reactive, leaked }
+        history: [],
+        nextId: 1
+      },
 
       drainLog: [],  // Track money drains
 
@@ -4868,13 +4918,10 @@ const CartoonSpriteGenerator = {
       gangRelations: {},  // { gangId: { status, heat, lastAction, warStarted } }
       
       gangWarLog: [],  // Array of war events
+
+      newsLog: [],  // Breaking stories from CityNewsTicker.announce() (market shocks etc.)
       
-      publicGangs: [
-        // Placeholder public gangs for joining
-        { id: "crimson_syndicate", name: "Crimson Syndicate", flag: "🔴", memberCount: 12, vault: 5000, health: 100 },
-        { id: "shadow_collective", name: "Shadow Collective", flag: "⚫", memberCount: 8, vault: 3500, health: 100 },
-        { id: "iron_brotherhood", name: "Iron Brotherhood", flag: "⚙️", memberCount: 15, vault: 7500, health: 100 }
-      ],
+      publicGangs: [],  // Gang directory cached from Firebase (GangNetwork.loadDirectory)
 
       // TURF DEFENSE MODE (Phase 8 - Scaffolding)
       turfDefense: {
@@ -4913,11 +4960,24 @@ const CartoonSpriteGenerator = {
       ,
         lastResolvedAt: 0,
         lastResolvedLockdownId: null,
-        cooldownUntil: 0
+        cooldownUntil: 0,
+        // Recurring handler after a deal (see cia-intervention.js)
+        handler: {
+          recruited: false,
+          trust: 0,
+          hostileUntil: 0,     // CIA agents join turf defense until then
+          mission: null,       // { type, name, rival, steps: [{ x, y, label, icon }], step, acceptedAt, deadline }
+          nextContactAt: 0,
+          completed: 0,
+          failed: 0,
+          refused: 0
+        }
       },
 
-      // Black Market inventory storage
-      marketInventory: {},
+      // Black Market inventory storage: itemId -> qty owned, plus
+      // priceHistory (itemId -> [[t, price], ...]) and resting limit orders
+      marketInventory: { priceHistory: {}, orders: [], deliveries: [] },
+      marketTransactions: [],  // Recent trade transactions (settled/rejected) from MarketSystem
 
       // BUILDING TAKEOVER PROGRESS
       buildingTakeover: {},  // { buildingId: { floor: 0-5, completed: bool } }
@@ -4927,7 +4987,8 @@ const CartoonSpriteGenerator = {
         owned: [],          // Array of owned gangster objects
         nextId: 1,          // Auto-increment ID for new gangsters
         activeMissions: [],  // Missions in progress { gangsterId, type, startTime, duration, rewards }
-        completedMissions: [] // Missions finished, awaiting collection
+        completedMissions: [], // Missions finished, awaiting collection
+        memorial: []         // Fallen gangsters { name, level, specialization, traits, cause, diedAt }
       },
 
       // Safehouse Interior state
@@ -4977,7 +5038,9 @@ const CartoonSpriteGenerator = {
           // Backfill any missing keys
           const d = DEFAULT_STATE.ciaIntervention;
           for (const k in d) {
-            if (!(k in GameState.ciaIntervention)) GameState.ciaIntervention[k] = d[k];
+            if (!(k in GameState.ciaIntervention)) {
+              GameState.ciaIntervention[k] = (d[k] && typeof d[k] === 'object') ? JSON.parse(JSON.stringify(d[k])) : d[k];
+            }
           }
         }
 
@@ -4987,6 +5050,7 @@ const CartoonSpriteGenerator = {
         if (typeof p.level !== 'number' || !isFinite(p.level) || p.level < 1) p.level = 1;
         if (typeof p.xp !== 'number' || !isFinite(p.xp) || p.xp < 0) p.xp = 0;
         if (typeof p.cash !== 'number' || !isFinite(p.cash)) p.cash = 0;
+        if (typeof p.dirtyCash !== 'number' || !isFinite(p.dirtyCash) || p.dirtyCash < 0) p.dirtyCash = 0;
         if (typeof p.reputation !== 'number' || !isFinite(p.reputation)) p.reputation = 0;
         if (typeof p.heat !== 'number' || !isFinite(p.heat)) p.heat = 0;
         if (typeof p.globalHeat !== 'number' || !isFinite(p.globalHeat)) p.globalHeat = 0;
@@ -4994,6 +5058,11 @@ const CartoonSpriteGenerator = {
         // Jail structure
         if (!p.jail || typeof p.jail !== 'object') p.jail = JSON.parse(JSON.stringify(DEFAULT_STATE.player.jail || { isJailed:false }));
         if (typeof p.jail.isJailed !== 'boolean') p.jail.isJailed = false;
+        if (!p.jail.prisonGang || typeof p.jail.prisonGang !== 'object') p.jail.prisonGang = { member: false, respect: 0 };
+        if (!p.jail.isJailed) {
+          p.jail.yard = null;
+          p.jail.hearing = null;
+        }
 
         // Fatigue structure
         if (!p.fatigue || typeof p.fatigue !== 'object') p.fatigue = JSON.parse(JSON.stringify(DEFAULT_STATE.player.fatigue || {}));
@@ -5148,6 +5217,7 @@ const CartoonSpriteGenerator = {
         if (!Array.isArray(GameState.gangsters.owned)) GameState.gangsters.owned = [];
         if (!Array.isArray(GameState.gangsters.activeMissions)) GameState.gangsters.activeMissions = [];
         if (!Array.isArray(GameState.gangsters.completedMissions)) GameState.gangsters.completedMissions = [];
+        if (!Array.isArray(GameState.gangsters.memorial)) GameState.gangsters.memorial = [];
         if (typeof GameState.gangsters.nextId !== 'number') GameState.gangsters.nextId = 1;
 
         // Safehouse interior
@@ -5277,6 +5347,52 @@ const CartoonSpriteGenerator = {
         if (!GameState.marketInventory || typeof GameState.marketInventory !== 'object') {
           GameState.marketInventory = {};
         }
+        if (!GameState.marketInventory.priceHistory || typeof GameState.marketInventory.priceHistory !== 'object') {
+          GameState.marketInventory.priceHistory = {};
+        }
+        if (!Array.isArray(GameState.marketInventory.orders)) GameState.marketInventory.orders = [];
+        if (!Array.isArray(GameState.marketInventory.deliveries)) GameState.marketInventory.deliveries = [];
+        if (!Array.isArray(GameState.newsLog)) GameState.newsLog = [];
+        if (!GameState.laundering || typeof GameState.laundering !== 'object') {
+          GameState.laundering = JSON.parse(JSON.stringify(DEFAULT_STATE.laundering));
+        }
+        if (!GameState.territory || typeof GameState.territory !== 'object') {
+          GameState.territory = JSON.parse(JSON.stringify(DEFAULT_STATE.territory));
+        }
+        if (!GameState.territory.zones || typeof GameState.territory.zones !== 'object') GameState.territory.zones = {};
+        if (!GameState.legal || typeof GameState.legal !== 'object') {
+          GameState.legal = JSON.parse(JSON.stringify(DEFAULT_STATE.legal));
+        }
+        if (!Array.isArray(GameState.legal.witnesses)) GameState.legal.witnesses = [];
+        if (!Array.isArray(GameState.legal.hearings)) GameState.legal.hearings = [];
+        if (!GameState.investigation || typeof GameState.investigation !== 'object') {
+          GameState.investigation = JSON.parse(JSON.stringify(DEFAULT_STATE.investigation));
+        }
+        ['evidence', 'log'].forEach(key => {
+          if (!Array.isArray(GameState.investigation[key])) GameState.investigation[key] = [];
+        });
+        if (!GameState.investigation.fired || typeof GameState.investigation.fired !== 'object') GameState.investigation.fired = {};
+        if (typeof GameState.investigation.caseNumber !== 'number') GameState.investigation.caseNumber = 1;
+        if (typeof GameState.investigation.nextId !== 'number') GameState.investigation.nextId = 1;
+        if (!GameState.policeOps || typeof GameState.policeOps !== 'object') {
+          GameState.policeOps = JSON.parse(JSON.stringify(DEFAULT_STATE.policeOps));
+        }
+        ['scheduled', 'active', 'history'].forEach(key => {
+          if (!Array.isArray(GameState.policeOps[key])) GameState.policeOps[key] = [];
+        });
+        if (typeof GameState.policeOps.nextId !== 'number') GameState.policeOps.nextId = 1;
+        if (!GameState.fixerContracts || typeof GameState.fixerContracts !== 'object') {
+          GameState.fixerContracts = JSON.parse(JSON.stringify(DEFAULT_STATE.fixerContracts));
+        }
+        ['offers', 'active', 'history'].forEach(k => {
+          if (!Array.isArray(GameState.fixerContracts[k])) GameState.fixerContracts[k] = [];
+        });
+        if (!Array.isArray(GameState.marketTransactions)) GameState.marketTransactions = [];
+
+        // Gang directory now comes from Firebase; drop the old placeholder gangs
+        if (!Array.isArray(GameState.publicGangs)) GameState.publicGangs = [];
+        GameState.publicGangs = GameState.publicGangs.filter(g =>
+          g && !['crimson_syndicate', 'shadow_collective', 'iron_brotherhood'].includes(g.id));
 
       } catch (e) {
         console.warn('[SCHEMA] ensureGameStateSchema failed:', e);
@@ -5363,6 +5479,7 @@ window.ciaDebug = () => {
     try {
       setTimeout(() => { try { CIAIntervention.maybeAutoStage(); } catch(e) {} }, 1200);
       setInterval(() => { try { CIAIntervention.maybeAutoStage(); } catch(e) {} }, 5000);
+      setInterval(() => { try { CIAIntervention.tickHandler(); } catch(e) {} }, 1000);
     } catch (e) {}
 
     // ========================================
@@ -6342,6 +6459,8 @@ try {
           // Gang health bonus on victory
           if (reason === 'victory' && GameState.gang) {
             GameState.gang.health = Math.min(100, GameState.gang.health + 5);
+            const defendedPos = GameState.character.position;
+            TerritoryControl.addInfluence(defendedPos.x, defendedPos.y, TerritoryControl.GAINS.defenseVictory);
           }
 
           // Brief toast summarising the result
@@ -10577,7 +10696,8 @@ function updateTurfDefense(dt) {
       },
 
       startJob(type) {
-        const now = performance.now();
+        // Wall-clock time so jobs survive reloads (OfflineProgress finishes them)
+        const now = Date.now();
         const duration = (type === 'brew') ? 12000 : 18000;
         const label = (type === 'brew') ? 'Brewed batch' : 'Cooked batch';
 
@@ -10592,6 +10712,15 @@ function updateTurfDefense(dt) {
         this._startUIRaf();
       },
 
+      // Mark a job finished at `at` (ms) and record it in `lab`; returns the result label
+      completeJob(job, at, lab = this.state) {
+        job.done = true;
+        const stamp = new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const result = job.label + ' • ' + stamp;
+        lab.completed.push(result);
+        return result;
+      },
+
       _setStatus(main, sub) {
         if (!this._productEl) return;
         this._productEl.label.textContent = main;
@@ -10611,15 +10740,12 @@ function updateTurfDefense(dt) {
             return;
           }
 
-          const now = performance.now();
+          const now = Date.now();
           const t = Math.max(0, Math.min(1, (now - job.start) / job.duration));
           if (this._progressEl) this._progressEl.style.width = (t * 100).toFixed(1) + '%';
 
           if (t >= 1) {
-            job.done = true;
-            const stamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-            const result = job.label + ' • ' + stamp;
-            this.state.completed.push(result);
+            const result = this.completeJob(job, now);
             this._setStatus(result, 'Finished');
             if (this._progressEl) this._progressEl.style.width = '0%';
           } else {
@@ -10661,6 +10787,134 @@ function updateTurfDefense(dt) {
       };
     }
 
+    // ========================================
+    // CORE: Gameplay RNG Service
+    // ========================================
+    // Every gameplay roll goes through a named stream derived from one session
+    // seed, so a reported outcome can be replayed deterministically. Streams are
+    // independent: an extra roll in one subsystem doesn't shift the others.
+    // The active seed is written to GameState.ui.eventLog whenever it changes.
+    const RNG = {
+      EVENT_LOG_LIMIT: 200,
+      STREAMS: ['crimes', 'outcomes', 'consequences', 'fairness', 'turfEvents', 'heists', 'market', 'properties', 'investigation', 'policeOps', 'gangs', 'gangsters', 'contracts', 'prison', 'police', 'cia'],
+
+      seed: null,
+      streams: {},
+
+      // Start a new session seed. `seed` may be a number or string; omit it to
+      // use ?seed= from the URL or a fresh random seed.
+      init(seed) {
+        if (seed === undefined || seed === null || seed === '') {
+          const qs = new URLSearchParams(location.search);
+          seed = qs.get('seed') || (Date.now() ^ Math.floor(Math.random() * 0xFFFFFFFF));
+        }
+        this.seed = typeof seed === 'number' ? (seed >>> 0) : generateSeed(String(seed));
+        this.streams = {};
+        this.logSeed('init');
+        console.log(`[RNG] Session seed: ${this.seed}`);
+        return this.seed;
+      },
+
+      // Re-seed from an eventLog snapshot ({ seed, draws }) and fast-forward each
+      // stream so the next roll matches the one that followed the snapshot.
+      replay(snapshot) {
+        const seed = typeof snapshot === 'object' ? snapshot.seed : snapshot;
+        this.seed = seed >>> 0;
+        this.streams = {};
+        const draws = (typeof snapshot === 'object' && snapshot.draws) || {};
+        Object.entries(draws).forEach(([name, count]) => {
+          const stream = this.stream(name);
+          for (let i = 0; i < count; i++) stream.random();
+        });
+        this.logSeed('replay');
+        console.log(`[RNG] Replaying seed ${this.seed}`, draws);
+        return this.seed;
+      },
+
+      logSeed(reason) {
+        this.logEvent({
+          event: 'RNG Seed',
+          type: 'rng_seed',
+          reason: reason,
+          rng: this.snapshot(),
+          timestamp: Date.now()
+        });
+      },
+
+      // Append to GameState.ui.eventLog (saved with the game), keeping the last
+      // EVENT_LOG_LIMIT entries plus the newest seed entry they replay from
+      logEvent(entry) {
+        if (typeof GameState === 'undefined' || !GameState.ui) return;
+        if (!Array.isArray(GameState.ui.eventLog)) GameState.ui.eventLog = [];
+        const log = GameState.ui.eventLog;
+        log.push(entry);
+        if (log.length <= this.EVENT_LOG_LIMIT) return;
+
+        const kept = log.slice(-this.EVENT_LOG_LIMIT);
+        if (!kept.some(e => e.type === 'rng_seed')) {
+          const seed = log.slice(0, -this.EVENT_LOG_LIMIT).reverse().find(e => e.type === 'rng_seed');
+          if (seed) kept.unshift(seed);
+        }
+        GameState.ui.eventLog = kept;
+      },
+
+      // Current seed plus how many rolls each stream has consumed
+      snapshot() {
+        const draws = {};
+        Object.values(this.streams).forEach(s => { draws[s.name] = s.draws; });
+        return { seed: this.seed, draws: draws };
+      },
+
+      stream(name) {
+        if (this.seed === null) this.init();
+        if (!this.streams[name]) {
+          if (!this.STREAMS.includes(name)) {
+            console.warn(`[RNG] Unregistered stream "${name}"`);
+          }
+          const next = createSeededRandom(generateSeed(`${this.seed}:${name}`));
+          this.streams[name] = {
+            name: name,
+            draws: 0,
+            // Float in [0, 1)
+            random() {
+              this.draws++;
+              return next();
+            },
+            // true with probability p
+            chance(p) {
+              return this.random() < p;
+            },
+            // Integer in [min, max] inclusive
+            int(min, max) {
+              return Math.floor(this.random() * (max - min + 1)) + min;
+            },
+            // Float in [min, max)
+            range(min, max) {
+              return min + this.random() * (max - min);
+            },
+            pick(list) {
+              return list[Math.floor(this.random() * list.length)];
+            }
+          };
+        }
+        return this.streams[name];
+      },
+
+      random(name) {
+        return this.stream(name).random();
+      }
+    };
+
+    // Debug commands
+    window.showRNGSeed = function() {
+      console.log('[RNG]', RNG.snapshot());
+      return RNG.snapshot();
+    };
+
+    window.replayRNG = function(snapshot) {
+      return RNG.replay(snapshot);
+    };
+
     // ========================================
     // PHASE 7.4A: SEED & MAP FOUNDATION
     // ========================================
@@ -15354,6 +15608,26 @@ function ensureLandmarkProperties() {
       return Math.round(building.income * (1 + level * 0.5));
     }
 
+    // Full days (pro-rated by the hour) since lastCollected, capped at 7
+    const PROPERTY_ACCRUAL_CAP_DAYS = 7;
+    function getPropertyAccrualDays(building, now) {
+      if (!building.owned || !building.lastCollected) return 0;
+      const msPerDay = 1000 * 60 * 60 * 24;
+      const days = Math.max(0, Math.min((now - building.lastCollected) / msPerDay, PROPERTY_ACCRUAL_CAP_DAYS));
+      return Math.floor(days * 24) / 24;
+    }
+
+    // Income waiting at a property; a run-down building earns down to half
+    function getPropertyAccrual(building, now) {
+      const condition = typeof building.condition === 'number' ? building.condition : 100;
+      return Math.floor(getUpgradedIncome(building) * (0.5 + condition / 200) * getPropertyAccrualDays(building, now));
+    }
+
+    // Upkeep owed for the same period (PropertyManager.UPKEEP_RATE of daily income)
+    function getPropertyUpkeep(building, now) {
+      return Math.floor(getUpgradedIncome(building) * PropertyManager.UPKEEP_RATE * getPropertyAccrualDays(building, now));
+    }
+
     // Render property buildings on the map
     function renderPropertyBuildings() {
       console.log('=== renderPropertyBuildings() called ===');
@@ -15469,7 +15743,9 @@ function ensureLandmarkProperties() {
 
       const buildingType = PROPERTY_TYPES[building.type];
       const owned = building.owned;
-      const canAfford = GameState.player.cash >= building.price;
+      if (owned) PropertyManager.ensure(building);
+      const price = FixerContracts.getPropertyPrice(building);
+      const canAfford = GameState.player.cash >= price;
       const currentSprite = getBuildingSprite(building);
       const level = building.upgradeLevel || 0;
       const displayLevel = level + 1; // Visual level: 1-5
@@ -15493,16 +15769,19 @@ function ensureLandmarkProperties() {
             <div class="event-modal-title">${building.name}</div>
             <div class="event-modal-description" style="text-align: center; margin-bottom: 16px;">
               <div style="font-size: 14px; color: #888; margin-bottom: 8px;">${buildingType.name}</div>
+              ${Laundering.renderFrontInfo(building)}
               ${owned ?
                 `<div style="color: #00ff00; font-weight: 600; margin-bottom: 8px;">● OWNED</div>
                  <div style="margin-bottom: 6px;">
                    <strong>Income:</strong> <span style="color: #ffd700;">$${currentIncome.toLocaleString()}/day</span>
                  </div>
                  <div style="margin-bottom: 4px; font-size: 13px; color: #aaa;">Level ${displayLevel}/${MAX_UPGRADE_LEVEL + 1}</div>
-                 <div style="margin-bottom: 12px;">${levelPips}</div>`
+                 <div style="margin-bottom: 12px;">${levelPips}</div>
+                 ${PropertyManager.renderDetails(building)}`
                 :
                 `<div style="color: #ffd700; font-size: 24px; font-weight: 600; margin: 12px 0;">
-                   $${building.price.toLocaleString()}
+                   $${price.toLocaleString()}
+                   ${price < building.price ? `<div style="font-size: 12px; color: #4ade80;">Fixer discount (was $${building.price.toLocaleString()})</div>` : ''}
                  </div>
                  <div style="color: #888; margin-bottom: 8px;">
                    Daily Income: $${building.income.toLocaleString()}
@@ -15580,17 +15859,22 @@ function ensureLandmarkProperties() {
       const building = GameState.propertyBuildings.find(b => b.id === buildingId);
       if (!building) return;
       
-      if (GameState.player.cash < building.price) {
-        showPropertyPopup('❌', 'Not Enough Money', `You need $${building.price.toLocaleString()} but only have $${GameState.player.cash.toLocaleString()}.`, 0);
+      const price = FixerContracts.getPropertyPrice(building);
+      if (GameState.player.cash < price) {
+        showPropertyPopup('❌', 'Not Enough Money', `You need $${price.toLocaleString()} but only have $${GameState.player.cash.toLocaleString()}.`, 0);
         return;
       }
       
-      // Deduct money
-      GameState.player.cash -= building.price;
+      // Deduct money (a fixer discount is spent on this purchase)
+      GameState.player.cash -= price;
+      FixerContracts.consumePropertyDiscount();
       
       // Mark as owned
       building.owned = true;
       building.lastCollected = Date.now();
+      PropertyManager.ensure(building);
+      PropertyManager.record(building, 'purchase', -price, 'Purchased');
+      TerritoryControl.addInfluence(building.x, building.y, TerritoryControl.GAINS.propertyPurchase);
       
       // Save
       Storage.save();
@@ -15612,6 +15896,13 @@ function ensureLandmarkProperties() {
       if (!building || !building.owned) return;
       
       const now = Date.now();
+      PropertyManager.ensure(building, now);
+      if (PropertyManager.isSeized(building, now)) {
+        const hoursLeft = Math.ceil((building.seizedUntil - now) / (1000 * 60 * 60));
+        showPropertyPopup('🚔', 'Income Seized', `Police froze this property's income after a raid.<br>Released in <strong style="color:#ffd700;">${hoursLeft}h</strong>.`, 0);
+        return;
+      }
+
       const lastCollected = building.lastCollected || now;
       const daysSince = Math.floor((now - lastCollected) / (1000 * 60 * 60 * 24));
       
@@ -15627,16 +15918,18 @@ function ensureLandmarkProperties() {
         return;
       }
       
-      const dailyIncome = getUpgradedIncome(building);
-      const income = dailyIncome * Math.min(daysSince, 7); // Max 7 days
-      GameState.player.cash += income;
+      const income = getPropertyAccrual(building, now);
+      const upkeep = getPropertyUpkeep(building, now);
+      GameState.player.cash += income - upkeep;
       building.lastCollected = now;
+      PropertyManager.record(building, 'income', income, 'Collected');
+      if (upkeep > 0) PropertyManager.record(building, 'upkeep', -upkeep, 'Upkeep');
       
       Storage.save();
       
       closePropertyModal();
       
-      TurfTab.showTemporaryNotification(`💰 Collected $${income.toLocaleString()}!`);
+      TurfTab.showTemporaryNotification(`💰 Collected $${(income - upkeep).toLocaleString()}! (upkeep $${upkeep.toLocaleString()})`);
       ProfileTab.render();
     };
 
@@ -15660,6 +15953,8 @@ function ensureLandmarkProperties() {
       // Deduct cost and upgrade
       GameState.player.cash -= cost;
       building.upgradeLevel = level + 1;
+      PropertyManager.ensure(building);
+      PropertyManager.record(building, 'upgrade', -cost, `Upgraded to Level ${building.upgradeLevel + 1}`);
 
       // Update the active sprite to match new level
       const newSprite = getBuildingSprite(building);
@@ -15717,6 +16012,458 @@ function ensureLandmarkProperties() {
         if (modal) modal.remove();
     };
 
+    // ========================================
+    // PROPERTIES: Management (managers, condition, raids)
+    // ========================================
+    // Owned buildings wear down, cost upkeep and can be raided. A manager
+    // (idle gangster or recruited inmate) halves wear and deters raids.
+    // Raid odds scale with cityState.policeActivity and the zone's
+    // ZoneAnalytics.getPolicePresence(). Every cash movement lands in
+    // building.ledger for the P&L panel in the property modal.
+    const PropertyManager = {
+      CHECK_INTERVAL_MS: 60000,
+      CONDITION_DECAY_PER_DAY: 12,    // Unmanaged; a manager halves it
+      UPKEEP_RATE: 0.15,              // Share of daily income spent on upkeep
+      REPAIR_COST_PER_POINT: 0.01,    // x daily income per condition point restored
+      RAID_CHANCE_PER_HOUR: { low: 0.002, medium: 0.005, high: 0.012, extreme: 0.025 },
+      PRESENCE_MULT: { low: 0.75, medium: 1, high: 1.25, extreme: 1.5 },
+      MANAGER_RAID_MULT: 0.6,
+      RAID_SEIZE_MS: 12 * 60 * 60 * 1000,
+      RAID_CONDITION_HIT: 15,
+      LEDGER_MAX: 60,
+
+      interval: null,
+
+      start() {
+        if (this.interval) clearInterval(this.interval);
+        this.interval = setInterval(() => this.tick(), this.CHECK_INTERVAL_MS);
+        this.tick();
+      },
+
+      // Backfill management fields on an owned building (older saves)
+      ensure(building, now = Date.now()) {
+        if (typeof building.condition !== 'number') building.condition = 100;
+        if (building.manager === undefined) building.manager = null;
+        if (!Array.isArray(building.ledger)) building.ledger = [];
+        if (!building.lastInspected) building.lastInspected = now;
+        if (building.seizedUntil === undefined) building.seizedUntil = null;
+        return building;
+      },
+
+      isSeized(building, now = Date.now()) {
+        return !!building.seizedUntil && now < building.seizedUntil;
+      },
+
+      record(building, type, amount, note) {
+        building.ledger.push({ type: type, amount: Math.round(amount), note: note || '', timestamp: Date.now() });
+        if (building.ledger.length > this.LEDGER_MAX) building.ledger = building.ledger.slice(-this.LEDGER_MAX);
+      },
+
+      // Decay condition and roll raids for every owned building. Elapsed-time
+      // based, so OfflineProgress can call it once for the whole absence.
+      // Returns the buildings raided during this pass.
+      tick(now = Date.now()) {
+        const raided = [];
+        let changed = false;
+
+        (GameState.propertyBuildings || []).forEach(building => {
+          if (!building.owned) return;
+          this.ensure(building, now);
+
+          if (building.manager && !this.findManager(building.manager)) {
+            this.record(building, 'note', 0, `${building.manager.name} walked off the job`);
+            building.manager = null;
+            changed = true;
+          }
+
+          const hours = (now - building.lastInspected) / 3600000;
+          if (hours <= 0) return;
+          building.lastInspected = now;
+
+          const decay = this.CONDITION_DECAY_PER_DAY * (hours / 24) * (building.manager ? 0.5 : 1);
+          building.condition = Math.max(0, building.condition - decay);
+
+          if (this.isSeized(building, now)) return;
+          const perHour = this.getRaidChancePerHour(building);
+          const chance = 1 - Math.pow(1 - perHour, hours);
+          const roll = typeof RNG !== 'undefined' ? RNG.random('properties') : Math.random();
+          if (roll < chance) {
+            this.raid(building, now);
+            raided.push(building);
+            changed = true;
+          }
+        });
+
+        if (changed) Storage.save();
+        return raided;
+      },
+
+      getRaidChancePerHour(building) {
+        const activity = (GameState.cityState && GameState.cityState.policeActivity) || 'low';
+        let presence = 'low';
+        try {
+          presence = ZoneAnalytics.getPolicePresence(building.x, building.y);
+        } catch(e) {}
+
+        const base = this.RAID_CHANCE_PER_HOUR[activity] || this.RAID_CHANCE_PER_HOUR.low;
+        const zone = this.PRESENCE_MULT[presence] || 1;
+        return base * zone * (building.manager ? this.MANAGER_RAID_MULT : 1);
+      },
+
+      // Police seize everything waiting to be collected and freeze income for RAID_SEIZE_MS
+      raid(building, now = Date.now()) {
+        const seized = getPropertyAccrual(building, now);
+        building.seizedUntil = now + this.RAID_SEIZE_MS;
+        building.lastCollected = building.seizedUntil;
+        building.condition = Math.max(0, building.condition - this.RAID_CONDITION_HIT);
+        this.record(building, 'seized', -seized, 'Police raid');
+
+        console.log(`[PropertyManager] Raid on ${building.name}: $${seized} seized`);
+        try {
+          TurfTab.showTemporaryNotification(`🚔 Police raided ${building.name}! $${seized.toLocaleString()} seized`);
+        } catch(e) {}
+        try {
+          if (typeof CityNewsTicker !== 'undefined') CityNewsTicker.announce(`🚔 Police raid ${building.name} - income frozen`);
+        } catch(e) {}
+      },
+
+      // === MANAGERS ===
+      getCandidates() {
+        const gangsters = ((GameState.gangsters && GameState.gangsters.owned) || [])
+          .filter(g => g.status === 'idle')
+          .map(g => ({ key: `gangster_${g.id}`, kind: 'gangster', id: g.id, name: g.name }));
+        const inmates = ((GameState.inmates && GameState.inmates.recruited) || [])
+          .filter(i => !i.managing)
+          .map(i => ({ key: `inmate_${i.id}`, kind: 'inmate', id: i.id, name: i.name }));
+        return gangsters.concat(inmates);
+      },
+
+      findManager(manager) {
+        if (manager.kind === 'gangster') {
+          return ((GameState.gangsters && GameState.gangsters.owned) || []).find(g => g.id === manager.id && g.status === 'managing');
+        }
+        return ((GameState.inmates && GameState.inmates.recruited) || []).find(i => i.id === manager.id);
+      },
+
+      assign(building, key) {
+        const candidate = this.getCandidates().find(c => c.key === key);
+        if (!candidate) return { success: false, message: 'Manager unavailable!' };
+        if (building.manager) this.dismiss(building);
+
+        if (candidate.kind === 'gangster') {
+          const gangster = GameState.gangsters.owned.find(g => g.id === candidate.id);
+          gangster.status = 'managing';
+          gangster.managing = building.id;
+        } else {
+          const inmate = GameState.inmates.recruited.find(i => i.id === candidate.id);
+          inmate.managing = building.id;
+        }
+
+        building.manager = { kind: candidate.kind, id: candidate.id, name: candidate.name };
+        this.record(building, 'note', 0, `${candidate.name} took over as manager`);
+        Storage.save();
+        return { success: true, message: `${candidate.name} now runs ${building.name}` };
+      },
+
+      dismiss(building) {
+        if (!building.manager) return;
+        const person = this.findManager(building.manager);
+        if (person) {
+          if (building.manager.kind === 'gangster') person.status = 'idle';
+          delete person.managing;
+        }
+        this.record(building, 'note', 0, `${building.manager.name} stepped down`);
+        building.manager = null;
+        Storage.save();
+      },
+
+      // === CONDITION ===
+      getRepairCost(building) {
+        return Math.ceil((100 - building.condition) * this.REPAIR_COST_PER_POINT * getUpgradedIncome(building));
+      },
+
+      // === P&L ===
+      // Last `days` calendar days with activity: { label, income, costs, seized, net }
+      getPnL(building, days = 7) {
+        const byDay = {};
+        building.ledger.forEach(entry => {
+          const label = new Date(entry.timestamp).toLocaleDateString([], { month: 'short', day: 'numeric' });
+          const day = byDay[label] || (byDay[label] = { label: label, time: entry.timestamp, income: 0, costs: 0, seized: 0 });
+          if (entry.type === 'income') day.income += entry.amount;
+          else if (entry.type === 'upkeep' || entry.type === 'repair') day.costs -= entry.amount;
+          else if (entry.type === 'seized') day.seized -= entry.amount;
+        });
+        return Object.values(byDay)
+          .sort((a, b) => b.time - a.time)
+          .slice(0, days)
+          .map(day => Object.assign(day, { net: day.income - day.costs }));
+      },
+
+      renderDetails(building) {
+        const now = Date.now();
+        this.ensure(building, now);
+
+        const condition = Math.round(building.condition);
+        const conditionColor = condition >= 70 ? '#4ade80' : condition >= 40 ? '#fbbf24' : '#f87171';
+        const repairCost = this.getRepairCost(building);
+        const candidates = this.getCandidates();
+        const pnl = this.getPnL(building);
+
+        const seizedHtml = this.isSeized(building, now)
+          ? `<div style="color: #f87171; font-size: 12px; margin-bottom: 8px;">🚔 Income seized - released in ${Math.ceil((building.seizedUntil - now) / 3600000)}h</div>`
+          : '';
+
+        const managerHtml = building.manager
+          ? `<div style="display: flex; justify-content: space-between; align-items: center;">
+               <span>👔 ${building.manager.name} <span style="opacity: 0.6;">(${building.manager.kind})</span></span>
+               <button class="choice-btn" style="padding: 4px 10px; font-size: 11px;" onclick="dismissPropertyManager('${building.id}')">Dismiss</button>
+             </div>`
+          : candidates.length > 0
+            ? `<div style="display: flex; gap: 6px;">
+                 <select id="property-manager-select" style="flex: 1; background: #111; color: #fff; border: 1px solid #444; border-radius: 6px; padding: 4px;">
+                   ${candidates.map(c => `<option value="${c.key}">${c.kind === 'gangster' ? '🕴️' : '⛓️'} ${c.name}</option>`).join('')}
+                 </select>
+                 <button class="choice-btn" style="padding: 4px 10px; font-size: 11px;" onclick="assignPropertyManager('${building.id}')">Assign</button>
+               </div>`
+            : `<div style="opacity: 0.6;">No manager - recruit gangsters or inmates to staff it</div>`;
+
+        const pnlHtml = pnl.length > 0
+          ? `<table style="width: 100%; font-size: 11px; border-collapse: collapse;">
+               <tr style="opacity: 0.6;"><td>Day</td><td style="text-align: right;">Income</td><td style="text-align: right;">Costs</td><td style="text-align: right;">Seized</td><td style="text-align: right;">Net</td></tr>
+               ${pnl.map(d => `
+                 <tr>
+                   <td>${d.label}</td>
+                   <td style="text-align: right; color: #4ade80;">$${d.income.toLocaleString()}</td>
+                   <td style="text-align: right; color: #f87171;">$${d.costs.toLocaleString()}</td>
+                   <td style="text-align: right; color: #fbbf24;">${d.seized ? '$' + d.seized.toLocaleString() : '-'}</td>
+                   <td style="text-align: right; color: ${d.net >= 0 ? '#4ade80' : '#f87171'};">$${d.net.toLocaleString()}</td>
+                 </tr>`).join('')}
+             </table>`
+          : `<div style="opacity: 0.6; font-size: 11px;">No activity yet</div>`;
+
+        return `
+          <div style="text-align: left; font-size: 12px; margin-bottom: 12px; display: flex; flex-direction: column; gap: 8px;">
+            ${seizedHtml}
+            <div>
+              <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+                <span>Condition</span><span style="color: ${conditionColor};">${condition}%</span>
+              </div>
+              <div style="height: 6px; background: #333; border-radius: 3px; overflow: hidden;">
+                <div style="height: 100%; width: ${condition}%; background: ${conditionColor};"></div>
+              </div>
+              <div style="opacity: 0.6; font-size: 11px; margin-top: 4px;">
+                Upkeep $${Math.round(getUpgradedIncome(building) * this.UPKEEP_RATE).toLocaleString()}/day · Raid risk ${(this.getRaidChancePerHour(building) * 24 * 100).toFixed(1)}%/day
+              </div>
+            </div>
+            ${managerHtml}
+            <div>
+              <div style="margin-bottom: 4px; opacity: 0.8;">📒 Profit &amp; Loss</div>
+              ${pnlHtml}
+            </div>
+          </div>
+          ${repairCost > 0 ? `
+            <button class="prop-btn prop-btn-upgrade" onclick="repairProperty('${building.id}')" ${GameState.player.cash < repairCost ? 'disabled' : ''}>
+              <span class="prop-btn-icon">🔧</span>
+              <span class="prop-btn-label">Repair</span>
+              <span class="prop-btn-cost">$${repairCost.toLocaleString()}</span>
+            </button>` : ''}
+        `;
+      }
+    };
+
+    window.PropertyManager = PropertyManager;
+
+    // Reopen the property modal after a management action
+    function refreshPropertyModal(building) {
+      closePropertyModal();
+      showPropertyModal(building);
+    }
+
+    window.assignPropertyManager = function(buildingId) {
+      const building = GameState.propertyBuildings.find(b => b.id === buildingId);
+      const select = document.getElementById('property-manager-select');
+      if (!building || !building.owned || !select) return;
+
+      const result = PropertyManager.assign(building, select.value);
+      TurfTab.showTemporaryNotification(result.success ? `👔 ${result.message}` : `❌ ${result.message}`);
+      refreshPropertyModal(building);
+    };
+
+    window.dismissPropertyManager = function(buildingId) {
+      const building = GameState.propertyBuildings.find(b => b.id === buildingId);
+      if (!building || !building.owned) return;
+
+      PropertyManager.dismiss(building);
+      refreshPropertyModal(building);
+    };
+
+    window.repairProperty = function(buildingId) {
+      const building = GameState.propertyBuildings.find(b => b.id === buildingId);
+      if (!building || !building.owned) return;
+
+      const cost = PropertyManager.getRepairCost(building);
+      if (cost <= 0) return;
+      if (GameState.player.cash < cost) {
+        TurfTab.showTemporaryNotification('❌ Not enough money!');
+        return;
+      }
+
+      GameState.player.cash -= cost;
+      building.condition = 100;
+      PropertyManager.record(building, 'repair', -cost, 'Repairs');
+      Storage.save();
+
+      TurfTab.showTemporaryNotification(`🔧 ${building.name} repaired for $${cost.toLocaleString()}`);
+      ProfileTab.render();
+      refreshPropertyModal(building);
+    };
+
+    // ========================================
+    // PROPERTIES: Laundering Fronts
+    // ========================================
+    // Crime, Black Market sales and gangster missions pay into player.dirtyCash.
+    // Owned fronts wash it into player.cash continuously: capacity ($/day) and
+    // rate (clean $ per dirty $) grow with upgradeLevel, capacity follows
+    // condition, and a raided front launders nothing until released. A street
+    // fence takes whatever the fronts can't, at a steep cut, so a player with
+    // no front is never stuck holding only dirty cash.
+    const Laundering = {
+      CHECK_INTERVAL_MS: 60000,
+      FRONTS: {
+        bank:       { capacity: 100000, rate: 0.85 },
+        casino:     { capacity: 60000,  rate: 0.80 },
+        nightclub:  { capacity: 40000,  rate: 0.75 },
+        dealership: { capacity: 25000,  rate: 0.70 }
+      },
+      CAPACITY_PER_LEVEL: 0.5,     // +50% capacity per upgrade level
+      RATE_PER_LEVEL: 0.03,        // +3 points of rate per upgrade level
+      MAX_RATE: 0.95,
+      STREET_FENCE: { capacity: 48000, rate: 0.5 },  // No front needed
+
+      // Holding dirty cash draws attention
+      SUSPICION_THRESHOLD: 25000,
+      SUSPICION_PER_50K: 1,        // Suspicion per minute per $50k above threshold
+      MAX_SUSPICION_PER_TICK: 3,
+
+      // Seizure on failed jobs (ConsequenceSystem)
+      SEIZURE_SCALE: 100000,       // $100k dirty = full base chance
+      MAX_SEIZURE_CHANCE: 0.5,
+      SEIZURE_TIER_MULT: { 2: 0.5, 1: 1, 0: 1.5 },
+
+      interval: null,
+
+      start() {
+        if (this.interval) clearInterval(this.interval);
+        this.interval = setInterval(() => {
+          this.tick();
+          this.checkSuspicion();
+        }, this.CHECK_INTERVAL_MS);
+      },
+
+      isFront(building) {
+        return !!this.FRONTS[building.type];
+      },
+
+      // Daily capacity and rate for a front at its current level/condition
+      getFrontStats(building) {
+        const front = this.FRONTS[building.type];
+        if (!front) return null;
+        const level = building.upgradeLevel || 0;
+        const condition = typeof building.condition === 'number' ? building.condition : 100;
+        return {
+          capacity: Math.floor(front.capacity * (1 + level * this.CAPACITY_PER_LEVEL) * (0.5 + condition / 200)),
+          rate: Math.min(this.MAX_RATE, front.rate + level * this.RATE_PER_LEVEL)
+        };
+      },
+
+      // Wash dirty cash through every working front for the time since the
+      // last run (best rate first). Returns { dirty, clean } moved.
+      tick(now = Date.now()) {
+        const state = GameState.laundering;
+        const result = { dirty: 0, clean: 0 };
+        if (!state.lastRun || now <= state.lastRun) {
+          state.lastRun = now;
+          return result;
+        }
+
+        const days = (now - state.lastRun) / (1000 * 60 * 60 * 24);
+        state.lastRun = now;
+
+        const fronts = (GameState.propertyBuildings || [])
+          .filter(b => b.owned && this.isFront(b) && !PropertyManager.isSeized(b, now))
+          .map(b => ({ building: b, stats: this.getFrontStats(b) }))
+          .sort((a, b) => b.stats.rate - a.stats.rate);
+
+        let remaining = GameState.player.dirtyCash || 0;
+        fronts.forEach(({ building, stats }) => {
+          const dirty = Math.min(remaining, Math.floor(stats.capacity * days));
+          if (dirty <= 0) return;
+          const clean = Math.floor(dirty * stats.rate);
+          remaining -= dirty;
+          result.dirty += dirty;
+          result.clean += clean;
+          building.launderedTotal = (building.launderedTotal || 0) + dirty;
+        });
+
+        // The fence works last, for whatever the fronts couldn't take
+        const fenced = Math.min(remaining, Math.floor(this.STREET_FENCE.capacity * days));
+        if (fenced > 0) {
+          remaining -= fenced;
+          result.dirty += fenced;
+          result.clean += Math.floor(fenced * this.STREET_FENCE.rate);
+          result.fenced = fenced;
+        }
+
+        if (result.dirty > 0) {
+          SecureEconomy.award({ cashDelta: result.clean, dirtyDelta: -result.dirty, reason: 'launder' });
+          state.totalLaundered += result.dirty;
+          try { ProfileTab.render(); } catch (e) {}
+          Storage.save();
+        }
+        return result;
+      },
+
+      checkSuspicion() {
+        const excess = (GameState.player.dirtyCash || 0) - this.SUSPICION_THRESHOLD;
+        if (excess <= 0) return;
+        const amount = Math.min(this.MAX_SUSPICION_PER_TICK, (excess / 50000) * this.SUSPICION_PER_50K);
+        try {
+          TurfTab.addSuspicion(amount, 'dirty cash on hand');
+        } catch (e) {}
+      },
+
+      // Called by ConsequenceSystem on failed outcomes (tier 0-2), and once per heist
+      rollSeizure(tier) {
+        const dirty = GameState.player.dirtyCash || 0;
+        if (dirty <= 0) return null;
+
+        const chance = Math.min(this.MAX_SEIZURE_CHANCE, dirty / this.SEIZURE_SCALE) * (this.SEIZURE_TIER_MULT[tier] || 1);
+        if (RNG.random('consequences') >= chance) return null;
+
+        const amount = Math.floor(dirty * (0.25 + RNG.random('consequences') * 0.25));
+        SecureEconomy.award({ dirtyDelta: -amount, reason: 'asset_seizure' });
+        console.log(`💼 Asset seizure: -$${amount} dirty cash`);
+        return {
+          id: 'asset_seizure',
+          type: 'severe',
+          message: `Cops found your stash. $${amount.toLocaleString()} in dirty cash seized.`
+        };
+      },
+
+      renderFrontInfo(building) {
+        const stats = this.getFrontStats(building);
+        if (!stats) return '';
+        return `
+          <div style="font-size: 12px; color: #a78bfa; margin-bottom: 8px;">
+            🧺 Front business: launders $${stats.capacity.toLocaleString()}/day at ${Math.round(stats.rate * 100)}¢ on the dollar
+            ${building.launderedTotal ? `<div style="opacity: 0.7;">Washed so far: $${building.launderedTotal.toLocaleString()}</div>` : ''}
+          </div>
+        `;
+      }
+    };
+
+    window.Laundering = Laundering;
+
     // ========================================
     // COP CAR PATROL SYSTEM
     // ========================================
@@ -16144,6 +16891,572 @@ function ensureLandmarkProperties() {
 
     }
 
+    // ========================================
+    // POLICE FLEET & DISPATCH
+    // ========================================
+    // Extra patrol units alongside the CopCarSystem lead car, sized by
+    // cityState.policeActivity. Each unit runs its own state machine:
+    //   patrol  - random walk over the patrol graph
+    //   respond - dispatched to a fresh MapMemory hotspot, then waits on scene
+    //   pursue  - driven by PursuitSystem while the player is wanted
+    //   return  - back to the station; surplus units retire there
+    // CopCar3D draws the whole fleet with instanced meshes.
+    const PoliceFleet = {
+      FLEET_SIZE: { low: 1, medium: 3, high: 5, extreme: 8 },  // Includes the lead car
+      PATROL_SPEED: 6.2,
+      RESPOND_SPEED: 8.0,
+      RETURN_SPEED: 5.0,
+      DISPATCH_MS: 3000,
+      RESPOND_MIN_INTENSITY: 30,   // Hotspots below this are left to the beat cops
+      ON_SCENE_MS: 10000,
+
+      cars: [],
+      handled: {},                 // hotspot id -> car id already sent there
+      nextCarId: 1,
+      animationFrameId: null,
+      lastFrameAt: 0,
+      lastDispatchAt: 0,
+
+      start() {
+        if (this.animationFrameId) return;
+        this.lastFrameAt = performance.now();
+        const loop = () => {
+          const now = performance.now();
+          const dt = Math.min(0.05, Math.max(0.001, (now - this.lastFrameAt) / 1000));
+          this.lastFrameAt = now;
+          this.update(dt, Date.now());
+          this.animationFrameId = requestAnimationFrame(loop);
+        };
+        this.animationFrameId = requestAnimationFrame(loop);
+      },
+
+      stop() {
+        if (this.animationFrameId) cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+      },
+
+      getTargetSize() {
+        const activity = (GameState.cityState && GameState.cityState.policeActivity) || 'low';
+        return Math.max(0, (this.FLEET_SIZE[activity] || 1) - 1);
+      },
+
+      update(dt, now = Date.now()) {
+        if (this.getGraph().nodes.length < 2) return;
+        this.resize();
+        if (now - this.lastDispatchAt >= this.DISPATCH_MS) {
+          this.lastDispatchAt = now;
+          this.dispatch(now);
+        }
+
+        this.cars.slice().forEach(car => {
+          if (car.state === 'patrol') {
+            if (car.path.length === 0) this.pickPatrolNode(car);
+            this.drive(car, this.PATROL_SPEED, dt);
+          } else if (car.state === 'respond') {
+            if (car.path.length > 0) {
+              this.drive(car, this.RESPOND_SPEED, dt);
+            } else {
+              if (!car.arrivedAt) car.arrivedAt = now;
+              car.speed = 0;
+              if (now - car.arrivedAt >= this.ON_SCENE_MS) this.sendHome(car);
+            }
+          } else if (car.state === 'return') {
+            if (car.path.length > 0) {
+              this.drive(car, this.RETURN_SPEED, dt);
+            } else if (car.retire) {
+              this.cars = this.cars.filter(c => c !== car);
+            } else {
+              this.setState(car, 'patrol');
+            }
+          }
+          // 'pursue' cars are moved by PursuitSystem
+        });
+      },
+
+      // Grow at the station; shrink by sending idle patrol units home to retire
+      resize() {
+        const target = this.getTargetSize();
+        const active = this.cars.filter(c => !c.retire);
+        if (active.length < target) {
+          for (let i = active.length; i < target; i++) this.spawn(this.getStationNode());
+        } else if (active.length > target) {
+          active.filter(c => c.state === 'patrol').slice(0, active.length - target).forEach(car => {
+            car.retire = true;
+            this.sendHome(car);
+          });
+        }
+      },
+
+      spawn(node, state = 'patrol') {
+        const car = {
+          id: this.nextCarId++,
+          x: node.x,
+          y: node.y,
+          heading: 0,
+          speed: 0,
+          state: state,
+          stateSince: Date.now(),
+          currentNodeId: node.id,
+          lastNodeId: null,
+          path: [],
+          repathAt: 0,
+          incident: null,
+          arrivedAt: null,
+          retire: false,
+          el: null
+        };
+        this.cars.push(car);
+        return car;
+      },
+
+      setState(car, state) {
+        car.state = state;
+        car.stateSince = Date.now();
+        car.path = [];
+        car.arrivedAt = null;
+        if (state !== 'respond') car.incident = null;
+        if (state === 'patrol') {
+          // Rejoin the graph at the nearest node before walking it
+          const node = this.nearestNode(car);
+          car.currentNodeId = node ? node.id : null;
+          car.lastNodeId = null;
+          if (node) car.path = [{ x: node.x, y: node.y }];
+        }
+      },
+
+      sendHome(car) {
+        this.setState(car, 'return');
+        const station = this.getStationNode();
+        if (station) car.path = this.findPath(car, station);
+      },
+
+      getStationNode() {
+        const station = GameState.fixedLandmarkPositions && GameState.fixedLandmarkPositions.policeStation;
+        return this.nearestNode(station || { x: 50, y: 30 });
+      },
+
+      // Same neighbor walk as the lead car: avoid backtracking when possible
+      pickPatrolNode(car) {
+        const graph = this.getGraph();
+        if (!car.currentNodeId) {
+          const node = this.nearestNode(car);
+          if (!node) return;
+          car.currentNodeId = node.id;
+        }
+        const neighbors = graph.neighbors[car.currentNodeId] || [];
+        if (neighbors.length === 0) return;
+        let nextId = neighbors[Math.floor(RNG.random('police') * neighbors.length)];
+        if (neighbors.length > 1 && nextId === car.lastNodeId) {
+          nextId = neighbors.find(id => id !== car.lastNodeId) || nextId;
+        }
+        const next = graph.nodes.find(n => n.id === nextId);
+        if (!next) return;
+        car.lastNodeId = car.currentNodeId;
+        car.currentNodeId = nextId;
+        car.path = [{ x: next.x, y: next.y }];
+      },
+
+      // Send the nearest patrolling unit to each fresh, serious hotspot
+      dispatch(now = Date.now()) {
+        const hotspots = ((GameState.mapMemory && GameState.mapMemory.hotspots) || [])
+          .filter(h => now - h.createdAt < MapMemory.HOTSPOT_DURATION && h.intensity >= this.RESPOND_MIN_INTENSITY);
+        const liveIds = hotspots.map(h => h.id);
+        Object.keys(this.handled).forEach(id => { if (!liveIds.includes(id)) delete this.handled[id]; });
+
+        hotspots.filter(h => !this.handled[h.id]).forEach(hotspot => {
+          const free = this.cars.filter(c => c.state === 'patrol' && !c.retire);
+          if (free.length === 0) return;
+          const car = free.reduce((best, c) =>
+            Math.hypot(c.x - hotspot.x, c.y - hotspot.y) < Math.hypot(best.x - hotspot.x, best.y - hotspot.y) ? c : best);
+          this.setState(car, 'respond');
+          car.incident = hotspot.id;
+          car.path = this.findPath(car, hotspot);
+          this.handled[hotspot.id] = car.id;
+        });
+      },
+
+      // Hand PursuitSystem the nearest available units, calling in
+      // reinforcements from far-off nodes when the fleet runs short
+      draft(count, near, spawnMinDist) {
+        const drafted = [];
+        const available = this.cars
+          .filter(c => c.state !== 'pursue')
+          .sort((a, b) => Math.hypot(a.x - near.x, a.y - near.y) - Math.hypot(b.x - near.x, b.y - near.y));
+        available.slice(0, count).forEach(car => {
+          this.setState(car, 'pursue');
+          drafted.push(car);
+        });
+
+        const nodes = this.getGraph().nodes;
+        const far = nodes.filter(n => Math.hypot(n.x - near.x, n.y - near.y) >= spawnMinDist);
+        const pool = far.length > 0 ? far : nodes;
+        while (drafted.length < count && pool.length > 0) {
+          const car = this.spawn(pool[Math.floor(RNG.random('police') * pool.length)], 'pursue');
+          car.retire = true;   // Reinforcements go home once the chase is over
+          drafted.push(car);
+        }
+        return drafted;
+      },
+
+      release(cars) {
+        cars.forEach(car => {
+          if (this.cars.includes(car)) this.sendHome(car);
+        });
+      },
+
+      // Patrol graph from whichever CopCarSystem is live (embedded or module)
+      getGraph() {
+        const cs = window.CopCarSystem;
+        const nodes = (cs && (cs._patrolNodes || cs.nodes)) || [];
+        const links = (cs && (cs._patrolLinks || cs.links)) || [];
+        if (this._graph && this._graph.nodes === nodes && this._graph.links === links) return this._graph;
+
+        const neighbors = {};
+        links.forEach(([a, b]) => {
+          (neighbors[a] = neighbors[a] || []).push(b);
+          (neighbors[b] = neighbors[b] || []).push(a);
+        });
+        this._graph = { nodes: nodes, links: links, neighbors: neighbors };
+        return this._graph;
+      },
+
+      nearestNode(pos) {
+        let best = null;
+        let bestDist = Infinity;
+        this.getGraph().nodes.forEach(n => {
+          const d = Math.hypot(n.x - pos.x, n.y - pos.y);
+          if (d < bestDist) { bestDist = d; best = n; }
+        });
+        return best;
+      },
+
+      // Percent-space waypoints from a unit to the target, ending on the target itself.
+      // RoadPathfinder when it is ready, the patrol graph otherwise.
+      findPath(from, to) {
+        if (window.RoadPathfinder && RoadPathfinder.ready) {
+          try {
+            const path = RoadPathfinder.getPathPercent(from, to);
+            if (Array.isArray(path) && path.length > 0) return path.concat([{ x: to.x, y: to.y }]);
+          } catch(e) {}
+        }
+
+        const graph = this.getGraph();
+        const start = this.nearestNode(from);
+        const goal = this.nearestNode(to);
+        if (!start || !goal) return [{ x: to.x, y: to.y }];
+
+        // Dijkstra; the patrol graph is a few dozen nodes
+        const byId = {};
+        graph.nodes.forEach(n => { byId[n.id] = n; });
+        const dist = { [start.id]: 0 };
+        const prev = {};
+        const open = new Set([start.id]);
+        while (open.size > 0) {
+          let current = null;
+          open.forEach(id => { if (current === null || dist[id] < dist[current]) current = id; });
+          open.delete(current);
+          if (current === goal.id) break;
+          (graph.neighbors[current] || []).forEach(nextId => {
+            const next = byId[nextId];
+            if (!next) return;
+            const d = dist[current] + Math.hypot(next.x - byId[current].x, next.y - byId[current].y);
+            if (dist[nextId] === undefined || d < dist[nextId]) {
+              dist[nextId] = d;
+              prev[nextId] = current;
+              open.add(nextId);
+            }
+          });
+        }
+
+        const path = [];
+        for (let id = goal.id; id !== undefined; id = prev[id]) {
+          path.unshift({ x: byId[id].x, y: byId[id].y });
+          if (id === start.id) break;
+        }
+        // Already on the first edge: don't drive back to its start node
+        if (path.length >= 2 &&
+            Math.hypot(path[1].x - from.x, path[1].y - from.y) < Math.hypot(path[1].x - path[0].x, path[1].y - path[0].y)) {
+          path.shift();
+        }
+        path.push({ x: to.x, y: to.y });
+        return path;
+      },
+
+      // Advance a unit along its waypoints at `speed` percent/second
+      drive(car, speed, dt) {
+        let budget = speed * dt;
+        car.speed = car.path.length > 0 ? speed : 0;
+        while (budget > 0 && car.path.length > 0) {
+          const target = car.path[0];
+          const dx = target.x - car.x;
+          const dy = target.y - car.y;
+          const dist = Math.hypot(dx, dy);
+          if (dist <= budget) {
+            car.x = target.x;
+            car.y = target.y;
+            car.path.shift();
+            budget -= dist;
+          } else {
+            car.x += (dx / dist) * budget;
+            car.y += (dy / dist) * budget;
+            car.heading = Math.atan2(dx, dy);
+            budget = 0;
+          }
+        }
+      }
+    };
+
+    window.PoliceFleet = PoliceFleet;
+
+    // ========================================
+    // COP PURSUIT
+    // ========================================
+    // Wanted levels in free roam. Once heat crosses a level, PoliceFleet
+    // units are drafted (or called in) to chase the player over the road
+    // network while roadblocks close the nearest intersections. Any unit
+    // reaching the player makes the arrest.
+    // Hiding at the safehouse or an owned property, or staying out of sight
+    // long enough, shakes the pursuit.
+    const PursuitSystem = {
+      WANTED_LEVELS: [
+        { heat: 40, units: 1, roadblocks: 0 },
+        { heat: 60, units: 2, roadblocks: 1 },
+        { heat: 80, units: 3, roadblocks: 2 },
+        { heat: 95, units: 4, roadblocks: 3 }
+      ],
+
+      TICK_MS: 100,
+      SPEED: 7.0,                  // Percent/second; a touch faster than patrol cruise
+      REPATH_MS: 1500,
+      SIGHT_RADIUS: 22,
+      DENSE_SIGHT_MULT: 0.5,       // Crowded blocks break line of sight early
+      ARREST_RADIUS: 2,
+      ROADBLOCK_RADIUS: 3,
+      ROADBLOCK_MIN_DIST: 8,       // Keep roadblocks off the player's own corner
+      ROADBLOCK_MAX_DIST: 30,
+      SPAWN_MIN_DIST: 25,
+      HIDE_RADIUS: 4,
+      ESCAPE_MS: 8000,             // Out of sight this long and the units give up
+      COOLDOWN_MS: 60000,          // Grace period after an escape at the same level
+      BASE_JAIL_MS: 20 * 1000,
+
+      active: false,
+      level: 0,
+      units: [],                   // PoliceFleet cars in the 'pursue' state
+      roadblocks: [],
+      lastSeenAt: 0,
+      lastKnown: null,
+      cooldownUntil: 0,
+      cooldownLevel: 0,
+      interval: null,
+      lastTickAt: 0,
+
+      start() {
+        if (this.interval) return;
+        this.lastTickAt = Date.now();
+        this.interval = setInterval(() => this.tick(), this.TICK_MS);
+      },
+
+      stop() {
+        if (this.interval) clearInterval(this.interval);
+        this.interval = null;
+        this.end(null);
+      },
+
+      getWantedLevel(heat = GameState.player.heat) {
+        let level = 0;
+        this.WANTED_LEVELS.forEach((l, i) => { if (heat >= l.heat) level = i + 1; });
+        return level;
+      },
+
+      canPursue() {
+        return GameState.character.freeRoam && !GameState.character.isDead &&
+          !GameState.player.jail.isJailed && !(GameState.turfDefense && GameState.turfDefense.active);
+      },
+
+      tick(now = Date.now()) {
+        const dt = Math.min(0.5, (now - this.lastTickAt) / 1000);
+        this.lastTickAt = now;
+        if (!this.canPursue()) {
+          if (this.active) this.end(null);
+          return;
+        }
+
+        const level = this.getWantedLevel();
+        if (level > this.level && !(now < this.cooldownUntil && level <= this.cooldownLevel)) {
+          this.escalate(level, now);
+        }
+        if (!this.active) return;
+
+        const player = GameState.character.position;
+        const hidden = this.isHidden(player);
+        const seen = !hidden && this.units.some(u => this.canSee(u, player));
+        if (seen) {
+          this.lastSeenAt = now;
+          this.lastKnown = { x: player.x, y: player.y };
+        }
+
+        this.units.forEach(unit => {
+          if (now >= unit.repathAt && this.lastKnown) {
+            unit.path = PoliceFleet.findPath(unit, this.lastKnown);
+            unit.repathAt = now + this.REPATH_MS;
+          }
+          PoliceFleet.drive(unit, this.SPEED, dt);
+        });
+        this.render();
+
+        if (!hidden) {
+          const caught = this.units.some(u => Math.hypot(u.x - player.x, u.y - player.y) <= this.ARREST_RADIUS) ||
+            this.roadblocks.some(r => Math.hypot(r.x - player.x, r.y - player.y) <= this.ROADBLOCK_RADIUS);
+          if (caught) {
+            this.arrest();
+            return;
+          }
+        }
+
+        if (now - this.lastSeenAt >= this.ESCAPE_MS) this.escape(now);
+      },
+
+      // Draft units up to the new level's count and set up its roadblocks
+      escalate(level, now = Date.now()) {
+        const config = this.WANTED_LEVELS[level - 1];
+        if (!config || PoliceFleet.getGraph().nodes.length === 0) return;
+        const player = GameState.character.position;
+        const starting = !this.active;
+
+        this.active = true;
+        this.level = level;
+        this.lastSeenAt = now;
+        this.lastKnown = { x: player.x, y: player.y };
+
+        if (this.units.length < config.units) {
+          this.units = this.units.concat(PoliceFleet.draft(config.units - this.units.length, player, this.SPAWN_MIN_DIST));
+        }
+
+        this.placeRoadblocks(config.roadblocks);
+
+        const message = `🚨 Wanted level ${level}! ${this.units.length} unit${this.units.length === 1 ? '' : 's'} in pursuit`;
+        try { TurfTab.showTemporaryNotification(message); } catch(e) {}
+        if (starting && level >= 3) {
+          try {
+            if (typeof CityNewsTicker !== 'undefined') CityNewsTicker.announce(`🚨 High-speed pursuit of ${GameState.player.name} underway`);
+          } catch(e) {}
+        }
+      },
+
+      // Close the intersections (3+ links) nearest the player, outside arm's reach
+      placeRoadblocks(count) {
+        const graph = PoliceFleet.getGraph();
+        const player = GameState.character.position;
+        const intersections = graph.nodes
+          .filter(n => (graph.neighbors[n.id] || []).length >= 3)
+          .map(n => ({ node: n, dist: Math.hypot(n.x - player.x, n.y - player.y) }))
+          .filter(c => c.dist >= this.ROADBLOCK_MIN_DIST && c.dist <= this.ROADBLOCK_MAX_DIST)
+          .filter(c => !this.roadblocks.some(r => r.nodeId === c.node.id))
+          .sort((a, b) => a.dist - b.dist);
+
+        intersections.slice(0, Math.max(0, count - this.roadblocks.length)).forEach(c => {
+          this.roadblocks.push({ nodeId: c.node.id, x: c.node.x, y: c.node.y, el: null });
+        });
+      },
+
+      getHidingSpots() {
+        const spots = [];
+        const safeHouse = GameState.fixedLandmarkPositions && GameState.fixedLandmarkPositions.safeHouse;
+        if (safeHouse) spots.push(safeHouse);
+        (GameState.propertyBuildings || []).filter(b => b.owned).forEach(b => spots.push({ x: b.x, y: b.y }));
+        return spots;
+      },
+
+      isHidden(pos) {
+        return this.getHidingSpots().some(s => Math.hypot(s.x - pos.x, s.y - pos.y) <= this.HIDE_RADIUS);
+      },
+
+      // Plain distance check, shortened when the player is in a dense block
+      canSee(unit, pos) {
+        let radius = this.SIGHT_RADIUS;
+        try {
+          const grid = GameState.map && GameState.map.grid;
+          if (grid) {
+            const tile = TileGridGenerator.getTile(grid,
+              Math.floor((pos.x / 100) * GameState.map.width),
+              Math.floor((pos.y / 100) * GameState.map.height));
+            const density = tile && tile.metadata ? tile.metadata.buildingDensity : null;
+            if (density === 'high' || density === 'extreme') radius *= this.DENSE_SIGHT_MULT;
+          }
+        } catch(e) {}
+        return Math.hypot(unit.x - pos.x, unit.y - pos.y) <= radius;
+      },
+
+      escape(now = Date.now()) {
+        this.cooldownUntil = now + this.COOLDOWN_MS;
+        this.cooldownLevel = this.level;
+        this.end('😮‍💨 You lost the cops. Lay low before heat climbs again.');
+      },
+
+      arrest() {
+        const level = this.level;
+        this.end(null);
+
+        const heatMultiplier = 1 + (GameState.player.globalHeat / 100);
+        const jailDuration = Math.floor(this.BASE_JAIL_MS * heatMultiplier * (1 + level * 0.25));
+        GameState.player.jail.isJailed = true;
+        GameState.player.jail.releaseTime = Date.now() + jailDuration;
+        GameState.character.freeRoam = false;
+        GameState.player.history.push({
+          type: 'arrest',
+          timestamp: Date.now(),
+          duration: jailDuration,
+          cause: `Police pursuit (wanted level ${level})`
+        });
+
+        try {
+          TurfTab.stopFreeRoam();
+          TurfTab.updateRoamButton();
+          TurfTab.showJailOverlay();
+        } catch(e) {}
+        Storage.save();
+      },
+
+      end(message) {
+        this.units.concat(this.roadblocks).forEach(m => {
+          if (m.el) m.el.remove();
+          m.el = null;
+        });
+        PoliceFleet.release(this.units);
+        const wasActive = this.active;
+        this.active = false;
+        this.level = 0;
+        this.units = [];
+        this.roadblocks = [];
+        this.lastKnown = null;
+        if (wasActive && message) {
+          try { TurfTab.showTemporaryNotification(message); } catch(e) {}
+        }
+      },
+
+      render() {
+        const world = document.getElementById('map-world');
+        if (!world) return;
+        const place = (marker, className, icon) => {
+          if (!marker.el) {
+            marker.el = document.createElement('div');
+            marker.el.className = className;
+            marker.el.textContent = icon;
+            world.appendChild(marker.el);
+          }
+          marker.el.style.left = marker.x + '%';
+          marker.el.style.top = marker.y + '%';
+        };
+        // CopCar3D draws the fleet; markers only stand in when WebGL is unavailable
+        const has3D = typeof CopCar3D !== 'undefined' && CopCar3D.isInitialized;
+        if (!has3D) this.units.forEach(u => place(u, 'pursuit-unit', '🚓'));
+        this.roadblocks.forEach(r => place(r, 'pursuit-roadblock', '🚧'));
+      }
+    };
+
+    window.PursuitSystem = PursuitSystem;
+
     // ========================================
     // COP CAR NODE DEBUG OVERLAY
     // ========================================
@@ -18777,6 +20090,34 @@ function ensureLandmarkProperties() {
     // ========================================
     
     const InmateSystem = {
+      // Each specialty boosts specific crimes while the inmate is working.
+      // visibility scales how fast a working inmate draws the parole officer's eye.
+      SPECIALTIES: {
+        safecracker: { name: 'Safecracker', icon: '🔐', categories: ['heists'], crimes: ['armoryHeist'], bonus: 0.08, visibility: 0.8 },
+        hacker:      { name: 'Hacker',      icon: '💻', categories: [], crimes: ['stealLuxury', 'stealExotic', 'bankVaultHeist'], bonus: 0.07, visibility: 0.6 },
+        enforcer:    { name: 'Enforcer',    icon: '🥊', categories: ['street'], crimes: ['armoryHeist'], bonus: 0.06, visibility: 1.5 },
+        driver:      { name: 'Driver',      icon: '🏎️', categories: ['theft'], crimes: [], bonus: 0.06, visibility: 1.0 }
+      },
+
+      // Bail is the 1h price; longer contracts cost more up front
+      CONTRACTS: {
+        short:    { name: '1 Hour',  hours: 1, costMult: 1 },
+        standard: { name: '3 Hours', hours: 3, costMult: 2.2 },
+        long:     { name: '8 Hours', hours: 8, costMult: 4.5 }
+      },
+
+      // Parole: suspicion builds while an inmate works in the open, fades while laying low.
+      // At 100 the officer files a report (heat) and may pull the inmate back in.
+      PAROLE_WORK_RATE: 2,      // Per update (10s), scaled by specialty visibility
+      PAROLE_DECAY: 1,
+      PAROLE_HEAT: 8,
+      REARREST_CHANCE: 0.25,    // Plus player heat / 400
+      REARREST_BAIL_MULT: 1.5,
+
+      CELLMATE_COUNT: 2,
+      CELLMATE_DISCOUNT: 0.4,
+      CELLMATE_TTL_MS: 24 * 60 * 60 * 1000,
+
       // Generate random inmate
       generateInmate() {
         const firstNames = ['Mike', 'Tony', 'Johnny', 'Vince', 'Frank', 'Rico', 'Carlos', 'Marcus', 'Andre', 'Luis'];
@@ -18801,19 +20142,116 @@ function ensureLandmarkProperties() {
           strength,
           intelligence,
           bailCost,
+          specialty: Object.keys(this.SPECIALTIES)[Math.floor(RNG.random('prison') * Object.keys(this.SPECIALTIES).length)],
           mode: 'laylow', // 'laylow' or 'working'
           recruitedAt: null,
           expiresAt: null,
-          cashGenerated: 0
+          cashGenerated: 0,
+          paroleSuspicion: 0
         };
       },
+
+      getSpecialty(inmate) {
+        return (inmate && this.SPECIALTIES[inmate.specialty]) || null;
+      },
+
+      getContractCost(inmate, contractKey) {
+        const contract = this.CONTRACTS[contractKey] || this.CONTRACTS.short;
+        return Math.round(inmate.bailCost * contract.costMult);
+      },
+
+      // Success bonus from working inmates' specialties; each specialty counts once
+      getSpecialtyBonus(crime) {
+        if (!crime || !GameState.inmates) return 0;
+        const specialties = new Set(GameState.inmates.recruited
+          .filter(i => i.mode === 'working' && !i.managing)
+          .map(i => i.specialty));
+        let bonus = 0;
+        specialties.forEach(key => {
+          const spec = this.SPECIALTIES[key];
+          if (spec && (spec.categories.includes(crime.category) || spec.crimes.includes(crime.id))) bonus += spec.bonus;
+        });
+        return bonus;
+      },
+
+      // People you share a cell with are cheaper to bail out later (once per sentence)
+      meetCellmates() {
+        const sentence = PrisonYard.getSentenceId();
+        if (GameState.inmates.cellmatesSentence === sentence) return [];
+        GameState.inmates.cellmatesSentence = sentence;
+
+        const met = [];
+        for (let i = 0; i < this.CELLMATE_COUNT; i++) {
+          met.push(this.makeCellmate(this.generateInmate(), sentence));
+        }
+        GameState.inmates.available = met.concat(GameState.inmates.available);
+        Storage.save();
+        return met;
+      },
+
+      // Someone from the yard: same discount as a cellmate, specialty fits the activity
+      meetYardInmate(specialty) {
+        const inmate = this.makeCellmate(this.generateInmate(), PrisonYard.getSentenceId());
+        if (this.SPECIALTIES[specialty]) inmate.specialty = specialty;
+        GameState.inmates.available.unshift(inmate);
+        return inmate;
+      },
+
+      makeCellmate(inmate, sentence) {
+        inmate.metInJail = true;
+        inmate.metSentence = sentence;
+        inmate.fullBail = inmate.bailCost;
+        inmate.bailCost = Math.round(inmate.bailCost * (1 - this.CELLMATE_DISCOUNT));
+        inmate.cellmateUntil = Date.now() + this.CELLMATE_TTL_MS;
+        return inmate;
+      },
+
+      checkParole(inmate) {
+        const spec = this.getSpecialty(inmate);
+        if (inmate.mode !== 'working') {
+          inmate.paroleSuspicion = Math.max(0, (inmate.paroleSuspicion || 0) - this.PAROLE_DECAY);
+          return 'ok';
+        }
+
+        inmate.paroleSuspicion = (inmate.paroleSuspicion || 0) + this.PAROLE_WORK_RATE * (spec ? spec.visibility : 1);
+        if (inmate.paroleSuspicion < 100) return 'ok';
+
+        // Parole officer files a report
+        inmate.paroleSuspicion = 50;
+        GameState.player.heat = Math.min(100, (GameState.player.heat || 0) + this.PAROLE_HEAT);
+        const chance = this.REARREST_CHANCE + (GameState.player.heat || 0) / 400;
+        if (RNG.random('prison') < chance) return 'rearrested';
+
+        TurfTab.showTemporaryNotification(`📋 ${inmate.name}'s parole officer is asking questions (+${this.PAROLE_HEAT} heat)`);
+        return 'reported';
+      },
+
+      // Back behind bars: uncollected cash comes to you, bail goes up
+      rearrest(inmate) {
+        GameState.player.cash += inmate.cashGenerated || 0;
+        GameState.inmates.available.unshift({
+          ...inmate,
+          mode: 'laylow',
+          managing: undefined,
+          recruitedAt: null,
+          expiresAt: null,
+          cashGenerated: 0,
+          paroleSuspicion: 0,
+          metInJail: false,
+          rearrested: true,
+          bailCost: Math.round((inmate.fullBail || inmate.bailCost) * this.REARREST_BAIL_MULT)
+        });
+        TurfTab.showTemporaryNotification(`🚔 ${inmate.name} violated parole and was re-arrested!`);
+      },
       
       // Refresh available inmates in jail
       refreshJailInmates() {
         console.log('Refreshing jail inmates...');
         
-        // Generate 5 random inmates
-        GameState.inmates.available = [];
+        // Generate 5 random inmates; cellmates and re-arrested crew stay until recruited
+        const now = Date.now();
+        GameState.inmates.available = GameState.inmates.available.filter(i =>
+          (i.metInJail && now < (i.cellmateUntil || 0)) || i.rearrested);
         for (let i = 0; i < 5; i++) {
           GameState.inmates.available.push(this.generateInmate());
         }
@@ -18824,28 +20262,33 @@ function ensureLandmarkProperties() {
         console.log('Generated 5 new inmates for recruitment');
       },
       
-      // Recruit an inmate
-      recruitInmate(inmateId) {
+      // Recruit an inmate on one of the CONTRACTS
+      recruitInmate(inmateId, contractKey = 'short') {
         const inmate = GameState.inmates.available.find(i => i.id === inmateId);
         if (!inmate) {
           console.error('Inmate not found');
           return false;
         }
+        const contract = this.CONTRACTS[contractKey] || this.CONTRACTS.short;
+        const cost = this.getContractCost(inmate, contractKey);
         
         // Check if player has enough money
-        if (GameState.player.cash < inmate.bailCost) {
+        if (GameState.player.cash < cost) {
           alert('Not enough money to bail out this inmate!');
           return false;
         }
         
         // Pay bail
-        GameState.player.cash -= inmate.bailCost;
+        GameState.player.cash -= cost;
         
-        // Set recruited timestamp and expiry (1 hour = 3600000ms)
+        // Set recruited timestamp and expiry from the contract length
         inmate.recruitedAt = Date.now();
-        inmate.expiresAt = Date.now() + (60 * 60 * 1000); // 1 hour
+        inmate.expiresAt = Date.now() + (contract.hours * 60 * 60 * 1000);
+        inmate.contract = contractKey;
         inmate.mode = 'laylow'; // Start in lay low mode
         inmate.cashGenerated = 0;
+        inmate.paroleSuspicion = 0;
+        if (!inmate.specialty) inmate.specialty = Object.keys(this.SPECIALTIES)[0];
         
         // Move from available to recruited
         GameState.inmates.available = GameState.inmates.available.filter(i => i.id !== inmateId);
@@ -18875,6 +20318,10 @@ function ensureLandmarkProperties() {
         // Check for expired inmates
         GameState.inmates.recruited = GameState.inmates.recruited.filter(inmate => {
           if (now >= inmate.expiresAt) {
+            // Uncollected cash goes with them to you, same as OfflineProgress.accrueInmates
+            const cash = inmate.cashGenerated || 0;
+            GameState.player.cash += cash;
+            if (cash > 0) TurfTab.showTemporaryNotification(`👋 ${inmate.name} moved on and left you $${cash.toLocaleString()}`);
             console.log(`${inmate.name} has left (timer expired)`);
             return false;
           }
@@ -18883,6 +20330,11 @@ function ensureLandmarkProperties() {
           if (inmate.mode === 'laylow') {
             inmate.cashGenerated += 10;
           }
+
+          if (this.checkParole(inmate) === 'rearrested') {
+            this.rearrest(inmate);
+            return false;
+          }
           
           return true;
         });
@@ -18964,6 +20416,1047 @@ function ensureLandmarkProperties() {
       
       console.log('Inmate system initialized');
     }
+
+    // ========================================
+    // PRISON YARD
+    // ========================================
+    // Things to do while jailed instead of watching the countdown.
+    // Every activity can move releaseTime; some introduce you to inmates
+    // you can bail out cheaply later (see InmateSystem.meetCellmates).
+    const PrisonYard = {
+      ACTIVITIES: {
+        workout: { name: 'Work Out', icon: '🏋️', description: 'Pump iron. +1 strength once per sentence.', stat: 'strength', timeMs: -4000, recruitSpecialty: 'enforcer' },
+        read: { name: 'Hit the Library', icon: '📚', description: 'Read up. +1 intelligence once per sentence.', stat: 'intelligence', timeMs: -4000, recruitSpecialty: 'hacker' },
+        trade: { name: 'Trade Contraband', icon: '🚬', description: 'Smuggle goods for a cut. Guards are watching.', caughtMs: 10000, recruitSpecialty: 'driver' },
+        join_gang: { name: 'Join the Gang', icon: '🤜', description: 'Protection, connections, safer trades.' },
+        fight_gang: { name: 'Fight', icon: '🥊', description: 'Earn respect in the yard. Losing adds time.', lossMs: 12000, recruitSpecialty: 'safecracker' },
+        bribe: { name: 'Bribe a Guard', icon: '💵', description: 'Halve your remaining time, once per sentence.' }
+      },
+
+      GANG_NAME: 'The Concrete Kings',
+      COOLDOWN_MS: 4000,
+      GOOD_BEHAVIOUR_MAX_MS: 20000,   // Most workout/read can take off one sentence
+      RECRUIT_CHANCE: 0.25,
+      MEMBER_RECRUIT_BONUS: 0.15,
+      TRADE_CATCH_CHANCE: 0.35,
+      JOIN_RESPECT: 25,
+      BRIBE_PER_SECOND: 150,
+      MIN_REMAINING_MS: 1000,
+      LOG_LIMIT: 6,
+
+      // Per-sentence state; cleared on release
+      ensure() {
+        const jail = GameState.player.jail;
+        if (!jail.yard) jail.yard = { startedAt: Date.now(), statGains: {}, bribed: false, timeCredit: 0, lastActionAt: 0, log: [] };
+        if (!jail.prisonGang) jail.prisonGang = { member: false, respect: 0 };
+        return jail.yard;
+      },
+
+      getSentenceId() {
+        return this.ensure().startedAt;
+      },
+
+      getRemainingMs() {
+        return Math.max(0, GameState.player.jail.releaseTime - Date.now());
+      },
+
+      adjustSentence(deltaMs) {
+        const jail = GameState.player.jail;
+        jail.releaseTime = Math.max(Date.now() + this.MIN_REMAINING_MS, jail.releaseTime + deltaMs);
+        TurfTab.updateJailTimer();
+      },
+
+      getBribeCost() {
+        return Math.round(Math.ceil(this.getRemainingMs() / 1000) * this.BRIBE_PER_SECOND);
+      },
+
+      getBlock(key) {
+        const yard = this.ensure();
+        const gang = GameState.player.jail.prisonGang;
+        if (!GameState.player.jail.isJailed || GameState.player.jail.breakoutActive) return 'Not now';
+        if (Date.now() - yard.lastActionAt < this.COOLDOWN_MS) return 'Catching your breath';
+        if (key === 'join_gang') {
+          if (gang.member) return 'Already a member';
+          if (gang.respect < this.JOIN_RESPECT) return `Need ${this.JOIN_RESPECT} respect`;
+        }
+        if (key === 'bribe') {
+          if (yard.bribed) return 'Guards already paid';
+          if (GameState.player.cash < this.getBribeCost()) return 'Not enough cash';
+        }
+        return null;
+      },
+
+      perform(key) {
+        const activity = this.ACTIVITIES[key];
+        const block = activity ? this.getBlock(key) : 'Unknown activity';
+        if (block) return { success: false, message: block };
+
+        const yard = this.ensure();
+        const gang = GameState.player.jail.prisonGang;
+        const stats = GameState.player.stats;
+        let message = '';
+        let timeMs = 0;
+
+        switch (key) {
+          case 'workout':
+          case 'read':
+            if (!yard.statGains[activity.stat]) {
+              yard.statGains[activity.stat] = true;
+              stats[activity.stat] = (stats[activity.stat] || 0) + 1;
+              message = `${activity.icon} +1 ${activity.stat}. Good behaviour noted.`;
+            } else {
+              message = `${activity.icon} Another session. Guards like a quiet inmate.`;
+            }
+            timeMs = -Math.min(-activity.timeMs, Math.max(0, this.GOOD_BEHAVIOUR_MAX_MS - (yard.timeCredit || 0)));
+            yard.timeCredit = (yard.timeCredit || 0) - timeMs;
+            if (!timeMs) message += ' No more time off for good behaviour this sentence.';
+            break;
+
+          case 'trade': {
+            const catchChance = this.TRADE_CATCH_CHANCE * (gang.member ? 0.5 : 1);
+            if (RNG.random('prison') < catchChance) {
+              timeMs = activity.caughtMs;
+              message = `🚨 Caught with contraband! +${activity.caughtMs / 1000}s`;
+            } else {
+              const items = typeof MarketSystem !== 'undefined' ? MarketSystem.items : [];
+              const item = items[Math.floor(RNG.random('prison') * items.length)];
+              if (item) {
+                GameState.marketInventory[item.id] = (GameState.marketInventory[item.id] || 0) + 1;
+                MarketSystem.inventory[item.id] = GameState.marketInventory[item.id];
+                message = `🚬 Traded up to 1x ${item.name}`;
+              } else {
+                SecureEconomy.adjustDirty(200, 'prison_trade');
+                message = '🚬 Traded for $200 dirty cash';
+              }
+              gang.respect = Math.min(100, gang.respect + 5);
+            }
+            break;
+          }
+
+          case 'join_gang':
+            gang.member = true;
+            message = `🤜 You're in with ${this.GANG_NAME}. Trades are safer and people talk to you.`;
+            break;
+
+          case 'fight_gang': {
+            const chance = Math.max(0.15, Math.min(0.85, 0.35 + (stats.strength || 0) * 0.01 + (gang.member ? 0.1 : 0)));
+            const foe = gang.member ? 'a rival crew' : this.GANG_NAME;
+            if (RNG.random('prison') < chance) {
+              gang.respect = Math.min(100, gang.respect + 15);
+              GameState.player.reputation += 3;
+              message = `🥊 You put down ${foe}. +15 respect`;
+            } else {
+              gang.respect = Math.min(100, gang.respect + 3);
+              timeMs = activity.lossMs;
+              message = `🩸 Lost to ${foe}. Solitary write-up: +${activity.lossMs / 1000}s`;
+            }
+            break;
+          }
+
+          case 'bribe': {
+            const cost = this.getBribeCost();
+            SecureEconomy.adjustCash(-cost, 'guard_bribe');
+            yard.bribed = true;
+            timeMs = -Math.floor(this.getRemainingMs() / 2);
+            message = `💵 A guard "lost" some paperwork (-$${cost.toLocaleString()})`;
+            break;
+          }
+        }
+
+        if (timeMs) this.adjustSentence(timeMs);
+
+        // The yard is where you meet people worth bailing out
+        const recruitChance = this.RECRUIT_CHANCE + (gang.member ? this.MEMBER_RECRUIT_BONUS : 0);
+        if (activity.recruitSpecialty && RNG.random('prison') < recruitChance) {
+          const inmate = InmateSystem.meetYardInmate(activity.recruitSpecialty);
+          const spec = InmateSystem.getSpecialty(inmate);
+          message += ` · Met ${inmate.name} (${spec.icon} ${spec.name})`;
+        }
+
+        yard.lastActionAt = Date.now();
+        yard.log.unshift(message);
+        if (yard.log.length > this.LOG_LIMIT) yard.log.length = this.LOG_LIMIT;
+        Storage.save();
+        return { success: true, message: message };
+      },
+
+      render(container) {
+        if (!container) return;
+        const yard = this.ensure();
+        const gang = GameState.player.jail.prisonGang;
+
+        container.innerHTML = `
+          <div class="jail-yard-status">
+            <span>${gang.member ? `🤜 ${this.GANG_NAME}` : '🚶 Unaffiliated'}</span>
+            <span>Respect ${gang.respect}</span>
+          </div>
+          <div class="jail-yard-grid">
+            ${Object.entries(this.ACTIVITIES).map(([key, a]) => {
+              const block = this.getBlock(key);
+              const label = key === 'bribe' && !yard.bribed ? `${a.name} $${this.getBribeCost().toLocaleString()}` : a.name;
+              return `
+                <button class="btn jail-btn jail-btn-choice jail-yard-btn" data-yard="${key}" ${block ? 'disabled' : ''} title="${block || a.description}">
+                  <span>${a.icon} ${label}</span>
+                  <span class="jail-sub tiny">${block || a.description}</span>
+                </button>
+              `;
+            }).join('')}
+          </div>
+          <div class="jail-yard-log">
+            ${yard.log.map(line => `<div class="jail-sub tiny">${line}</div>`).join('')}
+          </div>
+        `;
+
+        container.querySelectorAll('.jail-yard-btn:not([disabled])').forEach(btn => {
+          btn.addEventListener('click', () => {
+            this.perform(btn.dataset.yard);
+            this.render(container);
+            // Re-enable once the cooldown passes
+            setTimeout(() => {
+              if (document.body.contains(container)) this.render(container);
+            }, this.COOLDOWN_MS + 50);
+          });
+        });
+      }
+    };
+
+    // ========================================
+    // LAWYERS & COURT
+    // ========================================
+    // One hearing per sentence. Plead out for a guaranteed cut, or fight for
+    // an acquittal that clears heat - odds depend on the lawyer, charisma,
+    // the detective's case file and witnesses ConsequenceSystem left behind.
+    const CourtSystem = {
+      LAWYERS: {
+        public_defender: { name: 'Public Defender', icon: '📁', cost: 0, skill: 0.20, plea: 0.20, heatCut: 5 },
+        street_lawyer: { name: 'Street Lawyer', icon: '💼', cost: 2000, skill: 0.35, plea: 0.40, heatCut: 15 },
+        top_counsel: { name: 'Top Counsel', icon: '⚖️', cost: 10000, skill: 0.50, plea: 0.60, heatCut: 30 },
+        // Free, but only for players who own one of the listed property types
+        retainer: { name: 'Retainer Lawyer', icon: '🏦', cost: 0, skill: 0.55, plea: 0.60, heatCut: 30, requiresProperty: ['bank'] }
+      },
+
+      EVIDENCE_WEIGHT: 0.30,
+      WITNESS_WEIGHT: 0.08,
+      WITNESS_TTL_MS: 24 * 60 * 60 * 1000,
+      CHARISMA_WEIGHT: 0.015,
+      LOSS_SENTENCE_MULT: 1.5,
+      LOSS_EXTRA_MS: 10000,
+      LOSS_HEAT: 10,
+      HISTORY_LIMIT: 10,
+
+      getState() {
+        if (!GameState.legal || typeof GameState.legal !== 'object') {
+          GameState.legal = JSON.parse(JSON.stringify(DEFAULT_STATE.legal));
+        }
+        return GameState.legal;
+      },
+
+      // Called by ConsequenceSystem when someone sees the player's face
+      addWitness(crimeName, weight = 1) {
+        const state = this.getState();
+        state.witnesses.push({ id: Date.now() + '_' + state.witnesses.length, crime: crimeName, weight: weight, spawnedAt: Date.now() });
+      },
+
+      getWitnesses(now = Date.now()) {
+        const state = this.getState();
+        state.witnesses = state.witnesses.filter(w => now - w.spawnedAt < this.WITNESS_TTL_MS);
+        return state.witnesses;
+      },
+
+      getWitnessWeight() {
+        return this.getWitnesses().reduce((sum, w) => sum + (w.weight || 1), 0);
+      },
+
+      // 0-1: how strong the detective's case file is
+      getEvidence() {
+        return InvestigationSystem.getCaseScore() / 100;
+      },
+
+      isLawyerAvailable(key) {
+        const lawyer = this.LAWYERS[key];
+        if (!lawyer) return false;
+        if (!lawyer.requiresProperty) return true;
+        return (GameState.propertyBuildings || []).some(b => b.owned && lawyer.requiresProperty.includes(b.type));
+      },
+
+      getAcquittalChance(lawyerKey) {
+        const lawyer = this.LAWYERS[lawyerKey];
+        const charisma = (GameState.player.stats && GameState.player.stats.charisma) || 0;
+        let chance = lawyer.skill + charisma * this.CHARISMA_WEIGHT;
+        chance -= this.getEvidence() * this.EVIDENCE_WEIGHT;
+        chance -= this.getWitnessWeight() * this.WITNESS_WEIGHT;
+        return Math.max(0.05, Math.min(0.9, chance));
+      },
+
+      getBlock(lawyerKey) {
+        const jail = GameState.player.jail;
+        if (!jail.isJailed || jail.breakoutActive) return 'Not in custody';
+        if (jail.hearing) return 'Your hearing is over';
+        if (!this.isLawyerAvailable(lawyerKey)) return 'Own a Bank to keep one on retainer';
+        if (GameState.player.cash < this.LAWYERS[lawyerKey].cost) return 'Not enough cash';
+        return null;
+      },
+
+      // plea: guaranteed sentence cut; fight: all or nothing
+      hearing(lawyerKey, plea) {
+        const lawyer = this.LAWYERS[lawyerKey];
+        const block = lawyer ? this.getBlock(lawyerKey) : 'Unknown lawyer';
+        if (block) return { success: false, message: block };
+
+        const jail = GameState.player.jail;
+        const player = GameState.player;
+        const remaining = Math.max(0, jail.releaseTime - Date.now());
+        if (lawyer.cost > 0) SecureEconomy.adjustCash(-lawyer.cost, `lawyer:${lawyerKey}`);
+
+        let outcome;
+        let message;
+        if (plea) {
+          outcome = 'plea';
+          jail.releaseTime = Date.now() + Math.round(remaining * (1 - lawyer.plea));
+          const heatCut = Math.round(lawyer.heatCut / 2);
+          player.heat = Math.max(0, player.heat - heatCut);
+          message = `${lawyer.icon} Plea accepted: sentence cut ${Math.round(lawyer.plea * 100)}%, -${heatCut} heat`;
+        } else if (RNG.random('prison') < this.getAcquittalChance(lawyerKey)) {
+          outcome = 'acquitted';
+          jail.releaseTime = Date.now();
+          player.heat = Math.max(0, player.heat - lawyer.heatCut);
+          player.globalHeat = Math.max(0, (player.globalHeat || 0) - lawyer.heatCut / 2);
+          InvestigationSystem.closeCase();
+          message = `${lawyer.icon} Not guilty! Case dismissed, -${lawyer.heatCut} heat`;
+          try {
+            if (typeof CityNewsTicker !== 'undefined') CityNewsTicker.announce(`⚖️ Charges against ${player.name} dropped - witnesses fail to convince jury`);
+          } catch(e) {}
+        } else {
+          outcome = 'convicted';
+          jail.releaseTime = Date.now() + Math.round(remaining * this.LOSS_SENTENCE_MULT) + this.LOSS_EXTRA_MS;
+          player.heat = Math.min(100, player.heat + this.LOSS_HEAT);
+          message = `${lawyer.icon} Guilty. The judge threw the book at you (+${this.LOSS_HEAT} heat)`;
+        }
+
+        jail.hearing = { lawyer: lawyerKey, outcome: outcome, at: Date.now() };
+        const state = this.getState();
+        state.hearings.unshift({ lawyer: lawyerKey, outcome: outcome, at: Date.now() });
+        if (state.hearings.length > this.HISTORY_LIMIT) state.hearings.length = this.HISTORY_LIMIT;
+
+        TurfTab.updateJailTimer();
+        Storage.save();
+        return { success: true, outcome: outcome, message: message };
+      },
+
+      render(container) {
+        if (!container) return;
+        const jail = GameState.player.jail;
+        const evidence = Math.round(this.getEvidence() * 100);
+        const witnesses = this.getWitnesses().length;
+
+        if (jail.hearing) {
+          const lawyer = this.LAWYERS[jail.hearing.lawyer];
+          container.innerHTML = `
+            <div class="jail-sub">${lawyer ? lawyer.icon + ' ' + lawyer.name : 'Lawyer'}: ${jail.hearing.outcome === 'plea' ? 'Plea deal' : jail.hearing.outcome === 'acquitted' ? 'Acquitted' : 'Convicted'}</div>
+            <div class="jail-sub small">One hearing per sentence.</div>
+          `;
+          return;
+        }
+
+        container.innerHTML = `
+          <div class="jail-court-case">
+            <span>🔍 Evidence ${evidence}%</span>
+            <span>👁️ Witnesses ${witnesses}</span>
+            <span>🗣️ Charisma ${(GameState.player.stats && GameState.player.stats.charisma) || 0}</span>
+          </div>
+          <div class="jail-court-lawyers">
+            ${Object.entries(this.LAWYERS).map(([key, l]) => {
+              const block = this.getBlock(key);
+              return `
+                <div class="jail-court-lawyer ${block ? 'blocked' : ''}">
+                  <div>${l.icon} ${l.name} · ${l.cost ? '$' + l.cost.toLocaleString() : 'Free'}</div>
+                  <div class="jail-sub tiny">${block || `Plea -${Math.round(l.plea * 100)}% time · Acquittal ${Math.round(this.getAcquittalChance(key) * 100)}%`}</div>
+                  <div class="jail-court-actions">
+                    <button class="btn jail-btn jail-btn-serve jail-court-btn" data-lawyer="${key}" data-plea="1" ${block ? 'disabled' : ''}>Plead Out</button>
+                    <button class="btn jail-btn jail-btn-breakout jail-court-btn" data-lawyer="${key}" data-plea="0" ${block ? 'disabled' : ''}>Fight It</button>
+                  </div>
+                </div>
+              `;
+            }).join('')}
+          </div>
+        `;
+
+        container.querySelectorAll('.jail-court-btn:not([disabled])').forEach(btn => {
+          btn.addEventListener('click', () => {
+            const result = this.hearing(btn.dataset.lawyer, btn.dataset.plea === '1');
+            TurfTab.showTemporaryNotification(result.message);
+            this.render(container);
+          });
+        });
+      }
+    };
+
+    // ========================================
+    // POLICE INVESTIGATION
+    // ========================================
+    // A detective builds a case file from evidence each crime leaves behind:
+    // witnesses (shared with CourtSystem), CCTV near the police station or in
+    // busy zones, forensics from ConsequenceSystem and ballistics tied to the
+    // equipped weapon. Crossing a threshold fires a search warrant, a property
+    // raid and finally an arrest. Evidence expires, and players can destroy it,
+    // lean on witnesses or ditch the gun to weaken the case.
+    const InvestigationSystem = {
+      EVIDENCE_TYPES: {
+        witness: { name: 'Witness', icon: '👁️', weight: 12, counter: 'intimidate' },
+        cctv: { name: 'CCTV Footage', icon: '📹', weight: 10, counter: 'destroy' },
+        forensics: { name: 'Forensics', icon: '🧬', weight: 15, counter: 'destroy' },
+        ballistics: { name: 'Ballistics', icon: '🔫', weight: 15, counter: 'switch' },
+        tampering: { name: 'Tampering Report', icon: '📝', weight: 8, counter: null }
+      },
+
+      // Fired once per case, in order, as the case file score crosses them
+      THRESHOLDS: [
+        { key: 'warrant', score: 40, name: 'Search Warrant', icon: '📜' },
+        { key: 'raid', score: 65, name: 'Property Raid', icon: '🚔' },
+        { key: 'arrest', score: 90, name: 'Arrest Warrant', icon: '🚨' }
+      ],
+
+      DETECTIVES: ['Det. Harlow', 'Det. Moreno', 'Det. Kowalski', 'Det. Reyes', 'Det. Chandler'],
+
+      EVIDENCE_TTL_MS: 48 * 60 * 60 * 1000,
+      CCTV_RADIUS: 15,              // Map percent around the police station
+      CCTV_CHANCE: 0.5,             // Clean jobs still get caught on camera sometimes
+      BALLISTICS_CHANCE: 0.5,
+      VIOLENT_CATEGORIES: ['organized', 'heists'],
+      WARRANT_SEIZE: 0.25,          // Share of dirty cash found in a search
+      DESTROY_COST: 1500,
+      DESTROY_BASE: 0.5,
+      INTIMIDATE_BASE: 0.4,
+      STAT_WEIGHT: 0.03,
+      COUNTER_FAIL_HEAT: 5,
+      LOG_LIMIT: 20,
+
+      getState() {
+        if (!GameState.investigation || typeof GameState.investigation !== 'object') {
+          GameState.investigation = JSON.parse(JSON.stringify(DEFAULT_STATE.investigation));
+        }
+        return GameState.investigation;
+      },
+
+      log(message) {
+        const state = this.getState();
+        state.log.unshift({ message: message, timestamp: Date.now() });
+        if (state.log.length > this.LOG_LIMIT) state.log.length = this.LOG_LIMIT;
+      },
+
+      // Open a file the first time evidence lands on an empty case
+      openCase() {
+        const state = this.getState();
+        if (state.detective) return state.detective;
+        const pick = this.DETECTIVES[Math.floor(RNG.random('investigation') * this.DETECTIVES.length)];
+        state.detective = { name: pick, openedAt: Date.now() };
+        state.fired = {};
+        this.log(`🕵️ ${pick} opened case #${state.caseNumber}`);
+        return state.detective;
+      },
+
+      addEvidence(type, crimeName, extra = {}) {
+        if (!this.EVIDENCE_TYPES[type]) return null;
+        const state = this.getState();
+        this.openCase();
+        const item = Object.assign({
+          id: `ev_${state.nextId++}`,
+          type: type,
+          crime: crimeName,
+          collectedAt: Date.now()
+        }, extra);
+        state.evidence.push(item);
+        return item;
+      },
+
+      // Called after every resolved crime; sloppy jobs always leave a trail
+      recordCrime(crime, position, sloppy) {
+        if (!crime) return [];
+        const found = [];
+        const pos = position || GameState.character.position;
+
+        if (this.isOnCamera(pos) && (sloppy || RNG.random('investigation') < this.CCTV_CHANCE)) {
+          found.push(this.addEvidence('cctv', crime.name));
+        }
+
+        const weaponId = GameState.character.equippedWeapon;
+        const violent = this.VIOLENT_CATEGORIES.includes(crime.category) ||
+          crime.riskLevel === 'high' || crime.riskLevel === 'extreme';
+        if (weaponId && violent && (sloppy || RNG.random('investigation') < this.BALLISTICS_CHANCE)) {
+          found.push(this.addEvidence('ballistics', crime.name, { weaponId: weaponId }));
+        }
+
+        this.checkThresholds();
+        return found;
+      },
+
+      isOnCamera(pos) {
+        if (!pos) return false;
+        const station = GameState.fixedLandmarkPositions && GameState.fixedLandmarkPositions.policeStation;
+        if (station && Math.hypot(pos.x - station.x, pos.y - station.y) <= this.CCTV_RADIUS) return true;
+        try {
+          const presence = ZoneAnalytics.getPolicePresence(pos.x, pos.y);
+          return presence === 'high' || presence === 'extreme';
+        } catch(e) {
+          return false;
+        }
+      },
+
+      // Drop expired evidence; witnesses live in GameState.legal
+      prune(now = Date.now()) {
+        const state = this.getState();
+        state.evidence = state.evidence.filter(e => now - e.collectedAt < this.EVIDENCE_TTL_MS);
+      },
+
+      // Ballistics only match while the player still carries that gun
+      getWeight(item) {
+        const type = this.EVIDENCE_TYPES[item.type];
+        if (!type) return 0;
+        if (item.type === 'ballistics' && item.weaponId !== GameState.character.equippedWeapon) return 0;
+        return type.weight * (item.weight || 1);
+      },
+
+      getItems() {
+        this.prune();
+        const witnesses = CourtSystem.getWitnesses().map(w => ({
+          id: w.id, type: 'witness', crime: w.crime, collectedAt: w.spawnedAt, weight: w.weight || 1
+        }));
+        return witnesses.concat(this.getState().evidence);
+      },
+
+      getCaseScore() {
+        const score = this.getItems().reduce((sum, item) => sum + this.getWeight(item), 0);
+        return Math.min(100, Math.round(score));
+      },
+
+      // Fire each threshold once per case; the arrest closes the case
+      checkThresholds() {
+        const state = this.getState();
+        if (!state.detective) return null;
+        const score = this.getCaseScore();
+        let fired = null;
+
+        for (const threshold of this.THRESHOLDS) {
+          if (score < threshold.score || state.fired[threshold.key]) continue;
+          state.fired[threshold.key] = Date.now();
+          fired = threshold.key;
+          if (threshold.key === 'warrant') this.executeWarrant();
+          else if (threshold.key === 'raid') this.executeRaid();
+          else if (threshold.key === 'arrest') this.executeArrest();
+        }
+
+        if (fired) Storage.save();
+        return fired;
+      },
+
+      executeWarrant() {
+        const dirty = GameState.player.dirtyCash || 0;
+        const seized = Math.floor(dirty * this.WARRANT_SEIZE);
+        if (seized > 0) SecureEconomy.adjustDirty(-seized, 'search_warrant');
+        const message = `📜 ${this.getState().detective.name} searched your place${seized > 0 ? ` - $${seized.toLocaleString()} dirty cash seized` : ''}`;
+        this.log(message);
+        try { TurfTab.showTemporaryNotification(message); } catch(e) {}
+      },
+
+      // Hit the most lucrative owned property that isn't already frozen
+      executeRaid() {
+        const targets = (GameState.propertyBuildings || [])
+          .filter(b => b.owned && !PropertyManager.isSeized(PropertyManager.ensure(b)))
+          .sort((a, b) => getPropertyAccrual(b) - getPropertyAccrual(a));
+        if (targets.length === 0) {
+          this.log('🚔 Raid warrant issued, but you own nothing to raid');
+          return;
+        }
+        PropertyManager.raid(targets[0]);
+        this.log(`🚔 ${this.getState().detective.name} raided ${targets[0].name}`);
+      },
+
+      executeArrest() {
+        const state = this.getState();
+        const detective = state.detective.name;
+        this.log(`🚨 ${detective} closed case #${state.caseNumber} with an arrest`);
+        try {
+          if (typeof CityNewsTicker !== 'undefined') CityNewsTicker.announce(`🚨 ${detective} makes arrest in case #${state.caseNumber}`);
+        } catch(e) {}
+        this.closeCase();
+        if (!GameState.player.jail.isJailed) HeistSystem.arrestPlayer({ name: `Case #${state.caseNumber - 1}` });
+      },
+
+      // Evidence and witnesses used in an arrest are spent; the next crime opens a new case
+      closeCase() {
+        const state = this.getState();
+        state.evidence = [];
+        CourtSystem.getState().witnesses = [];
+        state.detective = null;
+        state.fired = {};
+        state.caseNumber++;
+      },
+
+      getCounterChance(type) {
+        const stats = GameState.player.stats || {};
+        if (type === 'witness') return Math.min(0.9, this.INTIMIDATE_BASE + (stats.strength || 0) * this.STAT_WEIGHT);
+        return Math.min(0.9, this.DESTROY_BASE + (stats.stealth || 0) * this.STAT_WEIGHT);
+      },
+
+      getCounterBlock(item) {
+        const type = this.EVIDENCE_TYPES[item.type];
+        if (!type || !type.counter) return 'Nothing to do';
+        if (type.counter === 'switch') {
+          return item.weaponId === GameState.character.equippedWeapon ? 'Equip another weapon' : 'No longer matches';
+        }
+        if (type.counter === 'destroy' && GameState.player.cash < this.DESTROY_COST) return 'Not enough cash';
+        return null;
+      },
+
+      // Destroy physical evidence or intimidate a witness. Failing gets noticed.
+      counter(evidenceId) {
+        const item = this.getItems().find(e => e.id === evidenceId);
+        if (!item) return { success: false, message: 'Evidence not found' };
+        const block = this.getCounterBlock(item);
+        if (block) return { success: false, message: block };
+
+        const type = this.EVIDENCE_TYPES[item.type];
+        if (type.counter === 'destroy') SecureEconomy.adjustCash(-this.DESTROY_COST, 'destroy_evidence');
+        const succeeded = RNG.random('investigation') < this.getCounterChance(item.type);
+        let message;
+
+        if (succeeded) {
+          if (item.type === 'witness') {
+            GameState.legal.witnesses = GameState.legal.witnesses.filter(w => w.id !== item.id);
+            message = `👁️ The witness from ${item.crime} suddenly can't remember a thing`;
+          } else {
+            const state = this.getState();
+            state.evidence = state.evidence.filter(e => e.id !== item.id);
+            message = `${type.icon} ${type.name} from ${item.crime} destroyed`;
+          }
+        } else {
+          GameState.player.heat = Math.min(100, GameState.player.heat + this.COUNTER_FAIL_HEAT);
+          if (item.type === 'witness') {
+            // Scared witnesses go into protection and count double
+            const witness = GameState.legal.witnesses.find(w => w.id === item.id);
+            if (witness) witness.weight = 2;
+            message = `👁️ The witness went to the cops. They're in protection now`;
+          } else {
+            this.addEvidence('tampering', item.crime);
+            message = `📝 You were seen tampering with the ${type.name.toLowerCase()}`;
+          }
+        }
+
+        this.log(message);
+        this.checkThresholds();
+        Storage.save();
+        return { success: succeeded, message: message };
+      },
+
+      render(container) {
+        if (!container) return;
+        const state = this.getState();
+        const items = this.getItems();
+        const score = this.getCaseScore();
+
+        if (!state.detective && items.length === 0) {
+          container.innerHTML = `<div style="color: #888; text-align: center; padding: 20px;">No open case against you. Keep it that way.</div>`;
+          return;
+        }
+
+        const thresholds = this.THRESHOLDS.map(t => `
+          <span style="color: ${state.fired[t.key] ? '#f28b82' : '#888'};">${t.icon} ${t.name} ${t.score}</span>
+        `).join('');
+
+        const cards = items.map(item => {
+          const type = this.EVIDENCE_TYPES[item.type];
+          const block = this.getCounterBlock(item);
+          const label = type.counter === 'intimidate' ? '😠 Intimidate' : `🔥 Destroy ($${this.DESTROY_COST.toLocaleString()})`;
+          return `
+            <div style="background: #2a2a2a; padding: 10px 12px; border-radius: 4px; margin-bottom: 8px; display: flex; justify-content: space-between; align-items: center; gap: 8px;">
+              <div style="text-align: left;">
+                <div style="font-size: 13px;">${type.icon} ${type.name}${item.weaponId ? ` (${item.weaponId})` : ''}</div>
+                <div style="font-size: 11px; color: #aaa;">${item.crime} · ${this.getWeight(item)} pts</div>
+              </div>
+              ${block
+                ? `<div style="font-size: 11px; color: #888;">${block}</div>`
+                : `<button class="choice-btn" style="width: auto; padding: 6px 10px; font-size: 12px;" onclick="counterEvidence('${item.id}')">${label} · ${Math.round(this.getCounterChance(item.type) * 100)}%</button>`}
+            </div>
+          `;
+        }).join('');
+
+        container.innerHTML = `
+          <div style="background: rgba(255, 0, 0, 0.1); padding: 16px; border-radius: 4px; margin-bottom: 12px;">
+            <div style="font-size: 14px; color: #888; margin-bottom: 8px;">${state.detective ? state.detective.name : 'Detective'} · Case #${state.caseNumber}</div>
+            <div style="font-size: 32px; font-weight: 600; color: #ff5555;">${score}/100</div>
+            <div style="display: flex; justify-content: space-between; font-size: 11px; margin-top: 8px;">${thresholds}</div>
+          </div>
+          ${cards}
+          ${state.log.slice(0, 3).map(l => `<div style="font-size: 11px; color: #888; margin-top: 4px;">${l.message}</div>`).join('')}
+        `;
+      }
+    };
+    
+    // ========================================
+    // POLICE OPERATIONS
+    // ========================================
+    // The department runs named operations on a calendar: sweeps of a biome,
+    // checkpoints on a road segment, undercover stings on the black market and
+    // task forces aimed at the top of the leaderboard. Lockdowns and manhunts
+    // add reactive operations on top. Each one shifts crime odds inside its
+    // area while it runs. Most are announced on the news, stings never are,
+    // and informants in the crew can leak any of them ahead of time.
+    const PoliceOperations = {
+      TYPES: {
+        sweep: { name: 'Sweep', icon: '🧹', durationMs: 8 * 60 * 1000, crimeMod: -0.15, announce: true },
+        checkpoint: { name: 'Checkpoint', icon: '🚧', durationMs: 6 * 60 * 1000, crimeMod: -0.2, announce: true },
+        sting: { name: 'Undercover Sting', icon: '🕶️', durationMs: 10 * 60 * 1000, crimeMod: 0, announce: false, bustChance: 0.25, heat: 10 },
+        taskforce: { name: 'Task Force', icon: '🎯', durationMs: 15 * 60 * 1000, crimeMod: -0.1, announce: true, distractedMod: 0.03 }
+      },
+
+      CODENAMES: ['Iron Gate', 'Clean Slate', 'Night Watch', 'Blue Tide', 'Hammerfall', 'Glass House', 'Cold Case', 'Dragnet', 'Silver Bell', 'Long Shadow'],
+
+      TICK_MS: 10000,
+      SCHEDULE_AHEAD: 3,              // Upcoming operations kept on the calendar
+      GAP_MIN_MS: 10 * 60 * 1000,     // Between scheduled starts
+      GAP_MAX_MS: 25 * 60 * 1000,
+      LEAK_WINDOW_MS: 10 * 60 * 1000, // Informants hear about it this long before
+      LEAK_BASE: 0.2,
+      LEAK_PER_GANGSTER: 0.05,
+      LEAK_PER_INMATE: 0.1,
+      LEAK_MAX: 0.8,
+      CHECKPOINT_RADIUS: 6,           // Map percent around the road segment
+      SEGMENT_TILES: 4,               // Road tiles either side of the picked cell
+      MAX_PENALTY: -0.35,
+      REACTIVE_MS: { lockdown: 2 * 60 * 1000, manhunt: 10 * 60 * 1000 },
+      HISTORY_LIMIT: 10,
+
+      _interval: null,
+      _roads: null,
+
+      getState() {
+        if (!GameState.policeOps || typeof GameState.policeOps !== 'object') {
+          GameState.policeOps = JSON.parse(JSON.stringify(DEFAULT_STATE.policeOps));
+        }
+        return GameState.policeOps;
+      },
+
+      start() {
+        if (this._interval) return;
+        this.tick();
+        this._interval = setInterval(() => this.tick(), this.TICK_MS);
+      },
+
+      stop() {
+        if (this._interval) clearInterval(this._interval);
+        this._interval = null;
+      },
+
+      // Leak, start and end operations, then top up the calendar
+      tick(now = Date.now()) {
+        const state = this.getState();
+        let changed = false;
+
+        state.scheduled.forEach(op => {
+          if (!op.leakRolled && now >= op.startsAt - this.LEAK_WINDOW_MS) {
+            op.leakRolled = true;
+            changed = true;
+            if (RNG.random('policeOps') < this.getLeakChance()) this.leak(op, now);
+          }
+        });
+
+        const starting = state.scheduled.filter(op => now >= op.startsAt);
+        if (starting.length > 0) {
+          state.scheduled = state.scheduled.filter(op => now < op.startsAt);
+          starting.forEach(op => this.begin(op));
+          changed = true;
+        }
+
+        const ending = state.active.filter(op => now >= op.endsAt);
+        if (ending.length > 0) {
+          state.active = state.active.filter(op => now < op.endsAt);
+          ending.forEach(op => this.finish(op));
+          changed = true;
+        }
+
+        if (this.fillSchedule(now)) changed = true;
+        if (changed) Storage.save();
+      },
+
+      fillSchedule(now = Date.now()) {
+        const state = this.getState();
+        let added = false;
+        while (state.scheduled.length < this.SCHEDULE_AHEAD) {
+          const last = state.scheduled[state.scheduled.length - 1];
+          const after = last ? last.startsAt : now;
+          const gap = this.GAP_MIN_MS + RNG.random('policeOps') * (this.GAP_MAX_MS - this.GAP_MIN_MS);
+          const keys = Object.keys(this.TYPES);
+          const type = keys[Math.floor(RNG.random('policeOps') * keys.length)];
+          const op = this.create(type, Math.round(after + gap), false);
+          if (!op) break;
+          state.scheduled.push(op);
+          added = true;
+        }
+        return added;
+      },
+
+      create(type, startsAt, reactive, durationMs) {
+        const def = this.TYPES[type];
+        const target = this.pickTarget(type);
+        if (!def || !target) return null;
+        const state = this.getState();
+        const codename = this.CODENAMES[Math.floor(RNG.random('policeOps') * this.CODENAMES.length)];
+        return {
+          id: `op_${state.nextId++}`,
+          type: type,
+          name: `Operation ${codename}`,
+          target: target,
+          startsAt: startsAt,
+          endsAt: startsAt + (durationMs || def.durationMs),
+          reactive: !!reactive,
+          leakRolled: false,
+          leaked: false
+        };
+      },
+
+      pickTarget(type) {
+        if (type === 'sweep') {
+          const biomes = this.getBiomes();
+          return { biome: biomes[Math.floor(RNG.random('policeOps') * biomes.length)] };
+        }
+        if (type === 'checkpoint') {
+          const segment = this.pickSegment();
+          return segment ? { segment: segment } : null;
+        }
+        if (type === 'sting') return { market: true };
+        if (type === 'taskforce') return this.pickTaskForceTarget();
+        return null;
+      },
+
+      // Biomes present on the generated map (all of them on the static map)
+      getBiomes() {
+        const grid = GameState.map && GameState.map.grid;
+        if (!grid) return Object.values(BIOMES).map(b => b.id);
+        const seen = new Set();
+        grid.forEach(row => row.forEach(tile => { if (tile && tile.biome) seen.add(tile.biome); }));
+        return seen.size > 0 ? Array.from(seen) : Object.values(BIOMES).map(b => b.id);
+      },
+
+      getBiomeAt(pos) {
+        const grid = GameState.map && GameState.map.grid;
+        if (!grid || !pos) return 'suburban';
+        const gridX = Math.floor((pos.x / 100) * GameState.map.width);
+        const gridY = Math.floor((pos.y / 100) * GameState.map.height);
+        const tile = TileGridGenerator.getTile(grid, gridX, gridY);
+        return (tile && tile.biome) || 'suburban';
+      },
+
+      // Arterial road cells from RoadGenerator, cached per grid
+      getRoadCells() {
+        const grid = GameState.map && GameState.map.grid;
+        if (!grid) return [];
+        if (this._roads && this._roads.grid === grid) return this._roads.cells;
+        const cells = RoadGenerator.generateModularGrid(grid, GameState.map.width, GameState.map.height)
+          .filter(c => c.type === 'arterial');
+        this._roads = { grid: grid, cells: cells };
+        return cells;
+      },
+
+      // A straight stretch of arterial road in map percent. Falls back to a
+      // patrol graph link on the static map, where no road grid is generated.
+      pickSegment() {
+        const cells = this.getRoadCells();
+        if (cells.length > 0) {
+          const keys = new Set(cells.map(c => `${c.x},${c.y}`));
+          const cell = cells[Math.floor(RNG.random('policeOps') * cells.length)];
+          const horizontal = keys.has(`${cell.x - 1},${cell.y}`) || keys.has(`${cell.x + 1},${cell.y}`);
+          const [dx, dy] = horizontal ? [1, 0] : [0, 1];
+          let lo = 0;
+          let hi = 0;
+          while (lo < this.SEGMENT_TILES && keys.has(`${cell.x - dx * (lo + 1)},${cell.y - dy * (lo + 1)}`)) lo++;
+          while (hi < this.SEGMENT_TILES && keys.has(`${cell.x + dx * (hi + 1)},${cell.y + dy * (hi + 1)}`)) hi++;
+          const toPercent = (x, y) => ({
+            x: ((x + 0.5) / GameState.map.width) * 100,
+            y: ((y + 0.5) / GameState.map.height) * 100
+          });
+          const a = toPercent(cell.x - dx * lo, cell.y - dy * lo);
+          const b = toPercent(cell.x + dx * hi, cell.y + dy * hi);
+          return { x1: a.x, y1: a.y, x2: b.x, y2: b.y };
+        }
+
+        const graph = PoliceFleet.getGraph();
+        if (graph.links.length === 0) return null;
+        const [aId, bId] = graph.links[Math.floor(RNG.random('policeOps') * graph.links.length)];
+        const a = graph.nodes.find(n => n.id === aId);
+        const b = graph.nodes.find(n => n.id === bId);
+        if (!a || !b) return null;
+        return { x1: a.x, y1: a.y, x2: b.x, y2: b.y };
+      },
+
+      // Whoever tops the leaderboard; the player when it's empty
+      pickTaskForceTarget() {
+        let top = null;
+        try { top = GlobalLeaderboard.getSortedLeaderboard()[0] || null; } catch(e) {}
+        if (!top || top.accountId === GameState.accountId) {
+          return { accountId: GameState.accountId || null, name: GameState.player.name, isPlayer: true };
+        }
+        return { accountId: top.accountId, name: top.username, isPlayer: false };
+      },
+
+      // Lockdowns sweep the player's part of town; manhunts put a task force on them
+      react(trigger, now = Date.now()) {
+        const duration = this.REACTIVE_MS[trigger];
+        if (!duration) return null;
+        let op;
+        if (trigger === 'lockdown') {
+          op = this.create('sweep', now, true, duration);
+          if (op) op.target = { biome: this.getBiomeAt(GameState.character.position) };
+        } else {
+          op = this.create('taskforce', now, true, duration);
+          if (op) op.target = { accountId: GameState.accountId || null, name: GameState.player.name, isPlayer: true };
+        }
+        if (!op) return null;
+        this.begin(op);
+        Storage.save();
+        return op;
+      },
+
+      begin(op) {
+        this.getState().active.push(op);
+        const def = this.TYPES[op.type];
+        if (def.announce) this.announce(`${def.icon} Police launch ${op.name} - ${this.describeTarget(op)}`);
+      },
+
+      finish(op) {
+        const state = this.getState();
+        state.history.unshift({ id: op.id, type: op.type, name: op.name, target: op.target, startsAt: op.startsAt, endsAt: op.endsAt, reactive: op.reactive });
+        if (state.history.length > this.HISTORY_LIMIT) state.history.length = this.HISTORY_LIMIT;
+        if (this.TYPES[op.type].announce) {
+          try { TurfTab.showTemporaryNotification(`✅ ${op.name} wound down`); } catch(e) {}
+        }
+      },
+
+      leak(op, now = Date.now()) {
+        op.leaked = true;
+        const minutes = Math.max(1, Math.round((op.startsAt - now) / 60000));
+        this.announce(`🗣️ Informant tip: ${op.name} hits in ~${minutes} min - ${this.describeTarget(op)}`);
+      },
+
+      announce(message) {
+        try {
+          if (typeof CityNewsTicker !== 'undefined') {
+            CityNewsTicker.announce(message);
+            return;
+          }
+        } catch(e) {}
+        console.log(message);
+      },
+
+      // Every gangster is a pair of ears; ex-cons know the cops best
+      getLeakChance() {
+        const gangsters = ((GameState.gangsters && GameState.gangsters.owned) || []).length;
+        const inmates = ((GameState.inmates && GameState.inmates.recruited) || []).length;
+        return Math.min(this.LEAK_MAX, this.LEAK_BASE + gangsters * this.LEAK_PER_GANGSTER + inmates * this.LEAK_PER_INMATE);
+      },
+
+      // Plain text: task force targets are leaderboard usernames, escape before rendering
+      describeTarget(op) {
+        const t = op.target || {};
+        if (op.type === 'sweep') {
+          const biome = Object.values(BIOMES).find(b => b.id === t.biome);
+          return `sweeping ${biome ? `${biome.icon} ${biome.name}` : t.biome} districts`;
+        }
+        if (op.type === 'checkpoint') {
+          return `checkpoint near (${Math.round((t.segment.x1 + t.segment.x2) / 2)}, ${Math.round((t.segment.y1 + t.segment.y2) / 2)})`;
+        }
+        if (op.type === 'sting') return 'undercover buyers on the black market';
+        return `task force on ${t.name || 'an unknown target'}`;
+      },
+
+      getActive(now = Date.now()) {
+        return this.getState().active.filter(op => now >= op.startsAt && now < op.endsAt);
+      },
+
+      isInArea(op, pos) {
+        if (!pos) return false;
+        const t = op.target || {};
+        if (op.type === 'sweep') return this.getBiomeAt(pos) === t.biome;
+        if (op.type === 'checkpoint') return this.distanceToSegment(pos, t.segment) <= this.CHECKPOINT_RADIUS;
+        return false;
+      },
+
+      distanceToSegment(pos, s) {
+        const dx = s.x2 - s.x1;
+        const dy = s.y2 - s.y1;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((pos.x - s.x1) * dx + (pos.y - s.y1) * dy) / lengthSq));
+        return Math.hypot(pos.x - (s.x1 + t * dx), pos.y - (s.y1 + t * dy));
+      },
+
+      // Additive success-chance modifier for a crime committed at pos. A task
+      // force chasing someone else leaves fewer cops on the player's streets.
+      getCrimeModifier(pos) {
+        let mod = 0;
+        this.getActive().forEach(op => {
+          const def = this.TYPES[op.type];
+          if (op.type === 'taskforce') {
+            mod += op.target.isPlayer ? def.crimeMod : def.distractedMod;
+          } else if (this.isInArea(op, pos)) {
+            mod += def.crimeMod;
+          }
+        });
+        return Math.max(this.MAX_PENALTY, mod);
+      },
+
+      // Chance that a black market counterparty is a cop (see MarketExchange)
+      getSting() {
+        const op = this.getActive().find(o => o.type === 'sting');
+        if (!op) return null;
+        return { name: op.name, bustChance: this.TYPES.sting.bustChance, heat: this.TYPES.sting.heat };
+      },
+
+      // The undercover officer testifies like any other witness
+      recordStingBust(itemId) {
+        const sting = this.getSting();
+        if (!sting) return;
+        CourtSystem.addWitness(`${sting.name} (${itemId})`, 1);
+        InvestigationSystem.checkThresholds();
+      },
+
+      render(container) {
+        if (!container) return;
+        const state = this.getState();
+        const now = Date.now();
+        const fmt = ms => `${Math.max(0, Math.ceil(ms / 60000))} min`;
+
+        const row = (op, status) => {
+          const def = this.TYPES[op.type];
+          const inArea = op.type === 'taskforce' ? op.target.isPlayer : this.isInArea(op, GameState.character.position);
+          return `
+            <div style="background: #2a2a2a; padding: 10px 12px; border-radius: 4px; margin-bottom: 8px; text-align: left;">
+              <div style="display: flex; justify-content: space-between; font-size: 13px;">
+                <span>${def.icon} ${op.name}${op.reactive ? ' <span style="color: #f28b82;">(reactive)</span>' : ''}</span>
+                <span style="color: #888;">${status}</span>
+              </div>
+              <div style="font-size: 11px; color: ${inArea ? '#f28b82' : '#aaa'};">${ChatSystem.escapeHtml(this.describeTarget(op))}${inArea ? ' · you are in the area' : ''}</div>
+            </div>
+          `;
+        };
+
+        // Only public operations and leaked ones show up before they hit
+        const known = state.scheduled.filter(op => op.leaked);
+        const visible = this.getActive(now).filter(op => this.TYPES[op.type].announce || op.leaked);
+        const mod = this.getCrimeModifier(GameState.character.position);
+
+        container.innerHTML = `
+          <div style="background: rgba(255, 0, 0, 0.1); padding: 16px; border-radius: 4px; margin-bottom: 12px;">
+            <div style="font-size: 14px; color: #888; margin-bottom: 8px;">Crime odds here</div>
+            <div style="font-size: 32px; font-weight: 600; color: ${mod < 0 ? '#ff5555' : '#4ade80'};">${mod > 0 ? '+' : ''}${Math.round(mod * 100)}%</div>
+            <div style="font-size: 11px; color: #888; margin-top: 8px;">Informant leak chance ${Math.round(this.getLeakChance() * 100)}%</div>
+          </div>
+          <div style="font-size: 12px; color: #ccc; margin-bottom: 6px; text-align: left;">Running</div>
+          ${visible.map(op => row(op, `${fmt(op.endsAt - now)} left`)).join('') || '<div style="font-size: 12px; color: #888; margin-bottom: 8px;">Nothing you know of</div>'}
+          <div style="font-size: 12px; color: #ccc; margin-bottom: 6px; text-align: left;">Leaked</div>
+          ${known.map(op => row(op, `in ${fmt(op.startsAt - now)}`)).join('') || '<div style="font-size: 12px; color: #888;">Your informants have heard nothing</div>'}
+        `;
+      }
+    };
+    window.PoliceOperations = PoliceOperations;
     
     // ========================================
     // POLICE STATION INTERACTION
@@ -18988,6 +21481,12 @@ function ensureLandmarkProperties() {
                 <button class="choice-btn" onclick="showPoliceJailTab()" id="jail-tab-btn" style="flex: 1; background: #2a2a2a;">
                   🔒 Jail
                 </button>
+                <button class="choice-btn" onclick="showPoliceCaseTab()" id="case-tab-btn" style="flex: 1; background: #2a2a2a;">
+                  🗂️ Case File
+                </button>
+                <button class="choice-btn" onclick="showPoliceOpsTab()" id="ops-tab-btn" style="flex: 1; background: #2a2a2a;">
+                  📅 Ops
+                </button>
               </div>
               
               <div id="police-content">
@@ -19015,6 +21514,8 @@ function ensureLandmarkProperties() {
       
       document.getElementById('bribe-tab-btn').style.background = '';
       document.getElementById('jail-tab-btn').style.background = '#2a2a2a';
+      document.getElementById('case-tab-btn').style.background = '#2a2a2a';
+      document.getElementById('ops-tab-btn').style.background = '#2a2a2a';
       
       const content = `
         <div style="background: rgba(255, 0, 0, 0.1); padding: 16px; border-radius: 4px; margin-bottom: 16px;">
@@ -19047,6 +21548,8 @@ function ensureLandmarkProperties() {
     window.showPoliceJailTab = function() {
       document.getElementById('bribe-tab-btn').style.background = '#2a2a2a';
       document.getElementById('jail-tab-btn').style.background = '';
+      document.getElementById('case-tab-btn').style.background = '#2a2a2a';
+      document.getElementById('ops-tab-btn').style.background = '#2a2a2a';
 
       // Safety: ensure inmates system exists (prevents undefined.length crashes)
       if (!GameState.inmates) {
@@ -19060,12 +21563,19 @@ function ensureLandmarkProperties() {
 
       const inmateCards = (inmates.length ? inmates : []).map(inmate => {
         const legendaryBadge = inmate && inmate.isLegendary ? '<span style="margin-left: 6px; font-size: 11px; color: #ffd700;">⭐ Legendary</span>' : '';
+        const spec = InmateSystem.getSpecialty(inmate);
+        const tags = [
+          spec ? `${spec.icon} ${spec.name}` : '',
+          inmate.metInJail ? `<span style="color: #4ade80;">🤝 Cellmate -${Math.round(InmateSystem.CELLMATE_DISCOUNT * 100)}%</span>` : '',
+          inmate.rearrested ? '<span style="color: #f28b82;">🚔 Parole violator</span>' : ''
+        ].filter(Boolean).join(' · ');
         return `
         <div style="background: #2a2a2a; padding: 12px; border-radius: 4px; margin-bottom: 8px;">
-          <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+          <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
             <div style="font-weight: 600; font-size: 14px;">👤 ${inmate.name}</div>${legendaryBadge}
             <div style="color: #ffd700; font-weight: 600;">$${inmate.bailCost.toLocaleString()}</div>
           </div>
+          <div style="font-size: 11px; color: #aaa; margin-bottom: 8px;">${tags}</div>
 
           <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 4px; font-size: 11px; margin-bottom: 8px;">
             <div>💪 Power: ${inmate.power}</div>
@@ -19074,19 +21584,26 @@ function ensureLandmarkProperties() {
             <div>🧠 Intel: ${inmate.intelligence}</div>
           </div>
 
-          <button class="choice-btn" 
-            onclick="recruitInmateFromJail('${inmate.id}')" 
-            ${GameState.player.cash < inmate.bailCost ? 'disabled' : ''}
-            style="width: 100%; padding: 6px; font-size: 12px;">
-            ${GameState.player.cash >= inmate.bailCost ? '💰 Bail Out & Recruit' : '❌ Not Enough Money'}
-          </button>
+          <div style="display: flex; gap: 4px;">
+            ${Object.entries(InmateSystem.CONTRACTS).map(([key, c]) => {
+              const cost = InmateSystem.getContractCost(inmate, key);
+              return `
+                <button class="choice-btn" 
+                  onclick="recruitInmateFromJail('${inmate.id}', '${key}')" 
+                  ${GameState.player.cash < cost ? 'disabled' : ''}
+                  style="flex: 1; padding: 6px; font-size: 11px;">
+                  ${c.name}<br>$${cost.toLocaleString()}
+                </button>
+              `;
+            }).join('')}
+          </div>
         </div>
       `;
       }).join('');
 
       const content = `
         <div style="color: #ccc; margin-bottom: 12px; font-size: 13px;">
-          Bail out inmates and recruit them to work for you temporarily (1 hour).
+          Bail out inmates and recruit them on a contract. Working inmates draw their parole officer's attention.
         </div>
 
         <div style="max-height: 300px; overflow-y: auto;">
@@ -19101,6 +21618,32 @@ function ensureLandmarkProperties() {
       document.getElementById('police-content').innerHTML = content;
     };
     
+    // Show the detective's case file
+    window.showPoliceCaseTab = function() {
+      document.getElementById('bribe-tab-btn').style.background = '#2a2a2a';
+      document.getElementById('jail-tab-btn').style.background = '#2a2a2a';
+      document.getElementById('case-tab-btn').style.background = '';
+      document.getElementById('ops-tab-btn').style.background = '#2a2a2a';
+      InvestigationSystem.render(document.getElementById('police-content'));
+    };
+
+    // Show the operations the player knows about
+    window.showPoliceOpsTab = function() {
+      document.getElementById('bribe-tab-btn').style.background = '#2a2a2a';
+      document.getElementById('jail-tab-btn').style.background = '#2a2a2a';
+      document.getElementById('case-tab-btn').style.background = '#2a2a2a';
+      document.getElementById('ops-tab-btn').style.background = '';
+      PoliceOperations.render(document.getElementById('police-content'));
+    };
+
+    // Destroy evidence or intimidate a witness from the case file
+    window.counterEvidence = function(evidenceId) {
+      const result = InvestigationSystem.counter(evidenceId);
+      TurfTab.showTemporaryNotification(result.message);
+      ProfileTab.render();
+      showPoliceCaseTab();
+    };
+
     // Bribe police
     window.bribePolice = function() {
       const currentHeat = GameState.player.heat;
@@ -19129,8 +21672,8 @@ function ensureLandmarkProperties() {
     };
     
     // Recruit inmate from jail
-    window.recruitInmateFromJail = function(inmateId) {
-      const success = InmateSystem.recruitInmate(inmateId);
+    window.recruitInmateFromJail = function(inmateId, contractKey) {
+      const success = InmateSystem.recruitInmate(inmateId, contractKey);
       if (success) {
         closePoliceModal();
         TurfTab.showTemporaryNotification('👤 Inmate recruited! Check Hideout in Safehouse.');
@@ -19538,6 +22081,9 @@ function ensureLandmarkProperties() {
         const weatherMods = this.getWeatherModifiers();
         successChance *= weatherMods.crimeSuccess;
 
+        // 9. Police operations covering this spot
+        successChance += PoliceOperations.getCrimeModifier(position);
+
         // Clamp
         return Math.max(0.05, Math.min(0.95, successChance));
       },
@@ -19572,6 +22118,9 @@ function ensureLandmarkProperties() {
         // 4. Weather heat modifier (rain reduces evidence, heat amplifies it)
         heatGain *= heatWeatherMods.heatGain;
 
+        // 5. Gang territory (locals look the other way on your own turf)
+        heatGain *= TerritoryControl.getModifiersAt(position.x, position.y).heat;
+
         return heatGain;
       },
 
@@ -19587,6 +22136,9 @@ function ensureLandmarkProperties() {
         const zoneReward = ZoneAnalytics.getRewardModifier(position.x, position.y);
         reward *= zoneReward;
 
+        // 3. Gang territory (controlled zones pay more, rival turf less)
+        reward *= TerritoryControl.getModifiersAt(position.x, position.y).reward;
+
         return Math.floor(reward);
       },
 
@@ -19945,14 +22497,15 @@ function ensureLandmarkProperties() {
 
     // Long-term consequence system
     const ConsequenceSystem = {
-      // Apply consequences to game state
-      applyConsequences(outcome, crime, position) {
+      // Apply consequences to game state. Multi-stage jobs pass
+      // { skipSeizure: true } and roll the seizure once for the whole job.
+      applyConsequences(outcome, crime, position, options = {}) {
         const consequences = [];
         const effects = outcome.consequences.effects;
         
         // Roll for each possible effect
         for (const effect of effects) {
-          if (Math.random() < 0.4) { // 40% chance per effect
+          if (RNG.random('consequences') < 0.4) { // 40% chance per effect
             const consequence = this.triggerConsequence(effect, crime, position);
             if (consequence) {
               consequences.push(consequence);
@@ -19960,8 +22513,14 @@ function ensureLandmarkProperties() {
           }
         }
         
+        // Dirty cash on hand can be seized when a job goes wrong
+        if (outcome.tier <= 2 && !options.skipSeizure) {
+          const seizure = Laundering.rollSeizure(outcome.tier);
+          if (seizure) consequences.push(seizure);
+        }
+        
         // Check for story event
-        if (Math.random() < outcome.storyEventChance) {
+        if (RNG.random('consequences') < outcome.storyEventChance) {
           const storyEvent = this.triggerStoryEvent(outcome, crime, position);
           if (storyEvent) {
             consequences.push(storyEvent);
@@ -20009,6 +22568,7 @@ function ensureLandmarkProperties() {
             apply: () => {
               GameState.player.heat += 10;
               GameState.player.suspicion = Math.min(100, GameState.player.suspicion + 15);
+              InvestigationSystem.addEvidence('forensics', crime ? crime.name : 'Unknown');
               console.log('🔍 Left evidence: +10% heat, +15 suspicion');
             }
           },
@@ -20019,6 +22579,7 @@ function ensureLandmarkProperties() {
             apply: () => {
               GameState.player.heat += 8;
               GameState.player.suspicion = Math.min(100, GameState.player.suspicion + 10);
+              CourtSystem.addWitness(crime ? crime.name : 'Unknown');
               console.log('👁️ Witness: +8% heat, +10 suspicion');
             }
           },
@@ -20045,7 +22606,7 @@ function ensureLandmarkProperties() {
             type: 'negative',
             message: "The victim fought back. You're injured and they can identify you.",
             apply: () => {
-              const cashLoss = Math.floor(Math.random() * 100) + 50;
+              const cashLoss = Math.floor(RNG.random('consequences') * 100) + 50;
               GameState.player.cash = Math.max(0, GameState.player.cash - cashLoss);
               GameState.player.heat += 12;
               console.log(`🤕 Victim fought back: -$${cashLoss}, +12% heat`);
@@ -20076,7 +22637,7 @@ function ensureLandmarkProperties() {
             type: 'negative',
             message: "You took a hit. Nothing serious, but you're bleeding.",
             apply: () => {
-              const medicalCost = Math.floor(Math.random() * 150) + 100;
+              const medicalCost = Math.floor(RNG.random('consequences') * 150) + 100;
               GameState.player.cash = Math.max(0, GameState.player.cash - medicalCost);
               console.log(`🩹 Minor injury: -$${medicalCost} medical costs`);
             }
@@ -20131,7 +22692,7 @@ function ensureLandmarkProperties() {
             message: "You're hurt bad. This is going to affect you permanently.",
             apply: () => {
               // Permanent stat penalty
-              const stat = ['strength', 'intelligence', 'charisma'][Math.floor(Math.random() * 3)];
+              const stat = ['strength', 'intelligence', 'charisma'][Math.floor(RNG.random('consequences') * 3)];
               GameState.player.stats[stat] = Math.max(1, GameState.player.stats[stat] - 1);
               console.log(`💔 Permanent injury: -1 ${stat}`);
             }
@@ -20204,7 +22765,11 @@ function ensureLandmarkProperties() {
             {
               id: 'witness_protection',
               message: "The victim is entering witness protection. The trial is coming.",
-              effect: () => console.log('⚖️ Story event unlocked: The Trial')
+              effect: () => {
+                // A protected witness counts double in court
+                CourtSystem.addWitness(crime ? crime.name : 'Unknown', 2);
+                console.log('⚖️ Story event unlocked: The Trial');
+              }
             },
             {
               id: 'revenge_plot',
@@ -20223,7 +22788,7 @@ function ensureLandmarkProperties() {
         
         const tierEvents = events[tier];
         if (tierEvents && tierEvents.length > 0) {
-          const event = tierEvents[Math.floor(Math.random() * tierEvents.length)];
+          const event = tierEvents[Math.floor(RNG.random('consequences') * tierEvents.length)];
           event.effect();
           return {
             id: event.id,
@@ -20242,7 +22807,7 @@ function ensureLandmarkProperties() {
       determineOutcome(succeeded, successChance, crimeType, position) {
         if (succeeded) {
           // Success tier - determine quality
-          const roll = Math.random();
+          const roll = RNG.random('outcomes');
           
           if (roll < 0.15) {
             return CRIME_OUTCOMES.CRITICAL_SUCCESS;
@@ -20253,7 +22818,7 @@ function ensureLandmarkProperties() {
           }
         } else {
           // Failure tier - determine severity
-          const roll = Math.random();
+          const roll = RNG.random('outcomes');
           const failureMargin = 1.0 - successChance; // How badly did we miss?
           
           // Higher failure margin = worse outcome
@@ -20272,13 +22837,13 @@ function ensureLandmarkProperties() {
         const result = {
           outcome: outcome.name,
           tier: outcome.tier,
-          narrative: outcome.narratives[Math.floor(Math.random() * outcome.narratives.length)],
+          narrative: outcome.narratives[Math.floor(RNG.random('outcomes') * outcome.narratives.length)],
           consequences: []
         };
         
         // Calculate rewards
         const baseReward = (baseCrime.rewards?.cash?.min || 50) + 
-                          Math.random() * ((baseCrime.rewards?.cash?.max || 150) - (baseCrime.rewards?.cash?.min || 50));
+                          RNG.random('outcomes') * ((baseCrime.rewards?.cash?.max || 150) - (baseCrime.rewards?.cash?.min || 50));
         
         const finalReward = BiomeModifierCalculator.calculateReward(
           baseReward * outcome.cashMultiplier,
@@ -20286,7 +22851,7 @@ function ensureLandmarkProperties() {
         );
         
         // Calculate XP
-        const baseXP = 10 + Math.random() * 20;
+        const baseXP = 10 + RNG.random('outcomes') * 20;
         const finalXP = Math.floor(baseXP * outcome.xpMultiplier);
         
         // Calculate heat
@@ -20298,15 +22863,20 @@ function ensureLandmarkProperties() {
         
         // Apply to game state (SecureEconomy)
         const { appliedXP: freeRoamXP } = SecureEconomy.award({
-          cashDelta: finalReward,
+          dirtyDelta: finalReward,
           baseXp: finalXP,
           reason: 'freeRoam'
         });
+        if (outcome.tier >= 4) {
+          TerritoryControl.addInfluence(position.x, position.y,
+            outcome.tier === 5 ? TerritoryControl.GAINS.criticalCrime : TerritoryControl.GAINS.crime);
+        }
         GameState.player.heat = Math.min(100, GameState.player.heat + finalHeat);
         GameState.player.reputation += outcome.reputationChange;
         
         // Apply consequences
         result.consequences = ConsequenceSystem.applyConsequences(outcome, baseCrime, position);
+        InvestigationSystem.recordCrime(baseCrime, position, outcome.tier <= 3);
         
         // Store result
         result.cash = finalReward;
@@ -20330,7 +22900,7 @@ function ensureLandmarkProperties() {
       }
       
       for (let i = 0; i < iterations; i++) {
-        const succeeded = Math.random() < 0.6; // 60% base success
+        const succeeded = RNG.random('outcomes') < 0.6; // 60% base success
         const outcome = OutcomeDeterminer.determineOutcome(succeeded, 0.6, 'test', {x: 50, y: 50});
         results[outcome.id]++;
       }
@@ -20485,6 +23055,7 @@ function ensureLandmarkProperties() {
     const SecureEconomy = (() => {
       const state = {
         pendingCash: 0,
+        pendingDirty: 0,
         pendingBaseXp: 0,
         pendingReason: null,
         flushTimer: null,
@@ -20514,6 +23085,7 @@ function ensureLandmarkProperties() {
 
         // Replace authoritative fields
         if (typeof serverPlayer.cash === 'number') GameState.player.cash = serverPlayer.cash;
+        if (typeof serverPlayer.dirtyCash === 'number') GameState.player.dirtyCash = serverPlayer.dirtyCash;
         if (typeof serverPlayer.level === 'number') GameState.player.level = serverPlayer.level;
         if (typeof serverPlayer.xp === 'number') GameState.player.xp = serverPlayer.xp;
         if (serverPlayer.stats) GameState.player.stats = serverPlayer.stats;
@@ -20536,15 +23108,17 @@ function ensureLandmarkProperties() {
         if (!applyReward) return;
 
         // Nothing pending
-        if (!state.pendingCash && !state.pendingBaseXp) return;
+        if (!state.pendingCash && !state.pendingDirty && !state.pendingBaseXp) return;
 
         state.isFlushing = true;
         const cashDelta = state.pendingCash;
+        const dirtyDelta = state.pendingDirty;
         const xpDelta = state.pendingBaseXp;
         const reason = state.pendingReason || 'sync';
 
         // reset pending before awaiting (so new actions can queue)
         state.pendingCash = 0;
+        state.pendingDirty = 0;
         state.pendingBaseXp = 0;
         state.pendingReason = null;
         state.flushTimer = null;
@@ -20553,11 +23127,12 @@ function ensureLandmarkProperties() {
           // Double-check auth right before the call to avoid unauthenticated errors
           if (!window.auth?.currentUser) {
             state.pendingCash += cashDelta;
+            state.pendingDirty += dirtyDelta;
             state.pendingBaseXp += xpDelta;
             state.pendingReason = reason;
             return;
           }
-          const res = await applyReward({ cashDelta, xpDelta, reason });
+          const res = await applyReward({ cashDelta, dirtyDelta, xpDelta, reason });
           const data = res?.data || {};
           if (data.player) {
             state.lastServerSync = Date.now();
@@ -20572,6 +23147,7 @@ function ensureLandmarkProperties() {
           }
           // Re-queue the deltas so we don't lose them.
           state.pendingCash += cashDelta;
+          state.pendingDirty += dirtyDelta;
           state.pendingBaseXp += xpDelta;
           state.pendingReason = reason;
         } finally {
@@ -20587,11 +23163,15 @@ function ensureLandmarkProperties() {
         }, 750);
       }
 
-      function award({ cashDelta = 0, baseXp = 0, reason = 'reward' } = {}) {
+      // dirtyDelta moves player.dirtyCash (crime proceeds) instead of clean cash
+      function award({ cashDelta = 0, dirtyDelta = 0, baseXp = 0, reason = 'reward' } = {}) {
         // 1) Instant local apply
         if (cashDelta) {
           GameState.player.cash = Math.max(0, (GameState.player.cash || 0) + cashDelta);
         }
+        if (dirtyDelta) {
+          GameState.player.dirtyCash = Math.max(0, (GameState.player.dirtyCash || 0) + dirtyDelta);
+        }
 
         let appliedXP = 0;
         if (baseXp) {
@@ -20600,8 +23180,9 @@ function ensureLandmarkProperties() {
         }
 
         // 2) Queue server reconcile
-        if (cashDelta || baseXp) {
+        if (cashDelta || dirtyDelta || baseXp) {
           state.pendingCash += cashDelta;
+          state.pendingDirty += dirtyDelta;
           state.pendingBaseXp += baseXp;
           state.pendingReason = reason;
           scheduleFlush();
@@ -20614,9 +23195,14 @@ function ensureLandmarkProperties() {
         return award({ cashDelta: delta, baseXp: 0, reason });
       }
 
+      function adjustDirty(delta, reason = 'dirty') {
+        return award({ dirtyDelta: delta, baseXp: 0, reason });
+      }
+
       return {
         award,
         adjustCash,
+        adjustDirty,
         flush,
         reconcileFromServer,
         isReady,
@@ -20711,725 +23297,300 @@ function ensureLandmarkProperties() {
     // ========================================
     // CRIMES DATABASE
     // ========================================
+    // Populated at startup by CrimeCatalog from data/crime-catalog.json
+    // (plus an optional gameConfig/crimeCatalog override in Firebase).
     const CrimesDatabase = {
-      categories: {
-        street: {
-          id: 'street',
-          name: 'Street Crimes',
-          icon: '🏙️',
-          description: 'Low-risk, low-reward crimes for quick cash',
-          unlockLevel: 0
-        },
-        theft: {
-          id: 'theft',
-          name: 'Grand Theft',
-          icon: '🚗',
-          description: 'Vehicle and property theft operations',
-          unlockLevel: 3
-        },
-        organized: {
-          id: 'organized',
-          name: 'Organized Crime',
-          icon: '💼',
-          description: 'High-risk, high-reward coordinated operations',
-          unlockLevel: 5
-        },
-        heists: {
-          id: 'heists',
-          name: 'Heists',
-          icon: '🏦',
-          description: 'Complex multi-stage operations',
-          unlockLevel: 8,
-          comingSoon: true
-        }
-      },
-      
-      crimes: {
-        // STREET CRIMES
-        pickpocket: {
-          id: 'pickpocket',
-          category: 'street',
-          name: 'Pickpocket',
-          description: 'Steal from unsuspecting pedestrians',
-          icon: '👝',
-          riskLevel: 'low',
-          baseSuccessChance: 0.75,
-          rewards: {
-            cash: { min: 50, max: 150 },
-            xp: { min: 5, max: 15 },
-            reputation: { min: 1, max: 3 }
-          },
-          costs: {
-            heatGain: { min: 2, max: 5 },
-            fatigueCost: 8,
-            cooldown: 30000 // 30 seconds
-          },
-          requirements: {
-            minLevel: 0,
-            stats: { charisma: 0 }
-          },
-          statModifiers: {
-            charisma: 0.15,  // +15% per point above min
-            intelligence: 0.05
-          },
-          outcomes: {
-            critical_success: {
-              probability: 0.15,
-              cashMultiplier: 2.0,
-              xpMultiplier: 1.5,
-              heatMultiplier: 0.5,
-              message: 'Perfect execution! Grabbed a fat wallet without anyone noticing.'
-            },
-            success: {
-              probability: 0.60,
-              cashMultiplier: 1.0,
-              xpMultiplier: 1.0,
-              heatMultiplier: 1.0,
-              message: 'Clean snatch. Got away unnoticed.'
-            },
-            partial_failure: {
-              probability: 0.20,
-              cashMultiplier: 0.3,
-              xpMultiplier: 0.5,
-              heatMultiplier: 1.5,
-              message: 'Target noticed, but you grabbed something small and ran.'
-            },
-            failure: {
-              probability: 0.05,
-              cashMultiplier: 0,
-              xpMultiplier: 0,
-              heatMultiplier: 2.0,
-              injuryChance: 0.1,
-              message: 'Caught red-handed! Had to bolt before getting anything.'
-            }
-          }
-        },
-        
-        mugging: {
-          id: 'mugging',
-          category: 'street',
-          name: 'Mugging',
-          description: 'Forcefully rob someone in an alley',
-          icon: '🔪',
-          riskLevel: 'medium',
-          baseSuccessChance: 0.65,
-          rewards: {
-            cash: { min: 100, max: 300 },
-            xp: { min: 10, max: 25 },
-            reputation: { min: 2, max: 5 }
-          },
-          costs: {
-            heatGain: { min: 5, max: 12 },
-            fatigueCost: 12,
-            cooldown: 60000 // 1 minute
-          },
-          requirements: {
-            minLevel: 1,
-            stats: { strength: 3 }
-          },
-          statModifiers: {
-            strength: 0.12,
-            charisma: 0.08
-          },
-          outcomes: {
-            critical_success: {
-              probability: 0.10,
-              cashMultiplier: 2.5,
-              xpMultiplier: 2.0,
-              heatMultiplier: 0.7,
-              message: 'Victim too scared to resist. Big score!'
-            },
-            success: {
-              probability: 0.55,
-              cashMultiplier: 1.0,
-              xpMultiplier: 1.0,
-              heatMultiplier: 1.0,
-              message: 'Quick and efficient. Victim handed over the goods.'
-            },
-            partial_failure: {
-              probability: 0.25,
-              cashMultiplier: 0.4,
-              xpMultiplier: 0.3,
-              heatMultiplier: 1.8,
-              injuryChance: 0.2,
-              message: 'Victim fought back. Got something but took a hit.'
-            },
-            failure: {
-              probability: 0.10,
-              cashMultiplier: 0,
-              xpMultiplier: 0,
-              heatMultiplier: 3.0,
-              injuryChance: 0.4,
-              message: 'Target turned out to be armed! Had to run for your life.'
-            }
-          }
-        },
-        
-        dealerRobbery: {
-          id: 'dealerRobbery',
-          category: 'street',
-          name: 'Rob Drug Dealer',
-          description: 'Steal cash and product from a street dealer',
-          icon: '💊',
-          riskLevel: 'high',
-          baseSuccessChance: 0.55,
-          rewards: {
-            cash: { min: 200, max: 500 },
-            xp: { min: 20, max: 40 },
-            reputation: { min: 5, max: 10 }
-          },
-          costs: {
-            heatGain: { min: 10, max: 20 },
-            fatigueCost: 18,
-            cooldown: 120000 // 2 minutes
-          },
-          requirements: {
-            minLevel: 2,
-            stats: { strength: 5, intelligence: 3 }
-          },
-          statModifiers: {
-            strength: 0.10,
-            intelligence: 0.12,
-            charisma: 0.05
-          },
-          outcomes: {
-            critical_success: {
-              probability: 0.08,
-              cashMultiplier: 3.0,
-              xpMultiplier: 2.5,
-              heatMultiplier: 0.8,
-              message: 'Dealer was holding serious weight. Massive score!'
-            },
-            success: {
-              probability: 0.47,
-              cashMultiplier: 1.0,
-              xpMultiplier: 1.0,
-              heatMultiplier: 1.0,
-              message: 'Took the stash and cash. Dealer won\'t report it.'
-            },
-            partial_failure: {
-              probability: 0.30,
-              cashMultiplier: 0.5,
-              xpMultiplier: 0.4,
-              heatMultiplier: 2.0,
-              injuryChance: 0.3,
-              message: 'Backup showed up. Grabbed what you could and fought your way out.'
-            },
-            failure: {
-              probability: 0.15,
-              cashMultiplier: 0,
-              xpMultiplier: 0,
-              heatMultiplier: 4.0,
-              injuryChance: 0.6,
-              gangHeatGain: 15,
-              message: 'Wrong dealer. His crew is now hunting you.'
-            }
-          }
-        },
-        
-        // GRAND THEFT
-        carTheft: {
-          id: 'carTheft',
-          category: 'theft',
-          name: 'Steal Car',
-          description: 'Hotwire and boost a parked vehicle',
-          icon: '🚙',
-          riskLevel: 'medium',
-          baseSuccessChance: 0.70,
-          rewards: {
-            cash: { min: 300, max: 800 },
-            xp: { min: 15, max: 35 },
-            reputation: { min: 3, max: 8 }
-          },
-          costs: {
-            heatGain: { min: 8, max: 15 },
-            fatigueCost: 15,
-            cooldown: 90000 // 1.5 minutes
-          },
-          requirements: {
-            minLevel: 3,
-            stats: { intelligence: 5 }
-          },
-          statModifiers: {
-            intelligence: 0.15,
-            strength: 0.05
-          },
-          outcomes: {
-            critical_success: {
-              probability: 0.12,
-              cashMultiplier: 2.5,
-              xpMultiplier: 2.0,
-              heatMultiplier: 0.6,
-              message: 'High-end luxury car! Chop shop paid premium.'
-            },
-            success: {
-              probability: 0.58,
-              cashMultiplier: 1.0,
-              xpMultiplier: 1.0,
-              heatMultiplier: 1.0,
-              message: 'Smooth boost. Car delivered to fence.'
-            },
-            partial_failure: {
-              probability: 0.22,
-              cashMultiplier: 0.4,
-              xpMultiplier: 0.6,
-              heatMultiplier: 2.0,
-              message: 'Alarm went off. Ditched the car but got partial payment.'
-            },
-            failure: {
-              probability: 0.08,
-              cashMultiplier: 0,
-              xpMultiplier: 0,
-              heatMultiplier: 3.5,
-              injuryChance: 0.2,
-              message: 'Owner had GPS tracker. Cops almost caught you.'
-            }
-          }
-        },
-        
-        stealJunker: {
-          id: 'stealJunker',
-          category: 'theft',
-          name: 'Steal Junker',
-          description: 'Boost an old beat-up car. Low risk, low reward.',
-          icon: '🚗',
-          riskLevel: 'low',
-          vehicleTier: 'junker',
-          baseSuccessChance: 0.80,
-          rewards: {
-            cash: { min: 200, max: 400 },
-            xp: { min: 10, max: 20 },
-            reputation: { min: 1, max: 3 }
-          },
-          costs: {
-            heatGain: { min: 3, max: 8 },
-            fatigueCost: 10,
-            cooldown: 45000 // 45 seconds
-          },
-          requirements: {
-            minLevel: 2,
-            stats: { intelligence: 3 }
-          },
-          statModifiers: {
-            intelligence: 0.12,
-            strength: 0.08
-          },
-          specialEvents: {
-            cleanGetaway: {
-              probability: 0.25,
-              cashBonus: 100,
-              heatReduction: 2,
-              message: '🎯 Clean getaway! Nobody even noticed.',
-              canStore: true
-            },
-            policeChase: {
-              probability: 0.08,
-              heatIncrease: 10,
-              injuryChance: 0.15,
-              message: '🚨 Patrol car spotted you! High-speed chase ensued.',
-              canStore: false
-            }
-          },
-          outcomes: {
-            critical_success: {
-              probability: 0.15,
-              cashMultiplier: 1.8,
-              xpMultiplier: 1.5,
-              heatMultiplier: 0.4,
-              canStore: true,
-              message: 'Found cash in the glove box! Easy score.'
-            },
-            success: {
-              probability: 0.65,
-              cashMultiplier: 1.0,
-              xpMultiplier: 1.0,
-              heatMultiplier: 1.0,
-              canStore: true,
-              message: 'Old beater delivered. Quick flip to the chop shop.'
-            },
-            partial_failure: {
-              probability: 0.15,
-              cashMultiplier: 0.5,
-              xpMultiplier: 0.6,
-              heatMultiplier: 1.5,
-              canStore: false,
-              message: 'Car died mid-boost. Stripped it for parts.'
-            },
-            failure: {
-              probability: 0.05,
-              cashMultiplier: 0,
-              xpMultiplier: 0,
-              heatMultiplier: 2.5,
-              injuryChance: 0.1,
-              canStore: false,
-              message: 'Alarm system was upgraded. Had to abandon it.'
-            }
-          }
-        },
-        
-        stealSedan: {
-          id: 'stealSedan',
-          category: 'theft',
-          name: 'Steal Sedan',
-          description: 'Boost a modern sedan. Balanced risk and reward.',
-          icon: '🚙',
-          riskLevel: 'medium',
-          vehicleTier: 'sedan',
-          baseSuccessChance: 0.70,
-          rewards: {
-            cash: { min: 500, max: 1000 },
-            xp: { min: 20, max: 40 },
-            reputation: { min: 4, max: 8 }
-          },
-          costs: {
-            heatGain: { min: 8, max: 15 },
-            fatigueCost: 15,
-            cooldown: 90000 // 1.5 minutes
-          },
-          requirements: {
-            minLevel: 3,
-            stats: { intelligence: 5 }
-          },
-          statModifiers: {
-            intelligence: 0.15,
-            strength: 0.05
-          },
-          specialEvents: {
-            cleanGetaway: {
-              probability: 0.18,
-              cashBonus: 200,
-              heatReduction: 3,
-              message: '🎯 Slick job! No witnesses, no trace.',
-              canStore: true
-            },
-            policeChase: {
-              probability: 0.12,
-              heatIncrease: 15,
-              injuryChance: 0.25,
-              message: '🚨 Cops on your tail! Intense pursuit through downtown.',
-              canStore: false
-            },
-            botchedTheft: {
-              probability: 0.10,
-              cashPenalty: 150,
-              heatIncrease: 8,
-              message: '⚠️ Broke the ignition. Had to ditch and run.',
-              canStore: false
-            }
-          },
-          outcomes: {
-            critical_success: {
-              probability: 0.12,
-              cashMultiplier: 2.2,
-              xpMultiplier: 2.0,
-              heatMultiplier: 0.5,
-              canStore: true,
-              message: 'Pristine condition! Buyer paid top dollar.'
-            },
-            success: {
-              probability: 0.58,
-              cashMultiplier: 1.0,
-              xpMultiplier: 1.0,
-              heatMultiplier: 1.0,
-              canStore: true,
-              message: 'Clean boost. Delivered to the fence without issues.'
-            },
-            partial_failure: {
-              probability: 0.22,
-              cashMultiplier: 0.4,
-              xpMultiplier: 0.6,
-              heatMultiplier: 1.8,
-              canStore: false,
-              message: 'Security was tighter than expected. Got spooked and bailed early.'
-            },
-            failure: {
-              probability: 0.08,
-              cashMultiplier: 0,
-              xpMultiplier: 0,
-              heatMultiplier: 3.0,
-              injuryChance: 0.2,
-              canStore: false,
-              message: 'LoJack system activated! Barely escaped the cops.'
-            }
-          }
-        },
-        
-        stealLuxury: {
-          id: 'stealLuxury',
-          category: 'theft',
-          name: 'Steal Luxury Car',
-          description: 'High-end vehicle theft. Big rewards, big risks.',
-          icon: '🚗',
-          riskLevel: 'high',
-          vehicleTier: 'luxury',
-          baseSuccessChance: 0.55,
-          rewards: {
-            cash: { min: 1500, max: 3000 },
-            xp: { min: 40, max: 80 },
-            reputation: { min: 10, max: 20 }
-          },
-          costs: {
-            heatGain: { min: 15, max: 30 },
-            fatigueCost: 25,
-            cooldown: 180000 // 3 minutes
-          },
-          requirements: {
-            minLevel: 5,
-            stats: { intelligence: 8, strength: 5 }
-          },
-          statModifiers: {
-            intelligence: 0.18,
-            strength: 0.08,
-            charisma: 0.06
-          },
-          specialEvents: {
-            cleanGetaway: {
-              probability: 0.12,
-              cashBonus: 500,
-              heatReduction: 5,
-              repBonus: 5,
-              message: '🎯 Masterful execution! VIP buyer already waiting.',
-              canStore: true
-            },
-            policeChase: {
-              probability: 0.20,
-              heatIncrease: 25,
-              injuryChance: 0.35,
-              globalHeatGain: 10,
-              message: '🚨 High-speed pursuit! Multiple units responding!',
-              canStore: false
-            },
-            botchedTheft: {
-              probability: 0.15,
-              cashPenalty: 300,
-              heatIncrease: 12,
-              message: '⚠️ Advanced security system. Barely escaped.',
-              canStore: false
-            },
-            ownerConfrontation: {
-              probability: 0.08,
-              injuryChance: 0.40,
-              heatIncrease: 18,
-              message: '💥 Owner caught you! Had to fight your way out.',
-              canStore: false
-            }
-          },
-          outcomes: {
-            critical_success: {
-              probability: 0.08,
-              cashMultiplier: 2.5,
-              xpMultiplier: 2.5,
-              heatMultiplier: 0.6,
-              canStore: true,
-              message: 'Mint condition luxury vehicle! Collector paid premium.'
-            },
-            success: {
-              probability: 0.47,
-              cashMultiplier: 1.0,
-              xpMultiplier: 1.0,
-              heatMultiplier: 1.0,
-              canStore: true,
-              message: 'Smooth operation. High-end buyer secured.'
-            },
-            partial_failure: {
-              probability: 0.30,
-              cashMultiplier: 0.35,
-              xpMultiplier: 0.5,
-              heatMultiplier: 2.0,
-              injuryChance: 0.2,
-              canStore: false,
-              message: 'Security arrived. Grabbed what you could and ran.'
-            },
-            failure: {
-              probability: 0.15,
-              cashMultiplier: 0,
-              xpMultiplier: 0,
-              heatMultiplier: 4.0,
-              injuryChance: 0.4,
-              globalHeatGain: 15,
-              canStore: false,
-              message: 'High-tech security and armed response. Complete failure.'
-            }
+      version: null,
+      categories: {},
+      crimes: {},
+
+      // Crime cooldowns (separate from crime definitions for runtime tracking)
+      cooldowns: {}
+    };
+
+    // ========================================
+    // CRIME CATALOG: Versioned JSON loader + schema validator
+    // ========================================
+    // Designers edit data/crime-catalog.json; bump `version` on every change.
+    // Firebase gameConfig/crimeCatalog may carry a partial catalog
+    // ({ version, categories?, crimes? }) that is merged entry-by-entry on top.
+    // Every entry is validated; malformed entries are rejected and logged.
+    const CrimeCatalog = {
+      URL: 'data/crime-catalog.json',
+      FIREBASE_PATH: 'gameConfig/crimeCatalog',
+      SUPPORTED_VERSION: 1,   // Highest catalog schema version this build understands
+      PROBABILITY_EPSILON: 0.001,
+
+      RISK_LEVELS: ['low', 'medium', 'high', 'extreme'],
+      OUTCOME_TIERS: ['critical_success', 'success', 'partial_failure', 'failure'],
+
+      loaded: false,
+      source: null,
+      rejected: [],   // [{ kind, id, errors }] from the last load
+      loadError: null, // Why the last load failed (CrimesTab shows it with a retry)
+      _loadPromise: null,
+
+      // Load base catalog + Firebase override into CrimesDatabase (idempotent)
+      load() {
+        if (this._loadPromise) return this._loadPromise;
+
+        this.loadError = null;
+        this._loadPromise = this.fetchBase()
+          .then(base => {
+            const result = this.apply(base, 'file');
+            if (!result.ok) throw new Error(result.errors.join('; '));
+            return this.fetchOverride();
+          })
+          .then(override => {
+            if (override) this.applyOverride(override);
+            this.loaded = true;
+            console.log(`[CrimeCatalog] v${CrimesDatabase.version} loaded (${this.source}): ${Object.keys(CrimesDatabase.crimes).length} crimes, ${Object.keys(CrimesDatabase.categories).length} categories`);
+            return CrimesDatabase;
+          })
+          .catch(err => {
+            console.error('[CrimeCatalog] Failed to load crime catalog:', err);
+            this.loadError = err.message || String(err);
+            this._loadPromise = null; // allow retry
+            throw err;
+          });
+
+        return this._loadPromise;
+      },
+
+      fetchBase() {
+        return fetch(this.URL, { cache: 'no-cache' }).then(res => {
+          if (!res.ok) throw new Error(`HTTP ${res.status} loading ${this.URL}`);
+          return res.json();
+        });
+      },
+
+      fetchOverride() {
+        if (typeof database === 'undefined' || !database) return Promise.resolve(null);
+        return database.ref(this.FIREBASE_PATH).once('value')
+          .then(snapshot => snapshot.val())
+          .catch(err => {
+            console.warn('[CrimeCatalog] Firebase override unavailable:', err);
+            return null;
+          });
+      },
+
+      // Replace CrimesDatabase contents with a full catalog
+      apply(catalog, source) {
+        const header = this.validateHeader(catalog);
+        if (header.length > 0) {
+          console.error('[CrimeCatalog] Catalog rejected:', header);
+          return { ok: false, errors: header };
+        }
+
+        this.rejected = [];
+        const categories = {};
+        const crimes = {};
+
+        Object.entries(catalog.categories || {}).forEach(([id, category]) => {
+          const errors = this.validateCategory(id, category);
+          if (errors.length > 0) return this.reject('category', id, errors);
+          categories[id] = category;
+        });
+
+        Object.entries(catalog.crimes || {}).forEach(([id, crime]) => {
+          const errors = this.validateCrime(id, crime, categories);
+          if (errors.length > 0) return this.reject('crime', id, errors);
+          crimes[id] = crime;
+        });
+
+        CrimesDatabase.version = catalog.version;
+        CrimesDatabase.categories = categories;
+        CrimesDatabase.crimes = crimes;
+        this.source = source;
+
+        return { ok: true, errors: [], rejected: this.rejected };
+      },
+
+      // Merge a partial catalog on top of the loaded one (entry-level replace)
+      applyOverride(override) {
+        const header = this.validateHeader(override);
+        if (header.length > 0) {
+          console.warn('[CrimeCatalog] Firebase override ignored:', header);
+          return false;
+        }
+        if (override.version < CrimesDatabase.version) {
+          console.warn(`[CrimeCatalog] Firebase override v${override.version} is older than file v${CrimesDatabase.version}; ignored`);
+          return false;
+        }
+
+        Object.entries(override.categories || {}).forEach(([id, category]) => {
+          const errors = this.validateCategory(id, category);
+          if (errors.length > 0) return this.reject('category', id, errors);
+          CrimesDatabase.categories[id] = category;
+        });
+
+        Object.entries(override.crimes || {}).forEach(([id, crime]) => {
+          const errors = this.validateCrime(id, crime, CrimesDatabase.categories);
+          if (errors.length > 0) return this.reject('crime', id, errors);
+          CrimesDatabase.crimes[id] = crime;
+        });
+
+        CrimesDatabase.version = override.version;
+        this.source = 'file+firebase';
+        return true;
+      },
+
+      reject(kind, id, errors) {
+        this.rejected.push({ kind, id, errors });
+        console.error(`[CrimeCatalog] Rejected ${kind} "${id}":`, errors.join('; '));
+      },
+
+      // === VALIDATION ===
+      // Each validator returns an array of error strings (empty = valid)
+
+      validateHeader(catalog) {
+        const errors = [];
+        if (!catalog || typeof catalog !== 'object') return ['catalog is not an object'];
+        if (!Number.isInteger(catalog.version) || catalog.version < 1) {
+          errors.push('version must be a positive integer');
+        } else if (catalog.version > this.SUPPORTED_VERSION) {
+          errors.push(`version ${catalog.version} is newer than supported v${this.SUPPORTED_VERSION}`);
+        }
+        if (catalog.categories !== undefined && !this._isObject(catalog.categories)) errors.push('categories must be an object');
+        if (catalog.crimes !== undefined && !this._isObject(catalog.crimes)) errors.push('crimes must be an object');
+        return errors;
+      },
+
+      validateCategory(id, category) {
+        const errors = [];
+        if (!this._isObject(category)) return ['entry is not an object'];
+        if (category.id !== id) errors.push(`id "${category.id}" does not match key`);
+        if (!this._isString(category.name)) errors.push('name is required');
+        if (!this._isString(category.icon)) errors.push('icon is required');
+        if (typeof category.description !== 'string') errors.push('description is required');
+        if (!this._isNumber(category.unlockLevel) || category.unlockLevel < 0) errors.push('unlockLevel must be a number >= 0');
+        return errors;
+      },
+
+      validateCrime(id, crime, categories) {
+        const errors = [];
+        if (!this._isObject(crime)) return ['entry is not an object'];
+
+        if (crime.id !== id) errors.push(`id "${crime.id}" does not match key`);
+        if (!categories[crime.category]) errors.push(`unknown category "${crime.category}"`);
+        ['name', 'icon'].forEach(k => { if (!this._isString(crime[k])) errors.push(`${k} is required`); });
+        if (typeof crime.description !== 'string') errors.push('description is required');
+        if (!this.RISK_LEVELS.includes(crime.riskLevel)) errors.push(`riskLevel must be one of ${this.RISK_LEVELS.join(', ')}`);
+        if (!this._isChance(crime.baseSuccessChance)) errors.push('baseSuccessChance must be between 0 and 1');
+
+        // Rewards / costs
+        if (!this._isObject(crime.rewards)) {
+          errors.push('rewards is required');
+        } else {
+          ['cash', 'xp', 'reputation'].forEach(k => this._checkRange(crime.rewards[k], `rewards.${k}`, errors));
+        }
+        if (!this._isObject(crime.costs)) {
+          errors.push('costs is required');
+        } else {
+          this._checkRange(crime.costs.heatGain, 'costs.heatGain', errors);
+          if (!this._isNumber(crime.costs.fatigueCost) || crime.costs.fatigueCost < 0) errors.push('costs.fatigueCost must be a number >= 0');
+          if (!this._isNumber(crime.costs.cooldown) || crime.costs.cooldown < 0) errors.push('costs.cooldown must be a number >= 0');
+        }
+
+        // Requirements
+        if (!this._isObject(crime.requirements)) {
+          errors.push('requirements is required');
+        } else {
+          if (!this._isNumber(crime.requirements.minLevel) || crime.requirements.minLevel < 0) errors.push('requirements.minLevel must be a number >= 0');
+          if (crime.requirements.stats !== undefined) this._checkNumberMap(crime.requirements.stats, 'requirements.stats', errors);
+        }
+        if (crime.statModifiers !== undefined) this._checkNumberMap(crime.statModifiers, 'statModifiers', errors);
+
+        // Outcome table: every tier present, probabilities sum to 1
+        if (!this._isObject(crime.outcomes)) {
+          errors.push('outcomes is required');
+        } else {
+          let total = 0;
+          this.OUTCOME_TIERS.forEach(tier => {
+            const o = crime.outcomes[tier];
+            if (!this._isObject(o)) return errors.push(`outcomes.${tier} is required`);
+            if (!this._isChance(o.probability)) errors.push(`outcomes.${tier}.probability must be between 0 and 1`);
+            ['cashMultiplier', 'xpMultiplier', 'heatMultiplier'].forEach(k => {
+              if (!this._isNumber(o[k])) errors.push(`outcomes.${tier}.${k} must be a number`);
+            });
+            if (typeof o.message !== 'string') errors.push(`outcomes.${tier}.message is required`);
+            total += this._isNumber(o.probability) ? o.probability : 0;
+          });
+          if (Math.abs(total - 1) > this.PROBABILITY_EPSILON) errors.push(`outcome probabilities sum to ${total.toFixed(3)}, expected 1`);
+        }
+
+        // Special events: independent probabilities that may not exceed 1 combined
+        if (crime.specialEvents !== undefined) {
+          if (!this._isObject(crime.specialEvents)) {
+            errors.push('specialEvents must be an object');
+          } else {
+            let total = 0;
+            Object.entries(crime.specialEvents).forEach(([eventId, e]) => {
+              if (!this._isObject(e) || !this._isChance(e.probability)) return errors.push(`specialEvents.${eventId}.probability must be between 0 and 1`);
+              total += e.probability;
+            });
+            if (total > 1 + this.PROBABILITY_EPSILON) errors.push(`specialEvents probabilities sum to ${total.toFixed(3)}, max 1`);
           }
-        },
-        
-        stealExotic: {
-          id: 'stealExotic',
-          category: 'theft',
-          name: 'Steal Exotic Car',
-          description: 'Ultra high-end supercar theft. Maximum risk, maximum reward.',
-          icon: '🏎️',
-          riskLevel: 'extreme',
-          vehicleTier: 'exotic',
-          baseSuccessChance: 0.40,
-          rewards: {
-            cash: { min: 3000, max: 6000 },
-            xp: { min: 80, max: 150 },
-            reputation: { min: 20, max: 40 }
-          },
-          costs: {
-            heatGain: { min: 30, max: 50 },
-            fatigueCost: 35,
-            cooldown: 300000 // 5 minutes
-          },
-          requirements: {
-            minLevel: 7,
-            stats: { intelligence: 10, strength: 8, charisma: 6 }
-          },
-          statModifiers: {
-            intelligence: 0.20,
-            strength: 0.10,
-            charisma: 0.08
-          },
-          specialEvents: {
-            cleanGetaway: {
-              probability: 0.08,
-              cashBonus: 1000,
-              heatReduction: 8,
-              repBonus: 10,
-              message: '🎯 LEGENDARY! International buyer. Massive payday!',
-              canStore: true
-            },
-            policeChase: {
-              probability: 0.30,
-              heatIncrease: 40,
-              injuryChance: 0.45,
-              globalHeatGain: 20,
-              message: '🚨 CITYWIDE MANHUNT! Every cop in the city is after you!',
-              canStore: false
-            },
-            botchedTheft: {
-              probability: 0.20,
-              cashPenalty: 500,
-              heatIncrease: 20,
-              injuryChance: 0.3,
-              message: '⚠️ Military-grade security. Narrowly escaped with your life.',
-              canStore: false
-            },
-            ownerConfrontation: {
-              probability: 0.12,
-              injuryChance: 0.55,
-              heatIncrease: 25,
-              globalHeatGain: 10,
-              message: '💥 Armed owner and private security! Firefight ensued!',
-              canStore: false
-            }
-          },
-          outcomes: {
-            critical_success: {
-              probability: 0.05,
-              cashMultiplier: 3.0,
-              xpMultiplier: 3.0,
-              heatMultiplier: 0.7,
-              canStore: true,
-              message: 'LEGENDARY HEIST! Supercar delivered to offshore buyer. You\'re famous now.'
-            },
-            success: {
-              probability: 0.35,
-              cashMultiplier: 1.0,
-              xpMultiplier: 1.0,
-              heatMultiplier: 1.0,
-              canStore: true,
-              message: 'Incredible job. Elite buyer secured. This will be talked about for years.'
-            },
-            partial_failure: {
-              probability: 0.35,
-              cashMultiplier: 0.25,
-              xpMultiplier: 0.4,
-              heatMultiplier: 2.5,
-              injuryChance: 0.35,
-              globalHeatGain: 10,
-              canStore: false,
-              message: 'Heavy resistance. Damaged the vehicle but salvaged some value.'
-            },
-            failure: {
-              probability: 0.25,
-              cashMultiplier: 0,
-              xpMultiplier: 0,
-              heatMultiplier: 5.0,
-              injuryChance: 0.6,
-              globalHeatGain: 25,
-              canStore: false,
-              message: 'CATASTROPHIC FAILURE! Armed guards, choppers, tactical units. You\'re lucky to be alive.'
+        }
+
+        // Heist stage pipeline
+        if (crime.heist !== undefined) {
+          const h = crime.heist;
+          if (!this._isObject(h)) {
+            errors.push('heist must be an object');
+          } else {
+            if (!Number.isInteger(h.crewMin) || !Number.isInteger(h.crewMax) || h.crewMin < 1 || h.crewMin > h.crewMax) {
+              errors.push('heist.crewMin/crewMax must be integers with 1 <= crewMin <= crewMax');
             }
-          }
-        },
-        
-        // ORGANIZED CRIME
-        armoryHeist: {
-          id: 'armoryHeist',
-          category: 'organized',
-          name: 'Armory Heist',
-          description: 'Raid a weapons depot with your crew',
-          icon: '🔫',
-          riskLevel: 'extreme',
-          baseSuccessChance: 0.45,
-          rewards: {
-            cash: { min: 1000, max: 3000 },
-            xp: { min: 50, max: 120 },
-            reputation: { min: 15, max: 30 }
-          },
-          costs: {
-            heatGain: { min: 25, max: 50 },
-            fatigueCost: 30,
-            cooldown: 300000 // 5 minutes
-          },
-          requirements: {
-            minLevel: 5,
-            stats: { strength: 8, intelligence: 8 },
-            gang: true
-          },
-          statModifiers: {
-            strength: 0.08,
-            intelligence: 0.12,
-            charisma: 0.08
-          },
-          gangModifiers: {
-            health: 0.10,  // +10% per 10 gang health
-            members: 0.05  // +5% per member
-          },
-          outcomes: {
-            critical_success: {
-              probability: 0.05,
-              cashMultiplier: 4.0,
-              xpMultiplier: 3.0,
-              heatMultiplier: 0.5,
-              gangVaultBonus: 1000,
-              message: 'Military-grade haul! Your reputation soars.'
-            },
-            success: {
-              probability: 0.40,
-              cashMultiplier: 1.0,
-              xpMultiplier: 1.0,
-              heatMultiplier: 1.0,
-              gangVaultBonus: 500,
-              message: 'Clean operation. Weapons secured and sold.'
-            },
-            partial_failure: {
-              probability: 0.35,
-              cashMultiplier: 0.3,
-              xpMultiplier: 0.5,
-              heatMultiplier: 2.5,
-              injuryChance: 0.5,
-              gangHealthLoss: 10,
-              message: 'Security was tougher than expected. Crew took casualties.'
-            },
-            failure: {
-              probability: 0.20,
-              cashMultiplier: 0,
-              xpMultiplier: 0,
-              heatMultiplier: 5.0,
-              injuryChance: 0.7,
-              gangHealthLoss: 20,
-              globalHeatGain: 30,
-              message: 'SWAT team ambushed you. Major losses.'
+            if (!Array.isArray(h.stages) || h.stages.length === 0) {
+              errors.push('heist.stages must be a non-empty array');
+            } else {
+              h.stages.forEach((stage, i) => {
+                if (!this._isObject(stage) || !this._isString(stage.id) || !this._isString(stage.name)) return errors.push(`heist.stages[${i}] needs id and name`);
+                if (!this._isChance(stage.baseSuccessChance)) errors.push(`heist.stages[${i}].baseSuccessChance must be between 0 and 1`);
+                if (stage.lootShare !== undefined && !this._isChance(stage.lootShare)) errors.push(`heist.stages[${i}].lootShare must be between 0 and 1`);
+              });
             }
           }
         }
+
+        return errors;
       },
-      
-      // Crime cooldowns (separate from crime definitions for runtime tracking)
-      cooldowns: {}
+
+      _isObject(v) { return !!v && typeof v === 'object' && !Array.isArray(v); },
+      _isString(v) { return typeof v === 'string' && v.length > 0; },
+      _isNumber(v) { return typeof v === 'number' && isFinite(v); },
+      _isChance(v) { return this._isNumber(v) && v >= 0 && v <= 1; },
+
+      _checkRange(range, path, errors) {
+        if (!this._isObject(range) || !this._isNumber(range.min) || !this._isNumber(range.max)) {
+          errors.push(`${path} must be { min, max }`);
+        } else if (range.min > range.max) {
+          errors.push(`${path}.min is greater than max`);
+        }
+      },
+
+      _checkNumberMap(map, path, errors) {
+        if (!this._isObject(map)) return errors.push(`${path} must be an object`);
+        Object.entries(map).forEach(([k, v]) => {
+          if (!this._isNumber(v)) errors.push(`${path}.${k} must be a number`);
+        });
+      }
+    };
+
+    // Debug: validate a catalog object from the console before uploading it
+    window.validateCrimeCatalog = function(catalog) {
+      const header = CrimeCatalog.validateHeader(catalog);
+      if (header.length > 0) return { valid: false, errors: header };
+      const errors = [];
+      const categories = Object.assign({}, CrimesDatabase.categories, catalog.categories || {});
+      Object.entries(catalog.categories || {}).forEach(([id, c]) => {
+        CrimeCatalog.validateCategory(id, c).forEach(e => errors.push(`category ${id}: ${e}`));
+      });
+      Object.entries(catalog.crimes || {}).forEach(([id, c]) => {
+        CrimeCatalog.validateCrime(id, c, categories).forEach(e => errors.push(`crime ${id}: ${e}`));
+      });
+      return { valid: errors.length === 0, errors };
     };
 
     // ========================================
@@ -21611,18 +23772,21 @@ function ensureLandmarkProperties() {
     // CRIMES SYSTEM: Core Logic
     // ========================================
     const CrimesSystem = {
-      calculateSuccessChance(crimeId) {
+      // `stage` (optional) is a heist stage from crime.heist.stages; its own
+      // baseSuccessChance / statModifiers replace the crime-level ones.
+      calculateSuccessChance(crimeId, stage) {
         const crime = CrimesDatabase.crimes[crimeId];
         if (!crime) return 0;
         
-        let successChance = crime.baseSuccessChance;
+        let successChance = (stage && typeof stage.baseSuccessChance === 'number') ? stage.baseSuccessChance : crime.baseSuccessChance;
+        const statModifiers = (stage && stage.statModifiers) || crime.statModifiers || {};
         
         // 1. Player stat modifiers
-        Object.keys(crime.statModifiers || {}).forEach(stat => {
+        Object.keys(statModifiers).forEach(stat => {
           const statValue = GameState.player.stats[stat] || 0;
           const minRequired = crime.requirements.stats?.[stat] || 0;
           const statBonus = Math.max(0, statValue - minRequired);
-          successChance += statBonus * crime.statModifiers[stat];
+          successChance += statBonus * statModifiers[stat];
         });
         
         // 2. Gang modifiers (if required)
@@ -21680,6 +23844,8 @@ function ensureLandmarkProperties() {
             // Each combined stat point = 0.1% bonus, capped at +15%
             successChance += Math.min(0.15, totalInmateStats * 0.001);
           }
+          // Specialists unlock their own crimes
+          successChance += InmateSystem.getSpecialtyBonus(crime);
         }
 
         // 9. Active gang war penalty — fighting on multiple fronts is distracting
@@ -21691,6 +23857,12 @@ function ensureLandmarkProperties() {
           }
         }
 
+        // 10. Diplomacy — allies watch your back, oathbreakers get no help
+        successChance += GangDiplomacy.getCrimeModifier();
+
+        // 11. Police operations running where the player is
+        successChance += PoliceOperations.getCrimeModifier(GameState.character.position);
+
         // Clamp between 5% and 95%
         return Math.max(0.05, Math.min(0.95, successChance));
       },
@@ -21725,6 +23897,15 @@ function ensureLandmarkProperties() {
           };
         }
         
+        // Check heist crew availability
+        if (crime.heist && typeof HeistSystem !== 'undefined' &&
+            HeistSystem.getCrewCandidates().length < crime.heist.crewMin) {
+          return {
+            canAttempt: false,
+            reason: `Requires crew of ${crime.heist.crewMin}`
+          };
+        }
+        
         // Check cooldown
         const cooldownEnd = CrimesDatabase.cooldowns[crimeId];
         if (cooldownEnd && Date.now() < cooldownEnd) {
@@ -21756,6 +23937,14 @@ function ensureLandmarkProperties() {
         
         const crime = CrimesDatabase.crimes[crimeId];
         
+        // RNG position before any roll, so this attempt can be replayed
+        const rngState = RNG.snapshot();
+        
+        // Heists run their own stage pipeline (best available crew)
+        if (crime.heist) {
+          return HeistSystem.execute(crimeId, HeistSystem.autoSelectCrew(crime));
+        }
+        
         // Calculate success chance
         const successChance = this.calculateSuccessChance(crimeId);
         
@@ -21784,6 +23973,16 @@ function ensureLandmarkProperties() {
         const pos = GameState.character.position;
         const hotspotIntensity = this.getHotspotIntensity(outcome.tier);
         MapMemory.createHotspot(pos.x, pos.y, hotspotIntensity, crime.name);
+        InvestigationSystem.recordCrime(crime, pos, outcome.tier === 'partial_failure' || outcome.tier === 'failure');
+        
+        RNG.logEvent({
+          event: crime.name,
+          type: 'crime',
+          crimeId: crimeId,
+          outcome: outcome.tier,
+          rng: rngState,
+          timestamp: Date.now()
+        });
         
         // Save state
         Storage.save();
@@ -21796,14 +23995,14 @@ function ensureLandmarkProperties() {
         
         if (succeeded) {
           // Success - determine if critical
-          const criticalRoll = Math.random();
+          const criticalRoll = RNG.random('crimes');
           if (criticalRoll < outcomes.critical_success.probability) {
             return { tier: 'critical_success', data: outcomes.critical_success };
           }
           return { tier: 'success', data: outcomes.success };
         } else {
           // Failure - determine severity
-          const failureRoll = Math.random();
+          const failureRoll = RNG.random('crimes');
           const partialThreshold = outcomes.partial_failure.probability;
           
           if (failureRoll < partialThreshold) {
@@ -21820,7 +24019,7 @@ function ensureLandmarkProperties() {
         // Special events only trigger on success or partial failure
         if (outcome.tier === 'failure') return null;
         
-        const roll = Math.random();
+        const roll = RNG.random('crimes');
         let cumulative = 0;
         
         // Check each special event
@@ -21904,8 +24103,8 @@ function ensureLandmarkProperties() {
           }
           
           // Handle special event injuries
-          if (eventData.injuryChance && Math.random() < eventData.injuryChance) {
-            const injuryPenalty = Math.floor(Math.random() * 150) + 100;
+          if (eventData.injuryChance && RNG.random('crimes') < eventData.injuryChance) {
+            const injuryPenalty = Math.floor(RNG.random('crimes') * 150) + 100;
             cashReward = Math.max(0, cashReward - injuryPenalty);
           }
         } else if (!specialEvent && outcomeData.canStore && crime.vehicleTier) {
@@ -21915,10 +24114,15 @@ function ensureLandmarkProperties() {
         
         // Apply changes (SecureEconomy: local apply + server reconcile)
         const { appliedXP: actualXP } = SecureEconomy.award({
-          cashDelta: cashReward,
+          dirtyDelta: cashReward,
           baseXp: xpReward,
           reason: `crime:${crimeId}`
         });
+        if (outcome.tier === 'success' || outcome.tier === 'critical_success') {
+          const crimePos = GameState.character.position;
+          TerritoryControl.addInfluence(crimePos.x, crimePos.y,
+            outcome.tier === 'critical_success' ? TerritoryControl.GAINS.criticalCrime : TerritoryControl.GAINS.crime);
+        }
         GameState.player.reputation += repReward;
         GameState.player.heat = Math.min(100, GameState.player.heat + heatGain);
         
@@ -21934,16 +24138,16 @@ function ensureLandmarkProperties() {
         
         // Handle standard injury
         let injured = false;
-        if (outcomeData.injuryChance && Math.random() < outcomeData.injuryChance) {
+        if (outcomeData.injuryChance && RNG.random('crimes') < outcomeData.injuryChance) {
           injured = true;
-          const injuryPenalty = Math.floor(Math.random() * 100) + 50;
+          const injuryPenalty = Math.floor(RNG.random('crimes') * 100) + 50;
           SecureEconomy.adjustCash(-injuryPenalty, 'injury');
         }
         
         // Handle gang bonuses/penalties
         if (GameState.gang) {
           if (outcomeData.gangVaultBonus) {
-            GameState.gang.vault += outcomeData.gangVaultBonus;
+            GangNetwork.adjustVault(outcomeData.gangVaultBonus);
           }
           if (outcomeData.gangHealthLoss) {
             GameState.gang.health = Math.max(0, GameState.gang.health - outcomeData.gangHealthLoss);
@@ -21956,14 +24160,14 @@ function ensureLandmarkProperties() {
               // Each working inmate gets 2% of cash reward, deposited to gang vault
               const crewCut = Math.floor(cashReward * 0.02 * workingCount);
               if (crewCut > 0 && GameState.gang.vault !== undefined) {
-                GameState.gang.vault += crewCut;
+                GangNetwork.adjustVault(crewCut);
               }
             }
           }
           if (outcomeData.gangHeatGain) {
             const relations = Object.keys(GameState.gangRelations);
             if (relations.length > 0) {
-              const randomRelation = relations[Math.floor(Math.random() * relations.length)];
+              const randomRelation = relations[Math.floor(RNG.random('crimes') * relations.length)];
               GameState.gangRelations[randomRelation].heat = Math.min(
                 100,
                 GameState.gangRelations[randomRelation].heat + outcomeData.gangHeatGain
@@ -21990,7 +24194,7 @@ function ensureLandmarkProperties() {
             organized:  { itemId: 'plasma_cell', chance: 0.25 }
           };
           const lootEntry = MARKET_LOOT_TABLE[crime.category];
-          if (lootEntry && Math.random() < lootEntry.chance) {
+          if (lootEntry && RNG.random('crimes') < lootEntry.chance) {
             GameState.marketInventory[lootEntry.itemId] = (GameState.marketInventory[lootEntry.itemId] || 0) + 1;
             // Keep MarketSystem in sync if it is running
             try {
@@ -22027,7 +24231,7 @@ function ensureLandmarkProperties() {
       },
       
       calculateReward(min, max, multiplier) {
-        const base = Math.floor(Math.random() * (max - min + 1)) + min;
+        const base = Math.floor(RNG.random('crimes') * (max - min + 1)) + min;
         return Math.floor(base * multiplier);
       },
       
@@ -22118,7 +24322,7 @@ function ensureLandmarkProperties() {
           exotic:  { class: 'Elite',   grade: 'S', emoji: '🏎️', speed: 280, handling: 94, durability: 88, heat: 5, yearMin: 2020, yearMax: 2024 }
         };
         var td = tierPresets[crime.vehicleTier] || tierPresets.sedan;
-        var year = td.yearMin + Math.floor(Math.random() * (td.yearMax - td.yearMin + 1));
+        var year = td.yearMin + Math.floor(RNG.random('crimes') * (td.yearMax - td.yearMin + 1));
 
         // Create vehicle object
         const vehicle = {
@@ -22151,7 +24355,7 @@ function ensureLandmarkProperties() {
         };
         
         const tierNames = names[tier] || names.sedan;
-        return tierNames[Math.floor(Math.random() * tierNames.length)];
+        return tierNames[Math.floor(RNG.random('crimes') * tierNames.length)];
       },
       
       calculateVehicleSellValue(crime) {
@@ -22215,6 +24419,462 @@ function ensureLandmarkProperties() {
       }
     };
 
+    // ========================================
+    // HEISTS: Multi-Stage Operations
+    // ========================================
+    // Heists are crimes with a `heist` block in CrimesDatabase. Each stage rolls
+    // through CrimesSystem.calculateSuccessChance (with the stage's overrides),
+    // is graded by OutcomeDeterminer and fed to ConsequenceSystem. A partial
+    // failure shaves the take; a hard failure on a critical stage ends the job.
+    const HeistSystem = {
+      // Cut of the total take each crew member walks away with
+      GANGSTER_CUT: 0.10,
+      INMATE_CUT: 0.05,
+
+      // Crew bonus is capped per stage so a full crew can't trivialize a job
+      MAX_CREW_BONUS: 0.20,
+
+      // Base jail time when the getaway goes catastrophically wrong
+      ARREST_JAIL_MS: 60 * 1000,
+
+      // Idle gangsters + working inmates, normalized into one crew shape
+      getCrewCandidates() {
+        const gangsters = ((GameState.gangsters && GameState.gangsters.owned) || [])
+          .filter(g => g.status === 'idle')
+          .map(g => ({
+            key: `gangster_${g.id}`,
+            kind: 'gangster',
+            refId: g.id,
+            name: g.name,
+            skill: g.primarySkill,
+            skillLevel: g.skillLevel || 1,
+            loyalty: g.loyalty || 50
+          }));
+
+        const inmates = ((GameState.inmates && GameState.inmates.recruited) || [])
+          .filter(i => i.mode === 'working' && !i.managing)
+          .map(i => ({
+            key: `inmate_${i.id}`,
+            kind: 'inmate',
+            refId: i.id,
+            name: i.name,
+            stats: { power: i.power || 0, stealth: i.stealth || 0, strength: i.strength || 0, intelligence: i.intelligence || 0 },
+            loyalty: 50
+          }));
+
+        return gangsters.concat(inmates);
+      },
+
+      // Best-rated candidates first (used when no crew is picked, e.g. attemptCrime)
+      autoSelectCrew(crime) {
+        const score = m => m.kind === 'gangster'
+          ? m.skillLevel * 10 + m.loyalty / 10
+          : (m.stats.power + m.stats.stealth + m.stats.strength + m.stats.intelligence) / 8;
+        return this.getCrewCandidates()
+          .sort((a, b) => score(b) - score(a))
+          .slice(0, crime.heist.crewMax)
+          .map(m => m.key);
+      },
+
+      getCrewBonus(stage, crew) {
+        let bonus = 0;
+
+        crew.forEach(member => {
+          if (member.kind === 'gangster') {
+            // Matching specialty helps a lot, anyone else just adds a body
+            bonus += member.skill === stage.crewSkill ? member.skillLevel * 0.02 : 0.005;
+          } else {
+            // Inmate stats run 10-50 → up to +4% each
+            bonus += ((member.stats[stage.inmateStat] || 0) / 50) * 0.04;
+          }
+        });
+
+        // Crew check stage also leans on how much they trust you
+        if (stage.usesLoyalty && crew.length > 0) {
+          const avgLoyalty = crew.reduce((sum, m) => sum + m.loyalty, 0) / crew.length;
+          bonus += (avgLoyalty - 50) / 500; // -10% .. +10%
+        }
+
+        return Math.max(-this.MAX_CREW_BONUS, Math.min(this.MAX_CREW_BONUS, bonus));
+      },
+
+      getCrewCutRate(crew) {
+        return crew.reduce((sum, m) => sum + (m.kind === 'gangster' ? this.GANGSTER_CUT : this.INMATE_CUT), 0);
+      },
+
+      // Map a CRIME_OUTCOMES tier onto a stage status
+      getStageStatus(outcome) {
+        if (outcome.tier >= CRIME_OUTCOMES.MESSY_SUCCESS.tier) return 'success';
+        if (outcome.tier === CRIME_OUTCOMES.PARTIAL_FAILURE.tier) return 'partial';
+        return 'failed';
+      },
+
+      execute(crimeId, crewKeys) {
+        const check = CrimesSystem.canAttemptCrime(crimeId);
+        if (!check.canAttempt) {
+          console.log(`[Heist] Cannot attempt ${crimeId}: ${check.reason}`);
+          return null;
+        }
+
+        const crime = CrimesDatabase.crimes[crimeId];
+        if (!crime || !crime.heist) return null;
+
+        let crew = this.getCrewCandidates()
+          .filter(m => (crewKeys || []).includes(m.key))
+          .slice(0, crime.heist.crewMax);
+        if (crew.length < crime.heist.crewMin) {
+          console.log(`[Heist] ${crime.name} needs at least ${crime.heist.crewMin} crew`);
+          return null;
+        }
+
+        const rngState = RNG.snapshot();
+        const pos = GameState.character.position;
+        const potentialTake = CrimesSystem.calculateReward(crime.rewards.cash.min, crime.rewards.cash.max, 1);
+
+        const stages = [];
+        const consequences = [];
+        let take = 0;
+        let heatGain = 0;
+        let intelBonus = 0;
+        let stagesCleared = 0;
+        let worstTier = null;
+        let aborted = false;
+        let arrested = false;
+        const casualties = [];
+        const casualtyIds = [];
+
+        for (const stage of crime.heist.stages) {
+          if (aborted) {
+            stages.push({ id: stage.id, name: stage.name, icon: stage.icon, status: 'skipped' });
+            continue;
+          }
+
+          const chance = Math.max(0.05, Math.min(0.95,
+            CrimesSystem.calculateSuccessChance(crimeId, stage) + this.getCrewBonus(stage, crew) + intelBonus
+          ));
+          const succeeded = RNG.random('heists') < chance;
+          const outcome = OutcomeDeterminer.determineOutcome(succeeded, chance, crimeId, pos);
+          const status = this.getStageStatus(outcome);
+
+          ConsequenceSystem.applyConsequences(outcome, crime, pos, { skipSeizure: true }).forEach(c => consequences.push(c));
+          if (worstTier === null || outcome.tier < worstTier) worstTier = outcome.tier;
+          GameState.player.reputation += outcome.reputationChange;
+          heatGain += BiomeModifierCalculator.calculateHeatGain((stage.heat || 0) * outcome.heatMultiplier, pos);
+
+          const stageTake = Math.floor(potentialTake * (stage.lootShare || 0) * Math.max(0, outcome.cashMultiplier));
+          take += stageTake;
+
+          if (status !== 'failed') stagesCleared++;
+          if (status === 'success' && stage.intelBonus) intelBonus += stage.intelBonus;
+
+          if (status === 'failed') {
+            if (stage.critical) aborted = true;
+            if (stage.lossOnFailure) take = Math.floor(take * (1 - stage.lossOnFailure));
+
+            // Catastrophe: someone on the crew doesn't come home
+            if (outcome.tier === CRIME_OUTCOMES.CATASTROPHIC_FAILURE.tier) {
+              const gangsters = crew.filter(m => m.kind === 'gangster');
+              if (gangsters.length > 0) {
+                const victim = gangsters[Math.floor(RNG.random('heists') * gangsters.length)];
+                const owned = GameState.gangsters.owned.find(g => g.id === victim.refId);
+                if (owned) {
+                  owned.status = 'kia';
+                  GangsterSystem.memorialize(owned, crime.name);
+                }
+                casualties.push(victim.name);
+                casualtyIds.push(victim.refId);
+                // The dead don't work the later stages or take a cut
+                crew = crew.filter(m => m.key !== victim.key);
+              }
+              if (stage.arrestOnCatastrophe) {
+                arrested = true;
+                take = 0;
+              }
+            }
+          }
+
+          stages.push({
+            id: stage.id,
+            name: stage.name,
+            icon: stage.icon,
+            status: status,
+            outcome: outcome.name,
+            outcomeIcon: outcome.icon,
+            chance: chance,
+            take: stageTake
+          });
+        }
+
+        // One seizure roll per job, on its worst stage
+        if (worstTier !== null && worstTier <= 2) {
+          const seizure = Laundering.rollSeizure(worstTier);
+          if (seizure) consequences.push(seizure);
+        }
+
+        // Split the take: crew cuts first, the rest is yours
+        const crewCut = Math.floor(take * this.getCrewCutRate(crew));
+        const playerTake = Math.max(0, take - crewCut);
+
+        const xpShare = stagesCleared / crime.heist.stages.length;
+        const baseXP = Math.floor(CrimesSystem.calculateReward(crime.rewards.xp.min, crime.rewards.xp.max, 1) * xpShare);
+        const repReward = aborted ? 0 : Math.floor(CrimesSystem.calculateReward(crime.rewards.reputation.min, crime.rewards.reputation.max, 1) * xpShare);
+
+        const { appliedXP } = SecureEconomy.award({
+          dirtyDelta: playerTake,
+          baseXp: baseXP,
+          reason: `heist:${crimeId}`
+        });
+        GameState.player.reputation += repReward;
+
+        // Heat: stage heat plus the regular action-cycle heat
+        heatGain += ActionHeatSystem.trackAction(crimeId, heatGain);
+        GameState.player.heat = Math.min(100, GameState.player.heat + heatGain);
+        TurfTab.addSuspicion(heatGain * 0.5 * FatigueSystem.getSuspicionMultiplier(), crime.name);
+        if (aborted && crime.outcomes.failure && crime.outcomes.failure.globalHeatGain) {
+          TurfTab.addGlobalHeat(crime.outcomes.failure.globalHeatGain, `${crime.name} - aborted`);
+        }
+
+        // Surviving gangsters get credit for the job
+        if (!aborted) {
+          crew.filter(m => m.kind === 'gangster').forEach(m => {
+            const owned = GameState.gangsters.owned.find(g => g.id === m.refId);
+            if (owned) owned.missionsCompleted = (owned.missionsCompleted || 0) + 1;
+          });
+        }
+        GameState.gangsters.owned = GameState.gangsters.owned.filter(g => !casualtyIds.includes(g.id));
+
+        // Same bookkeeping as a regular crime attempt
+        const cooldownEnd = Date.now() + crime.costs.cooldown;
+        CrimesDatabase.cooldowns[crimeId] = cooldownEnd;
+        GameState.crimeCooldowns[crimeId] = cooldownEnd;
+        FatigueSystem.addFatigue('event', crime.name);
+        MapMemory.createHotspot(pos.x, pos.y, aborted ? 70 : 40, crime.name);
+        InvestigationSystem.recordCrime(crime, pos, aborted);
+
+        if (arrested) this.arrestPlayer(crime);
+
+        RNG.logEvent({
+          event: crime.name,
+          type: 'heist',
+          crimeId: crimeId,
+          stagesCleared: stagesCleared,
+          rng: rngState,
+          timestamp: Date.now()
+        });
+
+        TurfTab.updateHeatIndicator();
+        TurfTab.updateGlobalHeatDisplay();
+        ProfileTab.render();
+        Storage.save();
+        Storage.updateLeaderboard();
+        try { if (typeof CityNewsTicker !== 'undefined') CityNewsTicker.update(); } catch(e) {}
+
+        return {
+          crimeId: crime.id,
+          crimeName: crime.name,
+          icon: crime.icon,
+          heist: true,
+          outcome: aborted ? 'failure' : (stagesCleared === stages.length ? 'success' : 'partial_failure'),
+          stages: stages,
+          crew: crew.map(m => m.name),
+          casualties: casualties,
+          consequences: consequences,
+          arrested: arrested,
+          rewards: {
+            totalTake: take,
+            crewCut: crewCut,
+            cash: playerTake,
+            xp: appliedXP,
+            reputation: repReward
+          },
+          costs: {
+            heat: heatGain
+          }
+        };
+      },
+
+      arrestPlayer(crime) {
+        const heatMultiplier = 1 + (GameState.player.globalHeat / 100); // 1x to 2x
+        const jailDuration = Math.floor(this.ARREST_JAIL_MS * heatMultiplier);
+
+        GameState.player.jail.isJailed = true;
+        GameState.player.jail.releaseTime = Date.now() + jailDuration;
+        GameState.character.freeRoam = false;
+        GameState.player.history.push({
+          type: 'arrest',
+          timestamp: Date.now(),
+          duration: jailDuration,
+          cause: crime.name
+        });
+
+        try {
+          TurfTab.updateRoamButton();
+          TurfTab.showJailOverlay();
+        } catch (e) {}
+      },
+
+      // === PLANNER UI (crew selection) ===
+      openPlanner(crimeId) {
+        const crime = CrimesDatabase.crimes[crimeId];
+        if (!crime || !crime.heist) return;
+
+        const existing = document.getElementById('heist-planner-modal');
+        if (existing) existing.remove();
+
+        const candidates = this.getCrewCandidates();
+        const skillIcons = { combat: '⚔️', stealth: '🕵️', charisma: '🗣️', luck: '🍀' };
+
+        const modal = document.createElement('div');
+        modal.className = 'event-modal';
+        modal.id = 'heist-planner-modal';
+        modal.innerHTML = `
+          <div class="event-modal-content">
+            <div class="event-modal-icon">${crime.icon}</div>
+            <div class="event-modal-title">${crime.name}</div>
+            <div class="event-modal-description">Pick ${crime.heist.crewMin}-${crime.heist.crewMax} crew. Each member takes a cut.</div>
+
+            <div style="display: flex; gap: 6px; justify-content: center; margin-bottom: 16px; font-size: 11px; opacity: 0.8;">
+              ${crime.heist.stages.map(s => `<span>${s.icon} ${s.name}</span>`).join('<span>›</span>')}
+            </div>
+
+            <div style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 16px;">
+              ${candidates.map(m => `
+                <label class="gang-property" style="cursor: pointer;">
+                  <div style="display: flex; align-items: center; gap: 10px;">
+                    <input type="checkbox" class="heist-crew-toggle" value="${m.key}">
+                    <div>
+                      <div style="font-size: 14px;">${m.name}</div>
+                      <div style="font-size: 11px; opacity: 0.6;">
+                        ${m.kind === 'gangster'
+                          ? `${skillIcons[m.skill] || '⭐'} ${m.skill} Lv.${m.skillLevel} · Loyalty ${m.loyalty}%`
+                          : `⛓️ Inmate · PWR ${m.stats.power} STL ${m.stats.stealth} STR ${m.stats.strength} INT ${m.stats.intelligence}`}
+                      </div>
+                    </div>
+                  </div>
+                  <div style="font-size: 11px; color: #fdd663;">${Math.round((m.kind === 'gangster' ? this.GANGSTER_CUT : this.INMATE_CUT) * 100)}% cut</div>
+                </label>
+              `).join('')}
+            </div>
+
+            <div class="event-choices">
+              <button class="choice-btn" id="heist-start-btn" disabled style="opacity: 0.4;">
+                <span class="choice-icon">🎯</span>
+                <span class="choice-text">Start Heist</span>
+              </button>
+              <button class="choice-btn" id="heist-cancel-btn">
+                <span class="choice-icon">✖️</span>
+                <span class="choice-text">Cancel</span>
+              </button>
+            </div>
+          </div>
+        `;
+
+        document.getElementById('app').appendChild(modal);
+
+        const startBtn = document.getElementById('heist-start-btn');
+        const getSelected = () => Array.from(modal.querySelectorAll('.heist-crew-toggle:checked')).map(el => el.value);
+
+        modal.querySelectorAll('.heist-crew-toggle').forEach(box => {
+          box.addEventListener('change', () => {
+            let selected = getSelected();
+            if (selected.length > crime.heist.crewMax) {
+              box.checked = false;
+              selected = getSelected();
+            }
+            const ready = selected.length >= crime.heist.crewMin;
+            startBtn.disabled = !ready;
+            startBtn.style.opacity = ready ? '1' : '0.4';
+          });
+        });
+
+        startBtn.addEventListener('click', () => {
+          const result = this.execute(crimeId, getSelected());
+          modal.remove();
+          if (result) this.showResult(result);
+          CrimesTab.render();
+        });
+
+        document.getElementById('heist-cancel-btn').addEventListener('click', () => modal.remove());
+      },
+
+      showResult(result) {
+        const statusColors = { success: '#81c995', partial: '#ff9966', failed: '#f28b82', skipped: '#8a8a8a' };
+        const titleColor = result.outcome === 'success' ? '#81c995' : (result.outcome === 'failure' ? '#f28b82' : '#ff9966');
+
+        const modal = document.createElement('div');
+        modal.className = 'event-modal';
+        modal.id = 'heist-result-modal';
+        modal.innerHTML = `
+          <div class="event-modal-content">
+            <div class="raid-result">
+              <div class="raid-result-icon">${result.icon}</div>
+              <div class="raid-result-title" style="color: ${titleColor};">${result.crimeName}</div>
+              <div class="raid-result-description">Crew: ${result.crew.join(', ')}</div>
+
+              <div style="display: flex; flex-direction: column; gap: 6px; margin-bottom: 16px; text-align: left;">
+                ${result.stages.map(s => `
+                  <div class="gang-property" style="padding: 8px 12px;">
+                    <div style="font-size: 13px;">${s.icon} ${s.name}</div>
+                    <div style="font-size: 12px; color: ${statusColors[s.status]};">
+                      ${s.status === 'skipped' ? 'Skipped' : `${s.outcomeIcon} ${s.outcome} (${Math.round(s.chance * 100)}%)`}
+                    </div>
+                  </div>
+                `).join('')}
+              </div>
+
+              ${result.consequences.length > 0 ? `
+                <div style="margin: 12px 0; padding: 12px; background: rgba(242, 139, 130, 0.1); border-left: 3px solid #f28b82; border-radius: 4px; text-align: left;">
+                  ${result.consequences.map(c => `<div style="font-size: 12px; line-height: 1.4; margin-bottom: 4px;">${c.message}</div>`).join('')}
+                </div>
+              ` : ''}
+
+              ${result.casualties.length > 0 ? `
+                <div style="margin: 12px 0; font-size: 13px; color: #f28b82;">☠️ Lost: ${result.casualties.join(', ')}</div>
+              ` : ''}
+
+              ${result.arrested ? `
+                <div style="margin: 12px 0; font-size: 13px; color: #f28b82;">🚔 The getaway failed. You've been arrested.</div>
+              ` : ''}
+
+              <div class="raid-result-rewards">
+                <div class="reward-item">
+                  <span class="reward-label">Total Take</span>
+                  <span class="reward-value">$${result.rewards.totalTake.toLocaleString()}</span>
+                </div>
+                <div class="reward-item">
+                  <span class="reward-label">Crew Cut</span>
+                  <span class="reward-value reward-negative">-$${result.rewards.crewCut.toLocaleString()}</span>
+                </div>
+                <div class="reward-item">
+                  <span class="reward-label">Your Share</span>
+                  <span class="reward-value reward-positive">+$${result.rewards.cash.toLocaleString()}</span>
+                </div>
+                ${result.rewards.xp > 0 ? `
+                  <div class="reward-item">
+                    <span class="reward-label">XP</span>
+                    <span class="reward-value reward-positive">+${result.rewards.xp}</span>
+                  </div>
+                ` : ''}
+                <div class="reward-item">
+                  <span class="reward-label">Heat</span>
+                  <span class="reward-value reward-negative">+${result.costs.heat.toFixed(1)}%</span>
+                </div>
+              </div>
+
+              <button class="outcome-btn" id="close-heist-result">Continue</button>
+            </div>
+          </div>
+        `;
+
+        document.getElementById('app').appendChild(modal);
+
+        document.getElementById('close-heist-result')?.addEventListener('click', () => {
+          modal.remove();
+          updateSirenByHeat(GameState.player.heat);
+        });
+      }
+    };
+
     // ========================================
     // CORE: Fatigue System
     // ========================================
@@ -22429,7 +25089,7 @@ function ensureLandmarkProperties() {
       rollWithFairness(baseChance, type) {
         const modifier = this.getFairnessModifier(type);
         const adjustedChance = Math.max(0, Math.min(1, baseChance + modifier));
-        const roll = Math.random();
+        const roll = RNG.random('fairness');
         const success = roll < adjustedChance;
         
         // Record outcome
@@ -22766,6 +25426,7 @@ function ensureLandmarkProperties() {
             // Not logged in; skip saving to avoid leaking state between accounts
             return;
           }
+          GameState.lastSave = Date.now();
           localStorage.setItem(saveKey, JSON.stringify(GameState));
           console.log('Game saved to localStorage:', saveKey);
           
@@ -22908,6 +25569,226 @@ function ensureLandmarkProperties() {
     
     console.log('=== PHASE A: Storage Enhanced - COMPLETE ===');
 
+    // ========================================
+    // CORE: Offline Progress
+    // ========================================
+    // Most systems only tick while the tab is open. On load we replay the time
+    // since GameState.lastSave in one deterministic pass: gangster missions,
+    // drug lab jobs, inmate earnings, lay-low heat decay and property accrual.
+    // Rates mirror the live loops (InmateSystem.updateInmates, startHeatDecay,
+    // startGlobalHeatDecay, GangTab.startPropertyIncome).
+    const OfflineProgress = {
+      MIN_SUMMARY_MS: 60 * 1000,               // Shorter absences resolve silently
+      MAX_OFFLINE_MS: 7 * 24 * 60 * 60 * 1000,  // Same cap as property income
+      INMATE_TICK_MS: 10000,  INMATE_CASH_PER_TICK: 10,
+      HEAT_DECAY_MS: 5000,    GLOBAL_HEAT_DECAY_MS: 60000,
+
+      lastReport: null,
+
+      // Catch up from GameState.lastSave to `now`. Returns the report (or null).
+      run(now = Date.now()) {
+        const lastSave = GameState.lastSave;
+        if (!lastSave || now <= lastSave) return null;
+
+        const awayMs = now - lastSave;
+        const until = Math.min(now, lastSave + this.MAX_OFFLINE_MS);
+        const report = {
+          awayMs: awayMs,
+          missions: [],
+          drugJobs: [],
+          inmateCash: 0,
+          inmatesLeft: [],
+          heat: { before: GameState.player.heat || 0, after: GameState.player.heat || 0 },
+          globalHeat: { before: GameState.player.globalHeat || 0, after: GameState.player.globalHeat || 0 },
+          gangIncome: 0,
+          propertyIncome: 0,
+          propertyRaids: [],
+          laundered: { dirty: 0, clean: 0 }
+        };
+
+        // Missions resolve first, against the heat the player left with
+        this.resolveMissions(now, report);
+        this.resolveDrugJobs(now, report);
+        this.accrueInmates(lastSave, until, report);
+        this.decayHeat(lastSave, until, report);
+        this.accrueProperties(now, report);
+
+        GameState.lastSave = now;
+        Storage.save();
+
+        this.lastReport = report;
+        console.log(`[OfflineProgress] Caught up ${Math.round(awayMs / 1000)}s:`, report);
+
+        if (awayMs >= this.MIN_SUMMARY_MS && this.hasNews(report)) {
+          this.showSummary(report);
+        }
+        return report;
+      },
+
+      resolveMissions(now, report) {
+        if (!GameState.gangsters || typeof GangsterSystem === 'undefined') return;
+        const due = GameState.gangsters.activeMissions
+          .filter(m => now >= m.endTime)
+          .sort((a, b) => a.endTime - b.endTime);
+        if (due.length === 0) return;
+
+        GameState.gangsters.activeMissions = GameState.gangsters.activeMissions.filter(m => now < m.endTime);
+        due.forEach(mission => {
+          // Seeded per mission so the same save always yields the same outcome
+          const random = createSeededRandom(generateSeed('offline:' + mission.id));
+          GangsterSystem.resolveMission(mission, random, mission.endTime);
+          const result = GameState.gangsters.completedMissions.find(m => m.id === mission.id);
+          if (result) report.missions.push(result);
+        });
+      },
+
+      resolveDrugJobs(now, report) {
+        if (!GameState.drugLab || !Array.isArray(GameState.drugLab.jobs) || typeof DrugLabSystem === 'undefined') return;
+        if (!Array.isArray(GameState.drugLab.completed)) GameState.drugLab.completed = [];
+
+        GameState.drugLab.jobs.forEach(job => {
+          if (job.done || now < job.start + job.duration) return;
+          report.drugJobs.push(DrugLabSystem.completeJob(job, job.start + job.duration, GameState.drugLab));
+        });
+      },
+
+      accrueInmates(from, until, report) {
+        if (!GameState.inmates || !Array.isArray(GameState.inmates.recruited)) return;
+
+        GameState.inmates.recruited = GameState.inmates.recruited.filter(inmate => {
+          const end = Math.min(until, inmate.expiresAt || until);
+          if (inmate.mode === 'laylow' && end > from) {
+            const earned = Math.floor((end - from) / this.INMATE_TICK_MS) * this.INMATE_CASH_PER_TICK;
+            inmate.cashGenerated = (inmate.cashGenerated || 0) + earned;
+            report.inmateCash += earned;
+          }
+
+          if (inmate.expiresAt && until >= inmate.expiresAt) {
+            // Left while you were away - hand over what they made instead of losing it
+            GameState.player.cash += inmate.cashGenerated || 0;
+            report.inmatesLeft.push({ name: inmate.name, cash: inmate.cashGenerated || 0 });
+            return false;
+          }
+          return true;
+        });
+      },
+
+      // Heat only cools while the player was left laying low, same as the live loops
+      decayHeat(from, until, report) {
+        if (GameState.playerStatus !== 'laying_low') return;
+        const elapsed = until - from;
+
+        GameState.player.heat = Math.max(0, (GameState.player.heat || 0) - Math.floor(elapsed / this.HEAT_DECAY_MS));
+        GameState.player.globalHeat = Math.max(0, (GameState.player.globalHeat || 0) - Math.floor(elapsed / this.GLOBAL_HEAT_DECAY_MS));
+        report.heat.after = GameState.player.heat;
+        report.globalHeat.after = GameState.player.globalHeat;
+
+        try {
+          if (typeof TurfTab !== 'undefined') TurfTab.updatePoliceActivity();
+        } catch(e) {}
+      },
+
+      accrueProperties(now, report) {
+        // Gang properties pay into the vault per minute (GangTab.startPropertyIncome)
+        if (GameState.gang && Array.isArray(GameState.gang.properties)) {
+          GameState.gang.properties.forEach(prop => {
+            const income = Math.floor(prop.income * (now - prop.lastCollected) / 60000);
+            if (income > 0) {
+              report.gangIncome += income;
+              prop.lastCollected = now;
+            }
+          });
+          const posture = GangNetwork.POSTURES[GameState.gang.posture] || GangNetwork.POSTURES.balanced;
+          report.gangIncome = Math.floor(report.gangIncome * posture.income);
+          GangNetwork.adjustVault(report.gangIncome);
+        }
+
+        // Wear and raids first, then whatever real estate has waiting (net of upkeep)
+        report.propertyRaids = PropertyManager.tick(now).map(b => b.name);
+        report.laundered = Laundering.tick(now);
+        (GameState.propertyBuildings || []).forEach(building => {
+          report.propertyIncome += Math.max(0, getPropertyAccrual(building, now) - getPropertyUpkeep(building, now));
+        });
+      },
+
+      hasNews(report) {
+        return report.missions.length > 0 || report.drugJobs.length > 0 ||
+          report.inmateCash > 0 || report.inmatesLeft.length > 0 ||
+          report.heat.after < report.heat.before || report.globalHeat.after < report.globalHeat.before ||
+          report.gangIncome > 0 || report.propertyIncome > 0 || report.propertyRaids.length > 0 ||
+          report.laundered.dirty > 0;
+      },
+
+      formatAway(ms) {
+        const mins = Math.floor(ms / 60000);
+        const days = Math.floor(mins / 1440);
+        const hours = Math.floor((mins % 1440) / 60);
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${mins % 60}m`;
+        return `${mins}m`;
+      },
+
+      showSummary(report) {
+        const existing = document.getElementById('offline-summary-modal');
+        if (existing) existing.remove();
+        const app = document.getElementById('app');
+        if (!app) return;
+
+        const outcomeIcons = { success: '✅', injured: '🩹', kia: '💀', fled: '🏃', snitched: '🐀' };
+        const lines = [];
+        report.missions.forEach(m => {
+          const def = GangsterSystem.MISSION_TYPES[m.type];
+          const detail = m.outcome === 'success'
+            ? `+$${m.rewards.cash.toLocaleString()} · +${m.rewards.xp} XP (collect in Command Center)`
+            : m.outcome;
+          lines.push(`${outcomeIcons[m.outcome] || '•'} ${m.gangsterName} - ${def ? def.name : m.type}: ${detail}`);
+        });
+        report.drugJobs.forEach(label => lines.push(`🧪 ${label}`));
+        if (report.inmateCash > 0) lines.push(`⛓️ Inmates earned $${report.inmateCash.toLocaleString()}`);
+        report.inmatesLeft.forEach(i => lines.push(`👋 ${i.name} left (paid out $${i.cash.toLocaleString()})`));
+        if (report.heat.after < report.heat.before) lines.push(`🔥 Heat ${Math.round(report.heat.before)}% → ${Math.round(report.heat.after)}%`);
+        if (report.globalHeat.after < report.globalHeat.before) lines.push(`🌆 City heat ${Math.round(report.globalHeat.before)}% → ${Math.round(report.globalHeat.after)}%`);
+        if (report.gangIncome > 0) lines.push(`🏴 Gang properties paid $${report.gangIncome.toLocaleString()} into the vault`);
+        if (report.propertyIncome > 0) lines.push(`🏢 $${report.propertyIncome.toLocaleString()} rent waiting at your properties`);
+        report.propertyRaids.forEach(name => lines.push(`🚔 Police raided ${name} - income seized`));
+        if (report.laundered.dirty > 0) lines.push(`🧺 Fronts and fences washed $${report.laundered.dirty.toLocaleString()} dirty into $${report.laundered.clean.toLocaleString()} clean`);
+
+        const modal = document.createElement('div');
+        modal.className = 'event-modal';
+        modal.id = 'offline-summary-modal';
+        modal.innerHTML = `
+          <div class="event-modal-content">
+            <div class="event-modal-icon">🌙</div>
+            <div class="event-modal-title">While you were away</div>
+            <div class="event-modal-description">Gone for ${this.formatAway(report.awayMs)}</div>
+
+            <div style="display: flex; flex-direction: column; gap: 6px; margin-bottom: 16px; font-size: 13px; text-align: left; max-height: 50vh; overflow-y: auto;">
+              ${lines.map(line => `<div class="gang-property" style="padding: 8px 10px;">${line}</div>`).join('')}
+            </div>
+
+            <div class="event-choices">
+              <button class="choice-btn" id="offline-summary-close">
+                <span class="choice-icon">👍</span>
+                <span class="choice-text">Back to work</span>
+              </button>
+            </div>
+          </div>
+        `;
+
+        app.appendChild(modal);
+        document.getElementById('offline-summary-close').addEventListener('click', () => {
+          modal.remove();
+          if (typeof ProfileTab !== 'undefined') ProfileTab.render();
+        });
+      }
+    };
+
+    // Debug: pretend the last save was `minutes` ago and replay the catch-up
+    window.simulateOfflineProgress = function(minutes) {
+      GameState.lastSave = Date.now() - (minutes || 60) * 60000;
+      return OfflineProgress.run();
+    };
+
     // ========================================
     // UI: Tab System
     // ========================================
@@ -23235,6 +26116,7 @@ function ensureLandmarkProperties() {
             <div class="crime-card-icon"></div>
             <div class="crime-card-label">Cash</div>
             <div class="crime-card-value">$${player.cash.toLocaleString()}</div>
+            ${player.dirtyCash > 0 ? `<div style="font-size: 11px; color: #f87171;">🧺 $${Math.floor(player.dirtyCash).toLocaleString()} dirty</div>` : ''}
           </div>
           
           <div class="crime-card card-xp">
@@ -24039,6 +26921,7 @@ function ensureLandmarkProperties() {
         { id: 'fridge', type: 'decor', x: 355, y: 150, w: 35, h: 50, color: '#8a8a8a', label: 'Fridge' },
         { id: 'bed', type: 'decor', x: 310, y: 250, w: 70, h: 50, color: '#2d4a6f', label: 'Bed' },
         { id: 'command_center', type: 'command', x: 140, y: 160, w: 120, h: 60, color: '#1a3a1a', label: 'Command Center', interactive: true },
+        { id: 'memorial_wall', type: 'memorial', x: 8, y: 230, w: 16, h: 80, color: '#2a2420', label: 'Memorial', interactive: true },
         { id: 'rug', type: 'decor', x: 130, y: 240, w: 140, h: 80, color: '#8b4513', label: '' }
       ],
 
@@ -24405,6 +27288,60 @@ function ensureLandmarkProperties() {
             this.showFloatingText('Walk closer to interact', cc.x + cc.w / 2, cc.y);
           }
         }
+
+        // Memorial wall: same walk-up-and-tap interaction
+        const mw = this.furniture.find(f => f.id === 'memorial_wall');
+        if (mw) {
+          const inBounds = clickX >= mw.x - 10 && clickX <= mw.x + mw.w + 10 &&
+                           clickY >= mw.y && clickY <= mw.y + mw.h;
+          if (inBounds && mw._glowing) {
+            this.openMemorialWall();
+          } else if (inBounds) {
+            this.showFloatingText('Walk closer to interact', mw.x + 40, mw.y);
+          }
+        }
+      },
+
+      // Fallen crew, newest first
+      openMemorialWall() {
+        const existing = document.getElementById('memorial-wall-modal');
+        if (existing) existing.remove();
+
+        const fallen = GameState.gangsters.memorial || [];
+        const rows = fallen.map(m => {
+          const spec = m.specialization && GangsterSystem.SPECIALIZATIONS[m.specialization];
+          const traits = (m.traits || []).filter(t => GangsterSystem.TRAITS[t]).map(t => GangsterSystem.TRAITS[t].name).join(', ');
+          return `
+            <div class="memorial-plaque">
+              <div class="memorial-name">🕯️ ${m.name}</div>
+              <div class="memorial-details">
+                Lv.${m.level}${spec ? ' ' + spec.name : ''} · ${m.missionsCompleted} missions${traits ? ' · ' + traits : ''}
+              </div>
+              <div class="memorial-cause">Fell during ${m.cause} · ${new Date(m.diedAt).toLocaleDateString()}</div>
+            </div>
+          `;
+        }).join('');
+
+        const modal = document.createElement('div');
+        modal.id = 'memorial-wall-modal';
+        modal.className = 'command-center-modal';
+        modal.innerHTML = `
+          <div class="cc-modal-backdrop" id="memorial-modal-backdrop"></div>
+          <div class="cc-modal-panel">
+            <div class="cc-modal-header">
+              <span class="cc-modal-title">Memorial Wall</span>
+              <button class="cc-modal-close" id="memorial-modal-close">✕</button>
+            </div>
+            <div class="cc-modal-body">
+              ${rows || '<div class="cc-empty">No names on the wall. Keep it that way.</div>'}
+            </div>
+          </div>
+        `;
+        document.body.appendChild(modal);
+
+        const close = () => modal.remove();
+        document.getElementById('memorial-modal-close').addEventListener('click', close);
+        document.getElementById('memorial-modal-backdrop').addEventListener('click', close);
       },
 
       floatingTexts: [],
@@ -24438,6 +27375,7 @@ function ensureLandmarkProperties() {
           for (const f of this.furniture) {
             if (f.id === 'rug') continue;
             if (f.id === 'command_center') continue; // Can walk near command center
+            if (f.id === 'memorial_wall') continue; // Flush against the wall
             const pad = this.playerSize / 3;
             if (nx + pad > f.x && nx - pad < f.x + f.w &&
                 ny + pad > f.y && ny - pad < f.y + f.h) {
@@ -24475,6 +27413,14 @@ function ensureLandmarkProperties() {
           );
           cc._glowing = dist < 80;
         }
+        const mw = this.furniture.find(f => f.id === 'memorial_wall');
+        if (mw) {
+          const dist = Math.sqrt(
+            Math.pow(this.playerPos.x - (mw.x + mw.w / 2), 2) +
+            Math.pow(this.playerPos.y - (mw.y + mw.h / 2), 2)
+          );
+          mw._glowing = dist < 70;
+        }
       },
 
       render() {
@@ -24557,6 +27503,29 @@ function ensureLandmarkProperties() {
               ctx.font = `${Math.max(8, 9 * sx)}px monospace`;
               ctx.fillText('[ TAP TO OPEN ]', (f.x + f.w / 2) * sx, (f.y + f.h + 24) * sy);
             }
+          } else if (f.id === 'memorial_wall') {
+            // Memorial wall: dark plaque with a candle per fallen gangster
+            const fallen = (GameState.gangsters.memorial || []).length;
+            if (f._glowing) {
+              ctx.shadowColor = '#fbbf24';
+              ctx.shadowBlur = 12;
+            }
+            ctx.fillStyle = f.color;
+            ctx.fillRect(f.x * sx, f.y * sy, f.w * sx, f.h * sy);
+            ctx.shadowBlur = 0;
+            ctx.strokeStyle = '#6b5a3a';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(f.x * sx, f.y * sy, f.w * sx, f.h * sy);
+            ctx.fillStyle = '#fbbf24';
+            for (let c = 0; c < Math.min(fallen, 8); c++) {
+              ctx.fillRect((f.x + 6) * sx, (f.y + 6 + c * 9) * sy, 4 * sx, 4 * sy);
+            }
+            if (f._glowing) {
+              ctx.fillStyle = '#fbbf24';
+              ctx.font = `${Math.max(8, 9 * sx)}px monospace`;
+              ctx.textAlign = 'left';
+              ctx.fillText('[ TAP ]', (f.x + f.w + 4) * sx, (f.y + f.h / 2) * sy);
+            }
           } else if (f.type === 'sofa') {
             // Sofa
             ctx.fillStyle = f.color;
@@ -24687,8 +27656,53 @@ function ensureLandmarkProperties() {
         }
       },
 
+      // Personality traits, rolled at recruitment. riskMod shifts a mission's
+      // riskBase, loyaltyMod shifts the loyalty they join with.
+      TRAITS: {
+        reckless:   { name: 'Reckless',    icon: '🎲', riskMod: 0.05,  loyaltyMod: 0,   description: 'Takes chances nobody asked for' },
+        cautious:   { name: 'Cautious',    icon: '🐢', riskMod: -0.04, loyaltyMod: 0,   description: 'Checks every corner twice' },
+        loyal:      { name: 'Ride or Die', icon: '🤞', riskMod: 0,     loyaltyMod: 15,  description: 'Would never cross the family' },
+        greedy:     { name: 'Greedy',      icon: '🤑', riskMod: 0.02,  loyaltyMod: -12, description: 'Always counting your money' },
+        hothead:    { name: 'Hothead',     icon: '🔥', riskMod: 0.03,  loyaltyMod: 5,   description: 'Swings first, asks never' },
+        coolheaded: { name: 'Cool Head',   icon: '🧊', riskMod: -0.02, loyaltyMod: 5,   description: 'Keeps calm under fire' },
+        shady:      { name: 'Shady',       icon: '🐍', riskMod: -0.01, loyaltyMod: -20, description: 'Good at the job, bad at friendship' }
+      },
+
+      // Unlocked at SPECIALIZATION_LEVEL. Bonuses only apply to the listed missions.
+      SPECIALIZATIONS: {
+        driver: { name: 'Driver', icon: '🚗', missions: ['drug_run', 'heist'],          riskMod: -0.04, rewardMult: 1.0,  durationMult: 0.75, description: 'Faster runs, clean getaways' },
+        muscle: { name: 'Muscle', icon: '💪', missions: ['territory_grab', 'weapon_deal'], riskMod: -0.06, rewardMult: 1.1,  durationMult: 1.0,  description: 'Walks out of fights others die in' },
+        hacker: { name: 'Hacker', icon: '💻', missions: ['heist', 'weapon_deal'],       riskMod: -0.02, rewardMult: 1.25, durationMult: 1.0,  description: 'Alarms off, vaults open' },
+        fixer:  { name: 'Fixer',  icon: '🤝', missions: ['petty_crime', 'drug_run'],    riskMod: -0.03, rewardMult: 1.15, durationMult: 0.9,  description: 'Knows a guy for everything' }
+      },
+
+      // Cumulative XP needed for each level (index 0 = level 1)
+      LEVEL_XP: [0, 60, 160, 320, 560, 900, 1400, 2100],
+      SPECIALIZATION_LEVEL: 3,
+      INJURY_RECOVERY_MS: [5 * 60000, 15 * 60000, 30 * 60000], // light, serious, critical
+      MEMORIAL_LIMIT: 50,
+
+      // Below DISLOYAL_THRESHOLD a gangster starts skimming, leaking and eyeing the exits.
+      // Loyalty drifts toward getLoyaltyTarget() every LOYALTY_CHECK_MS, so gifts and
+      // discipline wear off; only raises move the target itself.
+      DISLOYAL_THRESHOLD: 35,
+      LOYALTY_CHECK_MS: 120000,
+      LOYALTY_DRIFT: 2,
+      MAX_SKIM: 0.5,           // Share of a mission's cash the least loyal gangster pockets
+      BETRAYAL_CHANCE: 0.15,   // Per check, at 0 loyalty; scales down to 0 at the threshold
+      DEFECT_BELOW: 15,
+      COUNTER_COOLDOWN_MS: 5 * 60000,
+      COUNTERS: {
+        raise:      { name: 'Pay Raise',  icon: '💵', loyalty: 5,  repCost: 5,  description: 'Permanently raises their loyalty ceiling' },
+        gift:       { name: 'Gift',       icon: '🎁', loyalty: 0,  repCost: 2,  description: 'Hand over Black Market goods' },
+        discipline: { name: 'Discipline', icon: '👊', loyalty: 20, repCost: 15, description: 'Fear works, for a while. Might break something.' }
+      },
+      RAISE_BASE_COST: 400,
+      MAX_RAISES: 4,
+
       init() {
         // Start mission tick timer
+        this.lastLoyaltyCheck = Date.now();
         this.tickInterval = setInterval(() => this.tick(), 1000);
         console.log('[GangsterSystem] Initialized');
       },
@@ -24718,8 +27732,9 @@ function ensureLandmarkProperties() {
       // === GANGSTER GENERATION (for shop) ===
       generateGangsterForSale() {
         const id = GameState.gangsters.nextId++;
-        const loyalty = this.calculateLoyalty();
         const name = this.NAMES[Math.floor(Math.random() * this.NAMES.length)];
+        const traits = this.rollTraits();
+        const loyalty = this.getRecruitLoyalty(traits);
 
         // Price scales with loyalty (loyal ones cost more)
         const basePrice = 500 + Math.floor(Math.random() * 1000);
@@ -24737,12 +27752,284 @@ function ensureLandmarkProperties() {
           price: price,
           primarySkill: primarySkill,
           skillLevel: skillLevel,
-          status: 'idle',      // 'idle', 'on_mission', 'kia', 'fled', 'snitched'
+          status: 'idle',      // 'idle', 'on_mission', 'managing', 'injured', 'kia', 'fled', 'snitched'
           missionsCompleted: 0,
-          hiredAt: Date.now()
+          hiredAt: Date.now(),
+          traits: traits,
+          xp: 0,
+          level: 1,
+          specialization: null,
+          scars: 0,
+          injuredUntil: 0
         };
       },
 
+      // === TRAITS ===
+      // One trait, with a 40% chance of a second
+      rollTraits() {
+        const keys = Object.keys(this.TRAITS);
+        const traits = [keys[Math.floor(RNG.random('gangsters') * keys.length)]];
+        if (RNG.random('gangsters') < 0.4) {
+          const rest = keys.filter(k => k !== traits[0]);
+          traits.push(rest[Math.floor(RNG.random('gangsters') * rest.length)]);
+        }
+        return traits;
+      },
+
+      getTraitMod(gangster, field) {
+        return (gangster.traits || []).reduce((sum, t) => sum + ((this.TRAITS[t] && this.TRAITS[t][field]) || 0), 0);
+      },
+
+      getRecruitLoyalty(traits) {
+        const mod = this.getTraitMod({ traits: traits }, 'loyaltyMod');
+        return Math.max(5, Math.min(100, this.calculateLoyalty() + mod));
+      },
+
+      // === LEVELING ===
+      getLevelForXp(xp) {
+        let level = 1;
+        while (level < this.LEVEL_XP.length && xp >= this.LEVEL_XP[level]) level++;
+        return level;
+      },
+
+      // Returns the new level if the gangster levelled up, otherwise null
+      addXp(gangster, amount) {
+        gangster.xp = (gangster.xp || 0) + Math.max(0, Math.round(amount));
+        const before = gangster.level || 1;
+        gangster.level = this.getLevelForXp(gangster.xp);
+        return gangster.level > before ? gangster.level : null;
+      },
+
+      canSpecialize(gangster) {
+        return !gangster.specialization && (gangster.level || 1) >= this.SPECIALIZATION_LEVEL;
+      },
+
+      specialize(gangsterId, specKey) {
+        const gangster = GameState.gangsters.owned.find(g => g.id === gangsterId);
+        const spec = this.SPECIALIZATIONS[specKey];
+        if (!gangster || !spec || !this.canSpecialize(gangster)) {
+          return { success: false, message: 'Cannot specialize right now!' };
+        }
+        gangster.specialization = specKey;
+        Storage.save();
+        return { success: true, message: `${gangster.name} is now your ${spec.name}!` };
+      },
+
+      // Specialization bonuses only kick in on the missions they're built for
+      getSpecFor(gangster, missionType) {
+        const spec = gangster.specialization && this.SPECIALIZATIONS[gangster.specialization];
+        return spec && spec.missions.includes(missionType) ? spec : null;
+      },
+
+      getMissionRisk(gangster, missionType) {
+        const missionDef = this.MISSION_TYPES[missionType];
+        const heat = GameState.player.globalHeat || 0;
+        const loyalty = gangster.loyalty || 50;
+        const spec = this.getSpecFor(gangster, missionType);
+
+        let risk = missionDef.riskBase + this.getTraitMod(gangster, 'riskMod');
+        risk += (heat / 100) * 0.15;            // High heat increases risk
+        risk -= (loyalty / 100) * 0.10;          // High loyalty reduces risk
+        risk -= (gangster.skillLevel || 1) * 0.02; // Skill reduces risk
+        risk -= ((gangster.level || 1) - 1) * 0.01; // Experience reduces risk
+        risk += (gangster.scars || 0) * 0.01;    // Old wounds slow them down
+        if (spec) risk += spec.riskMod;
+
+        return Math.max(0.02, Math.min(0.60, risk)); // Clamp between 2% and 60%
+      },
+
+      // === INJURY & PERMADEATH ===
+      recoverInjured(now) {
+        let recovered = false;
+        GameState.gangsters.owned.forEach(g => {
+          if (g.status === 'injured' && now >= (g.injuredUntil || 0)) {
+            g.status = 'idle';
+            g.injuredUntil = 0;
+            recovered = true;
+          }
+        });
+        return recovered;
+      },
+
+      injure(gangster, severity, at = Date.now()) {
+        gangster.status = 'injured';
+        gangster.injuredUntil = at + this.INJURY_RECOVERY_MS[severity];
+        gangster.scars = (gangster.scars || 0) + 1;
+      },
+
+      memorialize(gangster, cause, diedAt = Date.now()) {
+        const memorial = GameState.gangsters.memorial;
+        memorial.unshift({
+          id: gangster.id,
+          name: gangster.name,
+          level: gangster.level || 1,
+          specialization: gangster.specialization || null,
+          traits: gangster.traits || [],
+          missionsCompleted: gangster.missionsCompleted || 0,
+          cause: cause,
+          diedAt: diedAt
+        });
+        if (memorial.length > this.MEMORIAL_LIMIT) memorial.length = this.MEMORIAL_LIMIT;
+      },
+
+      // === LOYALTY & BETRAYAL ===
+      isActive(gangster) {
+        return ['idle', 'on_mission', 'managing', 'injured'].includes(gangster.status);
+      },
+
+      getLoyaltyTarget(gangster) {
+        const target = this.calculateLoyalty() + this.getTraitMod(gangster, 'loyaltyMod') +
+          (gangster.raises || 0) * this.COUNTERS.raise.loyalty;
+        return Math.max(5, Math.min(100, target));
+      },
+
+      isDisloyal(gangster) {
+        return (gangster.loyalty || 50) < this.DISLOYAL_THRESHOLD;
+      },
+
+      // 0 at the threshold, 1 at zero loyalty
+      getDisloyalty(gangster) {
+        return Math.max(0, (this.DISLOYAL_THRESHOLD - (gangster.loyalty || 50)) / this.DISLOYAL_THRESHOLD);
+      },
+
+      checkLoyalty(now, random = () => RNG.random('gangsters')) {
+        const crew = GameState.gangsters.owned.filter(g => this.isActive(g));
+        let changed = false;
+
+        crew.forEach(g => {
+          const target = this.getLoyaltyTarget(g);
+          const before = g.loyalty;
+          if (g.loyalty < target) g.loyalty = Math.min(target, g.loyalty + this.LOYALTY_DRIFT);
+          else if (g.loyalty > target) g.loyalty = Math.max(target, g.loyalty - this.LOYALTY_DRIFT);
+          if (g.loyalty !== before) changed = true;
+
+          if (!this.isDisloyal(g) || g.status === 'on_mission') return;
+          if (random() >= this.getDisloyalty(g) * this.BETRAYAL_CHANCE) return;
+
+          const rival = g.loyalty < this.DEFECT_BELOW ? this.findDefectionTarget() : null;
+          if (rival) this.defect(g, rival, now);
+          else this.leak(g, random);
+          changed = true;
+        });
+
+        if (changed) Storage.save();
+        return changed;
+      },
+
+      // A rival worth running to: at war first, then anyone we're not at peace with
+      findDefectionTarget() {
+        const relations = GameState.gangRelations || {};
+        const ids = Object.keys(relations).filter(id => relations[id].status !== 'truce' && relations[id].status !== 'alliance');
+        if (ids.length === 0) return null;
+        const id = ids.find(i => relations[i].status === 'war') || ids[0];
+        const gang = (GameState.publicGangs || []).find(pg => pg.id === id);
+        return { id: id, name: gang ? gang.name : 'a rival crew' };
+      },
+
+      leak(gangster, random = () => RNG.random('gangsters')) {
+        const heatGain = Math.round(8 + random() * 12);
+        GameState.player.heat = Math.min(100, (GameState.player.heat || 0) + heatGain);
+
+        // Big mouth on a hot day: the cops get enough for a manhunt
+        const manhunt = (GameState.player.globalHeat || 0) > 40 &&
+          !(GameState.cityState && GameState.cityState.manhuntActive) &&
+          random() < this.getDisloyalty(gangster);
+        try {
+          if (manhunt && typeof TurfTab !== 'undefined') TurfTab.triggerManhunt();
+        } catch(e) {}
+
+        try {
+          if (typeof CityNewsTicker !== 'undefined') {
+            CityNewsTicker.announce(manhunt
+              ? `🐀 Anonymous tip hands police ${GameState.player.name}'s hideout - manhunt underway`
+              : `🐀 Someone in ${GameState.player.name}'s crew is talking to the cops (+${heatGain} heat)`);
+          }
+        } catch(e) {}
+        console.log(`[GangsterSystem] ${gangster.name} leaked info (+${heatGain} heat${manhunt ? ', manhunt' : ''})`);
+      },
+
+      defect(gangster, rival, now = Date.now()) {
+        GameState.gangsters.owned = GameState.gangsters.owned.filter(g => g.id !== gangster.id);
+        GameState.gangsters.activeMissions = GameState.gangsters.activeMissions.filter(m => m.gangsterId !== gangster.id);
+
+        // They take what they know with them
+        if (typeof GangTab !== 'undefined') {
+          const relation = GangTab.getRelation(rival.id);
+          relation.heat = Math.min(100, (relation.heat || 0) + 15);
+          relation.lastAction = now;
+          GangTab.logWarEvent(`🐍 ${gangster.name} defected to ${rival.name}`, { timestamp: now });
+        }
+        try {
+          if (typeof CityNewsTicker !== 'undefined') {
+            CityNewsTicker.announce(`🐍 ${gangster.name} walks out on ${GameState.player.name} and joins ${rival.name}`);
+          }
+        } catch(e) {}
+        console.log(`[GangsterSystem] ${gangster.name} defected to ${rival.name}`);
+      },
+
+      // === COUNTERS: keep the crew in line ===
+      getRaiseCost(gangster) {
+        return this.RAISE_BASE_COST * ((gangster.raises || 0) + 1) * (gangster.level || 1);
+      },
+
+      // Most valuable Black Market item the player is holding, if any
+      getGiftItem() {
+        if (typeof MarketSystem === 'undefined') return null;
+        return MarketSystem.items
+          .filter(item => (GameState.marketInventory[item.id] || 0) > 0)
+          .sort((a, b) => b.basePrice - a.basePrice)[0] || null;
+      },
+
+      getCounterBlock(gangster, type) {
+        if (!this.isActive(gangster)) return 'Unavailable';
+        const wait = (gangster.lastCounterAt || 0) + this.COUNTER_COOLDOWN_MS - Date.now();
+        if (wait > 0) return `Wait ${Math.ceil(wait / 60000)}m`;
+        if (type === 'raise') {
+          if ((gangster.raises || 0) >= this.MAX_RAISES) return 'Max raises';
+          if (GameState.player.cash < this.getRaiseCost(gangster)) return 'Not enough cash';
+        }
+        if (type === 'gift' && !this.getGiftItem()) return 'No goods to give';
+        if (type === 'discipline' && gangster.status !== 'idle') return 'Busy';
+        return null;
+      },
+
+      applyCounter(gangsterId, type) {
+        const gangster = GameState.gangsters.owned.find(g => g.id === gangsterId);
+        const counter = this.COUNTERS[type];
+        if (!gangster || !counter) return { success: false, message: 'Unavailable!' };
+        const block = this.getCounterBlock(gangster, type);
+        if (block) return { success: false, message: block };
+
+        let message = '';
+        if (type === 'raise') {
+          const cost = this.getRaiseCost(gangster);
+          SecureEconomy.adjustCash(-cost, 'gangster_raise');
+          gangster.raises = (gangster.raises || 0) + 1;
+          gangster.loyalty = Math.min(100, gangster.loyalty + counter.loyalty);
+          message = `${gangster.name} got a raise (-$${cost.toLocaleString()})`;
+        } else if (type === 'gift') {
+          const item = this.getGiftItem();
+          GameState.marketInventory[item.id] -= 1;
+          MarketSystem.inventory[item.id] = GameState.marketInventory[item.id];
+          const boost = Math.max(5, Math.min(25, Math.round(item.basePrice / 20)));
+          gangster.loyalty = Math.min(100, gangster.loyalty + boost);
+          message = `${gangster.name} accepted your ${item.name} (+${boost} loyalty)`;
+        } else if (type === 'discipline') {
+          gangster.loyalty = Math.min(100, gangster.loyalty + counter.loyalty);
+          message = `${gangster.name} has been reminded who's boss`;
+          if (RNG.random('gangsters') < 0.3) {
+            this.injure(gangster, 0);
+            message += ' - and needs a few minutes to recover';
+          }
+        }
+
+        // The street notices how you treat your people
+        GameState.player.reputation = Math.max(0, (GameState.player.reputation || 0) - counter.repCost);
+        gangster.lastCounterAt = Date.now();
+        Storage.save();
+        return { success: true, message: `${message} (-${counter.repCost} rep)` };
+      },
+
       // === SHOP: Generate available gangsters ===
       getShopGangsters(count) {
         const available = [];
@@ -24760,7 +28047,7 @@ function ensureLandmarkProperties() {
 
         GameState.player.cash -= gangster.price;
         gangster.status = 'idle';
-        gangster.loyalty = this.calculateLoyalty(); // Recalculate at time of purchase
+        gangster.loyalty = this.getRecruitLoyalty(gangster.traits); // Recalculate at time of purchase
         GameState.gangsters.owned.push(gangster);
         Storage.save();
 
@@ -24781,13 +28068,15 @@ function ensureLandmarkProperties() {
 
         gangster.status = 'on_mission';
 
+        const spec = this.getSpecFor(gangster, missionType);
+        const duration = Math.round(missionDef.duration * (spec ? spec.durationMult : 1));
         const mission = {
           id: Date.now() + '_' + gangsterId,
           gangsterId: gangsterId,
           type: missionType,
           startTime: Date.now(),
-          duration: missionDef.duration,
-          endTime: Date.now() + missionDef.duration
+          duration: duration,
+          endTime: Date.now() + duration
         };
 
         GameState.gangsters.activeMissions.push(mission);
@@ -24815,42 +28104,63 @@ function ensureLandmarkProperties() {
           this.resolveMission(mission);
         }
 
+        const recovered = this.recoverInjured(now);
+
+        const contractsChanged = FixerContracts.tick(now);
+
+        let loyaltyChanged = false;
+        if (now - (this.lastLoyaltyCheck || 0) >= this.LOYALTY_CHECK_MS) {
+          this.lastLoyaltyCheck = now;
+          loyaltyChanged = this.checkLoyalty(now);
+        }
+
         // Re-render command center if it's open
-        if (completed.length > 0 && GameState.safehouseInterior.commandCenterOpen) {
+        if ((completed.length > 0 || recovered || loyaltyChanged || contractsChanged) && GameState.safehouseInterior.commandCenterOpen) {
           this.renderCommandCenterContent();
         }
       },
 
       // === RESOLVE COMPLETED MISSION ===
-      resolveMission(mission) {
+      // `random` / `resolvedAt` let OfflineProgress replay a mission deterministically
+      resolveMission(mission, random = () => RNG.random('gangsters'), resolvedAt = Date.now()) {
         const gangster = GameState.gangsters.owned.find(g => g.id === mission.gangsterId);
         if (!gangster) return;
 
         const missionDef = this.MISSION_TYPES[mission.type];
         if (!missionDef) return;
 
-        // Calculate outcome based on loyalty, heat, skill
-        const heat = GameState.player.globalHeat || 0;
+        // Calculate outcome based on loyalty, heat, skill, traits and experience
         const loyalty = gangster.loyalty || 50;
+        const risk = this.getMissionRisk(gangster, mission.type);
+        const spec = this.getSpecFor(gangster, mission.type);
 
-        // Risk factors
-        let risk = missionDef.riskBase;
-        risk += (heat / 100) * 0.15;            // High heat increases risk
-        risk -= (loyalty / 100) * 0.10;          // High loyalty reduces risk
-        risk -= (gangster.skillLevel || 1) * 0.02; // Skill reduces risk
-
-        risk = Math.max(0.02, Math.min(0.60, risk)); // Clamp between 2% and 60%
+        const roll = random();
 
-        const roll = Math.random();
-
-        if (roll < risk * 0.4) {
-          // KIA - gangster killed in action
+        if (roll < risk * 0.2) {
+          // KIA - gangster killed in action, goes on the memorial wall
           gangster.status = 'kia';
+          this.memorialize(gangster, missionDef.name, resolvedAt);
           GameState.gangsters.completedMissions.push({
             ...mission,
             outcome: 'kia',
             gangsterName: gangster.name,
-            resolvedAt: Date.now()
+            resolvedAt: resolvedAt
+          });
+        } else if (roll < risk * 0.4) {
+          // Injured - back at the safehouse, out of action for a while
+          const severity = Math.min(this.INJURY_RECOVERY_MS.length - 1, Math.floor(random() * this.INJURY_RECOVERY_MS.length));
+          this.injure(gangster, severity, resolvedAt);
+          const xpGain = Math.floor(missionDef.rewards.xpMin / 4);
+          const leveledUp = this.addXp(gangster, xpGain);
+          GameState.gangsters.completedMissions.push({
+            ...mission,
+            outcome: 'injured',
+            gangsterName: gangster.name,
+            severity: severity,
+            recoveryMs: this.INJURY_RECOVERY_MS[severity],
+            gangsterXp: xpGain,
+            leveledUp: leveledUp,
+            resolvedAt: resolvedAt
           });
         } else if (roll < risk * 0.7) {
           // Fled - gangster ran with the loot
@@ -24859,19 +28169,19 @@ function ensureLandmarkProperties() {
             ...mission,
             outcome: 'fled',
             gangsterName: gangster.name,
-            resolvedAt: Date.now()
+            resolvedAt: resolvedAt
           });
         } else if (roll < risk) {
           // Snitched - gangster got caught, adds heat
           gangster.status = 'snitched';
-          const heatGain = 5 + Math.random() * 10;
+          const heatGain = 5 + random() * 10;
           GameState.player.globalHeat = Math.min(100, GameState.player.globalHeat + heatGain);
           GameState.gangsters.completedMissions.push({
             ...mission,
             outcome: 'snitched',
             gangsterName: gangster.name,
             heatGain: Math.round(heatGain),
-            resolvedAt: Date.now()
+            resolvedAt: resolvedAt
           });
         } else {
           // Success!
@@ -24879,21 +28189,41 @@ function ensureLandmarkProperties() {
           gangster.missionsCompleted = (gangster.missionsCompleted || 0) + 1;
 
           // Calculate rewards
-          const cashReward = Math.floor(missionDef.rewards.cashMin + Math.random() * (missionDef.rewards.cashMax - missionDef.rewards.cashMin));
-          const xpReward = Math.floor(missionDef.rewards.xpMin + Math.random() * (missionDef.rewards.xpMax - missionDef.rewards.xpMin));
+          const cashReward = Math.floor(missionDef.rewards.cashMin + random() * (missionDef.rewards.cashMax - missionDef.rewards.cashMin));
+          const xpReward = Math.floor(missionDef.rewards.xpMin + random() * (missionDef.rewards.xpMax - missionDef.rewards.xpMin));
 
           // Loyalty bonus increases rewards slightly
           const loyaltyMultiplier = 1 + (loyalty - 50) / 200;
+          const specMultiplier = spec ? spec.rewardMult : 1;
+
+          // The gangster learns from every job they walk away from
+          const leveledUp = this.addXp(gangster, xpReward);
+
+          // Disloyal gangsters pocket part of the take before handing it over
+          const cash = Math.round(cashReward * loyaltyMultiplier * specMultiplier);
+          const skimmed = this.isDisloyal(gangster)
+            ? Math.round(cash * this.MAX_SKIM * this.getDisloyalty(gangster) * (0.5 + random() * 0.5))
+            : 0;
+          if (skimmed > 0) {
+            try {
+              if (typeof CityNewsTicker !== 'undefined') {
+                CityNewsTicker.announce(`💸 ${gangster.name} seen flashing cash that should be ${GameState.player.name}'s`);
+              }
+            } catch(e) {}
+          }
 
           GameState.gangsters.completedMissions.push({
             ...mission,
             outcome: 'success',
             gangsterName: gangster.name,
             rewards: {
-              cash: Math.round(cashReward * loyaltyMultiplier),
+              cash: cash - skimmed,
               xp: Math.round(xpReward * loyaltyMultiplier)
             },
-            resolvedAt: Date.now()
+            skimmed: skimmed,
+            gangsterXp: xpReward,
+            leveledUp: leveledUp,
+            resolvedAt: resolvedAt
           });
         }
 
@@ -24909,7 +28239,7 @@ function ensureLandmarkProperties() {
         GameState.gangsters.completedMissions.splice(idx, 1);
 
         if (mission.outcome === 'success' && mission.rewards) {
-          GameState.player.cash += mission.rewards.cash;
+          SecureEconomy.award({ dirtyDelta: mission.rewards.cash, reason: 'gangster_mission' });
           GameState.player.xp += mission.rewards.xp;
         }
 
@@ -24948,6 +28278,7 @@ function ensureLandmarkProperties() {
             </div>
             <div class="cc-modal-tabs">
               <button class="cc-tab active" data-cctab="missions">Missions</button>
+              <button class="cc-tab" data-cctab="contracts">Contracts</button>
               <button class="cc-tab" data-cctab="crew">My Crew</button>
               <button class="cc-tab" data-cctab="results">Results</button>
             </div>
@@ -24990,6 +28321,9 @@ function ensureLandmarkProperties() {
           case 'missions':
             this.renderMissionsTab(body);
             break;
+          case 'contracts':
+            FixerContracts.render(body);
+            break;
           case 'crew':
             this.renderCrewTab(body);
             break;
@@ -25037,7 +28371,8 @@ function ensureLandmarkProperties() {
           html += '<label class="cc-label">Gangster:</label>';
           html += '<select class="cc-select" id="cc-gangster-select">';
           for (const g of idleGangsters) {
-            html += `<option value="${g.id}">${g.name} (Loyalty: ${g.loyalty}%)</option>`;
+            const spec = g.specialization && this.SPECIALIZATIONS[g.specialization];
+            html += `<option value="${g.id}">${spec ? spec.icon + ' ' : ''}${g.name} Lv.${g.level || 1} (Loyalty: ${g.loyalty}%)</option>`;
           }
           html += '</select></div>';
 
@@ -25061,7 +28396,7 @@ function ensureLandmarkProperties() {
         } else if (GameState.gangsters.owned.filter(g => g.status !== 'kia' && g.status !== 'fled' && g.status !== 'snitched').length === 0) {
           html += '<div class="cc-empty">No gangsters in your crew yet. Buy some from the Gangsters tab in your Safehouse!</div>';
         } else {
-          html += '<div class="cc-empty">All gangsters are on missions. Wait for them to return.</div>';
+          html += '<div class="cc-empty">All gangsters are on missions or recovering. Wait for them to return.</div>';
         }
 
         container.innerHTML = html;
@@ -25094,29 +28429,77 @@ function ensureLandmarkProperties() {
 
         let html = '<div class="cc-section-title">Your Crew</div>';
         for (const g of owned) {
-          const statusClass = g.status === 'on_mission' ? 'cc-status-busy' : 'cc-status-idle';
-          const statusText = g.status === 'on_mission' ? 'On Mission' : 'Available';
+          const statusClass = g.status === 'injured' ? 'cc-status-injured'
+            : g.status === 'on_mission' || g.status === 'managing' ? 'cc-status-busy' : 'cc-status-idle';
+          const statusText = g.status === 'on_mission' ? 'On Mission'
+            : g.status === 'managing' ? 'Managing Property'
+            : g.status === 'injured' ? `Injured · ${Math.max(1, Math.ceil(((g.injuredUntil || 0) - Date.now()) / 60000))}m`
+            : 'Available';
           const skillIcons = { combat: '⚔️', stealth: '🕵️', charisma: '🗣️', luck: '🍀' };
+          const level = g.level || 1;
+          const spec = g.specialization && this.SPECIALIZATIONS[g.specialization];
+          const nextXp = this.LEVEL_XP[level];
+          const prevXp = this.LEVEL_XP[level - 1];
+          const xpPct = nextXp === undefined ? 100 : Math.round((((g.xp || 0) - prevXp) / (nextXp - prevXp)) * 100);
 
           html += `
             <div class="cc-crew-card">
               <div class="cc-crew-header">
-                <span class="cc-crew-name">${g.name}</span>
+                <span class="cc-crew-name">${spec ? spec.icon + ' ' : ''}${g.name} <span class="cc-crew-level">Lv.${level}${spec ? ' ' + spec.name : ''}</span></span>
                 <span class="cc-crew-status ${statusClass}">${statusText}</span>
               </div>
               <div class="cc-crew-stats">
                 <span>Loyalty: ${g.loyalty}%</span>
                 <span>${skillIcons[g.primarySkill] || '⭐'} ${g.primarySkill} Lv.${g.skillLevel}</span>
                 <span>Missions: ${g.missionsCompleted || 0}</span>
+                ${g.scars ? `<span>🩹 ${g.scars} scar${g.scars === 1 ? '' : 's'}</span>` : ''}
+              </div>
+              <div class="cc-crew-traits">
+                ${(g.traits || []).filter(t => this.TRAITS[t]).map(t => `<span class="cc-trait" title="${this.TRAITS[t].description}">${this.TRAITS[t].icon} ${this.TRAITS[t].name}</span>`).join('')}
               </div>
               <div class="cc-loyalty-bar">
                 <div class="cc-loyalty-fill" style="width:${g.loyalty}%; background:${g.loyalty > 70 ? '#4ade80' : g.loyalty > 40 ? '#fbbf24' : '#ef4444'}"></div>
               </div>
+              <div class="cc-xp-bar" title="${g.xp || 0} XP">
+                <div class="cc-xp-fill" style="width:${Math.max(0, Math.min(100, xpPct))}%"></div>
+              </div>
+              ${this.isDisloyal(g) ? '<div class="cc-disloyal-warning">⚠️ Disloyal - skimming, talking, maybe walking</div>' : ''}
+              <div class="cc-counter-row">
+                ${Object.entries(this.COUNTERS).map(([key, c]) => {
+                  const block = this.getCounterBlock(g, key);
+                  const label = key === 'raise' ? `${c.icon} ${c.name} $${this.getRaiseCost(g).toLocaleString()}` : `${c.icon} ${c.name}`;
+                  return `<button class="cc-counter-btn" data-gangster-id="${g.id}" data-counter="${key}" title="${block || c.description} (-${c.repCost} rep)" ${block ? 'disabled' : ''}>${label}</button>`;
+                }).join('')}
+              </div>
+              ${this.canSpecialize(g) ? `
+                <div class="cc-spec-picker">
+                  <div class="cc-spec-title">Choose a specialization</div>
+                  ${Object.entries(this.SPECIALIZATIONS).map(([key, s]) => `
+                    <button class="cc-spec-btn" data-gangster-id="${g.id}" data-spec="${key}" title="${s.description}">${s.icon} ${s.name}</button>
+                  `).join('')}
+                </div>
+              ` : ''}
             </div>
           `;
         }
 
         container.innerHTML = html;
+
+        container.querySelectorAll('.cc-counter-btn:not([disabled])').forEach(btn => {
+          btn.addEventListener('click', () => {
+            const result = this.applyCounter(parseInt(btn.dataset.gangsterId), btn.dataset.counter);
+            if (typeof TurfTab !== 'undefined') TurfTab.showTemporaryNotification(result.message);
+            this.renderCommandCenterContent();
+          });
+        });
+
+        container.querySelectorAll('.cc-spec-btn').forEach(btn => {
+          btn.addEventListener('click', () => {
+            const result = this.specialize(parseInt(btn.dataset.gangsterId), btn.dataset.spec);
+            if (typeof TurfTab !== 'undefined') TurfTab.showTemporaryNotification(result.message);
+            this.renderCommandCenterContent();
+          });
+        });
       },
 
       // === RESULTS TAB ===
@@ -25135,6 +28518,8 @@ function ensureLandmarkProperties() {
           let outcomeHtml = '';
           let outcomeClass = '';
 
+          const levelUpHtml = m.leveledUp ? `<div class="cc-result-levelup">⬆️ ${m.gangsterName} reached Lv.${m.leveledUp}!</div>` : '';
+
           switch (m.outcome) {
             case 'success':
               outcomeClass = 'cc-outcome-success';
@@ -25143,9 +28528,19 @@ function ensureLandmarkProperties() {
                   <span>💰 +$${m.rewards.cash}</span>
                   <span>⭐ +${m.rewards.xp} XP</span>
                 </div>
+                ${m.skimmed ? `<div class="cc-result-skim">💸 The count is light - $${m.skimmed} went missing</div>` : ''}
+                ${levelUpHtml}
                 <button class="cc-collect-btn" data-mission-id="${m.id}">Collect</button>
               `;
               break;
+            case 'injured':
+              outcomeClass = 'cc-outcome-injured';
+              outcomeHtml = `
+                <div class="cc-result-status">🩹 INJURED - ${m.gangsterName} made it back hurt, out for ${Math.round((m.recoveryMs || 0) / 60000)}m</div>
+                ${levelUpHtml}
+                <button class="cc-collect-btn cc-dismiss-btn" data-mission-id="${m.id}">Dismiss</button>
+              `;
+              break;
             case 'kia':
               outcomeClass = 'cc-outcome-kia';
               outcomeHtml = `
@@ -25239,6 +28634,9 @@ function ensureLandmarkProperties() {
                 <div class="gangster-shop-portrait">👤</div>
                 <div class="gangster-shop-name">${g.name}</div>
                 <div class="gangster-shop-skill">${skillIcons[g.primarySkill] || '⭐'} ${g.primarySkill} Lv.${g.skillLevel}</div>
+                <div class="cc-crew-traits">
+                  ${(g.traits || []).filter(t => this.TRAITS[t]).map(t => `<span class="cc-trait" title="${this.TRAITS[t].description}">${this.TRAITS[t].icon} ${this.TRAITS[t].name}</span>`).join('')}
+                </div>
                 <div class="gangster-shop-loyalty">
                   <span>Loyalty:</span>
                   <div class="cc-loyalty-bar" style="flex:1;margin-left:6px;">
@@ -25289,6 +28687,476 @@ function ensureLandmarkProperties() {
     };
 
 
+    // ================================================
+    // FIXER CONTRACTS
+    // Multi-step jobs from NPC fixers, run by a squad of gangsters.
+    // Each step resolves on a timer; its outcome picks the next step
+    // (automatically, or by player choice when a step offers several).
+    // Terminal steps pay cash, weapon parts, market goods or a
+    // discount on the next property purchase.
+    // ================================================
+    const FixerContracts = {
+      FIXERS: {
+        mama_lin: { name: 'Mama Lin', icon: '🀄' },
+        sal: { name: 'Sal the Broker', icon: '🎩' },
+        wire: { name: 'Wire', icon: '📟' }
+      },
+
+      // step.branches[outcome] lists the steps that may follow; several = player picks.
+      // A step with a reward ends the contract on success.
+      CONTRACTS: {
+        product_run: {
+          name: 'Product Run',
+          fixer: 'mama_lin',
+          description: 'Pick up a package at the docks and make it pay.',
+          squad: { min: 1, max: 3 },
+          deadlineMs: 20 * 60000,
+          penalty: { cash: 1500, rep: 20 },
+          start: 'pickup',
+          steps: {
+            pickup: { name: 'Pick Up the Package', icon: '📦', duration: 90000, risk: 0.15, spec: 'driver', branches: { success: ['deliver', 'cut_resell'], failure: ['recover'] } },
+            recover: { name: 'Get the Product Back', icon: '🔍', duration: 120000, risk: 0.25, spec: 'muscle', branches: { success: ['deliver'] } },
+            deliver: { name: 'Deliver as Agreed', icon: '🤝', duration: 90000, risk: 0.10, spec: 'driver', reward: { cash: 3000, xp: 60, rep: 10 } },
+            cut_resell: { name: 'Cut and Resell', icon: '⚗️', duration: 150000, risk: 0.30, spec: 'fixer', reward: { cash: 5000, xp: 80, market: { neuro_stim: 3 } } }
+          }
+        },
+        arms_pipeline: {
+          name: 'Arms Pipeline',
+          fixer: 'sal',
+          description: 'A truck full of hardware is passing through. Sal wants it gone.',
+          squad: { min: 2, max: 4 },
+          deadlineMs: 25 * 60000,
+          penalty: { cash: 2500, rep: 30 },
+          start: 'hijack',
+          steps: {
+            hijack: { name: 'Hijack the Shipment', icon: '🚚', duration: 120000, risk: 0.25, spec: 'muscle', branches: { success: ['strip_parts', 'flip_buyer'], failure: ['lose_tail'] } },
+            lose_tail: { name: 'Lose the Cops', icon: '🚓', duration: 90000, risk: 0.30, spec: 'driver', branches: { success: ['strip_parts'] } },
+            strip_parts: { name: 'Strip It for Parts', icon: '🔧', duration: 120000, risk: 0.10, spec: 'hacker', reward: { xp: 90, weaponParts: { barrels: 2, triggers: 1, magazines: 2 } } },
+            flip_buyer: { name: 'Flip to Sal\'s Buyer', icon: '💼', duration: 150000, risk: 0.20, spec: 'fixer', reward: { cash: 7000, xp: 100, rep: 15 } }
+          }
+        },
+        real_estate_squeeze: {
+          name: 'Real Estate Squeeze',
+          fixer: 'wire',
+          description: 'A landlord is sitting on prime property. Convince him to sell cheap.',
+          squad: { min: 1, max: 2 },
+          deadlineMs: 15 * 60000,
+          penalty: { cash: 1000, rep: 15 },
+          start: 'dig_dirt',
+          steps: {
+            dig_dirt: { name: 'Dig Up Dirt', icon: '🗂️', duration: 90000, risk: 0.15, spec: 'hacker', branches: { success: ['lean_on_owner'], failure: ['muscle_in'] } },
+            lean_on_owner: { name: 'Lean on the Owner', icon: '📞', duration: 60000, risk: 0.10, spec: 'fixer', reward: { cash: 1000, xp: 50, propertyDiscount: 0.20 } },
+            muscle_in: { name: 'Muscle In', icon: '👊', duration: 90000, risk: 0.30, spec: 'muscle', reward: { xp: 50, propertyDiscount: 0.10 } }
+          }
+        },
+        chip_job: {
+          name: 'Chip Job',
+          fixer: 'wire',
+          description: 'A server farm is storing more than data. Wire wants the chips.',
+          squad: { min: 2, max: 3 },
+          deadlineMs: 20 * 60000,
+          penalty: { cash: 2000, rep: 20 },
+          start: 'case_farm',
+          steps: {
+            case_farm: { name: 'Case the Server Farm', icon: '🛰️', duration: 90000, risk: 0.10, spec: 'hacker', branches: { success: ['pull_chips', 'plant_backdoor'] } },
+            pull_chips: { name: 'Pull the Chips', icon: '💾', duration: 120000, risk: 0.25, spec: 'driver', reward: { xp: 70, market: { data_chip: 3, plasma_cell: 2 } } },
+            plant_backdoor: { name: 'Plant a Backdoor', icon: '🐛', duration: 180000, risk: 0.35, spec: 'hacker', reward: { cash: 6000, xp: 110, market: { cyber_organ: 1 } } }
+          }
+        }
+      },
+
+      MAX_OFFERS: 3,
+      MAX_ACTIVE: 2,
+      OFFER_TTL_MS: 15 * 60000,
+      HISTORY_LIMIT: 10,
+      SQUAD_BONUS: 0.03,        // Risk reduction per member beyond the first
+      SPEC_BONUS: 0.05,         // Risk reduction when someone has the step's specialization
+      KIA_SHARE: 0.25,          // Share of failures where a member doesn't come back
+
+      getState() {
+        return GameState.fixerContracts;
+      },
+
+      // Keep the offer board topped up; expired offers drop off
+      refreshOffers(now = Date.now()) {
+        const state = this.getState();
+        state.offers = state.offers.filter(o => now - o.offeredAt < this.OFFER_TTL_MS && this.CONTRACTS[o.templateId]);
+        const keys = Object.keys(this.CONTRACTS);
+        while (state.offers.length < this.MAX_OFFERS) {
+          const taken = state.offers.map(o => o.templateId);
+          const pool = keys.filter(k => !taken.includes(k));
+          if (pool.length === 0) break;
+          state.offers.push({
+            id: 'c' + (state.nextId++),
+            templateId: pool[Math.floor(RNG.random('contracts') * pool.length)],
+            offeredAt: now
+          });
+        }
+      },
+
+      getSquad(contract) {
+        return contract.squad
+          .map(id => GameState.gangsters.owned.find(g => g.id === id))
+          .filter(Boolean);
+      },
+
+      getStepRisk(step, squad) {
+        if (squad.length === 0) return 1;
+        const heat = GameState.player.globalHeat || 0;
+        const avg = (fn) => squad.reduce((sum, g) => sum + fn(g), 0) / squad.length;
+
+        let risk = step.risk + avg(g => GangsterSystem.getTraitMod(g, 'riskMod'));
+        risk += (heat / 100) * 0.15;
+        risk -= (avg(g => g.loyalty || 50) / 100) * 0.10;
+        risk -= avg(g => (g.skillLevel || 1) * 0.02 + ((g.level || 1) - 1) * 0.01);
+        risk -= (squad.length - 1) * this.SQUAD_BONUS;
+        if (step.spec && squad.some(g => g.specialization === step.spec)) risk -= this.SPEC_BONUS;
+
+        return Math.max(0.03, Math.min(0.75, risk));
+      },
+
+      accept(offerId, gangsterIds) {
+        const state = this.getState();
+        const offer = state.offers.find(o => o.id === offerId);
+        const template = offer && this.CONTRACTS[offer.templateId];
+        if (!template) return { success: false, message: 'Offer expired!' };
+        if (state.active.length >= this.MAX_ACTIVE) return { success: false, message: `Max ${this.MAX_ACTIVE} contracts at once!` };
+
+        const squad = gangsterIds
+          .map(id => GameState.gangsters.owned.find(g => g.id === id))
+          .filter(g => g && g.status === 'idle');
+        if (squad.length < template.squad.min || squad.length > template.squad.max) {
+          return { success: false, message: `Needs a squad of ${template.squad.min}-${template.squad.max} available gangsters` };
+        }
+
+        const now = Date.now();
+        const contract = {
+          id: offer.id,
+          templateId: offer.templateId,
+          squad: squad.map(g => g.id),
+          acceptedAt: now,
+          deadline: now + template.deadlineMs,
+          stepId: null,
+          stepEndsAt: 0,
+          choices: null,
+          log: []
+        };
+        squad.forEach(g => { g.status = 'on_mission'; });
+        state.offers = state.offers.filter(o => o.id !== offerId);
+        state.active.push(contract);
+        this.startStep(contract, template.start, now);
+        Storage.save();
+
+        const fixer = this.FIXERS[template.fixer];
+        return { success: true, message: `${fixer.icon} ${fixer.name}: "${template.name}" is on` };
+      },
+
+      startStep(contract, stepId, now) {
+        const step = this.CONTRACTS[contract.templateId].steps[stepId];
+        contract.stepId = stepId;
+        contract.stepStartedAt = now;
+        contract.stepEndsAt = now + step.duration;
+        contract.choices = null;
+      },
+
+      choose(contractId, stepId) {
+        const contract = this.getState().active.find(c => c.id === contractId);
+        if (!contract || !contract.choices || !contract.choices.includes(stepId)) {
+          return { success: false, message: 'Not an option!' };
+        }
+        this.startStep(contract, stepId, Date.now());
+        Storage.save();
+        return { success: true, message: `Squad moving on: ${this.CONTRACTS[contract.templateId].steps[stepId].name}` };
+      },
+
+      tick(now = Date.now()) {
+        const state = this.getState();
+        if (!state) return false;
+        let changed = false;
+
+        state.active.slice().forEach(contract => {
+          if (now > contract.deadline) {
+            this.fail(contract, 'Missed the deadline', now);
+            changed = true;
+          } else if (!contract.choices && now >= contract.stepEndsAt) {
+            this.resolveStep(contract, now);
+            changed = true;
+          }
+        });
+
+        if (state.offers.length < this.MAX_OFFERS || state.offers.some(o => now - o.offeredAt >= this.OFFER_TTL_MS)) {
+          this.refreshOffers(now);
+        }
+        if (changed) Storage.save();
+        return changed;
+      },
+
+      resolveStep(contract, now, random = () => RNG.random('contracts')) {
+        const template = this.CONTRACTS[contract.templateId];
+        const step = template.steps[contract.stepId];
+        const squad = this.getSquad(contract);
+        const risk = this.getStepRisk(step, squad);
+        const roll = random();
+        const outcome = roll < risk ? 'failure' : 'success';
+        contract.log.push({ stepId: contract.stepId, outcome: outcome, at: now });
+
+        if (outcome === 'failure' && squad.length > 0) {
+          // Someone on the squad pays for it
+          const victim = squad[Math.floor(random() * squad.length)];
+          contract.squad = contract.squad.filter(id => id !== victim.id);
+          if (roll < risk * this.KIA_SHARE) {
+            victim.status = 'kia';
+            GangsterSystem.memorialize(victim, `${template.name}: ${step.name}`, now);
+            GameState.gangsters.owned = GameState.gangsters.owned.filter(g => g.id !== victim.id);
+            contract.log[contract.log.length - 1].casualty = `💀 ${victim.name}`;
+          } else {
+            GangsterSystem.injure(victim, Math.floor(random() * GangsterSystem.INJURY_RECOVERY_MS.length), now);
+            contract.log[contract.log.length - 1].casualty = `🩹 ${victim.name}`;
+          }
+          if (contract.squad.length === 0) {
+            this.fail(contract, 'Squad wiped out', now);
+            return;
+          }
+        }
+
+        if (outcome === 'success' && step.reward) {
+          this.complete(contract, step, now);
+          return;
+        }
+
+        const options = (step.branches && step.branches[outcome]) || [];
+        if (options.length === 0) {
+          this.fail(contract, `${step.name} failed`, now);
+        } else if (options.length === 1) {
+          this.startStep(contract, options[0], now);
+        } else {
+          contract.choices = options;
+          TurfTab.showTemporaryNotification(`📟 ${template.name}: your squad needs orders`);
+        }
+      },
+
+      releaseSquad(contract, xpEach) {
+        this.getSquad(contract).forEach(g => {
+          if (g.status === 'on_mission') g.status = 'idle';
+          if (xpEach > 0) {
+            g.missionsCompleted = (g.missionsCompleted || 0) + 1;
+            GangsterSystem.addXp(g, xpEach);
+          }
+        });
+      },
+
+      complete(contract, step, now) {
+        const template = this.CONTRACTS[contract.templateId];
+        const reward = step.reward;
+        const squad = this.getSquad(contract);
+        const gained = [];
+
+        // Disloyal squad members skim the cash, same as on solo missions
+        let cash = reward.cash || 0;
+        const worst = squad.reduce((max, g) => Math.max(max, GangsterSystem.getDisloyalty(g)), 0);
+        const skimmed = Math.round(cash * GangsterSystem.MAX_SKIM * worst);
+        cash -= skimmed;
+
+        SecureEconomy.award({
+          dirtyDelta: cash,
+          baseXp: reward.xp || 0,
+          reason: `contract:${contract.templateId}`
+        });
+        if (cash > 0) gained.push(`$${cash.toLocaleString()}`);
+        if (reward.rep) {
+          GameState.player.reputation += reward.rep;
+          gained.push(`+${reward.rep} rep`);
+        }
+
+        Object.entries(reward.weaponParts || {}).forEach(([part, qty]) => {
+          GameState.weaponParts[part] = (GameState.weaponParts[part] || 0) + qty;
+          gained.push(`${qty}x ${part}`);
+        });
+
+        Object.entries(reward.market || {}).forEach(([itemId, qty]) => {
+          GameState.marketInventory[itemId] = (GameState.marketInventory[itemId] || 0) + qty;
+          if (typeof MarketSystem !== 'undefined' && MarketSystem.inventory) {
+            MarketSystem.inventory[itemId] = GameState.marketInventory[itemId];
+          }
+          const item = typeof MarketSystem !== 'undefined' && MarketSystem.items.find(i => i.id === itemId);
+          gained.push(`${qty}x ${item ? item.name : itemId}`);
+        });
+
+        if (reward.propertyDiscount) {
+          const state = this.getState();
+          state.propertyDiscount = Math.max(state.propertyDiscount || 0, reward.propertyDiscount);
+          gained.push(`${Math.round(reward.propertyDiscount * 100)}% off your next property`);
+        }
+
+        this.releaseSquad(contract, Math.round((reward.xp || 0) / Math.max(1, squad.length)));
+        this.finish(contract, 'success', `Done via ${step.name}: ${gained.join(', ')}${skimmed ? ` ($${skimmed.toLocaleString()} skimmed)` : ''}`, now);
+        TurfTab.showTemporaryNotification(`✅ ${template.name} complete: ${gained.join(', ')}`);
+      },
+
+      fail(contract, reason, now) {
+        const template = this.CONTRACTS[contract.templateId];
+        const penalty = template.penalty;
+
+        // Fixers don't forget who cost them money
+        const fine = Math.min(penalty.cash, GameState.player.cash);
+        if (fine > 0) SecureEconomy.adjustCash(-fine, `contract_penalty:${contract.templateId}`);
+        GameState.player.reputation = Math.max(0, (GameState.player.reputation || 0) - penalty.rep);
+
+        this.releaseSquad(contract, 0);
+        this.finish(contract, 'failed', `${reason} - fined $${fine.toLocaleString()}, -${penalty.rep} rep`, now);
+        TurfTab.showTemporaryNotification(`❌ ${template.name} failed: ${reason}`);
+      },
+
+      finish(contract, outcome, summary, now) {
+        const state = this.getState();
+        state.active = state.active.filter(c => c.id !== contract.id);
+        state.history.unshift({
+          id: contract.id,
+          templateId: contract.templateId,
+          outcome: outcome,
+          summary: summary,
+          path: contract.log,
+          finishedAt: now
+        });
+        if (state.history.length > this.HISTORY_LIMIT) state.history.length = this.HISTORY_LIMIT;
+      },
+
+      // Applied by purchaseProperty; the discount is spent on the next purchase
+      getPropertyPrice(building) {
+        const discount = (this.getState() && this.getState().propertyDiscount) || 0;
+        return Math.round(building.price * (1 - discount));
+      },
+
+      consumePropertyDiscount() {
+        if (this.getState()) this.getState().propertyDiscount = 0;
+      },
+
+      describeReward(reward) {
+        const parts = [];
+        if (reward.cash) parts.push(`💰 $${reward.cash.toLocaleString()}`);
+        if (reward.weaponParts) parts.push('🔧 Weapon parts');
+        if (reward.market) parts.push('📦 ' + Object.keys(reward.market).map(id => {
+          const item = typeof MarketSystem !== 'undefined' && MarketSystem.items.find(i => i.id === id);
+          return item ? item.name : id;
+        }).join(', '));
+        if (reward.propertyDiscount) parts.push(`🏢 ${Math.round(reward.propertyDiscount * 100)}% property discount`);
+        return parts.join(' · ');
+      },
+
+      // Every reward reachable from a contract's start step
+      getPossibleRewards(template) {
+        return Object.values(template.steps).filter(s => s.reward).map(s => this.describeReward(s.reward));
+      },
+
+      // === COMMAND CENTER TAB ===
+      render(container) {
+        const state = this.getState();
+        this.refreshOffers();
+        const now = Date.now();
+        let html = '';
+
+        if (state.propertyDiscount > 0) {
+          html += `<div class="fc-discount">🏢 ${Math.round(state.propertyDiscount * 100)}% off your next property purchase</div>`;
+        }
+
+        if (state.active.length > 0) {
+          html += '<div class="cc-section-title">Active Contracts</div>';
+          state.active.forEach(contract => {
+            const template = this.CONTRACTS[contract.templateId];
+            const fixer = this.FIXERS[template.fixer];
+            const step = template.steps[contract.stepId];
+            const squad = this.getSquad(contract);
+            const progress = Math.min(100, ((now - contract.stepStartedAt) / step.duration) * 100);
+            const left = Math.max(0, Math.ceil((contract.deadline - now) / 60000));
+
+            html += `
+              <div class="cc-mission-active fc-contract">
+                <div class="cc-mission-header">
+                  <span>${fixer.icon} ${template.name}</span>
+                  <span class="fc-deadline">⏳ ${left}m left</span>
+                </div>
+                <div class="fc-path">${contract.log.map(l => `${template.steps[l.stepId].icon} ${l.outcome === 'success' ? '✓' : '✗'}${l.casualty ? ' ' + l.casualty : ''}`).join(' → ')}</div>
+                <div class="fc-squad">Squad: ${squad.map(g => g.name).join(', ')}</div>
+            `;
+            if (contract.choices) {
+              html += '<div class="fc-choice-title">Your call:</div><div class="fc-choices">';
+              contract.choices.forEach(id => {
+                const option = template.steps[id];
+                html += `
+                  <button class="fc-choice-btn" data-contract-id="${contract.id}" data-step="${id}">
+                    <span>${option.icon} ${option.name}</span>
+                    <span class="fc-choice-info">Risk ${Math.round(this.getStepRisk(option, squad) * 100)}%${option.reward ? ' · ' + this.describeReward(option.reward) : ''}</span>
+                  </button>
+                `;
+              });
+              html += '</div>';
+            } else {
+              html += `
+                <div class="cc-mission-header"><span>${step.icon} ${step.name}</span><span>Risk ${Math.round(this.getStepRisk(step, squad) * 100)}%</span></div>
+                <div class="cc-progress-bar"><div class="cc-progress-fill" style="width:${progress}%"></div></div>
+              `;
+            }
+            html += '</div>';
+          });
+        }
+
+        const idle = GameState.gangsters.owned.filter(g => g.status === 'idle');
+        html += '<div class="cc-section-title">Fixer Offers</div>';
+        state.offers.forEach(offer => {
+          const template = this.CONTRACTS[offer.templateId];
+          const fixer = this.FIXERS[template.fixer];
+          const first = template.steps[template.start];
+          html += `
+            <div class="cc-mission-card fc-offer" data-offer-id="${offer.id}">
+              <div class="cc-mission-name">${fixer.icon} ${template.name}</div>
+              <div class="fc-fixer">from ${fixer.name}</div>
+              <div class="cc-mission-desc">${template.description}</div>
+              <div class="cc-mission-info">
+                <span>👥 ${template.squad.min}-${template.squad.max}</span>
+                <span>⏳ ${template.deadlineMs / 60000}m</span>
+                <span>⚠️ -$${template.penalty.cash.toLocaleString()}</span>
+              </div>
+              <div class="fc-first-step">Opens with: ${first.icon} ${first.name}</div>
+              <div class="fc-rewards">${this.getPossibleRewards(template).map(r => `<div>${r}</div>`).join('')}</div>
+              <div class="fc-squad-picker">
+                ${idle.map(g => `<label class="fc-squad-option"><input type="checkbox" value="${g.id}"> ${g.name} Lv.${g.level || 1}</label>`).join('') || '<span class="fc-fixer">No idle gangsters</span>'}
+              </div>
+              <button class="cc-deploy-btn fc-accept-btn" data-offer-id="${offer.id}" ${idle.length < template.squad.min ? 'disabled' : ''}>Take the Job</button>
+            </div>
+          `;
+        });
+
+        if (state.history.length > 0) {
+          html += '<div class="cc-section-title">Past Contracts</div>';
+          state.history.slice(0, 5).forEach(h => {
+            const template = this.CONTRACTS[h.templateId];
+            html += `<div class="fc-history ${h.outcome}">${h.outcome === 'success' ? '✅' : '❌'} ${template ? template.name : h.templateId}: ${h.summary}</div>`;
+          });
+        }
+
+        container.innerHTML = html;
+
+        container.querySelectorAll('.fc-accept-btn:not([disabled])').forEach(btn => {
+          btn.addEventListener('click', () => {
+            const card = btn.closest('.fc-offer');
+            const ids = Array.from(card.querySelectorAll('input[type="checkbox"]:checked')).map(cb => parseInt(cb.value));
+            const result = this.accept(btn.dataset.offerId, ids);
+            TurfTab.showTemporaryNotification(result.message);
+            if (result.success) this.render(container);
+          });
+        });
+
+        container.querySelectorAll('.fc-choice-btn').forEach(btn => {
+          btn.addEventListener('click', () => {
+            const result = this.choose(btn.dataset.contractId, btn.dataset.step);
+            TurfTab.showTemporaryNotification(result.message);
+            this.render(container);
+          });
+        });
+      }
+    };
+
+
     // ================================================
     // FREE ROAM TOUCH CONTROLLER
     // Invisible joystick for player-controlled sprite movement
@@ -26225,6 +30093,7 @@ function ensureLandmarkProperties() {
         this.startGlobalHeatDecay();
         this.startLockdownCheck();
         this.startManhuntCheck();
+        PoliceOperations.start();
         
         // Start transition check system
         this.startTransitionCheck();
@@ -27066,6 +30935,9 @@ function ensureLandmarkProperties() {
         // Start touch-controlled movement
         FreeRoamController.start();
 
+        // Cops give chase once heat reaches a wanted level
+        PursuitSystem.start();
+
         console.log('Free roam started (touch-controlled)');
       },
 
@@ -27092,6 +30964,7 @@ function ensureLandmarkProperties() {
 
         // Stop touch controller
         FreeRoamController.stop();
+        PursuitSystem.stop();
 
         if (this.roamSprite) this.roamSprite.stop();
         console.log('Free roam stopped');
@@ -28431,6 +32304,9 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
       triggerRandomEvent() {
         if (!GameState.character.freeRoam || GameState.character.isDead) return;
         
+        // RNG position before any roll, so this event can be replayed
+        const rngState = RNG.snapshot();
+        
         // Check area risk at current position
         const pos = GameState.character.position;
         const areaRisk = MapMemory.getAreaRisk(pos.x, pos.y);
@@ -28440,7 +32316,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         const riskMultiplier = 1 + (areaRisk / 100); // Up to 2x in hot areas
         
         // Only trigger if risk check passes
-        if (Math.random() > baseEventChance * riskMultiplier) {
+        if (RNG.random('turfEvents') > baseEventChance * riskMultiplier) {
           this.scheduleNextEvent();
           return;
         }
@@ -28476,7 +32352,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
           }
         ];
         
-        const event = events[Math.floor(Math.random() * events.length)];
+        const event = events[Math.floor(RNG.random('turfEvents') * events.length)];
         
         // Pause free roam during event
         GameState.character.freeRoam = false;
@@ -28489,16 +32365,11 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         // Log event
         GameState.ui.lastEvent = event;
         
-        // Safety check: ensure eventLog exists
-        if (!GameState.ui.eventLog || !Array.isArray(GameState.ui.eventLog)) {
-          console.warn('[FreeRoam] eventLog not initialized, creating empty array');
-          GameState.ui.eventLog = [];
-        }
-        
-        GameState.ui.eventLog.push({
+        RNG.logEvent({
           event: event.title,
           timestamp: Date.now(),
-          position: { x: pos.x, y: pos.y }
+          position: { x: pos.x, y: pos.y },
+          rng: rngState
         });
         
         Storage.save();
@@ -28801,7 +32672,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         const modifiedEscapeChance = (escapeChance * zoneEscapeModifier) * (1 - suspicionModifier) - fatiguePenalty;
         
         // Use fairness-adjusted RNG
-        let escaped = Math.random() < modifiedEscapeChance;
+        let escaped = RNG.random('turfEvents') < modifiedEscapeChance;
         if (typeof RNGFairness !== 'undefined') {
           escaped = RNGFairness.rollWithFairness(modifiedEscapeChance, 'event');
         }
@@ -28822,8 +32693,8 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
             description: 'You managed to get away safely. That was close.',
             colorClass: 'outcome-success'
           };
-          cashChange = Math.floor((Math.random() * 100 + 50) * zoneRewardModifier); // Apply zone modifier
-          xpChange = Math.floor(Math.random() * 20) + 10;
+          cashChange = Math.floor((RNG.random('turfEvents') * 100 + 50) * zoneRewardModifier); // Apply zone modifier
+          xpChange = Math.floor(RNG.random('turfEvents') * 20) + 10;
           heatChange = 5;
           
           // Risky action increases suspicion (affected by fatigue)
@@ -28840,7 +32711,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
           }
         } else {
           // Failed escape - determine severity
-          const roll = Math.random();
+          const roll = RNG.random('turfEvents');
           
           if (roll < injuryChance / (injuryChance + deathChance)) {
             outcome = {
@@ -28850,8 +32721,8 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
               description: 'You escaped but took some damage. Be more careful.',
               colorClass: 'outcome-warning'
             };
-            cashChange = Math.floor(Math.random() * 50) + 20; // $20-70
-            xpChange = Math.floor(Math.random() * 10) + 5; // 5-15 XP
+            cashChange = Math.floor(RNG.random('turfEvents') * 50) + 20; // $20-70
+            xpChange = Math.floor(RNG.random('turfEvents') * 10) + 5; // 5-15 XP
             heatChange = 10; // Moderate heat
             
             const baseSuspicionGain = 5;
@@ -28874,7 +32745,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
               colorClass: 'outcome-danger'
             };
             cashChange = -Math.floor(GameState.player.cash * 0.1); // Lose 10% cash
-            xpChange = -Math.floor(Math.random() * 20); // Lose 0-20 XP
+            xpChange = -Math.floor(RNG.random('turfEvents') * 20); // Lose 0-20 XP
             heatChange = -20; // Heat drops on death
             
             // Death resets some suspicion and some fatigue
@@ -28895,7 +32766,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
               description: 'The cops got you. Time to serve your sentence.',
               colorClass: 'outcome-danger'
             };
-            cashChange = -Math.floor(Math.random() * 200) - 100; // Lose $100-300
+            cashChange = -Math.floor(RNG.random('turfEvents') * 200) - 100; // Lose $100-300
             xpChange = 0;
             heatChange = -50; // Heat resets in jail
             
@@ -29186,10 +33057,15 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
           }
         }
         
-        // Apply total drain (never go below zero)
-        if (totalDrain > 0 && GameState.player.cash > 0) {
-          const actualDrain = Math.min(totalDrain, GameState.player.cash);
-          GameState.player.cash -= actualDrain;
+        // Apply total drain (never go below zero). Street expenses come out of
+        // dirty cash first; clean cash only covers what's left.
+        const player = GameState.player;
+        const available = (player.dirtyCash || 0) + player.cash;
+        if (totalDrain > 0 && available > 0) {
+          const actualDrain = Math.min(totalDrain, available);
+          const fromDirty = Math.min(actualDrain, player.dirtyCash || 0);
+          if (fromDirty > 0) SecureEconomy.adjustDirty(-fromDirty, 'expenses');
+          player.cash -= actualDrain - fromDirty;
           
           // Log each drain
           drains.forEach(drain => {
@@ -29465,6 +33341,10 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         const timeText = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
         const sentenceText = minutes > 0 ? (minutes + 'm ' + seconds + 's') : (seconds + 's');
 
+        PrisonYard.ensure();
+        InmateSystem.meetCellmates();
+        const cellmates = GameState.inmates.available.filter(i => i.metInJail && i.metSentence === GameState.inmates.cellmatesSentence);
+
         // Stage templates
         overlay.innerHTML = `
           <div class="jail-stage jail-stage-intro" id="jail-stage-intro">
@@ -29509,6 +33389,8 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
             <div class="jail-actions" id="jail-actions">
               <button class="btn jail-btn jail-btn-breakout" id="jail-breakout-btn">Break out of Jail</button>
               <button class="btn jail-btn jail-btn-serve" id="jail-serve-btn">Keep Serving</button>
+              <button class="btn jail-btn jail-btn-choice" id="jail-yard-btn">Hit the Yard</button>
+              <button class="btn jail-btn jail-btn-choice" id="jail-court-btn">Call a Lawyer</button>
             </div>
           </div>
 
@@ -29527,12 +33409,37 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
             <div class="jail-timer" id="jail-timer-text">${timeText}</div>
             <div class="jail-timer-label">Time Remaining</div>
           </div>
+          ${cellmates.length ? `
+            <div class="jail-cellmates">
+              <div class="jail-sub small">Cellmates - bail them out at ${Math.round(InmateSystem.CELLMATE_DISCOUNT * 100)}% off from the Police Station</div>
+              ${cellmates.map(i => {
+                const spec = InmateSystem.getSpecialty(i);
+                return `<div class="jail-cellmate">👤 ${i.name}${spec ? ` · ${spec.icon} ${spec.name}` : ''}</div>`;
+              }).join('')}
+            </div>
+          ` : ''}
         
             <div class="jail-serve-footer">
+              <button class="btn jail-btn jail-btn-choice" id="jail-yard-btn-2">Hit the Yard</button>
+              <button class="btn jail-btn jail-btn-choice" id="jail-court-btn-2">Call a Lawyer</button>
               <button class="btn jail-btn jail-btn-breakout" id="jail-breakout-btn-2">Break out of Jail</button>
             </div>
           </div>
 
+          <div class="jail-stage jail-stage-yard" id="jail-stage-yard" style="display:none;">
+            <div class="jail-title">Prison Yard</div>
+            <div class="jail-sub">Release in <span id="jail-yard-timer">${timeText}</span></div>
+            <div id="jail-yard-content" class="jail-yard-content"></div>
+            <button class="btn jail-btn jail-btn-serve" id="jail-yard-back">Back to your cell</button>
+          </div>
+
+          <div class="jail-stage jail-stage-court" id="jail-stage-court" style="display:none;">
+            <div class="jail-title">Court Hearing</div>
+            <div class="jail-sub">Release in <span id="jail-court-timer">${timeText}</span></div>
+            <div id="jail-court-content" class="jail-yard-content"></div>
+            <button class="btn jail-btn jail-btn-serve" id="jail-court-back">Back to your cell</button>
+          </div>
+
           <div class="jail-stage jail-stage-breakout" id="jail-stage-breakout" style="display:none;">
             <div class="jail-breakout-header">
               <div class="jail-title">Breakout</div>
@@ -29585,6 +33492,8 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         const introStage = document.getElementById('jail-stage-intro');
         const serveStage = document.getElementById('jail-stage-serve');
         const breakoutStage = document.getElementById('jail-stage-breakout');
+        const yardStage = document.getElementById('jail-stage-yard');
+        const courtStage = document.getElementById('jail-stage-court');
         const self = this;
 
 
@@ -29644,7 +33553,11 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
           if (introStage) introStage.style.display = 'none';
           if (serveStage) serveStage.style.display = 'none';
           if (breakoutStage) breakoutStage.style.display = 'none';
+          if (yardStage) yardStage.style.display = 'none';
+          if (courtStage) courtStage.style.display = 'none';
           if (stage) stage.style.display = 'flex';
+          if (stage === yardStage) PrisonYard.render(document.getElementById('jail-yard-content'));
+          if (stage === courtStage) CourtSystem.render(document.getElementById('jail-court-content'));
 
           // IMPORTANT: While the mini-game is active, do NOT allow the sentence timer to auto-release the player.
           if (stage === breakoutStage) {
@@ -29674,6 +33587,18 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         const btnBreak2 = document.getElementById('jail-breakout-btn-2');
 
         if (btnServe) btnServe.addEventListener('click', () => showStage(serveStage));
+        ['jail-yard-btn', 'jail-yard-btn-2'].forEach(id => {
+          const btn = document.getElementById(id);
+          if (btn) btn.addEventListener('click', () => showStage(yardStage));
+        });
+        ['jail-court-btn', 'jail-court-btn-2'].forEach(id => {
+          const btn = document.getElementById(id);
+          if (btn) btn.addEventListener('click', () => showStage(courtStage));
+        });
+        ['jail-yard-back', 'jail-court-back'].forEach(id => {
+          const btn = document.getElementById(id);
+          if (btn) btn.addEventListener('click', () => showStage(serveStage));
+        });
         if (btnBreak1) btnBreak1.addEventListener('click', function(){ playWallBreakTransition(function(){ showStage(breakoutStage); }); });
         if (btnBreak2) btnBreak2.addEventListener('click', function(){ playWallBreakTransition(function(){ showStage(breakoutStage); }); });
 
@@ -30042,6 +33967,10 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
 
         const timeText = `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
         timerEl.textContent = timeText;
+        ['jail-yard-timer', 'jail-court-timer'].forEach(id => {
+          const el = document.getElementById(id);
+          if (el) el.textContent = timeText;
+        });
       },
 
       startJailCheck() {
@@ -30108,6 +34037,8 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         // Reset jail status
         GameState.player.jail.isJailed = false;
         GameState.player.jail.releaseTime = null;
+        GameState.player.jail.yard = null;
+        GameState.player.jail.hearing = null;
         
         // Remove overlay
         const overlay = document.getElementById('jail-overlay');
@@ -30387,6 +34318,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         
         this.showLockdownState();
         this.addGlobalHeat(0, "🚨 City lockdown initiated");
+        PoliceOperations.react('lockdown');
         
         Storage.save();
         console.log('Lockdown initiated - 2 minutes');
@@ -30466,6 +34398,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         
         this.showManhuntWarning();
         this.addGlobalHeat(10, "⚠️ Manhunt initiated");
+        PoliceOperations.react('manhunt');
         
         Storage.save();
         console.log('Manhunt triggered!');
@@ -31522,6 +35455,10 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
           ${this.renderCategories()}
         `;
         
+        container.querySelectorAll('.crime-catalog-retry-btn').forEach(btn => {
+          btn.addEventListener('click', () => this.retryCatalog());
+        });
+        
         // Add event listeners for crime buttons
         container.querySelectorAll('.crime-attempt-btn').forEach(btn => {
           btn.addEventListener('click', () => {
@@ -31542,6 +35479,13 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         this.startCooldownUpdates();
       },
       
+      // Back to "Loading crimes..." until the catalog arrives or fails again
+      retryCatalog() {
+        const reload = CrimeCatalog.load();
+        this.render();
+        reload.catch(() => {}).then(() => this.render());
+      },
+      
       startCooldownUpdates() {
         // Clear existing interval
         if (this.cooldownUpdateInterval) {
@@ -31647,6 +35591,18 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
       renderCategories() {
         let html = '';
         
+        if (!CrimeCatalog.loaded) {
+          if (CrimeCatalog.loadError) {
+            return `
+              <div class="gang-section" style="text-align: center;">
+                <div style="opacity: 0.7; margin-bottom: 10px;">⚠️ Couldn't load crimes: ${ChatSystem.escapeHtml(CrimeCatalog.loadError)}</div>
+                <button class="raid-btn crime-catalog-retry-btn">🔄 Retry</button>
+              </div>
+            `;
+          }
+          return '<div class="gang-section" style="text-align: center; opacity: 0.7;">Loading crimes...</div>';
+        }
+        
         Object.values(CrimesDatabase.categories).forEach(category => {
           const crimes = CrimesSystem.getCrimesByCategory(category.id);
           if (crimes.length === 0) return;
@@ -31716,6 +35672,12 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
               </div>
             </div>
             
+            ${crime.heist ? `
+              <div style="font-size: 11px; opacity: 0.7;">
+                ${crime.heist.stages.map(s => s.icon).join(' › ')} · Crew ${crime.heist.crewMin}-${crime.heist.crewMax}
+              </div>
+            ` : ''}
+            
             <button 
               class="crime-attempt-btn raid-btn" 
               data-crime-id="${crime.id}"
@@ -31731,6 +35693,12 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
       handleCrimeAttempt(crimeId) {
         console.log(`Attempting crime: ${crimeId}`);
         
+        // Heists open the crew planner instead of rolling immediately
+        if (CrimesDatabase.crimes[crimeId]?.heist) {
+          HeistSystem.openPlanner(crimeId);
+          return;
+        }
+        
         const result = CrimesSystem.attemptCrime(crimeId);
         
         if (!result) {
@@ -32372,6 +36340,8 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
           const cardBorder = isLegendary ? '#ff8c00' : (isWorking ? '#4a90e2' : '#3a3a3a');
           const cardBg = isLegendary ? 'rgba(255,140,0,0.12)' : '#2a2a2a';
           const legendaryBadge = isLegendary ? '<div style="color:#ff8c00;font-weight:800;font-size:11px;letter-spacing:1px;margin-top:2px;">🟧 LEGENDARY</div>' : '';
+          const spec = InmateSystem.getSpecialty(inmate);
+          const parole = Math.min(100, Math.round(inmate.paroleSuspicion || 0));
           
           return `
             <div style="background: ${cardBg}; padding: 14px; border-radius: 12px; border: 2px solid ${cardBorder};">
@@ -32379,7 +36349,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
                 <div>
                   <div style="font-weight: 600; font-size: 15px; margin-bottom: 4px;">👤 ${inmate.name}</div>${legendaryBadge}
                   <div style="font-size: 11px; color: #888;">
-                    ⏱️ ${timeDisplay} remaining
+                    ⏱️ ${timeDisplay} remaining${spec ? ` · ${spec.icon} ${spec.name}` : ''}
                   </div>
                 </div>
                 <div style="text-align: right;">
@@ -32401,6 +36371,11 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
                 <div>🧠 Intel: <strong>${inmate.intelligence}</strong></div>
               </div>
               
+              <div style="font-size: 11px; color: #888; margin-bottom: 4px;">📋 Parole officer attention: ${parole}%</div>
+              <div style="height: 4px; background: #1a1a1a; border-radius: 2px; overflow: hidden; margin-bottom: 10px;">
+                <div style="height: 100%; width: ${parole}%; background: ${parole > 70 ? '#ef4444' : parole > 40 ? '#fbbf24' : '#4ade80'};"></div>
+              </div>
+              
               <div style="display: flex; gap: 6px;">
                 ${isWorking ? `
                   <button class="choice-btn" onclick="toggleInmateWorkMode('${inmate.id}')" style="flex: 1; padding: 8px; font-size: 12px; background: #3a3a3a;">
@@ -32798,6 +36773,1188 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
       }
     };
 
+    // ========================================
+    // GANGS: Firebase Network
+    // ========================================
+    // Player gangs live in the Realtime Database:
+    //   gangs/{gangId}: { name, flag, color, bossId, createdAt, vault,
+    //     members/{uid}:  { name, role, joinedAt }   role: boss | lieutenant | soldier
+    //     invites/{uid}:  { name, invitedBy, timestamp }
+    //     requests/{uid}: { name, timestamp }
+    //     ledger/{uid}:   { type, amount, at }  (a member's last vault change) }
+    //   userGangs/{uid}: gangId            (which gang a player is in)
+    //   userInvites/{uid}/{gangId}: true   (open invites for a player)
+    //   gangWarLogs/{gangId}/{entryId}      (shared war log, raids write both sides)
+    //   raidCooldowns/{uid}: timestamp      (last raid launched by a player)
+    // database.rules.json only lets officers (boss, lieutenant) change
+    // membership. GameState.gang mirrors the live node; properties and health
+    // stay local to each member's save. Without Firebase, gangs stay local.
+    const GangNetwork = {
+      ROLE_RANK: { boss: 0, lieutenant: 1, soldier: 2 },
+      ROLE_LABELS: { boss: 'Boss', lieutenant: 'Lieutenant', soldier: 'Soldier' },
+      DIRECTORY_LIMIT: 50,
+
+      // Raids are asynchronous: the attacker resolves against the defender's
+      // published member power and posture. Cooldown, shields and the loot cap
+      // are mirrored in database.rules.json.
+      POSTURES: {
+        balanced:   { label: 'Balanced',   icon: '⚖️', defense: 1.0,  loot: 0.10, counter: 1, income: 1.0 },
+        fortified:  { label: 'Fortified',  icon: '🛡️', defense: 1.35, loot: 0.06, counter: 1, income: 0.75 },
+        aggressive: { label: 'Aggressive', icon: '🗡️', defense: 0.85, loot: 0.14, counter: 2, income: 1.0 }
+      },
+      RAID_COOLDOWN_MS: 10 * 60 * 1000,
+      SHIELD_AFTER_SUCCESS_MS: 2 * 60 * 60 * 1000,
+      SHIELD_AFTER_FAILURE_MS: 15 * 60 * 1000,
+      NEW_GANG_SHIELD_MS: 24 * 60 * 60 * 1000,
+      WAR_LOG_LIMIT: 50,
+      VAULT_STEP_MAX: 50000,     // Largest increase database.rules.json accepts per write
+      VAULT_RETRY_MS: 2000,
+      // Placeholder gangs shipped in older saves (never existed online)
+      LEGACY_NPC_GANGS: ['crimson_syndicate', 'shadow_collective', 'iron_brotherhood'],
+
+      gangId: null,
+      gangRef: null,
+      invitesRef: null,
+      invites: [],       // [{ gangId, name, flag }]
+      pending: {},       // gangId -> ref on our member slot while a join request is open
+      pendingVault: 0,
+      vaultBusy: false,
+      warLogRef: null,
+      lastRaidAt: 0,
+
+      isOnline() {
+        return !!(firebaseReady && database && window.auth && window.auth.currentUser);
+      },
+
+      uid() {
+        return this.isOnline() ? window.auth.currentUser.uid : null;
+      },
+
+      myName() {
+        return GameState.player.name || 'Unknown';
+      },
+
+      // Role of the local player in GameState.gang ('boss' for offline gangs)
+      getMyRole() {
+        const gang = GameState.gang;
+        if (!gang) return null;
+        const ids = [this.uid(), 'player'];
+        const me = gang.members.find(m => ids.includes(m.id));
+        if (!me) return null;
+        // Saves from before roles: 'Leader' / 'Member'
+        if (me.role === 'Leader') return 'boss';
+        if (me.role === 'Member') return 'soldier';
+        return me.role;
+      },
+
+      isOfficer() {
+        const role = this.getMyRole();
+        return role === 'boss' || role === 'lieutenant';
+      },
+
+      // Hook up after sign-in: find our gang, watch invites, load the directory
+      connect() {
+        if (!this.isOnline()) return Promise.resolve();
+        const uid = this.uid();
+        this.disconnect();
+
+        this.watchInvites();
+        TerritoryControl.watch();
+        GangDiplomacy.watch();
+        database.ref(`raidCooldowns/${uid}`).once('value')
+          .then(snapshot => { this.lastRaidAt = snapshot.val() || 0; })
+          .catch(() => {});
+
+        return this.loadDirectory()
+          .then(() => database.ref(`userGangs/${uid}`).once('value'))
+          .then(snapshot => {
+            let gangId = snapshot.val();
+
+            // Approved while we were offline: the index isn't written yet
+            if (!gangId) {
+              const found = this.directoryRaw.find(g => g.members && g.members[uid]);
+              if (found) gangId = found.id;
+            }
+
+            if (gangId) return this.subscribe(gangId);
+            return this.migrateLocalGang();
+          })
+          .catch(err => console.warn('[GangNetwork] Connect failed:', err));
+      },
+
+      disconnect() {
+        if (this.gangRef) this.gangRef.off();
+        if (this.invitesRef) this.invitesRef.off();
+        if (this.warLogRef) this.warLogRef.off();
+        TerritoryControl.unwatch();
+        GangDiplomacy.unwatch();
+        Object.values(this.pending).forEach(ref => ref.off());
+        this.gangRef = null;
+        this.invitesRef = null;
+        this.warLogRef = null;
+        this.gangId = null;
+        this.pending = {};
+        this.invites = [];
+      },
+
+      // Gangs created before multiplayer were local-only; publish the ones we
+      // lead and drop memberships in the old placeholder gangs
+      migrateLocalGang() {
+        const gang = GameState.gang;
+        if (!gang) return Promise.resolve();
+
+        if (this.LEGACY_NPC_GANGS.includes(gang.id)) {
+          console.log('[GangNetwork] Leaving placeholder gang:', gang.name);
+          GameState.gang = null;
+          Storage.save();
+          return Promise.resolve();
+        }
+        if (gang.id.startsWith('player_gang_') && this.getMyRole() === 'boss') {
+          console.log('[GangNetwork] Publishing local gang:', gang.name);
+          return this.create(gang.name, gang.flag, gang.color, gang);
+        }
+        return Promise.resolve();
+      },
+
+      directoryRaw: [],
+
+      // Gang list for the join modal; cached into GameState.publicGangs
+      loadDirectory() {
+        if (!this.isOnline()) return Promise.resolve([]);
+        return database.ref('gangs').orderByChild('createdAt').limitToLast(this.DIRECTORY_LIMIT).once('value')
+          .then(snapshot => {
+            const data = snapshot.val() || {};
+            this.directoryRaw = Object.keys(data).map(id => Object.assign({ id: id }, data[id]));
+            GameState.publicGangs = this.directoryRaw
+              .filter(g => g.id !== this.gangId)
+              .map(g => this.toDirectoryEntry(g.id, g));
+            return GameState.publicGangs;
+          });
+      },
+
+      toDirectoryEntry(gangId, g) {
+        const defense = g.defense || {};
+        return {
+          id: gangId,
+          name: g.name,
+          flag: g.flag,
+          color: g.color,
+          memberCount: Object.keys(g.members || {}).length,
+          vault: g.vault || 0,
+          health: 100,
+          createdAt: g.createdAt || 0,
+          posture: defense.posture || 'balanced',
+          shieldUntil: defense.raid ? defense.raid.shieldUntil || 0 : 0,
+          oathbrokenUntil: g.oathbrokenUntil || 0,
+          strength: this.getGangStrength(Object.values(g.members || {}))
+        };
+      },
+
+      subscribe(gangId) {
+        if (this.gangRef) this.gangRef.off();
+        this.gangId = gangId;
+        this.gangRef = database.ref(`gangs/${gangId}`);
+        this.gangRef.on('value', snapshot => this.applySnapshot(gangId, snapshot.val()));
+        this.flushVault();
+
+        if (this.warLogRef) this.warLogRef.off();
+        this.warLogRef = database.ref(`gangWarLogs/${gangId}`).limitToLast(this.WAR_LOG_LIMIT);
+        this.warLogRef.on('child_added', snapshot => this.receiveWarLog(snapshot.key, snapshot.val()));
+        return database.ref(`userGangs/${this.uid()}`).set(gangId);
+      },
+
+      applySnapshot(gangId, data) {
+        const uid = this.uid();
+        if (!data || !data.members || !data.members[uid]) {
+          this.handleRemoved(data);
+          return;
+        }
+
+        const local = GameState.gang && GameState.gang.id === gangId ? GameState.gang : null;
+        const toList = obj => Object.keys(obj || {}).map(id => Object.assign({ id: id }, obj[id]));
+        const defense = data.defense || {};
+
+        GameState.gang = {
+          id: gangId,
+          name: data.name,
+          flag: data.flag,
+          color: data.color || '#8ab4f8',
+          bossId: data.bossId,
+          vault: data.vault || 0,
+          health: local ? local.health : 100,
+          members: toList(data.members).sort((a, b) =>
+            (this.ROLE_RANK[a.role] - this.ROLE_RANK[b.role]) || (a.joinedAt - b.joinedAt)),
+          invites: toList(data.invites),
+          requests: toList(data.requests),
+          properties: local ? local.properties : [
+            { id: 'safehouse_base', name: 'Safe House', icon: '🏠', income: 50, lastCollected: Date.now() }
+          ],
+          createdAt: data.createdAt,
+          posture: defense.posture || 'balanced',
+          shieldUntil: defense.raid ? defense.raid.shieldUntil || 0 : 0,
+          oathbrokenUntil: data.oathbrokenUntil || 0,
+          // Raids older than our membership were someone else's problem
+          lastRaidApplied: local ? local.lastRaidApplied || 0 : Date.now(),
+          live: true
+        };
+
+        this.publishPower(data.members[uid].power);
+        GangDiplomacy.sync();
+        Storage.save();
+        if (GameState.ui.activeTab === 'gang') GangTab.render();
+      },
+
+      // Kicked, gang disbanded, or left from another device
+      handleRemoved(data) {
+        const name = (data && data.name) || (GameState.gang && GameState.gang.name) || 'your gang';
+        if (this.gangRef) this.gangRef.off();
+        this.gangRef = null;
+        this.gangId = null;
+        database.ref(`userGangs/${this.uid()}`).remove().catch(() => {});
+
+        if (GameState.gang) {
+          GameState.gang = null;
+          GangTab.logWarEvent(`🚪 You are no longer a member of ${name}.`);
+          try { TurfTab.showTemporaryNotification(`🚪 You are no longer in ${name}`); } catch (e) {}
+          Storage.save();
+        }
+        if (GameState.ui.activeTab === 'gang') GangTab.render();
+      },
+
+      watchInvites() {
+        if (this.invitesRef) this.invitesRef.off();
+        this.invitesRef = database.ref(`userInvites/${this.uid()}`);
+        this.invitesRef.on('value', snapshot => {
+          const gangIds = Object.keys(snapshot.val() || {});
+          Promise.all(gangIds.map(id =>
+            database.ref(`gangs/${id}`).once('value').then(s => {
+              const g = s.val();
+              return g ? { gangId: id, name: g.name, flag: g.flag } : null;
+            })
+          )).then(list => {
+            this.invites = list.filter(Boolean);
+            if (GameState.ui.activeTab === 'gang' && !GameState.gang) GangTab.render();
+          });
+        });
+      },
+
+      // === MEMBERSHIP ===
+      create(name, flag, color, legacy) {
+        const uid = this.uid();
+        const gangId = database.ref('gangs').push().key;
+        const now = Date.now();
+        const gang = {
+          name: name,
+          flag: flag,
+          color: color,
+          bossId: uid,
+          createdAt: now,
+          vault: 0,
+          members: { [uid]: { name: this.myName(), role: 'boss', joinedAt: now } }
+        };
+
+        // New vaults start empty; legacy savings follow in capped steps
+        if (legacy) {
+          GameState.gang.id = gangId;
+          this.pendingVault += legacy.vault || 0;
+        }
+        return database.ref().update({
+          [`gangs/${gangId}`]: gang,
+          [`userGangs/${uid}`]: gangId
+        }).then(() => this.subscribe(gangId));
+      },
+
+      requestJoin(gangId) {
+        const uid = this.uid();
+        return database.ref(`gangs/${gangId}/requests/${uid}`).set({ name: this.myName(), timestamp: Date.now() })
+          .then(() => this.watchMembership(gangId));
+      },
+
+      // While a request is open, wait for an officer to add us
+      watchMembership(gangId) {
+        if (this.pending[gangId]) return;
+        const ref = database.ref(`gangs/${gangId}/members/${this.uid()}`);
+        this.pending[gangId] = ref;
+        ref.on('value', snapshot => {
+          if (!snapshot.exists() || this.gangId) return;
+          ref.off();
+          delete this.pending[gangId];
+          this.subscribe(gangId);
+          try { TurfTab.showTemporaryNotification('🤝 Your join request was accepted!'); } catch (e) {}
+        });
+      },
+
+      acceptInvite(gangId) {
+        const uid = this.uid();
+        return database.ref().update({
+          [`gangs/${gangId}/members/${uid}`]: { name: this.myName(), role: 'soldier', joinedAt: Date.now() },
+          [`gangs/${gangId}/invites/${uid}`]: null,
+          [`userInvites/${uid}/${gangId}`]: null,
+          [`userGangs/${uid}`]: gangId
+        }).then(() => this.subscribe(gangId));
+      },
+
+      declineInvite(gangId) {
+        const uid = this.uid();
+        return database.ref().update({
+          [`gangs/${gangId}/invites/${uid}`]: null,
+          [`userInvites/${uid}/${gangId}`]: null
+        });
+      },
+
+      // Officer actions (enforced again by database.rules.json)
+      invite(targetUid, targetName) {
+        return database.ref().update({
+          [`gangs/${this.gangId}/invites/${targetUid}`]: { name: targetName, invitedBy: this.uid(), timestamp: Date.now() },
+          [`userInvites/${targetUid}/${this.gangId}`]: true
+        });
+      },
+
+      approveRequest(targetUid) {
+        const request = (GameState.gang.requests || []).find(r => r.id === targetUid);
+        if (!request) return Promise.resolve();
+        return database.ref().update({
+          [`gangs/${this.gangId}/members/${targetUid}`]: { name: request.name, role: 'soldier', joinedAt: Date.now() },
+          [`gangs/${this.gangId}/requests/${targetUid}`]: null
+        });
+      },
+
+      denyRequest(targetUid) {
+        return database.ref(`gangs/${this.gangId}/requests/${targetUid}`).remove();
+      },
+
+      setRole(targetUid, role) {
+        return database.ref(`gangs/${this.gangId}/members/${targetUid}/role`).set(role);
+      },
+
+      kick(targetUid) {
+        return database.ref(`gangs/${this.gangId}/members/${targetUid}`).remove();
+      },
+
+      // The boss hands over to the highest-ranked member, or disbands if alone
+      leave() {
+        const uid = this.uid();
+        const gang = GameState.gang;
+        const others = gang.members.filter(m => m.id !== uid);
+        const updates = { [`userGangs/${uid}`]: null };
+
+        if (this.getMyRole() === 'boss') {
+          if (others.length === 0) {
+            updates[`gangs/${this.gangId}`] = null;
+          } else {
+            updates[`gangs/${this.gangId}/bossId`] = others[0].id;
+            updates[`gangs/${this.gangId}/members/${others[0].id}/role`] = 'boss';
+            updates[`gangs/${this.gangId}/members/${uid}`] = null;
+          }
+        } else {
+          updates[`gangs/${this.gangId}/members/${uid}`] = null;
+        }
+        return database.ref().update(updates);
+      },
+
+      // === VAULT ===
+      // Apply locally, then commit to the shared vault (withdrawals need an officer)
+      adjustVault(delta) {
+        if (!GameState.gang || !delta) return;
+        GameState.gang.vault = Math.max(0, (GameState.gang.vault || 0) + delta);
+        if (!GameState.gang.live) return;
+        // Offline catch-up runs before we subscribe; hold it until then
+        this.pendingVault += delta;
+        this.flushVault();
+      },
+
+      // One write at a time; the rules cap increases, so big sums go in steps
+      flushVault() {
+        if (!this.pendingVault || !this.gangRef || !this.isOnline() || this.vaultBusy) return;
+        const delta = Math.min(this.pendingVault, this.VAULT_STEP_MAX);
+        this.pendingVault -= delta;
+        this.vaultBusy = true;
+
+        // Deposits that bounce (rate limit, a racing write) are retried;
+        // losses we're not allowed to take out are dropped, as before
+        const requeue = () => { if (delta > 0) this.pendingVault += delta; };
+        this.commitVault(delta, delta > 0 ? 'deposit' : 'spend', { clamp: true })
+          .catch(err => {
+            console.warn('[GangNetwork] Vault update failed:', err);
+            requeue();
+          })
+          .then(() => {
+            this.vaultBusy = false;
+            if (this.pendingVault) setTimeout(() => this.flushVault(), this.VAULT_RETRY_MS);
+          });
+      },
+
+      // Write the vault together with our ledger entry (see database.rules.json).
+      // Resolves to the change actually applied: 0 when the vault is short,
+      // unless `clamp` lets a loss stop at zero. `updates` ride along in the
+      // same write (tribute escrow, claimed debts).
+      commitVault(delta, type, options = {}) {
+        return this.gangRef.child('vault').once('value').then(snapshot => {
+          const current = snapshot.val() || 0;
+          if (current + delta < 0 && !options.clamp) return 0;
+          const change = Math.max(0, current + delta) - current;
+          if (!change) return 0;
+
+          const entry = { type: type, amount: change, at: firebase.database.ServerValue.TIMESTAMP };
+          if (options.ref) entry.ref = options.ref;
+          return database.ref().update(Object.assign({
+            [`gangs/${this.gangId}/vault`]: current + change,
+            [`gangs/${this.gangId}/ledger/${this.uid()}`]: entry
+          }, options.updates)).then(() => change);
+        });
+      },
+
+      deposit(amount) {
+        if (amount <= 0 || GameState.player.cash < amount) return false;
+        SecureEconomy.adjustCash(-amount, 'gang_deposit');
+        this.adjustVault(amount);
+        return true;
+      },
+
+      // Take money out of the shared vault without paying it to anyone (tribute)
+      spendVault(amount, updates) {
+        if (amount <= 0 || !this.isOfficer() || !this.gangRef || GameState.gang.vault < amount) return Promise.resolve(false);
+        return this.commitVault(-amount, 'tribute', { updates: updates }).then(change => change !== 0);
+      },
+
+      withdraw(amount) {
+        if (amount <= 0 || !this.isOfficer() || GameState.gang.vault < amount) return Promise.resolve(false);
+        if (!this.gangRef) {
+          this.adjustVault(-amount);
+          SecureEconomy.adjustCash(amount, 'gang_withdraw');
+          return Promise.resolve(true);
+        }
+        // Pay out what the committed write took, not what was asked for
+        return this.commitVault(-amount, 'withdraw').then(change => {
+          if (change < 0) SecureEconomy.adjustCash(-change, 'gang_withdraw');
+          return change !== 0;
+        });
+      },
+
+      // === RAIDS ===
+      // What this player brings to a fight: themselves, gang and real estate
+      // holdings, gangsters on hand and the weapons they own
+      getMemberPower() {
+        let power = 10;
+        power += (GameState.gang ? GameState.gang.properties.length : 0) * 5;
+        (GameState.propertyBuildings || []).filter(b => b.owned).forEach(b => {
+          power += 8 + (b.upgradeLevel || 0) * 2;
+        });
+        (GameState.gangsters.owned || []).filter(g => g.status === 'idle' || g.status === 'managing').forEach(g => {
+          power += 3 + (g.primarySkill === 'combat' ? g.skillLevel * 2 : g.skillLevel);
+        });
+        (GameState.player.weapons || []).forEach(id => {
+          const weapon = WeaponsDatabase[id];
+          if (weapon) power += Math.round(weapon.stats.damage * 4);
+        });
+        return Math.min(5000, Math.round(power));
+      },
+
+      getGangStrength(members, ownPower) {
+        const uid = this.uid();
+        return members.reduce((sum, m) => {
+          if (ownPower !== undefined && (m.id === uid || m.id === 'player')) return sum + ownPower;
+          return sum + (m.power || 10);
+        }, 0);
+      },
+
+      // Defenders are usually offline, so each member keeps their power posted
+      publishPower(published) {
+        const power = this.getMemberPower();
+        if (!this.gangRef || published === power) return;
+        this.gangRef.child(`members/${this.uid()}/power`).set(power)
+          .catch(err => console.warn('[GangNetwork] Power update failed:', err));
+      },
+
+      setPosture(posture) {
+        return this.gangRef.child('defense/posture').set(posture);
+      },
+
+      formatWait(ms) {
+        const minutes = Math.ceil(ms / 60000);
+        return minutes >= 60 ? `${Math.ceil(minutes / 60)}h` : `${minutes} min`;
+      },
+
+      // Why a raid can't happen right now, or null
+      getRaidBlock(target, now = Date.now()) {
+        if (!GameState.gang || !GameState.gang.live || !this.isOnline()) return '📡 Raids need an online gang';
+        if (target.id === this.gangId) return '❌ You cannot raid your own gang';
+        if (now - target.createdAt < this.NEW_GANG_SHIELD_MS) {
+          return `🛡️ ${target.name} is a new gang (shielded ${this.formatWait(target.createdAt + this.NEW_GANG_SHIELD_MS - now)})`;
+        }
+        if (target.shieldUntil > now) return `🛡️ ${target.name} is shielded for ${this.formatWait(target.shieldUntil - now)}`;
+        const pact = GangDiplomacy.getPact(target.id, now);
+        if (pact) return `🤝 You have a ${pact} with ${target.name}`;
+        if (now - this.lastRaidAt < this.RAID_COOLDOWN_MS) {
+          return `⏳ Your crew is regrouping (${this.formatWait(this.lastRaidAt + this.RAID_COOLDOWN_MS - now)})`;
+        }
+        return null;
+      },
+
+      // Resolve against fresh defender data and write the outcome to both war logs
+      raid(targetId, fatiguePenalty = 0) {
+        const uid = this.uid();
+        const now = Date.now();
+
+        return database.ref(`gangs/${targetId}`).once('value').then(snapshot => {
+          const data = snapshot.val();
+          if (!data) return { blocked: '❌ That gang no longer exists' };
+
+          const target = this.toDirectoryEntry(targetId, data);
+          const blocked = this.getRaidBlock(target, now);
+          if (blocked) return { blocked };
+
+          const posture = this.POSTURES[target.posture] || this.POSTURES.balanced;
+          const attack = this.getGangStrength(GameState.gang.members, this.getMemberPower());
+          // Allies stand with the defender (GangDiplomacy)
+          const allyStrength = GangDiplomacy.getAllies(targetId).reduce((sum, allyId) => {
+            const ally = GameState.publicGangs.find(g => g.id === allyId);
+            return sum + (ally ? ally.strength : 0);
+          }, 0);
+          const defense = Math.round((target.strength + allyStrength * GangDiplomacy.ALLY_DEFENSE_SHARE) * posture.defense);
+          const chance = Math.max(0.1, Math.min(0.9, attack / (attack + defense))) - fatiguePenalty;
+          const success = RNGFairness.rollWithFairness(Math.max(0.05, chance), 'raid');
+
+          const result = {
+            success: success,
+            attack: attack,
+            defense: defense,
+            posture: target.posture,
+            cashStolen: success ? Math.floor((data.vault || 0) * posture.loot) : 0,
+            healthDamage: success
+              ? Math.floor(RNG.random('gangs') * 10) + 5                        // 5-15% to them
+              : (Math.floor(RNG.random('gangs') * 5) + 3) * posture.counter,    // 3-8% to us, doubled if they're aggressive
+            heatGain: success ? Math.floor(RNG.random('gangs') * 20) + 15 : Math.floor(RNG.random('gangs') * 15) + 10,
+            shieldUntil: now + (success ? this.SHIELD_AFTER_SUCCESS_MS : this.SHIELD_AFTER_FAILURE_MS)
+          };
+
+          const ts = firebase.database.ServerValue.TIMESTAMP;
+          const logId = database.ref('gangWarLogs').push().key;
+          const ours = GameState.gang;
+          const updates = {
+            [`raidCooldowns/${uid}`]: ts,
+            [`gangs/${targetId}/defense/raid`]: { by: uid, byGang: this.gangId, at: ts, shieldUntil: result.shieldUntil },
+            [`gangWarLogs/${this.gangId}/${logId}`]: {
+              type: 'raid_out',
+              gangId: targetId,
+              message: success
+                ? `✅ ${this.myName()} raided ${data.name} and stole $${result.cashStolen.toLocaleString()}.`
+                : `❌ ${this.myName()}'s raid on ${data.name} failed. Took ${result.healthDamage}% damage.`,
+              timestamp: ts
+            },
+            [`gangWarLogs/${targetId}/${logId}`]: {
+              type: 'raid_in',
+              gangId: this.gangId,
+              gangName: ours.name,
+              success: success,
+              damage: success ? result.healthDamage : 0,
+              message: success
+                ? `🔥 ${ours.name} raided us! Lost $${result.cashStolen.toLocaleString()} and took ${result.healthDamage}% damage.`
+                : `🛡️ We fought off a raid from ${ours.name}.`,
+              timestamp: ts
+            }
+          };
+          if (result.cashStolen > 0) updates[`gangs/${targetId}/vault`] = data.vault - result.cashStolen;
+
+          return database.ref().update(updates).then(() => {
+            this.lastRaidAt = now;
+            if (result.cashStolen > 0) this.adjustVault(result.cashStolen);
+            return result;
+          });
+        });
+      },
+
+      receiveWarLog(id, entry) {
+        if (!GameState.gang || !entry) return;
+        if (GameState.gangWarLog.some(e => e.id === id)) return;
+
+        GangTab.logWarEvent(entry.message, { id: id, timestamp: entry.timestamp });
+
+        if (entry.type === 'raid_in' && entry.timestamp > (GameState.gang.lastRaidApplied || 0)) {
+          GameState.gang.lastRaidApplied = entry.timestamp;
+          GangTab.applyIncomingRaid(entry);
+        }
+        if (GameState.ui.activeTab === 'gang') GangTab.render();
+      }
+    };
+
+    window.GangNetwork = GangNetwork;
+
+    // ========================================
+    // GANGS: Territory Control
+    // ========================================
+    // The turf map is split into GRID x GRID zones. Each gang holds an influence
+    // value (0-100) per zone that fades with a half-life: crimes, owned
+    // properties and turf-defense wins raise it. The leading gang controls a
+    // zone once it is clear of the runner-up; close races are contested.
+    // Shared through territory/{zoneId}/{gangId} for live gangs.
+    const TerritoryControl = {
+      GRID: 6,
+      MAX_INFLUENCE: 100,
+      HALF_LIFE_MS: 48 * 60 * 60 * 1000,
+      CONTROL_MIN: 30,         // Influence needed to control a zone
+      CONTROL_LEAD: 1.5,       // ...and this multiple of the runner-up
+      CONTEST_MIN: 15,         // Runner-up above this makes a close race contested
+      GAINS: {
+        crime: 3,
+        criticalCrime: 5,
+        propertyPurchase: 10,
+        propertyPerHour: 2,
+        defenseVictory: 15
+      },
+      MAX_STEP: 15,            // Largest gain one write may add (database rules)
+      MODIFIERS: {
+        ours:      { reward: 1.15, heat: 0.90 },
+        contested: { reward: 1.05, heat: 1.00 },
+        rival:     { reward: 0.90, heat: 1.10 },
+        none:      { reward: 1.00, heat: 1.00 }
+      },
+      CHECK_INTERVAL_MS: 60000,
+      MAX_ACCRUAL_HOURS: 24,
+
+      enabled: true,
+      canvas: null,
+      ctx: null,
+      ref: null,
+      interval: null,
+
+      start() {
+        if (this.interval) clearInterval(this.interval);
+        this.interval = setInterval(() => {
+          this.accrueProperties();
+          this.draw();
+        }, this.CHECK_INTERVAL_MS);
+        this.accrueProperties();
+        this.draw();
+      },
+
+      // Mirror the shared influence table (any signed-in player can see it)
+      watch() {
+        if (!firebaseReady || !database || !window.auth || !window.auth.currentUser) return;
+        if (this.ref) this.ref.off();
+        this.ref = database.ref('territory');
+        this.ref.on('value', snapshot => {
+          GameState.territory.zones = snapshot.val() || {};
+          this.draw();
+          if (GameState.ui.activeTab === 'gang' && GameState.gang) GangTab.render();
+        });
+      },
+
+      unwatch() {
+        if (this.ref) this.ref.off();
+        this.ref = null;
+      },
+
+      getZoneId(x, y) {
+        const col = Math.max(0, Math.min(this.GRID - 1, Math.floor((x / 100) * this.GRID)));
+        const row = Math.max(0, Math.min(this.GRID - 1, Math.floor((y / 100) * this.GRID)));
+        return `z${col}_${row}`;
+      },
+
+      getZoneName(zoneId) {
+        const [col, row] = zoneId.slice(1).split('_').map(Number);
+        return `${String.fromCharCode(65 + col)}${row + 1}`;
+      },
+
+      decay(entry, now) {
+        if (!entry || !entry.value) return 0;
+        return entry.value * Math.pow(0.5, Math.max(0, now - (entry.updatedAt || now)) / this.HALF_LIFE_MS);
+      },
+
+      addInfluence(x, y, amount, now = Date.now()) {
+        const gang = GameState.gang;
+        if (!gang || !(amount > 0)) return;
+
+        amount = Math.min(amount, this.MAX_STEP);
+        const zoneId = this.getZoneId(x, y);
+        const zone = GameState.territory.zones[zoneId] || (GameState.territory.zones[zoneId] = {});
+        const next = (current, updatedAt) => ({
+          value: Math.min(this.MAX_INFLUENCE, Math.round((this.decay(current, now) + amount) * 10) / 10),
+          updatedAt: updatedAt
+        });
+        zone[gang.id] = next(zone[gang.id], now);
+
+        if (gang.live && GangNetwork.isOnline()) {
+          database.ref(`territory/${zoneId}/${gang.id}`)
+            .transaction(current => next(current, firebase.database.ServerValue.TIMESTAMP))
+            .catch(err => console.warn('[Territory] Influence update failed:', err));
+        }
+        this.draw();
+      },
+
+      // Owned real estate keeps a gang's flag planted in its zone
+      accrueProperties(now = Date.now()) {
+        const state = GameState.territory;
+        if (!state.lastAccrual || !GameState.gang) {
+          state.lastAccrual = now;
+          return;
+        }
+        const hours = Math.floor((now - state.lastAccrual) / (60 * 60 * 1000));
+        if (hours < 1) return;
+
+        state.lastAccrual += hours * 60 * 60 * 1000;
+        const gain = Math.min(hours, this.MAX_ACCRUAL_HOURS) * this.GAINS.propertyPerHour;
+        (GameState.propertyBuildings || []).filter(b => b.owned).forEach(b => {
+          // Long absences pay out in several writes the rules will accept
+          for (let left = gain; left > 0; left -= this.MAX_STEP) {
+            this.addInfluence(b.x, b.y, Math.min(left, this.MAX_STEP), now);
+          }
+        });
+      },
+
+      // { controller, contested, leaders: [{ gangId, value }] } for a zone
+      getControl(zoneId, now = Date.now()) {
+        const zone = GameState.territory.zones[zoneId] || {};
+        const leaders = Object.keys(zone)
+          .map(gangId => ({ gangId: gangId, value: this.decay(zone[gangId], now) }))
+          .filter(l => l.value >= 1)
+          .sort((a, b) => b.value - a.value);
+        const top = leaders[0];
+        const second = leaders[1];
+
+        if (top && top.value >= this.CONTROL_MIN && (!second || top.value >= second.value * this.CONTROL_LEAD)) {
+          return { controller: top.gangId, contested: false, leaders };
+        }
+        if (second && second.value >= this.CONTEST_MIN) {
+          return { controller: null, contested: true, leaders };
+        }
+        return { controller: null, contested: false, leaders };
+      },
+
+      // Reward/heat multipliers for BiomeModifierCalculator
+      getModifiersAt(x, y) {
+        const gangId = GameState.gang && GameState.gang.id;
+        const control = this.getControl(this.getZoneId(x, y));
+        if (control.controller) return control.controller === gangId ? this.MODIFIERS.ours : this.MODIFIERS.rival;
+        if (control.contested && control.leaders.slice(0, 2).some(l => l.gangId === gangId)) return this.MODIFIERS.contested;
+        return this.MODIFIERS.none;
+      },
+
+      getGangColor(gangId) {
+        if (GameState.gang && GameState.gang.id === gangId) return GameState.gang.color || '#8ab4f8';
+        const known = (GameState.publicGangs || []).find(g => g.id === gangId);
+        if (known && known.color) return known.color;
+        let hash = 0;
+        for (let i = 0; i < gangId.length; i++) hash = (hash * 31 + gangId.charCodeAt(i)) >>> 0;
+        return `hsl(${hash % 360}, 60%, 60%)`;
+      },
+
+      // Zones held / contested by our gang (for the Gang tab)
+      getSummary() {
+        const gangId = GameState.gang && GameState.gang.id;
+        const held = [];
+        const contested = [];
+        for (let col = 0; col < this.GRID; col++) {
+          for (let row = 0; row < this.GRID; row++) {
+            const zoneId = `z${col}_${row}`;
+            const control = this.getControl(zoneId);
+            if (control.controller === gangId) held.push(this.getZoneName(zoneId));
+            else if (control.contested && control.leaders.slice(0, 2).some(l => l.gangId === gangId)) {
+              contested.push(this.getZoneName(zoneId));
+            }
+          }
+        }
+        return { held, contested };
+      },
+
+      toggle(force) {
+        this.enabled = typeof force === 'boolean' ? force : !this.enabled;
+        this.draw();
+        return this.enabled;
+      },
+
+      init() {
+        if (this.canvas && this.canvas.isConnected) return;
+        const world = document.getElementById('map-world');
+        if (!world) return;
+        this.canvas = document.createElement('canvas');
+        this.canvas.id = 'territory-canvas';
+        world.insertBefore(this.canvas, world.firstChild);
+        this.ctx = this.canvas.getContext('2d');
+        window.addEventListener('resize', () => this.draw());
+      },
+
+      draw() {
+        if (typeof document === 'undefined') return;
+        this.init();
+        if (!this.ctx) return;
+
+        const world = document.getElementById('map-world');
+        const w = world ? world.offsetWidth : this.canvas.clientWidth;
+        const h = world ? world.offsetHeight : this.canvas.clientHeight;
+        if (w && h && (this.canvas.width !== w || this.canvas.height !== h)) {
+          this.canvas.width = w;
+          this.canvas.height = h;
+        }
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!this.enabled) return;
+
+        const now = Date.now();
+        const cw = this.canvas.width / this.GRID;
+        const ch = this.canvas.height / this.GRID;
+        const controls = [];
+        for (let col = 0; col < this.GRID; col++) {
+          controls[col] = [];
+          for (let row = 0; row < this.GRID; row++) {
+            controls[col][row] = this.getControl(`z${col}_${row}`, now);
+          }
+        }
+
+        ctx.save();
+        for (let col = 0; col < this.GRID; col++) {
+          for (let row = 0; row < this.GRID; row++) {
+            const control = controls[col][row];
+            const x = col * cw;
+            const y = row * ch;
+
+            if (control.controller) {
+              ctx.globalAlpha = 0.12 + 0.18 * (control.leaders[0].value / this.MAX_INFLUENCE);
+              ctx.fillStyle = this.getGangColor(control.controller);
+              ctx.fillRect(x, y, cw, ch);
+            } else if (control.contested) {
+              // Split between the two gangs fighting over it
+              ctx.globalAlpha = 0.14;
+              ctx.fillStyle = this.getGangColor(control.leaders[0].gangId);
+              ctx.fillRect(x, y, cw / 2, ch);
+              ctx.fillStyle = this.getGangColor(control.leaders[1].gangId);
+              ctx.fillRect(x + cw / 2, y, cw / 2, ch);
+            }
+
+            // Borders: dashed red wherever two gangs meet or a zone is contested
+            ctx.globalAlpha = 0.85;
+            const edges = [
+              { other: controls[col + 1] && controls[col + 1][row], x1: x + cw, y1: y, x2: x + cw, y2: y + ch },
+              { other: controls[col][row + 1], x1: x, y1: y + ch, x2: x + cw, y2: y + ch }
+            ];
+            edges.forEach(edge => {
+              if (!edge.other) return;
+              const a = control.controller;
+              const b = edge.other.controller;
+              const hot = control.contested || edge.other.contested || (a && b && a !== b);
+              if (!hot && a === b) return;
+              ctx.beginPath();
+              ctx.moveTo(edge.x1, edge.y1);
+              ctx.lineTo(edge.x2, edge.y2);
+              if (hot) {
+                ctx.setLineDash([6, 4]);
+                ctx.strokeStyle = '#f28b82';
+                ctx.lineWidth = 2;
+              } else {
+                ctx.setLineDash([]);
+                ctx.strokeStyle = this.getGangColor(a || b);
+                ctx.lineWidth = 1.5;
+              }
+              ctx.stroke();
+            });
+          }
+        }
+        ctx.restore();
+      }
+    };
+
+    window.TerritoryControl = TerritoryControl;
+
+    // Debug: show/hide the territory overlay
+    window.toggleTerritoryOverlay = function(force) {
+      return TerritoryControl.toggle(force);
+    };
+
+    // ========================================
+    // GANGS: Diplomacy
+    // ========================================
+    // Pacts between two gangs live in diplomacy/{pairId} (pairId = both gang
+    // ids, sorted, joined by '__'): { a, b, status, since, expiresAt,
+    // proposal, declined, betrayedBy, betrayedAt, owed/{gangId} }.
+    // Officers propose and answer; tribute money moves vault -> owed -> the
+    // receiving gang's vault, claimed by whichever member sees it first.
+    // Active pacts are mirrored into GameState.gangRelations (status 'truce' /
+    // 'alliance', pactExpiresAt, proposal).
+    const GangDiplomacy = {
+      TRUCE_HOURS: [12, 24, 72],
+      PROPOSAL_TTL_MS: 24 * 60 * 60 * 1000,
+      TRIBUTE_TRUCE_MS: 24 * 60 * 60 * 1000,
+      ALLY_DEFENSE_SHARE: 0.5,          // Allies add half their strength when we're raided
+      ALLIANCE_CRIME_BONUS: 0.02,       // Per alliance, in calculateSuccessChance
+      MAX_ALLIANCE_BONUS: 0.06,
+      OATHBREAKER_MS: 72 * 60 * 60 * 1000,
+      OATHBREAKER_PENALTY: 0.05,
+      BETRAYAL_REP_LOSS: 100,
+      DECLINED_DEMAND_HEAT: 25,
+      PROPOSAL_LABELS: {
+        truce: 'truce',
+        alliance: 'alliance',
+        tribute_demand: 'tribute demand',
+        tribute_offer: 'tribute offer'
+      },
+
+      records: {},
+      claiming: {},
+      ref: null,
+
+      watch() {
+        if (!GangNetwork.isOnline()) return;
+        if (this.ref) this.ref.off();
+        this.ref = database.ref('diplomacy');
+        this.ref.on('value', snapshot => {
+          this.records = snapshot.val() || {};
+          this.sync();
+        });
+      },
+
+      unwatch() {
+        if (this.ref) this.ref.off();
+        this.ref = null;
+        this.records = {};
+      },
+
+      pairId(gangA, gangB) {
+        return [gangA, gangB].sort().join('__');
+      },
+
+      getRecord(otherId) {
+        if (!GameState.gang) return null;
+        return this.records[this.pairId(GameState.gang.id, otherId)] || null;
+      },
+
+      // 'truce' | 'alliance' | null, with truces lapsing at expiresAt
+      getPactBetween(gangA, gangB, now = Date.now()) {
+        const record = this.records[this.pairId(gangA, gangB)];
+        if (!record) return null;
+        if (record.status === 'alliance') return 'alliance';
+        if (record.status === 'truce' && record.expiresAt > now) return 'truce';
+        return null;
+      },
+
+      getPact(otherId, now = Date.now()) {
+        return GameState.gang ? this.getPactBetween(GameState.gang.id, otherId, now) : null;
+      },
+
+      getProposal(otherId, now = Date.now()) {
+        const record = this.getRecord(otherId);
+        const proposal = record && record.proposal;
+        if (!proposal || now - proposal.createdAt > this.PROPOSAL_TTL_MS) return null;
+        return proposal;
+      },
+
+      getAllies(gangId) {
+        return Object.values(this.records)
+          .filter(r => r.status === 'alliance' && (r.a === gangId || r.b === gangId))
+          .map(r => (r.a === gangId ? r.b : r.a));
+      },
+
+      isOathbreaker(now = Date.now()) {
+        return !!(GameState.gang && GameState.gang.oathbrokenUntil > now);
+      },
+
+      // Added to CrimesSystem.calculateSuccessChance
+      getCrimeModifier(now = Date.now()) {
+        if (!GameState.gang) return 0;
+        let modifier = Math.min(this.MAX_ALLIANCE_BONUS, this.getAllies(GameState.gang.id).length * this.ALLIANCE_CRIME_BONUS);
+        if (this.isOathbreaker(now)) modifier -= this.OATHBREAKER_PENALTY;
+        return modifier;
+      },
+
+      // Mirror records into gangRelations, log changes, claim tribute, refund stale escrow
+      sync(now = Date.now()) {
+        const gang = GameState.gang;
+        if (!gang) return;
+
+        Object.keys(this.records).forEach(pairId => {
+          const record = this.records[pairId];
+          if (record.a !== gang.id && record.b !== gang.id) return;
+          const otherId = record.a === gang.id ? record.b : record.a;
+          const other = GameState.publicGangs.find(g => g.id === otherId);
+          const otherName = other ? other.name : 'a rival gang';
+          const relation = GangTab.getRelation(otherId);
+          const pact = this.getPactBetween(gang.id, otherId, now);
+
+          if (pact && relation.status !== pact) {
+            relation.status = pact;
+            relation.warStarted = null;
+            GangTab.logWarEvent(pact === 'alliance'
+              ? `🤝 Alliance formed with ${otherName}.`
+              : `🕊️ Truce with ${otherName} until ${new Date(record.expiresAt).toLocaleString()}.`);
+          } else if (!pact && (relation.status === 'truce' || relation.status === 'alliance')) {
+            relation.status = 'neutral';
+            if (!(record.betrayedAt > (relation.betrayalSeen || 0))) {
+              GangTab.logWarEvent(`⌛ Pact with ${otherName} has ended.`);
+            }
+          }
+          relation.pactExpiresAt = pact === 'truce' ? record.expiresAt : null;
+          relation.proposal = this.getProposal(otherId, now);
+
+          // Betrayed: straight to war
+          if (record.betrayedAt > (relation.betrayalSeen || 0)) {
+            relation.betrayalSeen = record.betrayedAt;
+            if (record.betrayedBy === otherId) {
+              relation.heat = 100;
+              relation.status = 'war';
+              relation.warStarted = now;
+              GangTab.logWarEvent(`🗡️ ${otherName} betrayed us! War declared.`);
+            }
+          }
+
+          // Our demand was refused
+          if (record.declined && record.declined.from === gang.id && record.declined.at > (relation.declineSeen || 0)) {
+            relation.declineSeen = record.declined.at;
+            GangTab.logWarEvent(`✋ ${otherName} refused our ${this.PROPOSAL_LABELS[record.declined.type]}.`);
+            if (record.declined.type === 'tribute_demand') {
+              relation.heat = Math.min(100, relation.heat + this.DECLINED_DEMAND_HEAT);
+            }
+          }
+
+          const owed = record.owed && record.owed[gang.id];
+          if (owed > 0) this.claimOwed(pairId, otherName);
+
+          // Our tribute offer went unanswered: give the escrow back
+          const stale = record.proposal;
+          if (stale && stale.from === gang.id && stale.escrow > 0 &&
+              now - stale.createdAt > this.PROPOSAL_TTL_MS && GangNetwork.isOfficer()) {
+            this.update(pairId, {
+              proposal: null,
+              [`owed/${gang.id}`]: ((record.owed && record.owed[gang.id]) || 0) + stale.escrow
+            });
+          }
+        });
+
+        if (GameState.ui.activeTab === 'gang') GangTab.render();
+      },
+
+      // The debt is zeroed in the same write that pays it into our vault,
+      // so only one member's claim can land
+      claimOwed(pairId, fromName) {
+        const gangId = GameState.gang.id;
+        const owed = this.records[pairId].owed[gangId];
+        if (this.claiming[pairId]) return;
+        this.claiming[pairId] = true;
+
+        GangNetwork.commitVault(owed, 'claim', {
+          ref: pairId,
+          updates: { [`diplomacy/${pairId}/owed/${gangId}`]: 0 }
+        }).then(claimed => {
+          if (claimed <= 0) return;
+          GangTab.logWarEvent(`💰 Received $${claimed.toLocaleString()} in tribute from ${fromName}.`);
+          Storage.save();
+        }).catch(err => console.warn('[Diplomacy] Tribute claim failed:', err))
+          .then(() => { this.claiming[pairId] = false; });
+      },
+
+      // Multi-path form of update(), for writes that also move vault money
+      toPaths(pairId, changes) {
+        const [a, b] = pairId.split('__');
+        const paths = {};
+        Object.keys(changes).forEach(key => { paths[`diplomacy/${pairId}/${key}`] = changes[key]; });
+        return Object.assign(paths, { [`diplomacy/${pairId}/a`]: a, [`diplomacy/${pairId}/b`]: b });
+      },
+
+      update(pairId, changes) {
+        const [a, b] = pairId.split('__');
+        return database.ref(`diplomacy/${pairId}`).update(Object.assign({ a: a, b: b }, changes));
+      },
+
+      // === ACTIONS (officers only; enforced again in database.rules.json) ===
+      propose(otherId, type, options = {}) {
+        const now = Date.now();
+        const gang = GameState.gang;
+        if (!GangNetwork.isOfficer()) return Promise.reject(new Error('Only officers can negotiate'));
+        if ((type === 'truce' || type === 'alliance') && this.isOathbreaker(now)) {
+          return Promise.reject(new Error('Nobody trusts an oathbreaker yet'));
+        }
+
+        const pairId = this.pairId(gang.id, otherId);
+        const proposal = {
+          type: type,                       // truce | alliance | tribute_demand | tribute_offer
+          from: gang.id,
+          by: GangNetwork.uid(),
+          createdAt: now,
+          durationMs: options.durationMs || 0,
+          amount: options.amount || 0,
+          escrow: 0
+        };
+
+        // Offered tribute leaves our vault in the same write, so the other
+        // side can trust the escrow
+        if (type === 'tribute_offer') {
+          proposal.escrow = proposal.amount;
+          return GangNetwork.spendVault(proposal.amount, this.toPaths(pairId, { proposal: proposal })).then(ok => {
+            if (!ok) throw new Error('The vault is short');
+          });
+        }
+        return this.update(pairId, { proposal: proposal });
+      },
+
+      accept(otherId) {
+        const now = Date.now();
+        const gang = GameState.gang;
+        const pairId = this.pairId(gang.id, otherId);
+        const record = this.getRecord(otherId) || {};
+        const proposal = this.getProposal(otherId, now);
+        if (!proposal || proposal.from !== otherId) return Promise.reject(new Error('Nothing to accept'));
+
+        const owedTo = id => ((record.owed && record.owed[id]) || 0);
+        const truce = ms => ({ status: 'truce', since: now, expiresAt: now + ms });
+        const changes = { proposal: null };
+
+        switch (proposal.type) {
+          case 'truce':
+            Object.assign(changes, truce(proposal.durationMs));
+            return this.update(pairId, changes);
+          case 'alliance':
+            Object.assign(changes, { status: 'alliance', since: now, expiresAt: 0 });
+            return this.update(pairId, changes);
+          case 'tribute_offer':
+            Object.assign(changes, truce(this.TRIBUTE_TRUCE_MS), { [`owed/${gang.id}`]: owedTo(gang.id) + proposal.escrow });
+            return this.update(pairId, changes);
+          case 'tribute_demand':
+            // We pay out of our own vault in the same write, then they collect it
+            Object.assign(changes, truce(this.TRIBUTE_TRUCE_MS), { [`owed/${otherId}`]: owedTo(otherId) + proposal.amount });
+            return GangNetwork.spendVault(proposal.amount, this.toPaths(pairId, changes)).then(ok => {
+              if (!ok) throw new Error('The vault is short');
+            });
+          default:
+            return Promise.reject(new Error('Unknown proposal'));
+        }
+      },
+
+      decline(otherId) {
+        const gang = GameState.gang;
+        const pairId = this.pairId(gang.id, otherId);
+        const record = this.getRecord(otherId) || {};
+        const proposal = record.proposal;
+        if (!proposal) return Promise.resolve();
+
+        const changes = { proposal: null, declined: { type: proposal.type, from: proposal.from, at: Date.now() } };
+        if (proposal.escrow > 0) {
+          changes[`owed/${proposal.from}`] = ((record.owed && record.owed[proposal.from]) || 0) + proposal.escrow;
+        }
+        return this.update(pairId, changes);
+      },
+
+      // Break a truce or alliance early: war for them, a bad name for us
+      betray(otherId) {
+        const now = Date.now();
+        const gang = GameState.gang;
+        if (!this.getPact(otherId, now)) return Promise.reject(new Error('No pact to break'));
+        const other = GameState.publicGangs.find(g => g.id === otherId);
+
+        return this.update(this.pairId(gang.id, otherId), {
+          status: 'neutral',
+          expiresAt: 0,
+          betrayedBy: gang.id,
+          betrayedAt: now
+        }).then(() => GangNetwork.gangRef.child('oathbrokenUntil').set(now + this.OATHBREAKER_MS))
+          .then(() => {
+            GameState.player.reputation = Math.max(0, GameState.player.reputation - this.BETRAYAL_REP_LOSS);
+            GangTab.logWarEvent(`🗡️ We broke our pact with ${other ? other.name : 'a rival gang'}.`);
+            CityNewsTicker.announce(`🗡️ ${gang.name} betrayed ${other ? other.name : 'an ally'}. Word travels fast on the street.`);
+            Storage.save();
+          });
+      }
+    };
+
+    window.GangDiplomacy = GangDiplomacy;
+
     const GangTab = {
       propertyIncomeInterval: null,
       heatDecayInterval: null,
@@ -32822,12 +37979,29 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
       },
       
       renderNoGang(container) {
+        const invites = GangNetwork.invites;
+        
         container.innerHTML = `
           <div class="no-gang-message">
             <div class="no-gang-icon">👥</div>
             <div class="no-gang-text">
               You're not in a gang. Create your own or join an existing one to expand your criminal empire.
+              ${GangNetwork.isOnline() ? '' : '<br><br>Sign in to join other players\' gangs.'}
             </div>
+            ${invites.length > 0 ? `
+              <div class="gang-section gang-invites">
+                <div class="gang-section-title">Invites</div>
+                ${invites.map(inv => `
+                  <div class="gang-member">
+                    <span class="gang-member-name">${ChatSystem.escapeHtml(inv.flag)} ${ChatSystem.escapeHtml(inv.name)}</span>
+                    <span class="gang-member-actions">
+                      <button class="gang-mini-btn" data-accept-invite="${ChatSystem.escapeHtml(inv.gangId)}">Accept</button>
+                      <button class="gang-mini-btn danger" data-decline-invite="${ChatSystem.escapeHtml(inv.gangId)}">Decline</button>
+                    </span>
+                  </div>
+                `).join('')}
+              </div>
+            ` : ''}
             <div class="gang-action-buttons">
               <button class="gang-action-btn" id="create-gang-btn">
                 <span>🏴</span>
@@ -32848,18 +38022,45 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         document.getElementById('join-gang-btn')?.addEventListener('click', () => {
           this.showJoinGangModal();
         });
+        
+        container.querySelectorAll('[data-accept-invite]').forEach(btn => {
+          btn.addEventListener('click', () => {
+            this.runNetworkAction(GangNetwork.acceptInvite(btn.dataset.acceptInvite), '🤝 Welcome to the gang!');
+          });
+        });
+        
+        container.querySelectorAll('[data-decline-invite]').forEach(btn => {
+          btn.addEventListener('click', () => {
+            this.runNetworkAction(GangNetwork.declineInvite(btn.dataset.declineInvite));
+          });
+        });
+      },
+      
+      // Firebase writes can be rejected by the rules (e.g. a demoted officer)
+      runNetworkAction(promise, successMessage) {
+        return promise
+          .then(() => {
+            if (successMessage) TurfTab.showTemporaryNotification(successMessage);
+            this.render();
+          })
+          .catch(err => {
+            console.warn('[GangTab] Gang action failed:', err);
+            TurfTab.showTemporaryNotification('❌ Gang action failed. Try again.');
+          });
       },
       
       renderGangProfile(container) {
         const gang = GameState.gang;
-        const isLeader = gang.members[0].id === 'player';
+        const myRole = GangNetwork.getMyRole();
+        const isOfficer = GangNetwork.isOfficer();
+        const requests = gang.requests || [];
         
         container.innerHTML = `
           <div class="gang-container">
             <div class="gang-header">
-              <div class="gang-flag">${gang.flag}</div>
-              <div class="gang-name">${gang.name}</div>
-              <div class="gang-role">${isLeader ? 'Leader' : 'Member'}</div>
+              <div class="gang-flag">${ChatSystem.escapeHtml(gang.flag)}</div>
+              <div class="gang-name">${ChatSystem.escapeHtml(gang.name)}</div>
+              <div class="gang-role">${GangNetwork.ROLE_LABELS[myRole] || 'Member'}${gang.live ? ' · 🟢 Live' : ''}</div>
             </div>
             
             <div class="gang-stats-grid">
@@ -32881,19 +38082,53 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
               </div>
             </div>
             
+            ${gang.live ? this.renderDefenseSection(gang, isOfficer) : ''}
+            ${this.renderTerritorySection()}
+            
+            <div class="gang-action-buttons">
+              <button class="gang-action-btn" id="gang-deposit-btn">
+                <span>💵</span>
+                <span>Deposit</span>
+              </button>
+              <button class="gang-action-btn" id="gang-withdraw-btn" ${isOfficer ? '' : 'disabled'}>
+                <span>🏦</span>
+                <span>Withdraw</span>
+              </button>
+            </div>
+            
             <div class="gang-section">
               <div class="gang-section-title">Members</div>
               <div class="gang-member-list" id="gang-member-list">
                 ${this.renderMembers(gang.members)}
               </div>
+              ${gang.live && isOfficer ? '<button class="gang-mini-btn gang-invite-btn" id="gang-invite-btn">➕ Invite Player</button>' : ''}
             </div>
             
+            ${isOfficer && requests.length > 0 ? `
+              <div class="gang-section">
+                <div class="gang-section-title">Join Requests</div>
+                <div class="gang-member-list">
+                  ${requests.map(req => `
+                    <div class="gang-member">
+                      <span class="gang-member-name">${ChatSystem.escapeHtml(req.name)}</span>
+                      <span class="gang-member-actions">
+                        <button class="gang-mini-btn" data-approve="${ChatSystem.escapeHtml(req.id)}">Approve</button>
+                        <button class="gang-mini-btn danger" data-deny="${ChatSystem.escapeHtml(req.id)}">Deny</button>
+                      </span>
+                    </div>
+                  `).join('')}
+                </div>
+              </div>
+            ` : ''}
+            
             <div class="gang-section">
               <div class="gang-section-title">Properties</div>
               <div class="gang-property-list" id="gang-property-list">
                 ${gang.properties.length > 0 ? this.renderProperties(gang.properties) : '<div style="text-align: center; opacity: 0.5; padding: 20px;">No properties owned</div>'}
               </div>
             </div>
+            
+            ${gang.live ? `<button class="outcome-btn" id="gang-leave-btn" style="background: #0a0a0a;">${myRole === 'boss' && gang.members.length === 1 ? 'Disband Gang' : 'Leave Gang'}</button>` : ''}
           </div>
           
           ${this.renderRelationsSection()}
@@ -32909,15 +38144,188 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
             });
           }
         });
+        
+        container.querySelectorAll('[data-diplo]').forEach(btn => {
+          btn.addEventListener('click', () => this.handleDiplomacyAction(btn.dataset.diplo, btn.dataset.gangId));
+        });
+        container.querySelectorAll('[data-diplo-accept]').forEach(btn => {
+          btn.addEventListener('click', () => this.runNetworkAction(GangDiplomacy.accept(btn.dataset.diploAccept), '📜 Proposal accepted'));
+        });
+        container.querySelectorAll('[data-diplo-decline]').forEach(btn => {
+          btn.addEventListener('click', () => this.runNetworkAction(GangDiplomacy.decline(btn.dataset.diploDecline), '📜 Proposal declined'));
+        });
+        
+        document.getElementById('gang-deposit-btn')?.addEventListener('click', () => this.promptVaultTransfer('deposit'));
+        document.getElementById('gang-withdraw-btn')?.addEventListener('click', () => this.promptVaultTransfer('withdraw'));
+        document.getElementById('gang-invite-btn')?.addEventListener('click', () => this.showInviteModal());
+        
+        container.querySelectorAll('[data-posture]').forEach(btn => {
+          btn.addEventListener('click', () => {
+            this.runNetworkAction(GangNetwork.setPosture(btn.dataset.posture),
+              `${GangNetwork.POSTURES[btn.dataset.posture].icon} Posture set to ${GangNetwork.POSTURES[btn.dataset.posture].label}`);
+          });
+        });
+        
+        document.getElementById('gang-leave-btn')?.addEventListener('click', () => {
+          if (!confirm(`Leave ${gang.name}?`)) return;
+          this.runNetworkAction(GangNetwork.leave());
+        });
+        
+        const actions = {
+          approve: id => GangNetwork.approveRequest(id),
+          deny: id => GangNetwork.denyRequest(id),
+          promote: id => GangNetwork.setRole(id, 'lieutenant'),
+          demote: id => GangNetwork.setRole(id, 'soldier'),
+          kick: id => GangNetwork.kick(id)
+        };
+        Object.keys(actions).forEach(action => {
+          container.querySelectorAll(`[data-${action}]`).forEach(btn => {
+            btn.addEventListener('click', () => this.runNetworkAction(actions[action](btn.dataset[action])));
+          });
+        });
       },
       
+      // Posture holds while everyone is offline; officers change it
+      renderDefenseSection(gang, isOfficer) {
+        const current = gang.posture || 'balanced';
+        const now = Date.now();
+        const shield = Math.max(gang.shieldUntil || 0, (gang.createdAt || 0) + GangNetwork.NEW_GANG_SHIELD_MS);
+        
+        return `
+          <div class="gang-section">
+            <div class="gang-section-title">Defense</div>
+            <div class="gang-posture-options">
+              ${Object.keys(GangNetwork.POSTURES).map(key => {
+                const p = GangNetwork.POSTURES[key];
+                return `<button class="gang-mini-btn ${key === current ? 'selected' : ''}" data-posture="${key}" ${isOfficer && key !== current ? '' : 'disabled'}>${p.icon} ${p.label}</button>`;
+              }).join('')}
+            </div>
+            <div class="gang-defense-info">
+              Strength ${GangNetwork.getGangStrength(gang.members, GangNetwork.getMemberPower())}
+              ${shield > now ? ` · 🛡️ Shielded ${GangNetwork.formatWait(shield - now)}` : ''}
+            </div>
+          </div>
+        `;
+      },
+      
+      renderTerritorySection() {
+        const summary = TerritoryControl.getSummary();
+        const list = zones => zones.length > 0 ? zones.join(', ') : 'none';
+        
+        return `
+          <div class="gang-section">
+            <div class="gang-section-title">Territory</div>
+            <div class="gang-defense-info" style="margin-top: 0;">
+              🏴 Controlled: ${list(summary.held)}<br>
+              ⚔️ Contested: ${list(summary.contested)}
+            </div>
+          </div>
+        `;
+      },
+      
+      // Bosses manage everyone; lieutenants manage soldiers
       renderMembers(members) {
-        return members.map(member => `
-          <div class="gang-member">
-            <span class="gang-member-name">${member.name}</span>
-            <span class="gang-member-role">${member.role}</span>
+        const myRole = GangNetwork.getMyRole();
+        const myId = GangNetwork.uid() || 'player';
+        
+        return members.map(member => {
+          const role = member.role;
+          const id = ChatSystem.escapeHtml(member.id);
+          const canManage = GameState.gang.live && member.id !== myId &&
+            (myRole === 'boss' || (myRole === 'lieutenant' && role === 'soldier'));
+          
+          return `
+            <div class="gang-member">
+              <span class="gang-member-name">${ChatSystem.escapeHtml(member.name)}</span>
+              <span class="gang-member-actions">
+                <span class="gang-member-role">${GangNetwork.ROLE_LABELS[role] || ChatSystem.escapeHtml(role)}</span>
+                ${canManage && myRole === 'boss' && role === 'soldier' ? `<button class="gang-mini-btn" data-promote="${id}">▲</button>` : ''}
+                ${canManage && myRole === 'boss' && role === 'lieutenant' ? `<button class="gang-mini-btn" data-demote="${id}">▼</button>` : ''}
+                ${canManage ? `<button class="gang-mini-btn danger" data-kick="${id}">Kick</button>` : ''}
+              </span>
+            </div>
+          `;
+        }).join('');
+      },
+      
+      promptVaultTransfer(type) {
+        const gang = GameState.gang;
+        const max = type === 'deposit' ? GameState.player.cash : gang.vault;
+        const input = prompt(`${type === 'deposit' ? 'Deposit' : 'Withdraw'} how much? (max $${max.toLocaleString()})`);
+        const amount = Math.floor(Number(input));
+        if (!amount || amount <= 0) return;
+        if (amount > max) {
+          TurfTab.showTemporaryNotification('❌ Not enough cash');
+          return;
+        }
+        
+        if (type === 'deposit') {
+          GangNetwork.deposit(amount);
+          TurfTab.showTemporaryNotification(`💵 Deposited $${amount.toLocaleString()} into the vault`);
+          ProfileTab.render();
+          this.render();
+          Storage.save();
+          return;
+        }
+        
+        GangNetwork.withdraw(amount).then(ok => {
+          TurfTab.showTemporaryNotification(ok
+            ? `🏦 Withdrew $${amount.toLocaleString()} from the vault`
+            : '❌ The vault is short — someone got there first');
+          ProfileTab.render();
+          this.render();
+          Storage.save();
+        }).catch(err => console.warn('[GangTab] Withdraw failed:', err));
+      },
+      
+      // Invite targets come from the global leaderboard
+      showInviteModal() {
+        const gang = GameState.gang;
+        const memberIds = new Set(gang.members.map(m => m.id));
+        const invitedIds = new Set((gang.invites || []).map(i => i.id));
+        const players = (typeof GlobalLeaderboard !== 'undefined' ? GlobalLeaderboard.getAllEntries() : [])
+          .filter(p => p.accountId && !memberIds.has(p.accountId));
+        
+        const modal = document.createElement('div');
+        modal.className = 'event-modal';
+        modal.id = 'gang-modal';
+        
+        modal.innerHTML = `
+          <div class="event-modal-content">
+            <div class="event-modal-title">Invite Player</div>
+            <div class="gang-list">
+              ${players.length > 0 ? players.map(p => `
+                <div class="gang-list-item" data-uid="${p.accountId}" data-name="${p.username}">
+                  <div class="gang-list-info">
+                    <div class="gang-list-details">
+                      <div class="gang-list-name">${p.username}</div>
+                      <div class="gang-list-members">Level ${p.level || 1}</div>
+                    </div>
+                  </div>
+                  <button class="outcome-btn" style="padding: 8px 16px; min-height: 36px;" ${invitedIds.has(p.accountId) ? 'disabled' : ''}>
+                    ${invitedIds.has(p.accountId) ? 'Invited' : 'Invite'}
+                  </button>
+                </div>
+              `).join('') : '<div style="text-align: center; opacity: 0.5; padding: 20px;">No players found</div>'}
+            </div>
+            <button class="outcome-btn" id="cancel-invite-btn" style="background: #0a0a0a; margin-top: 16px;">Close</button>
           </div>
-        `).join('');
+        `;
+        
+        document.getElementById('app').appendChild(modal);
+        
+        modal.querySelectorAll('.gang-list-item button').forEach(btn => {
+          btn.addEventListener('click', () => {
+            const item = btn.closest('.gang-list-item');
+            btn.disabled = true;
+            btn.textContent = 'Invited';
+            this.runNetworkAction(GangNetwork.invite(item.dataset.uid, item.dataset.name), `📨 Invited ${item.dataset.name}`);
+          });
+        });
+        
+        document.getElementById('cancel-invite-btn')?.addEventListener('click', () => {
+          modal.remove();
+        });
       },
       
       renderProperties(properties) {
@@ -32937,14 +38345,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         
         // Initialize relations for all public gangs
         GameState.publicGangs.forEach(gang => {
-          if (gang.id !== GameState.gang?.id && !GameState.gangRelations[gang.id]) {
-            GameState.gangRelations[gang.id] = {
-              status: 'neutral',
-              heat: 0,
-              lastAction: null,
-              warStarted: null
-            };
-          }
+          if (gang.id !== GameState.gang?.id) this.getRelation(gang.id);
         });
         
         const relations = GameState.publicGangs
@@ -32964,18 +38365,32 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         `;
       },
       
+      getRelation(gangId) {
+        if (!GameState.gangRelations[gangId]) {
+          GameState.gangRelations[gangId] = {
+            status: 'neutral',   // 'neutral' | 'war' | 'truce' | 'alliance'
+            heat: 0,
+            lastAction: null,
+            warStarted: null
+          };
+        }
+        return GameState.gangRelations[gangId];
+      },
+      
       renderRelationCard(gang, relation) {
         const isAtWar = relation.status === 'war';
-        const canRaid = !isAtWar || relation.heat < 100;
+        const block = GangNetwork.getRaidBlock(gang);
+        const canRaid = (!isAtWar || relation.heat < 100) && !block;
+        const posture = GangNetwork.POSTURES[gang.posture] || GangNetwork.POSTURES.balanced;
         
         return `
           <div class="relation-card">
             <div class="relation-header">
               <div class="relation-gang-info">
-                <div class="relation-flag">${gang.flag}</div>
-                <div class="relation-name">${gang.name}</div>
+                <div class="relation-flag">${ChatSystem.escapeHtml(gang.flag)}</div>
+                <div class="relation-name">${ChatSystem.escapeHtml(gang.name)}</div>
               </div>
-              <div class="relation-status ${relation.status}">${isAtWar ? '⚔️ WAR' : '🤝 Neutral'}</div>
+              <div class="relation-status ${relation.status}">${this.RELATION_LABELS[relation.status] || this.RELATION_LABELS.neutral}</div>
             </div>
             
             <div class="relation-heat-bar">
@@ -32986,8 +38401,14 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
               <span class="heat-value-small">${Math.round(relation.heat)}%</span>
             </div>
             
+            <div class="relation-defense">
+              💪 ${gang.strength || 0} · ${posture.icon} ${posture.label}${block ? ` · ${ChatSystem.escapeHtml(block)}` : ''}
+            </div>
+            
+            ${this.renderDiplomacy(gang, relation)}
+            
             <div class="relation-actions">
-              <button class="raid-btn" data-gang-id="${gang.id}" ${!canRaid ? 'disabled' : ''}>
+              <button class="raid-btn" data-gang-id="${ChatSystem.escapeHtml(gang.id)}" ${!canRaid ? 'disabled' : ''}>
                 <span>⚔️</span>
                 <span>Raid</span>
               </button>
@@ -32996,6 +38417,76 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         `;
       },
       
+      RELATION_LABELS: {
+        neutral: '😐 Neutral',
+        war: '⚔️ WAR',
+        truce: '🕊️ Truce',
+        alliance: '🤝 Allied'
+      },
+      
+      // Pact status, incoming/outgoing proposal and officer actions for one rival
+      renderDiplomacy(gang, relation) {
+        if (!GameState.gang || !GameState.gang.live) return '';
+        const isOfficer = GangNetwork.isOfficer();
+        const proposal = relation.proposal;
+        const pact = GangDiplomacy.getPact(gang.id);
+        const label = p => GangDiplomacy.PROPOSAL_LABELS[p.type] + (p.amount ? ` of $${p.amount.toLocaleString()}` : '') +
+          (p.durationMs ? ` for ${Math.round(p.durationMs / 3600000)}h` : '');
+        const lines = [];
+        
+        if (relation.pactExpiresAt) {
+          lines.push(`🕊️ Truce ends in ${GangNetwork.formatWait(relation.pactExpiresAt - Date.now())}`);
+        }
+        if (gang.oathbrokenUntil > Date.now()) lines.push('🗡️ Oathbreaker — broke a pact recently');
+        if (proposal && proposal.from === gang.id) {
+          lines.push(`📜 They propose a ${label(proposal)}` + (isOfficer ? `
+            <button class="gang-mini-btn" data-diplo-accept="${ChatSystem.escapeHtml(gang.id)}">Accept</button>
+            <button class="gang-mini-btn danger" data-diplo-decline="${ChatSystem.escapeHtml(gang.id)}">Decline</button>` : ''));
+        } else if (proposal) {
+          lines.push(`📜 Awaiting reply to our ${label(proposal)}`);
+        }
+        
+        const actions = !isOfficer || proposal ? '' : `
+          <div class="gang-posture-options" style="margin-top: 6px;">
+            ${!pact ? `<button class="gang-mini-btn" data-diplo="truce" data-gang-id="${ChatSystem.escapeHtml(gang.id)}">🕊️ Truce</button>` : ''}
+            ${pact !== 'alliance' ? `<button class="gang-mini-btn" data-diplo="alliance" data-gang-id="${ChatSystem.escapeHtml(gang.id)}">🤝 Alliance</button>` : ''}
+            <button class="gang-mini-btn" data-diplo="tribute_demand" data-gang-id="${ChatSystem.escapeHtml(gang.id)}">💰 Demand Tribute</button>
+            <button class="gang-mini-btn" data-diplo="tribute_offer" data-gang-id="${ChatSystem.escapeHtml(gang.id)}">💸 Pay Tribute</button>
+            ${pact ? `<button class="gang-mini-btn danger" data-diplo="betray" data-gang-id="${ChatSystem.escapeHtml(gang.id)}">🗡️ Betray</button>` : ''}
+          </div>`;
+        
+        return `
+          <div class="relation-defense">
+            ${lines.join('<br>')}
+            ${actions}
+          </div>
+        `;
+      },
+      
+      handleDiplomacyAction(type, gangId) {
+        const gang = GameState.publicGangs.find(g => g.id === gangId);
+        if (!gang) return;
+        
+        if (type === 'betray') {
+          if (!confirm(`Break your pact with ${gang.name}? They will go to war and your gang will be marked as oathbreakers.`)) return;
+          this.runNetworkAction(GangDiplomacy.betray(gangId), `🗡️ Pact with ${gang.name} broken`);
+          return;
+        }
+        
+        const options = {};
+        if (type === 'truce') {
+          const hours = Number(prompt(`Truce length in hours (${GangDiplomacy.TRUCE_HOURS.join(', ')})`, '24'));
+          if (!GangDiplomacy.TRUCE_HOURS.includes(hours)) return;
+          options.durationMs = hours * 60 * 60 * 1000;
+        }
+        if (type === 'tribute_demand' || type === 'tribute_offer') {
+          const amount = Math.floor(Number(prompt('Tribute amount ($)')));
+          if (!amount || amount <= 0) return;
+          options.amount = amount;
+        }
+        this.runNetworkAction(GangDiplomacy.propose(gangId, type, options), `📜 Sent ${GangDiplomacy.PROPOSAL_LABELS[type]} to ${gang.name}`);
+      },
+      
       renderWarLogSection() {
         if (!GameState.gang || GameState.gangWarLog.length === 0) return '';
         
@@ -33018,7 +38509,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         const timestamp = new Date(log.timestamp).toLocaleString();
         return `
           <div class="war-log-entry">
-            ${log.message}
+            ${ChatSystem.escapeHtml(log.message)}
             <div class="war-log-timestamp">${timestamp}</div>
           </div>
         `;
@@ -33129,7 +38620,23 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         // Deduct cost
         GameState.player.cash -= cost;
         
-        // Create gang
+        if (GangNetwork.isOnline()) {
+          GangNetwork.create(name, flag, color)
+            .then(() => {
+              ProfileTab.render();
+              this.render();
+              console.log('Gang created:', name);
+            })
+            .catch(err => {
+              console.warn('[GangTab] Gang creation failed:', err);
+              GameState.player.cash += cost;
+              TurfTab.showTemporaryNotification('❌ Could not create gang. Try again.');
+              ProfileTab.render();
+            });
+          return;
+        }
+        
+        // Offline: local-only gang
         GameState.gang = {
           id: 'player_gang_' + Date.now(),
           name: name,
@@ -33138,7 +38645,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
           vault: 0,
           health: 100,
           members: [
-            { id: 'player', name: GameState.player.name, role: 'Leader' }
+            { id: 'player', name: GameState.player.name, role: 'boss' }
           ],
           properties: [
             // Starter property
@@ -33155,20 +38662,39 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
       },
       
       showJoinGangModal() {
+        if (!GangNetwork.isOnline()) {
+          TurfTab.showTemporaryNotification('📡 Sign in to join a gang');
+          return;
+        }
+        
+        GangNetwork.loadDirectory()
+          .then(() => this.renderJoinGangModal())
+          .catch(err => {
+            console.warn('[GangTab] Could not load gangs:', err);
+            TurfTab.showTemporaryNotification('❌ Could not load gangs');
+          });
+      },
+      
+      renderJoinGangModal() {
         const modal = document.createElement('div');
         modal.className = 'event-modal';
         modal.id = 'gang-modal';
         
-        const gangListHTML = GameState.publicGangs.map(gang => `
-          <div class="gang-list-item" data-gang-id="${gang.id}">
+        const requested = id => Boolean(GangNetwork.pending[id]);
+        const gangListHTML = GameState.publicGangs.length === 0
+          ? '<div style="text-align: center; opacity: 0.5; padding: 20px;">No gangs yet — start one</div>'
+          : GameState.publicGangs.map(gang => `
+          <div class="gang-list-item" data-gang-id="${ChatSystem.escapeHtml(gang.id)}">
             <div class="gang-list-info">
-              <div class="gang-list-flag">${gang.flag}</div>
+              <div class="gang-list-flag">${ChatSystem.escapeHtml(gang.flag)}</div>
               <div class="gang-list-details">
-                <div class="gang-list-name">${gang.name}</div>
+                <div class="gang-list-name">${ChatSystem.escapeHtml(gang.name)}</div>
                 <div class="gang-list-members">${gang.memberCount} members</div>
               </div>
             </div>
-            <button class="outcome-btn" style="padding: 8px 16px; min-height: 36px;">Join</button>
+            <button class="outcome-btn" style="padding: 8px 16px; min-height: 36px;" ${requested(gang.id) ? 'disabled' : ''}>
+              ${requested(gang.id) ? 'Requested' : 'Request'}
+            </button>
           </div>
         `).join('');
         
@@ -33203,160 +38729,108 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         });
       },
       
+      // Officers approve requests; GangNetwork picks up the new membership
       joinGang(publicGang) {
-        // Join existing gang
-        GameState.gang = {
-          id: publicGang.id,
-          name: publicGang.name,
-          flag: publicGang.flag,
-          color: '#8ab4f8',
-          vault: publicGang.vault || Math.floor(Math.random() * 5000) + 1000,
-          health: publicGang.health || 100,
-          members: [
-            { id: 'npc_leader', name: 'Gang Leader', role: 'Leader' },
-            { id: 'player', name: GameState.player.name, role: 'Member' }
-          ],
-          properties: [
-            { id: 'warehouse_1', name: 'Warehouse', icon: '🏭', income: 75, lastCollected: Date.now() }
-          ],
-          createdAt: Date.now()
-        };
-        
-        this.render();
-        Storage.save();
+        this.runNetworkAction(
+          GangNetwork.requestJoin(publicGang.id),
+          `📨 Asked to join ${publicGang.name}`
+        );
         
-        console.log('Joined gang:', publicGang.name);
+        console.log('Requested to join gang:', publicGang.name);
       },
       
       initiateRaid(targetGangId) {
         const targetGang = GameState.publicGangs.find(g => g.id === targetGangId);
         if (!targetGang || !GameState.gang) return;
         
-        // Record fatigue for this action
-        FatigueSystem.addFatigue('raid', `Raid on ${targetGang.name}`);
-        
-        const relation = GameState.gangRelations[targetGangId];
+        const relation = this.getRelation(targetGangId);
         
-        // Base success rate: 60%
-        const baseSuccessRate = 0.6;
-        
-        // Apply fatigue penalty
+        // Fatigue counts against the roll; the defender's side is resolved remotely
         const fatiguePenalty = FatigueSystem.getSuccessPenalty();
-        const adjustedSuccessRate = baseSuccessRate - fatiguePenalty;
         
-        // Use fairness-adjusted RNG
-        const raidSuccess = RNGFairness.rollWithFairness(adjustedSuccessRate, 'raid');
-        
-        let result = {
-          success: raidSuccess,
-          cashStolen: 0,
-          healthDamage: 0,
-          heatGain: 0,
-          retaliation: false
-        };
-        
-        if (raidSuccess) {
-          // Successful raid
-          result.cashStolen = Math.floor(Math.random() * 500) + 200; // $200-700
-          result.healthDamage = Math.floor(Math.random() * 10) + 5; // 5-15%
-          result.heatGain = Math.floor(Math.random() * 20) + 15; // 15-35%
+        GangNetwork.raid(targetGangId, fatiguePenalty).then(result => {
+          if (result.blocked) {
+            TurfTab.showTemporaryNotification(result.blocked);
+            return;
+          }
           
-          // Apply rewards
-          GameState.gang.vault += result.cashStolen;
-          targetGang.health = Math.max(0, targetGang.health - result.healthDamage);
+          // Record fatigue for this action
+          FatigueSystem.addFatigue('raid', `Raid on ${targetGang.name}`);
           
-          // 30% chance of retaliation
-          result.retaliation = Math.random() < 0.3;
-        } else {
-          // Failed raid
-          result.healthDamage = Math.floor(Math.random() * 5) + 3; // 3-8% to us
-          result.heatGain = Math.floor(Math.random() * 15) + 10; // 10-25%
+          if (!result.success) {
+            GameState.gang.health = Math.max(0, GameState.gang.health - result.healthDamage);
+          }
           
-          // Apply damage to our gang
-          GameState.gang.health = Math.max(0, GameState.gang.health - result.healthDamage);
+          // Update heat
+          relation.heat = Math.min(100, relation.heat + result.heatGain);
+          relation.lastAction = Date.now();
           
-          // 50% chance of retaliation on failure
-          result.retaliation = Math.random() < 0.5;
-        }
+          // Check for war threshold
+          if (relation.heat >= 75 && relation.status !== 'war') {
+            relation.status = 'war';
+            relation.warStarted = Date.now();
+            this.logWarEvent(`⚔️ War declared with ${targetGang.name}!`);
+          }
+          
+          // Warn if fatigued
+          if (FatigueSystem.shouldWarnPlayer()) {
+            setTimeout(() => {
+              const notification = document.createElement('div');
+              notification.className = 'xp-notification';
+              notification.innerHTML = `<span class="xp-negative">😓 Your crew is exhausted. Rest recommended.</span>`;
+              document.getElementById('app').appendChild(notification);
+              setTimeout(() => notification.remove(), 4000);
+            }, 500);
+          }
+          
+          this.showRaidResult(targetGang, result);
+          Storage.save();
+        }).catch(err => {
+          console.warn('[GangTab] Raid failed:', err);
+          TurfTab.showTemporaryNotification('❌ Raid could not be launched. Try again.');
+        });
+      },
+      
+      // Another gang's raid landed while we were on or offline (see GangNetwork.receiveWarLog)
+      applyIncomingRaid(entry) {
+        if (!GameState.gang) return;
+        const attacker = { id: entry.gangId, name: entry.gangName };
         
-        // Update heat
-        relation.heat = Math.min(100, relation.heat + result.heatGain);
+        const relation = this.getRelation(attacker.id);
+        relation.heat = Math.min(100, relation.heat + (entry.success ? 20 : 10));
         relation.lastAction = Date.now();
-        
-        // Check for war threshold
-        if (relation.heat >= 75 && relation.status !== 'war') {
+        if (relation.heat >= 75 && relation.status === 'neutral') {
           relation.status = 'war';
           relation.warStarted = Date.now();
-          this.logWarEvent(`⚔️ War declared with ${targetGang.name}!`);
+          this.logWarEvent(`⚔️ War declared with ${attacker.name}!`);
         }
         
-        // Log raid
-        this.logWarEvent(
-          raidSuccess 
-            ? `✅ Successful raid on ${targetGang.name}. Stole $${result.cashStolen}.`
-            : `❌ Failed raid on ${targetGang.name}. Took ${result.healthDamage}% damage.`
-        );
-        
-        // Warn if fatigued
-        if (FatigueSystem.shouldWarnPlayer()) {
-          setTimeout(() => {
-            const notification = document.createElement('div');
-            notification.className = 'xp-notification';
-            notification.innerHTML = `<span class="xp-negative">😓 Your crew is exhausted. Rest recommended.</span>`;
-            document.getElementById('app').appendChild(notification);
-            setTimeout(() => notification.remove(), 4000);
-          }, 500);
-        }
+        if (!entry.success) return;
         
-        // Process retaliation
-        if (result.retaliation) {
-          setTimeout(() => this.processRetaliation(targetGang), 1000);
-        }
-        
-        this.showRaidResult(targetGang, result);
-        Storage.save();
-      },
-      
-      processRetaliation(enemyGang) {
-        if (!GameState.gang) return;
-        
-        const retaliationDamage = Math.floor(Math.random() * 15) + 10; // 10-25%
-        const cashStolen = Math.floor(Math.random() * 300) + 100; // $100-400
-        
-        GameState.gang.health = Math.max(0, GameState.gang.health - retaliationDamage);
-        GameState.gang.vault = Math.max(0, GameState.gang.vault - cashStolen);
+        GameState.gang.health = Math.max(0, GameState.gang.health - (entry.damage || 0));
         
         // Create new pressure: If gang health drops too low, consequences
         if (GameState.gang.health <= 20) {
           // Critical health - lose a property (if any)
           if (GameState.gang.properties.length > 1) { // Keep at least base property
             const lostProperty = GameState.gang.properties.pop();
-            GangTab.logWarEvent(`💥 CRITICAL: Lost control of ${lostProperty.name} due to low gang health!`);
+            this.logWarEvent(`💥 CRITICAL: Lost control of ${lostProperty.name} due to low gang health!`);
           }
           
-          // Force defensive posture
-          this.showTemporaryNotification("⚠️ GANG CRITICAL: Health dangerously low. Avoid conflicts!");
+          TurfTab.showTemporaryNotification("⚠️ GANG CRITICAL: Health dangerously low. Avoid conflicts!");
         }
         
         // Check if this pushes gang into defeat state
         if (GameState.gang.health <= 0) {
-          this.triggerGangDefeat(enemyGang);
+          this.triggerGangDefeat(attacker);
         } else {
-          this.logWarEvent(`🔥 ${enemyGang.name} retaliated! Lost $${cashStolen} and took ${retaliationDamage}% damage.`);
-          
-          // Show notification
           const notification = document.createElement('div');
           notification.className = 'xp-notification';
-          notification.innerHTML = `<span class="xp-negative">⚠️ Retaliation from ${enemyGang.name}!</span>`;
+          notification.innerHTML = `<span class="xp-negative">⚠️ ${ChatSystem.escapeHtml(attacker.name)} raided your gang!</span>`;
           document.getElementById('app').appendChild(notification);
           setTimeout(() => notification.remove(), 4000);
         }
         
-        // Refresh gang tab if active
-        if (GameState.ui.activeTab === 'gang') {
-          this.render();
-        }
-        
         Storage.save();
       },
       
@@ -33372,8 +38846,8 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
               <div class="raid-result-title">${result.success ? 'Raid Successful!' : 'Raid Failed'}</div>
               <div class="raid-result-description">
                 ${result.success 
-                  ? `Your gang successfully raided ${targetGang.name} and got away with cash.`
-                  : `The raid on ${targetGang.name} went wrong. Your gang took damage.`}
+                  ? `Your gang successfully raided ${ChatSystem.escapeHtml(targetGang.name)} and got away with cash.`
+                  : `The raid on ${ChatSystem.escapeHtml(targetGang.name)} went wrong. Your gang took damage.`}
               </div>
               
               <div class="raid-result-rewards">
@@ -33394,12 +38868,14 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
                   <span class="reward-label">Heat Gained</span>
                   <span class="reward-value reward-negative">+${result.heatGain}%</span>
                 </div>
-                ${result.retaliation 
-                  ? `<div class="reward-item">
-                      <span class="reward-label">Warning</span>
-                      <span class="reward-value reward-negative">⚠️ Retaliation Incoming</span>
-                    </div>`
-                  : ''}
+                <div class="reward-item">
+                  <span class="reward-label">Strength</span>
+                  <span class="reward-value">${result.attack} vs ${result.defense} ${GangNetwork.POSTURES[result.posture].icon}</span>
+                </div>
+                <div class="reward-item">
+                  <span class="reward-label">Their Shield</span>
+                  <span class="reward-value" style="color: #8ab4f8;">🛡️ ${GangNetwork.formatWait(result.shieldUntil - Date.now())}</span>
+                </div>
               </div>
               
               <button class="outcome-btn" id="close-raid-result">Continue</button>
@@ -33415,11 +38891,13 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         });
       },
       
-      logWarEvent(message) {
+      logWarEvent(message, meta = {}) {
         GameState.gangWarLog.push({
+          id: meta.id,
           message: message,
-          timestamp: Date.now()
+          timestamp: meta.timestamp || Date.now()
         });
+        GameState.gangWarLog.sort((a, b) => a.timestamp - b.timestamp);
 
         // Keep only last 50 events
         if (GameState.gangWarLog.length > 50) {
@@ -33434,14 +38912,15 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         console.log(`Gang defeated by ${defeatingGang.name}`);
         
         // Gang defeat consequences (NOT game over)
+        // A live gang's vault is shared; raids already took their cut
         const defeatPenalties = {
-          vaultLoss: GameState.gang.vault,
+          vaultLoss: GameState.gang.live ? 0 : GameState.gang.vault,
           propertyLoss: GameState.gang.properties.length,
           timestamp: Date.now()
         };
         
         // 1. Lose all vault money
-        GameState.gang.vault = 0;
+        GangNetwork.adjustVault(-defeatPenalties.vaultLoss);
         
         // 2. Lose all properties except base safe house
         const keptProperties = GameState.gang.properties.filter(p => p.id === 'safehouse_base');
@@ -33478,7 +38957,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
               <div class="raid-result-icon">💥</div>
               <div class="raid-result-title" style="color: #f28b82;">Gang Defeated</div>
               <div class="raid-result-description">
-                ${defeatingGang.name} has crushed your gang. You've lost territory and resources, but your core remains. Rebuild from the ashes.
+                ${ChatSystem.escapeHtml(defeatingGang.name)} has crushed your gang. You've lost territory and resources, but your core remains. Rebuild from the ashes.
               </div>
               
               <div class="raid-result-rewards">
@@ -33532,14 +39011,20 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
       },
       
       startRelationHeatDecay() {
-        // Decay heat by 1% every 30 seconds for neutral relations
+        // Decay heat by 1% every 30 seconds for neutral relations (2% under a pact)
         this.heatDecayInterval = setInterval(() => {
+          // Truces lapse on their own clock
+          GangDiplomacy.sync();
+          
           Object.keys(GameState.gangRelations).forEach(gangId => {
             const relation = GameState.gangRelations[gangId];
             
             if (relation.status === 'neutral' && relation.heat > 0) {
               relation.heat = Math.max(0, relation.heat - 1);
             }
+            if ((relation.status === 'truce' || relation.status === 'alliance') && relation.heat > 0) {
+              relation.heat = Math.max(0, relation.heat - 2);
+            }
             
             // End war if heat drops below 25%
             if (relation.status === 'war' && relation.heat < 25) {
@@ -33578,8 +39063,12 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
               }
             });
             
+            // Fortified gangs pay for their guards out of property income
+            const posture = GangNetwork.POSTURES[GameState.gang.posture] || GangNetwork.POSTURES.balanced;
+            totalIncome = Math.floor(totalIncome * posture.income);
+            
             if (totalIncome > 0) {
-              GameState.gang.vault += totalIncome;
+              GangNetwork.adjustVault(totalIncome);
               console.log(`Property income collected: $${totalIncome}`);
               
               // Update gang tab if active
@@ -33695,7 +39184,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
     // CITY NEWS  →  Spinning Newspaper Modal
     // ========================================
     // Spins into the centre of the screen every 30 minutes of gameplay.
-    // Filled from gangWarLog + heatLog. Easily dismissed.
+    // Filled from gangWarLog + heatLog + newsLog. Easily dismissed.
     const CityNewsTicker = {
       _overlay: null,
       _styleInjected: false,
@@ -33721,6 +39210,19 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         this._maybeShow();
       },
 
+      // Breaking story: flashes now and is kept for the next edition.
+      announce(message) {
+        if (!Array.isArray(GameState.newsLog)) GameState.newsLog = [];
+        GameState.newsLog.push({ message: message, timestamp: Date.now() });
+        if (GameState.newsLog.length > 30) GameState.newsLog = GameState.newsLog.slice(-30);
+        this._hasNewContent = true;
+
+        try {
+          if (typeof TurfTab !== 'undefined') TurfTab.showTemporaryNotification(`📰 ${message}`);
+        } catch(e) {}
+        this._maybeShow();
+      },
+
       _maybeShow() {
         if (!this._hasNewContent) return;
         if (this._overlay) return; // already on screen
@@ -33733,7 +39235,8 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
 
         const warEvents  = (GameState.gangWarLog || []).slice(-8);
         const heatEvents = (GameState.heatLog    || []).slice(-5);
-        const combined   = warEvents.concat(heatEvents)
+        const newsEvents = (GameState.newsLog    || []).slice(-5);
+        const combined   = warEvents.concat(heatEvents, newsEvents)
                              .sort((a, b) => b.timestamp - a.timestamp)
                              .slice(0, 6);
         if (combined.length === 0) return;
@@ -33753,10 +39256,11 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
         const leftS = combined.slice(0, half);
         const rightS = combined.slice(half);
 
+        // Stories carry other players' gang and account names; always escaped
         const storyBlock = (arr) => arr.map((e, i) => `
           ${i > 0 ? '<hr class="np-story-rule"/>' : ''}
           <div class="np-story">
-            <div class="np-story-headline">${e.message || ''}</div>
+            <div class="np-story-headline">${ChatSystem.escapeHtml(e.message || '')}</div>
             <div class="np-story-time">${this._relativeTime(e.timestamp)}</div>
           </div>`).join('');
 
@@ -34024,12 +39528,21 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
       console.log('[DEBUG] Loading storage...');
       Storage.load();
       
+      // Seed gameplay RNG after load so the seed lands in the restored eventLog
+      RNG.init();
+
+      // Replay time since the last save (missions, drug lab, inmates, heat, properties)
+      OfflineProgress.run();
+      
       console.log('[DEBUG] Initializing map icons...');
       initializeMapIcons(); // After load, so it doesn't get overwritten
       
       console.log('[DEBUG] Initializing Firebase leaderboard listener...');
       // Initialize Firebase real-time listener
       GlobalLeaderboard.initFirebaseListener();
+
+      // Live gang membership, invites and the gang directory
+      GangNetwork.connect();
       
       console.log('[DEBUG] Skipping procedural map generation (using static map)...');
       // DISABLED: All procedural generation replaced with static 2D map
@@ -34045,6 +39558,17 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
       console.log('[DEBUG] Initializing property buildings...');
       // Initialize property buildings (player-owned real estate)
       initPropertyBuildings();
+      PropertyManager.start();
+      Laundering.start();
+      TerritoryControl.start();
+
+      // Load crime definitions (data/crime-catalog.json + Firebase gameConfig override)
+      // A failed load leaves CrimeCatalog.loadError for the tab to show
+      CrimeCatalog.load().catch(() => {}).then(() => {
+        if (GameState.ui && GameState.ui.activeTab === 'crimes') {
+          CrimesTab.render();
+        }
+      });
 
       // Load all Firebase turf config data (positions, scales, layouts) in parallel.
       // Collect promises so auth flows can await them before dismissing the loading screen.
@@ -34267,6 +39791,7 @@ return { feetIdle: EMBED_FEET_IDLE, feetWalk: EMBED_FEET_WALK, bodyIdle: EMBED_B
       console.log('[DEBUG] Initializing cop car patrol system...');
       // Initialize cop car patrol on map (uses its own 53-node patrol graph)
       CopCarSystem.init();
+      PoliceFleet.start();
 
       // Inject cop car node debug overlay button and auto-show (admin only)
       CopNodeDebug.injectButton();
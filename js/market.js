@@ -1,19 +1,306 @@
 // js/market.js
+
+// ========================================
+// MARKET EXCHANGE (local stand-in for the trade callable)
+// ========================================
+// Owns the authoritative Black Market prices. Every published price is a quote
+// ({ quoteId, itemId, price, issuedAt, expiresAt }); trades must reference one.
+// executeTrade() has the same request/response shape as a Firebase callable
+// ({ data }), so a Cloud Function / emulator can replace it via
+// MarketSystem.exchange without touching the UI.
+//
+// Price model (shared by every player): each item has an anchor
+// { price, updatedAt } stored at market/prices/{itemId}. Trades push the anchor
+// up (buys) or down (sells) by qty / item.depth; between trades the price
+// decays back toward basePrice. On top of that, a small noise term derived
+// from (itemId, tick number) keeps the board moving - identical on every
+// client because nothing about it is random per client.
+const MarketExchange = (() => {
+  const QUOTE_TTL_MS = 10000;    // Quotes older than this are stale (2-3 price ticks)
+  const CLOCK_SKEW_MS = 2000;    // Tolerated client clock drift on tx.timestamp
+  const MAX_QTY = 100;
+  const MAX_QUOTES_PER_ITEM = 5;
+
+  const TICK_MS = 4000;          // Board refresh interval
+  const REVERSION_PER_TICK = 0.02; // Share of the gap to basePrice closed each tick
+  const NOISE_SCALE = 0.5;       // Noise amplitude as a share of item.volatility
+  const MAX_IMPACT = 0.25;       // Cap on price move from a single trade
+  const MIN_PRICE_RATIO = 0.2;   // Anchor clamp, relative to basePrice
+  const MAX_PRICE_RATIO = 5;
+  const MIN_WRITE_GAP_MS = 1000; // database.rules.json: anchors move at most once a second
+  const FIREBASE_PATH = 'market/prices';
+
+  // Selling under heavy policing can get the goods seized (by policeActivity)
+  const CONFISCATION_CHANCE = { high: 0.10, extreme: 0.20 };
+  const CONFISCATION_HEAT = { high: 4, extreme: 8 };
+
+  const state = {
+    items: {},        // itemId -> { id, basePrice, volatility, depth }
+    anchors: {},      // itemId -> { price, updatedAt } (shared via Firebase)
+    quotes: {},       // quoteId -> quote (recent history only)
+    latest: {},       // itemId -> newest quoteId
+    history: {},      // itemId -> [quoteId, ...] oldest first
+    nextId: 1,
+    connected: false,
+    modifiers: {}     // itemId -> local price multiplier from city shocks
+  };
+
+  // Deterministic noise in [-1, 1] for an item at a tick number
+  function noise(itemId, tick) {
+    const key = `${itemId}:${tick}`;
+    let h = 2166136261;
+    for (let i = 0; i < key.length; i++) {
+      h ^= key.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    return ((h >>> 0) / 4294967295) * 2 - 1;
+  }
+
+  function clampAnchor(item, price) {
+    return Math.min(item.basePrice * MAX_PRICE_RATIO, Math.max(item.basePrice * MIN_PRICE_RATIO, price));
+  }
+
+  // Anchor price after mean reversion up to `time` (no noise)
+  function fairPrice(itemId, time) {
+    const item = state.items[itemId];
+    const anchor = state.anchors[itemId];
+    const ticks = Math.max(0, (time - anchor.updatedAt) / TICK_MS);
+    return item.basePrice + (anchor.price - item.basePrice) * Math.pow(1 - REVERSION_PER_TICK, ticks);
+  }
+
+  function priceAt(itemId, time) {
+    const item = state.items[itemId];
+    const wobble = 1 + item.volatility * NOISE_SCALE * noise(itemId, Math.floor(time / TICK_MS));
+    const shock = state.modifiers[itemId] || 1;
+    return Math.max(1, Math.round(fairPrice(itemId, time) * wobble * shock));
+  }
+
+  function issueQuote(itemId) {
+    const now = Date.now();
+    const quote = {
+      quoteId: `q_${now.toString(36)}_${(state.nextId++).toString(36)}`,
+      itemId: itemId,
+      price: priceAt(itemId, now),
+      issuedAt: now,
+      expiresAt: now + QUOTE_TTL_MS
+    };
+    state.quotes[quote.quoteId] = quote;
+    state.latest[itemId] = quote.quoteId;
+
+    const history = state.history[itemId] || (state.history[itemId] = []);
+    history.push(quote.quoteId);
+    while (history.length > MAX_QUOTES_PER_ITEM) {
+      delete state.quotes[history.shift()];
+    }
+    return Object.assign({}, quote);
+  }
+
+  function init(items) {
+    const now = Date.now();
+    items.forEach(item => {
+      state.items[item.id] = item;
+      state.anchors[item.id] = { price: item.basePrice, updatedAt: now };
+      issueQuote(item.id);
+    });
+    connect();
+  }
+
+  // Subscribe to the shared anchors once Firebase is up (safe to call repeatedly)
+  function connect() {
+    if (state.connected) return;
+    if (typeof database === 'undefined' || !database || !window.firebaseReady) return;
+    state.connected = true;
+
+    database.ref(FIREBASE_PATH).on('value', snapshot => {
+      const remote = snapshot.val() || {};
+      Object.keys(state.items).forEach(itemId => {
+        const anchor = remote[itemId];
+        if (anchor && typeof anchor.price === 'number' && typeof anchor.updatedAt === 'number') {
+          state.anchors[itemId] = { price: clampAnchor(state.items[itemId], anchor.price), updatedAt: anchor.updatedAt };
+        }
+      });
+    }, err => {
+      console.warn('[MarketExchange] Shared prices unavailable:', err);
+      state.connected = false;
+    });
+  }
+
+  // Supply/demand: move the anchor after a settled trade
+  function applyImpact(itemId, side, qty) {
+    const item = state.items[itemId];
+    const impact = Math.min(MAX_IMPACT, qty / (item.depth || 100));
+    const shift = price => clampAnchor(item, price * (side === 'buy' ? 1 + impact : 1 - impact));
+    const now = Date.now();
+
+    state.anchors[itemId] = { price: shift(fairPrice(itemId, now)), updatedAt: now };
+
+    if (state.connected) {
+      database.ref(`${FIREBASE_PATH}/${itemId}`).transaction(current => {
+        const base = (current && typeof current.price === 'number') ? current : { price: item.basePrice, updatedAt: now };
+        const ticks = Math.max(0, (now - base.updatedAt) / TICK_MS);
+        const reverted = item.basePrice + (base.price - item.basePrice) * Math.pow(1 - REVERSION_PER_TICK, ticks);
+        // Back-to-back trades queue up slightly ahead instead of bouncing off the rules
+        return { price: shift(reverted), updatedAt: Math.max(now, base.updatedAt + MIN_WRITE_GAP_MS) };
+      }).catch(err => console.warn('[MarketExchange] Price update failed:', err));
+    }
+  }
+
+  // City shocks (lockdown etc.) scale this client's quotes; shared anchors are untouched
+  function setPriceModifiers(modifiers) {
+    state.modifiers = Object.assign({}, modifiers);
+  }
+
+  function roll() {
+    return typeof RNG !== 'undefined' ? RNG.random('market') : Math.random();
+  }
+
+  // Publish fresh quotes for every item
+  function tick() {
+    connect();
+    Object.keys(state.items).forEach(issueQuote);
+    return getBoard();
+  }
+
+  function getBoard() {
+    const board = {};
+    Object.keys(state.latest).forEach(itemId => {
+      board[itemId] = Object.assign({}, state.quotes[state.latest[itemId]]);
+    });
+    return board;
+  }
+
+  function reject(code, message) {
+    return { data: { ok: false, code: code, error: message } };
+  }
+
+  // Validate a typed trade transaction against the quote it claims:
+  //   { type: 'buy'|'sell', itemId, qty, quoteId, quotedPrice, timestamp }
+  // Resolves { data: { ok, price, total, cashDelta } } or { data: { ok: false, code, error } }.
+  function executeTrade(tx) {
+    return Promise.resolve().then(() => {
+      const now = Date.now();
+
+      if (!tx || (tx.type !== 'buy' && tx.type !== 'sell')) return reject('invalid-argument', 'Unknown trade type');
+      if (!state.items[tx.itemId]) return reject('invalid-argument', 'Unknown item');
+      if (!Number.isInteger(tx.qty) || tx.qty < 1 || tx.qty > MAX_QTY) return reject('invalid-argument', `Quantity must be 1-${MAX_QTY}`);
+      if (typeof tx.timestamp !== 'number' || tx.timestamp > now + CLOCK_SKEW_MS) return reject('invalid-argument', 'Bad transaction timestamp');
+
+      const quote = state.quotes[tx.quoteId];
+      if (!quote || quote.itemId !== tx.itemId || quote.price !== tx.quotedPrice) {
+        console.warn('[MarketExchange] Forged quote rejected:', tx);
+        return reject('forged-quote', 'Quote not recognised');
+      }
+      if (tx.timestamp < quote.issuedAt - CLOCK_SKEW_MS) return reject('forged-quote', 'Trade predates its quote');
+      if (now > quote.expiresAt) return reject('stale-quote', 'Price moved - quote expired');
+
+      const total = quote.price * tx.qty;
+      if (typeof GameState !== 'undefined' && GameState.player) {
+        if (tx.type === 'buy' && GameState.player.cash < total) return reject('failed-precondition', 'Insufficient funds!');
+        if (tx.type === 'sell' && ((GameState.marketInventory || {})[tx.itemId] || 0) < tx.qty) return reject('failed-precondition', "You don't own enough!");
+      }
+
+      // Police crackdown: street sales may be seized (no payout, extra heat)
+      const activity = (typeof GameState !== 'undefined' && GameState.cityState && GameState.cityState.policeActivity) || 'low';
+      if (tx.type === 'sell' && CONFISCATION_CHANCE[activity] && roll() < CONFISCATION_CHANCE[activity]) {
+        return {
+          data: {
+            ok: true,
+            confiscated: true,
+            price: quote.price,
+            total: 0,
+            cashDelta: 0,
+            heat: CONFISCATION_HEAT[activity]
+          }
+        };
+      }
+
+      // Undercover sting: the counterparty is a cop. Sellers lose the goods,
+      // buyers lose the cash (see PoliceOperations)
+      const sting = typeof PoliceOperations !== 'undefined' ? PoliceOperations.getSting() : null;
+      if (sting && roll() < sting.bustChance) {
+        return {
+          data: {
+            ok: true,
+            confiscated: true,
+            sting: true,
+            price: quote.price,
+            total: 0,
+            cashDelta: tx.type === 'buy' ? -total : 0,
+            heat: sting.heat
+          }
+        };
+      }
+
+      applyImpact(tx.itemId, tx.type, tx.qty);
+
+      return {
+        data: {
+          ok: true,
+          price: quote.price,
+          total: total,
+          cashDelta: tx.type === 'buy' ? -total : total
+        }
+      };
+    });
+  }
+
+  return {
+    QUOTE_TTL_MS,
+    TICK_MS,
+    init,
+    tick,
+    setPriceModifiers,
+    getBoard,
+    executeTrade
+  };
+})();
+
 const MarketSystem = {
   items: [
-    { id: 'neuro_stim', name: 'Neuro-Stims', basePrice: 50, volatility: 0.15 },
-    { id: 'data_chip', name: 'Encrypted Chips', basePrice: 200, volatility: 0.10 },
-    { id: 'plasma_cell', name: 'Plasma Cells', basePrice: 120, volatility: 0.08 },
-    { id: 'cyber_organ', name: 'Syn-Organs', basePrice: 1500, volatility: 0.25 }
+    // depth: units traded to move the price 100% (lower = thinner market)
+    // contraband: price spikes while the city is locked down
+    { id: 'neuro_stim', name: 'Neuro-Stims', basePrice: 50, volatility: 0.15, depth: 400, contraband: true },
+    { id: 'data_chip', name: 'Encrypted Chips', basePrice: 200, volatility: 0.10, depth: 150 },
+    { id: 'plasma_cell', name: 'Plasma Cells', basePrice: 120, volatility: 0.08, depth: 200 },
+    { id: 'cyber_organ', name: 'Syn-Organs', basePrice: 1500, volatility: 0.25, depth: 40, contraband: true }
   ],
   prices: {},
+  quotes: {},       // itemId -> latest quote from the exchange
   inventory: {},
+  exchange: MarketExchange,
+  pendingTrade: false,
+  MAX_TX_HISTORY: 50,
+  HISTORY_INTERVAL_MS: 30000,  // One sparkline point per 30s
+  HISTORY_POINTS: 60,          // ~30 minutes of history per item
+  MAX_OPEN_ORDERS: 10,
+
+  // City-driven shocks (see updateShocks)
+  LOCKDOWN_CONTRABAND_MULT: 1.35,
+  STORM_DELIVERY_DELAY_MS: 90000,
+  shocks: { lockdown: false, crackdown: false, storm: false },
+  SHOCK_NEWS: {
+    lockdown: {
+      start: '🚨 City lockdown - contraband prices soar on the Black Market',
+      end: '✅ Lockdown lifted - contraband prices cooling off'
+    },
+    crackdown: {
+      start: '🚔 Police crackdown on street dealers - sellers risk confiscation',
+      end: '🚔 Crackdown eases - dealers back on the corners'
+    },
+    storm: {
+      start: '⛈️ Storm grounds couriers - Black Market deliveries delayed',
+      end: '🌤️ Storm clears - couriers back on schedule'
+    }
+  },
 
   init() {
     // Setup initial prices and sync with GameState
-    this.items.forEach(item => {
-      this.prices[item.id] = item.basePrice;
+    this.exchange.init(this.items);
+    this.updateShocks();
+    this.exchange.tick();
+    this.applyBoard(this.exchange.getBoard());
 
+    this.items.forEach(item => {
       // Hook into your existing GameState to save inventory
       if (typeof GameState !== 'undefined' && !GameState.marketInventory) {
           GameState.marketInventory = {};
@@ -21,22 +308,111 @@ const MarketSystem = {
       this.inventory[item.id] = (typeof GameState !== 'undefined' && GameState.marketInventory[item.id]) ? GameState.marketInventory[item.id] : 0;
     });
 
+    this.recordPrices();
+
     // Update market prices every 4 seconds
-    setInterval(() => this.updateMarket(), 4000);
+    setInterval(() => this.updateMarket(), this.exchange.TICK_MS);
     this.render();
   },
 
-  updateMarket() {
-    this.items.forEach(item => {
-      // Calculate random price fluctuation based on volatility
-      const change = 1 + (Math.random() * item.volatility * 2 - item.volatility);
-      this.prices[item.id] = Math.max(1, Math.floor(this.prices[item.id] * change));
+  // Price history + limit orders live next to holdings in GameState.marketInventory
+  // (reserved keys priceHistory/orders/deliveries; every other key is an item id -> quantity owned)
+  getBook() {
+    const inv = GameState.marketInventory;
+    if (!inv.priceHistory || typeof inv.priceHistory !== 'object') inv.priceHistory = {};
+    if (!Array.isArray(inv.orders)) inv.orders = [];
+    if (!Array.isArray(inv.deliveries)) inv.deliveries = [];
+    return inv;
+  },
+
+  // Read city state, price in shocks and announce any that started/ended
+  updateShocks() {
+    if (typeof GameState === 'undefined' || !GameState.cityState) return;
+
+    let weather = null;
+    try {
+      if (typeof WeatherOverlay !== 'undefined' && WeatherOverlay.weatherManager) {
+        weather = WeatherOverlay.weatherManager.activeWeatherType;
+      }
+    } catch(e) {}
+
+    const next = {
+      lockdown: !!GameState.cityState.lockdown,
+      crackdown: GameState.cityState.policeActivity === 'high' || GameState.cityState.policeActivity === 'extreme',
+      storm: weather === 'storm'
+    };
+
+    Object.keys(next).forEach(shock => {
+      if (next[shock] !== this.shocks[shock]) {
+        this.announce(this.SHOCK_NEWS[shock][next[shock] ? 'start' : 'end']);
+      }
+    });
+    this.shocks = next;
 
-      // Pull prices back toward the base price slightly if they inflate too high
-      if (this.prices[item.id] > item.basePrice * 3) {
-          this.prices[item.id] = Math.floor(this.prices[item.id] * 0.85);
+    const modifiers = {};
+    if (next.lockdown) {
+      this.items.filter(i => i.contraband).forEach(i => { modifiers[i.id] = this.LOCKDOWN_CONTRABAND_MULT; });
+    }
+    this.exchange.setPriceModifiers(modifiers);
+  },
+
+  announce(message) {
+    try {
+      if (typeof CityNewsTicker !== 'undefined') {
+        CityNewsTicker.announce(message);
+        return;
       }
+    } catch(e) {}
+    this.log(message);
+  },
+
+  // Hand over storm-delayed purchases that have arrived
+  processDeliveries() {
+    if (typeof GameState === 'undefined' || !GameState.marketInventory) return;
+    const book = this.getBook();
+    const now = Date.now();
+    const arrived = book.deliveries.filter(d => now >= d.arriveAt);
+    if (arrived.length === 0) return;
+
+    book.deliveries = book.deliveries.filter(d => now < d.arriveAt);
+    arrived.forEach(d => {
+      GameState.marketInventory[d.itemId] = (GameState.marketInventory[d.itemId] || 0) + d.qty;
+      this.inventory[d.itemId] = GameState.marketInventory[d.itemId];
+      this.log(`Delivery arrived: ${d.qty}x ${d.itemId}`);
+    });
+
+    if (typeof Storage !== 'undefined' && typeof Storage.save === 'function') Storage.save();
+    this.render();
+  },
+
+  // Append a [timestamp, price] point per item, at most one per HISTORY_INTERVAL_MS
+  recordPrices() {
+    if (typeof GameState === 'undefined' || !GameState.marketInventory) return;
+    const history = this.getBook().priceHistory;
+    const now = Date.now();
+
+    this.items.forEach(item => {
+      const points = history[item.id] || (history[item.id] = []);
+      const last = points[points.length - 1];
+      if (last && now - last[0] < this.HISTORY_INTERVAL_MS) return;
+      points.push([now, this.prices[item.id]]);
+      if (points.length > this.HISTORY_POINTS) points.splice(0, points.length - this.HISTORY_POINTS);
+    });
+  },
+
+  applyBoard(board) {
+    Object.values(board).forEach(quote => {
+      this.quotes[quote.itemId] = quote;
+      this.prices[quote.itemId] = quote.price;
     });
+  },
+
+  updateMarket() {
+    this.updateShocks();
+    this.applyBoard(this.exchange.tick());
+    this.recordPrices();
+    this.processDeliveries();
+    this.checkOrders();
 
     // Only re-render if the market tab is currently visible
     const marketTab = document.getElementById('market-tab');
@@ -45,40 +421,218 @@ const MarketSystem = {
     }
   },
 
-  trade(itemId, action) {
+  // Trades are submitted as typed transactions against the quote on screen;
+  // cash only moves once the exchange accepts, and always via SecureEconomy.
+  // `auto` marks limit-order fills, whose rejections aren't kept in history.
+  trade(itemId, action, qty = 1, auto = false) {
     if (typeof GameState === 'undefined' || !GameState.player) {
         this.log("Error: Player data not loaded.", "error");
-        return;
+        return Promise.resolve(null);
+    }
+    if (typeof SecureEconomy === 'undefined') {
+        this.log("Error: Economy offline.", "error");
+        return Promise.resolve(null);
+    }
+    if (this.pendingTrade) return Promise.resolve(null);
+
+    const quote = this.quotes[itemId];
+    if (!quote) {
+        this.log("No price available!", "error");
+        return Promise.resolve(null);
+    }
+
+    const tx = {
+      type: action,
+      itemId: itemId,
+      qty: qty,
+      quoteId: quote.quoteId,
+      quotedPrice: quote.price,
+      timestamp: Date.now()
+    };
+
+    this.pendingTrade = true;
+    return this.exchange.executeTrade(tx)
+      .then(res => this.settleTrade(tx, (res && res.data) || {}, auto))
+      .catch(err => {
+        console.warn('[Market] Trade failed:', err);
+        return this.settleTrade(tx, { ok: false, code: 'unavailable', error: 'Market unavailable' }, auto);
+      })
+      .finally(() => { this.pendingTrade = false; });
+  },
+
+  settleTrade(tx, result, auto = false) {
+    if (result.ok || !auto) this.recordTransaction(tx, result);
+
+    if (!result.ok) {
+      this.log(result.error || 'Trade rejected', 'error');
+      // A stale quote just means the board moved; show the current one
+      if (result.code === 'stale-quote') this.applyBoard(this.exchange.getBoard());
+      this.render();
+      return result;
     }
 
-    const price = this.prices[itemId];
+    const owned = GameState.marketInventory[tx.itemId] || 0;
 
-    if (action === 'buy') {
-      if (GameState.player.cash >= price) {
-        GameState.player.cash -= price;
-        GameState.marketInventory[itemId] = (GameState.marketInventory[itemId] || 0) + 1;
-        this.inventory[itemId] = GameState.marketInventory[itemId];
-        this.log(`Bought ${itemId} for $${price}`);
-        this.updateProfileCash();
+    if (result.confiscated && result.sting) {
+      if (tx.type === 'sell') {
+        GameState.marketInventory[tx.itemId] = owned - tx.qty;
+        this.inventory[tx.itemId] = GameState.marketInventory[tx.itemId];
       } else {
-        this.log("Insufficient funds!", "error");
+        SecureEconomy.adjustCash(result.cashDelta, `market:sting:${tx.itemId}`);
       }
-    } else if (action === 'sell') {
-      if (this.inventory[itemId] > 0) {
-        GameState.player.cash += price;
-        GameState.marketInventory[itemId]--;
-        this.inventory[itemId] = GameState.marketInventory[itemId];
-        this.log(`Sold ${itemId} for $${price}`);
-        this.updateProfileCash();
+      this.log(`Sting! The ${tx.type === 'buy' ? 'seller' : 'buyer'} was undercover - ${tx.type === 'buy' ? 'cash' : `${tx.qty}x ${tx.itemId}`} seized`, 'error');
+      try {
+        if (typeof TurfTab !== 'undefined') TurfTab.addGlobalHeat(result.heat, '🕶️ Caught in an undercover sting');
+        PoliceOperations.recordStingBust(tx.itemId);
+      } catch(e) {}
+      this.announce('🕶️ Undercover officers bust Black Market dealers');
+    } else if (result.confiscated) {
+      GameState.marketInventory[tx.itemId] = owned - tx.qty;
+      this.inventory[tx.itemId] = GameState.marketInventory[tx.itemId];
+      this.log(`Busted! ${tx.qty}x ${tx.itemId} confiscated`, 'error');
+      try {
+        if (typeof TurfTab !== 'undefined') TurfTab.addGlobalHeat(result.heat, '🚔 Black Market goods confiscated');
+      } catch(e) {}
+      this.announce('🚔 Police seize Black Market goods in street bust');
+    } else {
+      // Street sales pay dirty cash; buys come out of clean cash
+      if (tx.type === 'sell') {
+        SecureEconomy.adjustDirty(result.cashDelta, `market:${tx.type}:${tx.itemId}`);
       } else {
-        this.log("You don't own any!", "error");
+        SecureEconomy.adjustCash(result.cashDelta, `market:${tx.type}:${tx.itemId}`);
+      }
+
+      if (tx.type === 'buy' && this.shocks.storm) {
+        // Paid now, goods arrive when the couriers get through
+        this.getBook().deliveries.push({ itemId: tx.itemId, qty: tx.qty, arriveAt: Date.now() + this.STORM_DELIVERY_DELAY_MS });
+        this.log(`Storm delay: ${tx.qty}x ${tx.itemId} arriving in ${Math.round(this.STORM_DELIVERY_DELAY_MS / 1000)}s`);
+      } else {
+        GameState.marketInventory[tx.itemId] = tx.type === 'buy' ? owned + tx.qty : owned - tx.qty;
+        this.inventory[tx.itemId] = GameState.marketInventory[tx.itemId];
+        const verb = tx.type === 'buy' ? 'Bought' : 'Sold';
+        this.log(`${verb} ${tx.qty > 1 ? tx.qty + 'x ' : ''}${tx.itemId} for $${result.total}`);
       }
     }
+    this.updateProfileCash();
 
     // Trigger your game's auto-save if available
     if (typeof Storage !== 'undefined' && typeof Storage.save === 'function') Storage.save();
 
     this.render();
+    return result;
+  },
+
+  recordTransaction(tx, result) {
+    if (!Array.isArray(GameState.marketTransactions)) GameState.marketTransactions = [];
+    GameState.marketTransactions.push(Object.assign({}, tx, {
+      status: result.ok ? (result.confiscated ? 'confiscated' : 'settled') : 'rejected',
+      code: result.ok ? null : (result.code || null),
+      price: result.ok ? result.price : null,
+      settledAt: Date.now()
+    }));
+    if (GameState.marketTransactions.length > this.MAX_TX_HISTORY) {
+      GameState.marketTransactions.splice(0, GameState.marketTransactions.length - this.MAX_TX_HISTORY);
+    }
+  },
+
+  // === LIMIT ORDERS ===
+  // Resting orders fill at the market quote once it crosses the limit:
+  // buys when price <= limit, sells when price >= limit.
+  placeOrder(itemId, side, limitPrice, qty = 1) {
+    if (typeof GameState === 'undefined' || !GameState.marketInventory) return null;
+    const orders = this.getBook().orders;
+
+    if (!this.items.some(i => i.id === itemId) || (side !== 'buy' && side !== 'sell')) return null;
+    if (!(limitPrice > 0) || !Number.isInteger(qty) || qty < 1) {
+      this.log("Invalid limit order!", "error");
+      return null;
+    }
+    if (orders.length >= this.MAX_OPEN_ORDERS) {
+      this.log(`Max ${this.MAX_OPEN_ORDERS} open orders!`, "error");
+      return null;
+    }
+
+    const order = {
+      id: `ord_${Date.now().toString(36)}_${Math.floor(Math.random() * 1e6).toString(36)}`,
+      itemId: itemId,
+      side: side,
+      qty: qty,
+      limitPrice: Math.floor(limitPrice),
+      createdAt: Date.now()
+    };
+    orders.push(order);
+    this.log(`Limit ${side} ${itemId} @ $${order.limitPrice}`);
+
+    if (typeof Storage !== 'undefined' && typeof Storage.save === 'function') Storage.save();
+    this.render();
+    return order;
+  },
+
+  placeOrderFromInput(itemId, side) {
+    const input = document.getElementById(`market-limit-${itemId}`);
+    const limitPrice = input ? parseFloat(input.value) : NaN;
+    const order = this.placeOrder(itemId, side, limitPrice);
+    // render() keeps typed limits; a placed one is done with
+    const placed = order && document.getElementById(`market-limit-${itemId}`);
+    if (placed) placed.value = '';
+    return order;
+  },
+
+  cancelOrder(orderId) {
+    const book = this.getBook();
+    book.orders = book.orders.filter(o => o.id !== orderId);
+    if (typeof Storage !== 'undefined' && typeof Storage.save === 'function') Storage.save();
+    this.render();
+  },
+
+  // Fill at most one crossed order per tick (trades are serialized anyway)
+  checkOrders() {
+    if (typeof GameState === 'undefined' || !GameState.marketInventory || this.pendingTrade) return;
+    const book = this.getBook();
+
+    // Orders we can't cover (cash, or stock sold by hand) wait instead of
+    // bouncing off the exchange every tick
+    const order = book.orders.find(o => {
+      const price = this.prices[o.itemId];
+      if (o.side === 'buy') return price <= o.limitPrice && GameState.player.cash >= price * o.qty;
+      return price >= o.limitPrice && (GameState.marketInventory[o.itemId] || 0) >= o.qty;
+    });
+    if (!order) return;
+
+    this.trade(order.itemId, order.side, order.qty, true).then(result => {
+      // Filled orders close; the rest stay open until cancelled
+      if (result && result.ok) {
+        book.orders = book.orders.filter(o => o.id !== order.id);
+        this.log(`Limit ${order.side} filled: ${order.itemId} @ $${result.price}`);
+        if (typeof Storage !== 'undefined' && typeof Storage.save === 'function') Storage.save();
+        this.render();
+      }
+    });
+  },
+
+  // Inline SVG sparkline of the stored history plus the live price
+  renderSparkline(itemId) {
+    const points = ((this.getBook().priceHistory[itemId]) || []).map(p => p[1]);
+    points.push(this.prices[itemId]);
+    if (points.length < 2) return '';
+
+    const width = 120;
+    const height = 28;
+    const min = Math.min(...points);
+    const max = Math.max(...points);
+    const range = max - min || 1;
+    const coords = points.map((p, i) => {
+      const x = (i / (points.length - 1)) * width;
+      const y = height - 2 - ((p - min) / range) * (height - 4);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+    const color = points[points.length - 1] >= points[0] ? '#4ade80' : '#f87171';
+
+    return `
+      <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display:block; margin-top:4px;">
+        <polyline points="${coords}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round" />
+      </svg>
+    `;
   },
 
   // Updates your existing Profile UI cash text
@@ -106,30 +660,67 @@ const MarketSystem = {
     const list = document.getElementById('market-list');
     if (!list) return;
 
+    const orders = (typeof GameState !== 'undefined' && GameState.marketInventory) ? this.getBook().orders : [];
+    const btnStyle = 'padding:6px 12px; border-radius:4px; background:rgba(255,255,255,0.1); color:#fff; border:1px solid rgba(255,255,255,0.2); cursor:pointer;';
+
+    // The board redraws every tick; carry half-typed limit prices and focus across
+    const drafts = {};
+    list.querySelectorAll('input[id^="market-limit-"]').forEach(input => { drafts[input.id] = input.value; });
+    const focusedId = list.contains(document.activeElement) ? document.activeElement.id : null;
+
     // Uses your existing CSS classes (.stat-card, .stat-label, .stat-value)
     list.innerHTML = this.items.map(item => {
       const price = this.prices[item.id];
       const owned = this.inventory[item.id] || 0;
+      const incoming = (typeof GameState !== 'undefined' && GameState.marketInventory)
+        ? this.getBook().deliveries.filter(d => d.itemId === item.id).reduce((sum, d) => sum + d.qty, 0)
+        : 0;
+      const spiked = item.contraband && this.shocks.lockdown;
       const isUp = price >= item.basePrice;
       const color = isUp ? '#4ade80' : '#f87171'; // Green for up, Red for down
       const arrow = isUp ? '▲' : '▼';
 
       return `
-        <div class="stat-card" style="display:flex; justify-content:space-between; align-items:center; margin-bottom:10px;">
-          <div>
-            <div class="stat-label">${item.name}</div>
-            <div class="stat-value" style="color:${color}">${arrow} $${price}</div>
-          </div>
-          <div style="text-align:right;">
-            <div class="stat-label">Owned: ${owned}</div>
-            <div style="display:flex; gap:8px; margin-top:6px;">
-              <button onclick="MarketSystem.trade('${item.id}', 'buy')" style="padding:6px 12px; border-radius:4px; background:rgba(255,255,255,0.1); color:#fff; border:1px solid rgba(255,255,255,0.2); cursor:pointer;">BUY</button>
-              <button onclick="MarketSystem.trade('${item.id}', 'sell')" style="padding:6px 12px; border-radius:4px; background:rgba(255,255,255,0.1); color:#fff; border:1px solid rgba(255,255,255,0.2); cursor:pointer;">SELL</button>
+        <div class="stat-card" style="margin-bottom:10px;">
+          <div style="display:flex; justify-content:space-between; align-items:center;">
+            <div>
+              <div class="stat-label">${item.name}${spiked ? ' <span style="color:#f87171;">🚨 LOCKDOWN</span>' : ''}</div>
+              <div class="stat-value" style="color:${color}">${arrow} $${price}</div>
+              ${this.renderSparkline(item.id)}
+            </div>
+            <div style="text-align:right;">
+              <div class="stat-label">Owned: ${owned}${incoming > 0 ? ` <span style="color:#fbbf24;">(+${incoming} ⛈️)</span>` : ''}</div>
+              <div style="display:flex; gap:8px; margin-top:6px;">
+                <button onclick="MarketSystem.trade('${item.id}', 'buy')" style="${btnStyle}">BUY</button>
+                <button onclick="MarketSystem.trade('${item.id}', 'sell')" style="${btnStyle}">SELL</button>
+              </div>
             </div>
           </div>
+          <div style="display:flex; gap:6px; align-items:center; margin-top:8px;">
+            <input id="market-limit-${item.id}" type="number" min="1" placeholder="Limit $" style="width:80px; padding:5px; border-radius:4px; background:rgba(0,0,0,0.3); color:#fff; border:1px solid rgba(255,255,255,0.2);">
+            <button onclick="MarketSystem.placeOrderFromInput('${item.id}', 'buy')" style="${btnStyle} padding:5px 8px; font-size:11px;">LIMIT BUY</button>
+            <button onclick="MarketSystem.placeOrderFromInput('${item.id}', 'sell')" style="${btnStyle} padding:5px 8px; font-size:11px;">LIMIT SELL</button>
+          </div>
         </div>
       `;
-    }).join('');
+    }).join('') + (orders.length === 0 ? '' : `
+      <div class="stat-card" style="margin-bottom:10px;">
+        <div class="stat-label">Open Orders</div>
+        ${orders.map(o => `
+          <div style="display:flex; justify-content:space-between; align-items:center; margin-top:6px; font-size:12px;">
+            <span style="color:${o.side === 'buy' ? '#4ade80' : '#f87171'}">${o.side.toUpperCase()} ${o.qty}x ${o.itemId} @ $${o.limitPrice}</span>
+            <button onclick="MarketSystem.cancelOrder('${o.id}')" style="${btnStyle} padding:3px 8px; font-size:11px;">CANCEL</button>
+          </div>
+        `).join('')}
+      </div>
+    `);
+
+    Object.keys(drafts).forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.value = drafts[id];
+    });
+    const focused = focusedId && document.getElementById(focusedId);
+    if (focused) focused.focus();
   }
 };
 
@@ -1,11 +1,14 @@
 /**
  * CIA Intervention Module
- * Handles the "Visitor" intervention when player heat reaches 85%+
+ * Handles the "Visitor" intervention when player heat reaches 85%+.
+ * Accepting a deal turns the Visitor into a recurring handler with covert
+ * missions; burning that trust makes the CIA hostile.
  *
  * Dependencies (from global scope):
  * - GameState: Main game state object
  * - AccountManager: For toast notifications (optional)
  * - Storage: For saving state changes
+ * - SecureEconomy, CityNewsTicker, InvestigationSystem: Handler mission payouts (optional)
  */
 
 // CIA "Visitor" Intervention — Phase 1 (Systems Only, No Art)
@@ -16,6 +19,7 @@ const CIAIntervention = (() => {
 
       function _now() { return Date.now(); }
       function _clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+      function _roll() { return typeof RNG !== 'undefined' ? RNG.random('cia') : Math.random(); }
 
       function _toast(msg) {
         try {
@@ -67,6 +71,7 @@ const CIAIntervention = (() => {
         overlay: null,
         clouds: null,
         dialog: null,
+        badgeEl: null,
         titleEl: null,
         bodyEl: null,
         actionsEl: null,
@@ -351,6 +356,17 @@ class CIAAgentSprite {
               50%{ transform: translate(-50%, -50%) scale(1.10); }
               100%{ transform: translate(-50%, -50%) scale(1.00); }
             }
+            /* Handler mission target */
+            .cia-mission-marker{
+              position:absolute;
+              transform: translate(-50%, -50%);
+              font-size: 22px;
+              line-height: 1;
+              pointer-events:none;
+              z-index: 6;
+              filter: drop-shadow(0 0 8px rgba(120, 160, 255, 0.9));
+              animation: ciaPulseRed 1200ms ease-in-out infinite;
+            }
           
             /* Mobile + reduced motion tuning */
             @media (max-width: 480px), (pointer: coarse) {
@@ -397,7 +413,7 @@ class CIAAgentSprite {
         dialog.setAttribute('aria-modal', 'true');
 
         dialog.innerHTML = `
-          <div class="cia-badge">🕶️ SPECIAL EVENT • LOCKDOWN</div>
+          <div class="cia-badge" id="cia-dialog-badge">🕶️ SPECIAL EVENT • LOCKDOWN</div>
           <div class="cia-title" id="cia-dialog-title">The Visitor</div>
           <div class=\"cia-portrait-row\" id=\"cia-portrait-row\"><div class=\"cia-portrait-frame\"><img id=\"cia-portrait-img\" alt=\"CIA operative\" /></div></div>
           <div class="cia-body" id="cia-dialog-body"></div>
@@ -423,6 +439,7 @@ class CIAAgentSprite {
         UI.overlay = overlay;
         UI.clouds = clouds;
         UI.dialog = dialog;
+        UI.badgeEl = dialog.querySelector('#cia-dialog-badge');
         UI.titleEl = dialog.querySelector('#cia-dialog-title');
         UI.bodyEl = dialog.querySelector('#cia-dialog-body');
         UI.actionsEl = dialog.querySelector('#cia-dialog-actions');
@@ -463,6 +480,7 @@ class CIAAgentSprite {
         _openUI();
         const o = opts && typeof opts === 'object' ? opts : {};
         const delayActionsMs = Math.max(0, Math.floor(Number(o.delayActionsMs || 0)));
+        if (UI.badgeEl) UI.badgeEl.textContent = o.badge || '🕶️ SPECIAL EVENT • LOCKDOWN';
         if (UI.titleEl) UI.titleEl.textContent = title || 'The Visitor';
         if (UI.bodyEl) UI.bodyEl.innerHTML = bodyHtml || '';
         if (UI.hintEl) UI.hintEl.textContent = hintText || '';
@@ -585,6 +603,7 @@ function _renderMainDialog(type, payload) {
 
       function _renderMainDialog(st) {
         const offers = st.offers || {};
+        const handler = _ensureHandler();
         const snap = st.snapshot || {};
         const heat = Number(snap.globalHeat || GameState.player?.globalHeat || 0);
 
@@ -634,6 +653,7 @@ function _renderMainDialog(type, payload) {
           <div style="opacity:.82">
             A voice, smooth as a velvet threat: <i>“We can make this… quieter.”</i>
           </div>
+          ${handler.recruited ? `<div style="opacity:.78; margin-top:8px;">Handler trust: <b>${Math.round(handler.trust)}</b></div>` : ''}
         `;
 
         _setDialog('The Visitor', body, actions, 'Choose your exit. Choose carefully.', { delayActionsMs: 420 });
@@ -810,18 +830,22 @@ return {
         const heat = snapshot.globalHeat || 0;
         const cash = snapshot.cash || 0;
 
+        // A trusted asset gets a better rate on every deal
+        const trust = Math.max(0, Number(_ensureHandler().trust || 0));
+        const trustMult = 1 + trust / 200;
+
         // Cash offer: percentage scales gently with wealth; heat reduction is meaningful but not free.
         const cashOffer = (cash > 0) ? (() => {
           const pct = _clamp(0.10 + (cash / 250000) * 0.10, 0.10, 0.35); // 10%..35%
           const cost = Math.max(1, Math.floor(cash * pct));
-          const reduction = _clamp(Math.floor(heat * pct), 10, 70);
+          const reduction = _clamp(Math.floor(heat * pct * trustMult), 10, 70);
           return { cost, pct, heatReduction: reduction };
         })() : null;
 
         // Weapons offer: take all weapons in Phase 1 stub (Phase 2 adds selection)
         const weaponsOffer = (snapshot.weapons.length > 0) ? (() => {
           const count = snapshot.weapons.length;
-          const reduction = _clamp(count * 8, 10, 60);
+          const reduction = _clamp(Math.floor(count * 8 * trustMult), 10, 60);
           return { weaponsTaken: count, heatReduction: reduction };
         })() : null;
 
@@ -831,7 +855,7 @@ return {
       propertyId: p.id,
       propertyName: p.name,
       durationHours: 24,
-      heatReduction: _clamp(Math.floor((p.dailyIncome || 0) / 10), 5, 40)
+      heatReduction: _clamp(Math.floor((p.dailyIncome || 0) / 10 * trustMult), 5, 40)
     }))
   : [];;
 
@@ -844,6 +868,324 @@ return {
         p.globalHeat = _clamp(cur - Number(amount || 0), 0, 100);
       }
 
+      // ---------------------------
+      // Handler: recurring missions after a deal
+      // ---------------------------
+      // Taking a deal puts the player on the Visitor's books. The handler makes
+      // contact between free-roam sessions with a covert job; finishing jobs
+      // builds trust (which sweetens later deals), refusing or failing burns it.
+      // Once trust runs out the CIA turns hostile: no more deals, and extra
+      // agents join turf defense waves (see CIACrossover).
+      const HANDLER = {
+        START_TRUST: 30,            // Above REFUSE/FAIL: one bad job doesn't burn the bridge
+        COMPLETE_TRUST: 15,
+        REFUSE_TRUST: 15,
+        FAIL_TRUST: 20,
+        MAX_TRUST: 100,
+        FIRST_CONTACT_MS: 3 * 60 * 1000,
+        CONTACT_MIN_MS: 10 * 60 * 1000,
+        CONTACT_MAX_MS: 20 * 60 * 1000,
+        MISSION_MS: 10 * 60 * 1000,
+        HOSTILE_MS: 24 * 60 * 60 * 1000,
+        REACH_RADIUS: 4,            // Map percent
+        STAT_BASE: 0.55,
+        STAT_WEIGHT: 0.03,
+        FAIL_HEAT: 10,
+        COMPLETE_HEAT_CUT: 10
+      };
+
+      const HANDLER_MISSIONS = {
+        plant_evidence: {
+          name: 'Plant Evidence',
+          icon: '📁',
+          reward: 8000,
+          stat: 'stealth',
+          brief: rival => `Slip a file into <b>${rival}</b>'s stash house. The cops will do the rest.`
+        },
+        retrieve_package: {
+          name: 'Retrieve Package',
+          icon: '📦',
+          reward: 6000,
+          stat: null,
+          brief: () => `Pick up a package from a dead drop and bring it to the handoff. Don't open it.`
+        },
+        sabotage_lab: {
+          name: 'Sabotage Drug Lab',
+          icon: '🧪',
+          reward: 10000,
+          stat: 'intelligence',
+          brief: rival => `<b>${rival}</b> cooks in the industrial district. Make sure the lab stops working.`
+        }
+      };
+
+      let _offerOpen = false;
+
+      function _ensureHandler() {
+        // Polled every second; skip the full schema pass once state exists
+        const st = (GameState.ciaIntervention && typeof GameState.ciaIntervention === 'object')
+          ? GameState.ciaIntervention
+          : _ensureState();
+        if (!st.handler || typeof st.handler !== 'object') {
+          st.handler = JSON.parse(JSON.stringify(DEFAULT_STATE.ciaIntervention.handler));
+        }
+        return st.handler;
+      }
+
+      function _save() {
+        try { if (typeof Storage !== 'undefined' && Storage.save) Storage.save(); } catch(e) {}
+      }
+
+      function _announce(msg) {
+        try {
+          if (typeof CityNewsTicker !== 'undefined') {
+            CityNewsTicker.announce(msg);
+            return;
+          }
+        } catch(e) {}
+        _toast(msg);
+      }
+
+      function isHostile() {
+        const h = _ensureHandler();
+        return !!h.hostileUntil && _now() < Number(h.hostileUntil);
+      }
+
+      function getHandler() {
+        return _ensureHandler();
+      }
+
+      // Called once a deal goes through
+      function _recruitHandler() {
+        const h = _ensureHandler();
+        if (h.recruited || isHostile()) return;
+        h.recruited = true;
+        h.trust = HANDLER.START_TRUST;
+        h.nextContactAt = _now() + HANDLER.FIRST_CONTACT_MS;
+      }
+
+      function _adjustTrust(delta) {
+        const h = _ensureHandler();
+        h.trust = _clamp(Number(h.trust || 0) + delta, -HANDLER.MAX_TRUST, HANDLER.MAX_TRUST);
+        if (h.trust < 0) {
+          h.hostileUntil = _now() + HANDLER.HOSTILE_MS;
+          h.mission = null;
+          _toast('🕶️ The Visitor has stopped calling. That is worse.');
+          _announce('🕶️ Federal agents spotted asking questions about local crews');
+        }
+      }
+
+      function _randomPoint(biome) {
+        const grid = GameState.map && GameState.map.grid;
+        if (biome && Array.isArray(grid)) {
+          const cells = [];
+          grid.forEach((row, y) => row.forEach((tile, x) => { if (tile && tile.biome === biome) cells.push({ x, y }); }));
+          if (cells.length) {
+            const c = cells[Math.floor(_roll() * cells.length)];
+            return {
+              x: ((c.x + 0.5) / GameState.map.width) * 100,
+              y: ((c.y + 0.5) / GameState.map.height) * 100
+            };
+          }
+        }
+        return { x: 10 + _roll() * 80, y: 10 + _roll() * 80 };
+      }
+
+      function _pickRival() {
+        const own = GameState.gang && GameState.gang.id;
+        const gangs = (Array.isArray(GameState.publicGangs) ? GameState.publicGangs : [])
+          .filter(g => g && g.name && g.id !== own);
+        return gangs.length ? gangs[Math.floor(_roll() * gangs.length)].name : 'the Southside crew';
+      }
+
+      function _buildMission(type) {
+        const def = HANDLER_MISSIONS[type];
+        const rival = _pickRival();
+        let steps;
+        if (type === 'plant_evidence') {
+          steps = [{ ..._randomPoint(), label: `${rival} stash house`, icon: '📁' }];
+        } else if (type === 'retrieve_package') {
+          steps = [
+            { ..._randomPoint(), label: 'Dead drop', icon: '📦' },
+            { ..._randomPoint(), label: 'Handoff point', icon: '🕶️' }
+          ];
+        } else {
+          steps = [{ ..._randomPoint('industrial'), label: `${rival} drug lab`, icon: '🧪' }];
+        }
+        return { type, name: def.name, rival, steps, step: 0, acceptedAt: 0, deadline: 0 };
+      }
+
+      function _renderMissionOffer(mission) {
+        const def = HANDLER_MISSIONS[mission.type];
+        const h = _ensureHandler();
+        _offerOpen = true;
+
+        const body = `
+          <div style="opacity:.92; margin-bottom:6px;">
+            ${def.icon} <b>${def.name}</b>
+          </div>
+          <div style="opacity:.82">${def.brief(ChatSystem.escapeHtml(mission.rival))}</div>
+          <div style="opacity:.78; margin-top:8px;">
+            Pays <b>${_fmtMoney(def.reward)}</b> • ${Math.round(HANDLER.MISSION_MS / 60000)} min • Trust <b>${Math.round(h.trust)}</b>
+          </div>
+        `;
+
+        const actions = [
+          {
+            kind: 'primary',
+            html: `<span>🤝 Take the job</span><small>Head out in free roam</small>`,
+            onClick: () => {
+              _offerOpen = false;
+              mission.acceptedAt = _now();
+              mission.deadline = mission.acceptedAt + HANDLER.MISSION_MS;
+              _ensureHandler().mission = mission;
+              try { _closeUI(); } catch(e) {}
+              _toast(`${def.icon} ${mission.steps[0].label} marked on your map`);
+              _save();
+            }
+          },
+          {
+            kind: 'ghost',
+            html: `<span>🙅 Refuse</span><small>Trust −${HANDLER.REFUSE_TRUST}</small>`,
+            onClick: () => {
+              _offerOpen = false;
+              const handler = _ensureHandler();
+              handler.refused = (handler.refused || 0) + 1;
+              handler.nextContactAt = _nextContactAt();
+              try { _closeUI(); } catch(e) {}
+              _toast('🕶️ "Noted."');
+              _adjustTrust(-HANDLER.REFUSE_TRUST);
+              _save();
+            }
+          }
+        ];
+
+        _setDialog('The Visitor', body, actions, 'He never asks twice.', { delayActionsMs: 420, badge: '🕶️ HANDLER • CONTACT' });
+      }
+
+      function _nextContactAt() {
+        return _now() + Math.round(HANDLER.CONTACT_MIN_MS + _roll() * (HANDLER.CONTACT_MAX_MS - HANDLER.CONTACT_MIN_MS));
+      }
+
+      function _statRoll(stat) {
+        if (!stat) return true;
+        const value = Number((GameState.player?.stats || {})[stat] || 0);
+        return _roll() < _clamp(HANDLER.STAT_BASE + value * HANDLER.STAT_WEIGHT, 0, 0.9);
+      }
+
+      function _completeMission(mission) {
+        const h = _ensureHandler();
+        const def = HANDLER_MISSIONS[mission.type];
+        h.mission = null;
+        h.completed = (h.completed || 0) + 1;
+        h.nextContactAt = _nextContactAt();
+
+        if (typeof SecureEconomy !== 'undefined') SecureEconomy.adjustCash(def.reward, `cia:${mission.type}`);
+        else GameState.player.cash = Number(GameState.player.cash || 0) + def.reward;
+        _reduceGlobalHeat(HANDLER.COMPLETE_HEAT_CUT);
+
+        if (mission.type === 'plant_evidence') {
+          // The detective's newest lead now points at the rival
+          try {
+            const evidence = InvestigationSystem.getState().evidence;
+            if (evidence.length) evidence.pop();
+          } catch(e) {}
+          _announce(`🗂️ Anonymous tip puts police on ${mission.rival}`);
+        } else if (mission.type === 'sabotage_lab') {
+          _announce(`💥 Fire guts ${mission.rival}'s drug lab in the industrial district`);
+        }
+
+        _adjustTrust(HANDLER.COMPLETE_TRUST);
+        _toast(`${def.icon} ${def.name} done. ${_fmtMoney(def.reward)} wired.`);
+        _save();
+      }
+
+      function _failMission(mission, reason) {
+        const h = _ensureHandler();
+        h.mission = null;
+        h.failed = (h.failed || 0) + 1;
+        h.nextContactAt = _nextContactAt();
+        const p = GameState.player || (GameState.player = {});
+        p.globalHeat = _clamp(Number(p.globalHeat || 0) + HANDLER.FAIL_HEAT, 0, 100);
+        _toast(`🕶️ ${reason}`);
+        _adjustTrust(-HANDLER.FAIL_TRUST);
+        _save();
+      }
+
+      function _renderMissionMarker() {
+        try {
+          const h = _ensureHandler();
+          const step = h.mission && h.mission.steps[h.mission.step];
+          let el = document.getElementById('cia-mission-marker');
+          if (!step) {
+            if (el) el.remove();
+            return;
+          }
+          const world = document.getElementById('map-world');
+          if (!world) return;
+          _injectStylesOnce();
+          if (!el) {
+            el = document.createElement('div');
+            el.id = 'cia-mission-marker';
+            el.className = 'cia-mission-marker';
+            world.appendChild(el);
+          }
+          el.textContent = step.icon;
+          el.title = step.label;
+          el.style.left = step.x + '%';
+          el.style.top = step.y + '%';
+        } catch(e) {}
+      }
+
+      // Driven by a 1s interval from app.js
+      function tickHandler() {
+        const h = _ensureHandler();
+        const now = _now();
+
+        if (h.hostileUntil && now >= Number(h.hostileUntil)) {
+          // Bridges burned long enough; the next deal starts fresh
+          h.hostileUntil = 0;
+          h.recruited = false;
+          h.trust = 0;
+        }
+
+        const mission = h.mission;
+        if (mission) {
+          if (GameState.player?.jail?.isJailed) {
+            _failMission(mission, 'You got pinched. The Visitor has never heard of you.');
+          } else if (now >= mission.deadline) {
+            _failMission(mission, `Too slow. ${mission.name} is off.`);
+          } else if (GameState.character?.freeRoam) {
+            const pos = GameState.character.position || {};
+            const step = mission.steps[mission.step];
+            if (Math.hypot(step.x - pos.x, step.y - pos.y) <= HANDLER.REACH_RADIUS) {
+              const last = mission.step === mission.steps.length - 1;
+              if (!last) {
+                mission.step++;
+                _toast(`📦 Got it. Now the ${mission.steps[mission.step].label.toLowerCase()}.`);
+                _save();
+              } else if (_statRoll(HANDLER_MISSIONS[mission.type].stat)) {
+                _completeMission(mission);
+              } else {
+                _failMission(mission, `Blown at the ${step.label}. The Visitor is not pleased.`);
+              }
+            }
+          }
+          _renderMissionMarker();
+          return;
+        }
+        _renderMissionMarker();
+
+        // Make contact between sessions, never mid-roam or mid-deal
+        if (!h.recruited || isHostile() || _offerOpen) return;
+        if (now < Number(h.nextContactAt || 0)) return;
+        const st = GameState.ciaIntervention;
+        if (st.active || st.pendingChoice) return;
+        if (GameState.character?.freeRoam || GameState.player?.jail?.isJailed) return;
+
+        const types = Object.keys(HANDLER_MISSIONS);
+        _renderMissionOffer(_buildMission(types[Math.floor(_roll() * types.length)]));
+      }
+
       function stage(reason = 'lockdown') {
         const st = _ensureState();
         st.active = true;
@@ -878,6 +1220,9 @@ console.log('[CIA] Intervention staged (Phase 2)', st);
         // If we're already mid-intervention, don't re-stage.
         if (st.pendingChoice || st.active) return false;
 
+        // A burned asset gets no more deals
+        if (isHostile()) return false;
+
         // Heat-only trigger (outside lockdown)
         if (!lockdown && heat < HEAT_THRESHOLD) return false;
 
@@ -960,6 +1305,7 @@ console.log('[CIA] Intervention staged (Phase 2)', st);
         st.lastResolvedAt = _now();
         st.lastResolvedLockdownId = st.lockdownId;
         st.cooldownUntil = _now() + CIA_COOLDOWN_MS;
+        _recruitHandler();
 
                 try { _closeUI(); } catch(e) {}
 _toast('🕶️ Deal done. Heat adjusted.');
@@ -981,7 +1327,7 @@ _toast('🕶️ Deal done. Heat adjusted.');
         return true;
       }
 
-      return { stage, maybeAutoStage, apply, end };
+      return { stage, maybeAutoStage, apply, end, tickHandler, getHandler, isHostile };
     })();
 
 // Export for ES6 module usage
@@ -15,6 +15,10 @@
  * - 3D cop car shows up (robust init when #city-map becomes visible).
  * - Follows the roads + stops at intersections (inherits CopCarSystem).
  * - No "sliding" (pivot recenter + stop snapping + no CSS transition on marker).
+ *
+ * Fleet:
+ * - PoliceFleet units are drawn with one THREE.InstancedMesh per car mesh, so any
+ *   number of extra cars costs a handful of draw calls (no wheels/smoke/lights).
  */
 
 const LANE_PX = 28;
@@ -114,6 +118,12 @@ const CopCar3D = {
   _smokeEmitAcc: 0,
   _exhaustAnchor: null,
 
+  // PoliceFleet instancing: one InstancedMesh per mesh in modelVisual
+  _fleetEntries: [],    // [{ mesh: InstancedMesh, source: Mesh }]
+  _fleetSource: null,   // modelVisual the entries were built from
+  _fleetPoses: {},      // car id -> smoothed { x, z, yaw }
+  _fleetTmp: null,
+
   // police lights
   policeLightsActive: false,
   policeLightTime: 0,
@@ -187,6 +197,11 @@ const CopCar3D = {
       rollFromYawRate: 0.018
     },
 
+    fleet: {
+      enabled: true,
+      maxInstances: 12
+    },
+
     exhaust: {
       enabled: true,
       localOffset: { x: 0.0, y: 0.65, z: -1.95 },
@@ -613,6 +628,7 @@ const CopCar3D = {
     } catch (e) {}
 
     // Clean up any previous scene objects to prevent duplicate cop cars
+    this._disposeFleetInstances();
     if (this.scene) {
       try {
         if (this.copRoot && this.scene.children.includes(this.copRoot)) {
@@ -1400,6 +1416,8 @@ const CopCar3D = {
     this._updateSmoke(dt, speedForEffects);
     this._updateDebugLaneRect();
 
+    this._updateFleetInstances(dt);
+
     // Sync Drug Lab 3D position from DrugLabSystem bounds (supports real-time move)
     if (this.drugLabRoot) {
       const dls = (typeof window !== 'undefined') ? window.DrugLabSystem : null;
@@ -1423,6 +1441,99 @@ const CopCar3D = {
     }
   },
 
+  _buildFleetInstances() {
+    this._disposeFleetInstances();
+    const visual = this.modelVisual;
+    if (!visual || !this.copRoot) return;
+
+    const max = this.config.fleet.maxInstances;
+    visual.traverse((obj) => {
+      if (!obj.isMesh || !obj.geometry) return;
+      const inst = new THREE.InstancedMesh(obj.geometry, obj.material, max);
+      inst.name = `FleetInstances_${obj.name || 'mesh'}`;
+      inst.count = 0;
+      inst.frustumCulled = false;   // Instances span the whole map
+      inst.castShadow = false;
+      inst.receiveShadow = false;
+      this.copRoot.add(inst);
+      this._fleetEntries.push({ mesh: inst, source: obj });
+    });
+
+    this._fleetSource = visual;
+    this._fleetTmp = {
+      inv: new THREE.Matrix4(),
+      local: new THREE.Matrix4(),
+      car: new THREE.Matrix4(),
+      out: new THREE.Matrix4(),
+      pos: new THREE.Vector3(),
+      quat: new THREE.Quaternion(),
+      up: new THREE.Vector3(0, 1, 0)
+    };
+  },
+
+  // Geometry and materials belong to the lead car model; only drop the instance wrappers
+  _disposeFleetInstances() {
+    this._fleetEntries.forEach(({ mesh }) => {
+      try { if (mesh.parent) mesh.parent.remove(mesh); } catch (e) {}
+      try { if (typeof mesh.dispose === 'function') mesh.dispose(); } catch (e) {}
+    });
+    this._fleetEntries = [];
+    this._fleetSource = null;
+    this._fleetPoses = {};
+  },
+
+  _updateFleetInstances(dt) {
+    if (!this.config.fleet.enabled || !this.model) return;
+    const fleet = (typeof window !== 'undefined' && window.PoliceFleet) ? window.PoliceFleet.cars : [];
+    if (this._fleetSource !== this.modelVisual) this._buildFleetInstances();
+    if (!this._fleetEntries.length) return;
+
+    const t = this._fleetTmp;
+    const asp = this._mapAspect || 1;
+    const count = Math.min(fleet.length, this.config.fleet.maxInstances);
+    const posAlpha = 1 - Math.pow(0.001, dt * this.config.positionLerpStrength);
+    const yawAlpha = 1 - Math.pow(0.001, dt * this.config.yawLerpStrength);
+
+    // Mesh offsets relative to the lead car pivot (picks up rescaling automatically)
+    this.model.updateMatrixWorld(true);
+    t.inv.copy(this.model.matrixWorld).invert();
+
+    const seen = {};
+    for (let i = 0; i < count; i++) {
+      const car = fleet[i];
+      const x = (Number(car.x) - 50) * asp;
+      const z = Number(car.y) - 50;
+      const yaw = Math.atan2(Math.sin(car.heading || 0) * asp, Math.cos(car.heading || 0)) + this.config.modelYawOffset;
+
+      // Pursuit units step at ~10Hz; smooth them like the lead car
+      let pose = this._fleetPoses[car.id];
+      if (!pose) {
+        pose = this._fleetPoses[car.id] = { x: x, z: z, yaw: yaw };
+      } else {
+        pose.x += (x - pose.x) * posAlpha;
+        pose.z += (z - pose.z) * posAlpha;
+        pose.yaw += this._angleDiff(yaw, pose.yaw) * yawAlpha;
+      }
+      seen[car.id] = true;
+
+      t.pos.set(pose.x, this.model.position.y, pose.z);
+      t.quat.setFromAxisAngle(t.up, pose.yaw);
+      t.car.compose(t.pos, t.quat, this.model.scale);
+
+      for (const entry of this._fleetEntries) {
+        t.local.multiplyMatrices(t.inv, entry.source.matrixWorld);
+        t.out.multiplyMatrices(t.car, t.local);
+        entry.mesh.setMatrixAt(i, t.out);
+      }
+    }
+
+    for (const entry of this._fleetEntries) {
+      entry.mesh.count = count;
+      entry.mesh.instanceMatrix.needsUpdate = true;
+    }
+    Object.keys(this._fleetPoses).forEach((id) => { if (!seen[id]) delete this._fleetPoses[id]; });
+  },
+
   _updateDebugLaneRect() {
     const enabled = this._isDebugEnabled();
     if (enabled && !this._debugLaneRect) {
@@ -1749,6 +1860,9 @@ const CopCar3D = {
         this._smokeGroup = null;
       }
 
+      // Fleet instances share the model's geometry; drop them before it is disposed
+      this._disposeFleetInstances();
+
       // Model cleanup
       if (this.model) {
         try {
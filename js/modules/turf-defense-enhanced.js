@@ -2326,18 +2326,35 @@ EnemyTypes.ciaAgent = {
 };
 
 const CIACrossover = {
+  HOSTILE_EXTRA: 2,
+
+  /**
+   * Whether the player burned their CIA handler (see CIAIntervention)
+   */
+  isHostile() {
+    try {
+      return typeof CIAIntervention !== 'undefined' && !!CIAIntervention.isHostile && CIAIntervention.isHostile();
+    } catch (e) {
+      return false;
+    }
+  },
+
   /**
-   * Check if CIA agents should spawn based on heat
+   * Check if CIA agents should spawn based on heat or a hostile CIA
    */
   shouldSpawnCIA() {
     const heat = (typeof GameState !== 'undefined' && GameState.player && GameState.player.heat) || 0;
-    return heat >= 70;
+    return heat >= 70 || this.isHostile();
   },
 
   /**
-   * Get number of CIA agents for a given wave (only waves 4+)
+   * Get number of CIA agents for a given wave (only waves 4+, or 2+ with extras when hostile)
    */
   getCIACount(wave) {
+    if (this.isHostile()) {
+      if (wave < 2) return 0;
+      return Math.min(wave - 1, 3) + this.HOSTILE_EXTRA;
+    }
     if (wave < 4) return 0;
     return Math.min(wave - 3, 3);
   },
@@ -0,0 +1,534 @@
+#!/usr/bin/env node
+/**
+ * Heatline:Underworld - Headless Crime Balance Simulator
+ *
+ * Loads js/app.js into a Node vm sandbox (stubbed DOM, in-memory Storage,
+ * virtual clock) and plays the crime loop for N simulated hours by calling
+ * CrimesSystem.attemptCrime() exactly like the Crimes tab does. The game's own
+ * background loops (heat/suspicion decay, cooldown heat reduction, world tick,
+ * jail check, lockdowns) run on the virtual clock, and the patrol car arrest at
+ * 100% heat is applied the same way CopCarSystem does in the browser.
+ *
+ * Usage:
+ *   node tools/balance-sim.js [options]
+ *
+ * Options:
+ *   --strategy <file>   JSON strategy file (see DEFAULT_STRATEGY below)
+ *   --crime <ids>       Comma-separated crime priority list (e.g. mugging,pickpocket)
+ *   --pick <mode>       priority | cash | xp  (how to choose among available crimes)
+ *   --hours <n>         Simulated hours (default 8)
+ *   --seed <seed>       RNG seed (number or string) for a reproducible run
+ *   --heat <n>          Starting personal heat
+ *   --level <n>         Starting level (stats are set from LevelingSystem)
+ *   --format <fmt>      csv | json (default csv)
+ *   --out <file>        Write to file instead of stdout
+ *   --verbose           Forward the game's console output
+ *
+ * Examples:
+ *   node tools/balance-sim.js --crime mugging --hours 12
+ *   node tools/balance-sim.js --pick cash --level 8 --heat 60 --format json
+ *
+ * Output: one row per simulated hour with cash, dirty cash, XP, level, heat, global heat,
+ * suspicion, fatigue, jail minutes, attempts/successes and arrests.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const APP_JS = path.join(ROOT, 'js', 'app.js');
+const CATALOG_JSON = path.join(ROOT, 'data', 'crime-catalog.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_STRATEGY = {
+  hours: 8,
+  seed: 1,
+  tickSeconds: 5,           // How often the simulated player checks the Crimes tab
+  crimes: [],               // Priority list; empty = every crime in the catalog
+  pick: 'priority',         // priority | cash | xp
+  layLowAtHeat: 80,         // Switch to laying low at this personal heat...
+  resumeAtHeat: 30,         // ...and go back to work once it has cooled to this
+  restAtFatigue: 85,        // Same hysteresis for fatigue
+  resumeAtFatigue: 25,
+  layLowWhileIdle: true,    // Lay low while every chosen crime is on cooldown
+  weather: 'clear',         // Feeds BiomeModifierCalculator.getWeatherModifiers()
+  position: null,           // { x, y } map percent; defaults to the game's spawn
+  player: {                 // Overrides applied to the fresh GameState.player
+    level: 1,
+    cash: 1000,
+    heat: 0,
+    globalHeat: 0
+  }
+};
+
+// ========================================
+// ARGUMENTS
+// ========================================
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    if (key === 'verbose') {
+      args.verbose = true;
+    } else {
+      args[key] = argv[++i];
+    }
+  }
+  return args;
+}
+
+function buildStrategy(args) {
+  let strategy = JSON.parse(JSON.stringify(DEFAULT_STRATEGY));
+
+  if (args.strategy) {
+    const fromFile = JSON.parse(fs.readFileSync(path.resolve(args.strategy), 'utf8'));
+    strategy = Object.assign(strategy, fromFile, {
+      player: Object.assign(strategy.player, fromFile.player || {})
+    });
+  }
+
+  if (args.crime) strategy.crimes = args.crime.split(',').map(s => s.trim()).filter(Boolean);
+  if (args.pick) strategy.pick = args.pick;
+  if (args.hours) strategy.hours = Number(args.hours);
+  if (args.seed) strategy.seed = isNaN(Number(args.seed)) ? args.seed : Number(args.seed);
+  if (args.heat) strategy.player.heat = Number(args.heat);
+  if (args.level) strategy.player.level = Number(args.level);
+
+  if (!['priority', 'cash', 'xp'].includes(strategy.pick)) {
+    throw new Error(`Unknown --pick "${strategy.pick}" (expected priority, cash or xp)`);
+  }
+  if (!(strategy.hours > 0)) throw new Error('--hours must be a positive number');
+
+  return strategy;
+}
+
+// ========================================
+// SANDBOX: stubbed browser environment
+// ========================================
+
+// Inert DOM stand-in: every property is another stub, every call returns a stub.
+// Not thenable, so awaiting one never hangs.
+function createStub() {
+  const target = function() {};
+  return new Proxy(target, {
+    get(t, key) {
+      if (key === 'then') return undefined;
+      if (key === Symbol.toPrimitive) return hint => (hint === 'number' ? 0 : '');
+      if (key === Symbol.iterator) return function* () {};
+      if (key === 'length') return 0;
+      if (!(key in t)) t[key] = createStub();
+      return t[key];
+    },
+    set(t, key, value) {
+      t[key] = value;
+      return true;
+    },
+    apply() { return createStub(); },
+    construct() { return createStub(); }
+  });
+}
+
+// Virtual clock + timer queue. Timers registered while `capturing` is false
+// (i.e. during app.js start-up) are dropped; the simulator starts the loops it
+// wants explicitly afterwards.
+function createClock(startMs) {
+  const clock = {
+    now: startMs,
+    capturing: false,
+    onError: null,
+    nextId: 1,
+    timers: new Map(),
+
+    add(fn, delay, repeat) {
+      if (!this.capturing || typeof fn !== 'function') return 0;
+      const id = this.nextId++;
+      const every = Math.max(1, Number(delay) || 0);
+      this.timers.set(id, { fn, at: this.now + every, every: repeat ? every : 0 });
+      return id;
+    },
+
+    clear(id) {
+      this.timers.delete(id);
+    },
+
+    // Advance to `target`, firing due timers in time order
+    advanceTo(target) {
+      for (;;) {
+        let nextId = null;
+        let next = null;
+        this.timers.forEach((timer, id) => {
+          if (timer.at <= target && (!next || timer.at < next.at)) {
+            next = timer;
+            nextId = id;
+          }
+        });
+        if (!next) break;
+
+        this.now = next.at;
+        if (next.every) {
+          next.at += next.every;
+        } else {
+          this.timers.delete(nextId);
+        }
+        // Like the browser: a throwing timer callback doesn't stop the others
+        try {
+          next.fn();
+        } catch (err) {
+          if (this.onError) this.onError(err);
+        }
+      }
+      this.now = target;
+    }
+  };
+  return clock;
+}
+
+function createSandbox(clock, verbose) {
+  const noop = () => {};
+  const quiet = { log: noop, info: noop, debug: noop, warn: noop, error: noop, group: noop, groupEnd: noop, table: noop };
+
+  const storage = {
+    _data: {},
+    getItem(key) { return Object.prototype.hasOwnProperty.call(this._data, key) ? this._data[key] : null; },
+    setItem(key, value) { this._data[key] = String(value); },
+    removeItem(key) { delete this._data[key]; },
+    clear() { this._data = {}; }
+  };
+
+  class SimDate extends Date {
+    constructor(...args) {
+      if (args.length === 0) super(clock.now);
+      else super(...args);
+    }
+    static now() { return clock.now; }
+  }
+
+  const ctx = {
+    console: verbose ? console : quiet,
+    Date: SimDate,
+    URL,
+    URLSearchParams,
+    document: createStub(),
+    navigator: { userAgent: 'node', maxTouchPoints: 0, onLine: false },
+    location: { search: '', href: 'http://localhost/', hostname: 'localhost', pathname: '/' },
+    localStorage: storage,
+    sessionStorage: storage,
+    performance: { now: () => clock.now },
+    setTimeout: (fn, delay) => clock.add(fn, delay, false),
+    setInterval: (fn, delay) => clock.add(fn, delay, true),
+    clearTimeout: id => clock.clear(id),
+    clearInterval: id => clock.clear(id),
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame: noop,
+    addEventListener: noop,
+    removeEventListener: noop,
+    matchMedia: () => ({ matches: false, addEventListener: noop, addListener: noop }),
+    getComputedStyle: () => createStub(),
+    fetch: () => Promise.reject(new Error('fetch is not available in the simulator')),
+    alert: noop,
+    confirm: () => false,
+    prompt: () => null,
+    Image: function() { return createStub(); },
+    Audio: function() { return createStub(); }
+  };
+
+  ['Node', 'Element', 'HTMLElement', 'HTMLCanvasElement', 'EventTarget', 'Event', 'CustomEvent',
+   'MutationObserver', 'ResizeObserver', 'IntersectionObserver', 'THREE', 'firebase',
+   'AudioContext', 'webkitAudioContext', 'XMLHttpRequest', 'WebSocket', 'FileReader', 'Blob',
+   'DOMParser', 'screen', 'history', 'visualViewport', 'speechSynthesis'
+  ].forEach(name => { ctx[name] = createStub(); });
+
+  ctx.window = ctx;
+  ctx.self = ctx;
+  ctx.globalThis = ctx;
+
+  vm.createContext(ctx);
+  return ctx;
+}
+
+// Run app.js inside the sandbox and hand back the systems the simulator drives
+function loadGame(ctx) {
+  const source = fs.readFileSync(APP_JS, 'utf8') + `
+;globalThis.__balanceSim = {
+  GameState, Storage, RNG, CrimeCatalog, CrimesDatabase, CrimesSystem, LevelingSystem,
+  FatigueSystem, ActionHeatSystem, RNGFairness, BiomeModifierCalculator, TurfTab,
+  Laundering, ensureGameStateSchema, CopCarSystem: window.CopCarSystem
+};`;
+  vm.runInContext(source, ctx, { filename: APP_JS });
+
+  const game = ctx.__balanceSim;
+  // Same backfill Storage.load() runs on a fresh save
+  game.ensureGameStateSchema();
+
+  const catalog = JSON.parse(fs.readFileSync(CATALOG_JSON, 'utf8'));
+  const result = game.CrimeCatalog.apply(catalog, 'file');
+  if (!result.ok) throw new Error(`Crime catalog rejected: ${result.errors.join('; ')}`);
+  game.CrimeCatalog.loaded = true;
+
+  // In-memory Storage: nothing is persisted or sent to the leaderboard
+  game.Storage.save = () => {};
+  game.Storage.updateLeaderboard = () => {};
+
+  return game;
+}
+
+// ========================================
+// SIMULATION
+// ========================================
+function setupPlayer(game, strategy) {
+  const { GameState, LevelingSystem } = game;
+  const p = strategy.player;
+
+  if (p.level) {
+    GameState.player.level = p.level;
+    const statValue = LevelingSystem.getStatForLevel(p.level);
+    GameState.player.stats.strength = statValue;
+    GameState.player.stats.intelligence = statValue;
+    GameState.player.stats.charisma = statValue;
+    GameState.player.stats.stealth = 5 * p.level;
+  }
+  if (typeof p.cash === 'number') GameState.player.cash = p.cash;
+  if (typeof p.heat === 'number') GameState.player.heat = p.heat;
+  if (typeof p.globalHeat === 'number') GameState.player.globalHeat = p.globalHeat;
+  if (p.stats) Object.assign(GameState.player.stats, p.stats);
+
+  if (strategy.position) GameState.character.position = { x: strategy.position.x, y: strategy.position.y };
+  if (!GameState.weather) GameState.weather = {};
+  GameState.weather.currentType = strategy.weather;
+
+  GameState.playerStatus = 'active';
+  GameState.playerStatusTransition = false;
+  GameState.character.freeRoam = false;
+}
+
+// Background loops the browser starts from TurfTab.init() (and laundering,
+// started next to PropertyManager on load)
+function startWorldLoops(game) {
+  const { TurfTab, Laundering } = game;
+  Laundering.start();
+  [
+    'startWorldTick',
+    'startMoneyDrain',
+    'startJailCheck',
+    'startCooldownHeatReduction',
+    'startHeatDecay',
+    'startGlobalHeatDecay',
+    'startSuspicionBuild',
+    'startSuspicionDecay',
+    'startSuspicionCheck',
+    'startLockdownCheck'
+  ].forEach(name => {
+    if (typeof TurfTab[name] === 'function') TurfTab[name]();
+  });
+}
+
+// Total XP earned so far (level progress is reset on every level up)
+function lifetimeXP(game) {
+  const { GameState, LevelingSystem } = game;
+  let total = GameState.player.xp;
+  for (let level = 1; level < GameState.player.level; level++) {
+    total += LevelingSystem.getXPRequiredForLevel(level);
+  }
+  return total;
+}
+
+function chooseCrime(game, strategy) {
+  const { CrimesDatabase, CrimesSystem } = game;
+  const ids = strategy.crimes.length > 0 ? strategy.crimes : Object.keys(CrimesDatabase.crimes);
+  const available = ids.filter(id => CrimesDatabase.crimes[id] && CrimesSystem.canAttemptCrime(id).canAttempt);
+  if (available.length === 0) return null;
+  if (strategy.pick === 'priority') return available[0];
+
+  // Expected value per attempt at the current success chance
+  const reward = strategy.pick === 'cash' ? 'cash' : 'xp';
+  let best = null;
+  let bestValue = -Infinity;
+  available.forEach(id => {
+    const range = CrimesDatabase.crimes[id].rewards[reward];
+    const value = CrimesSystem.calculateSuccessChance(id) * (range.min + range.max) / 2;
+    if (value > bestValue) {
+      bestValue = value;
+      best = id;
+    }
+  });
+  return best;
+}
+
+function simulate(strategy, options) {
+  const startMs = Date.UTC(2025, 0, 1);
+  const clock = createClock(startMs);
+  if (options.verbose) clock.onError = err => console.error('[balance-sim] Timer error:', err);
+  const ctx = createSandbox(clock, options.verbose);
+  const game = loadGame(ctx);
+  const { GameState, RNG, CrimesSystem, BiomeModifierCalculator, CopCarSystem } = game;
+
+  for (const id of strategy.crimes) {
+    if (!game.CrimesDatabase.crimes[id]) throw new Error(`Unknown crime "${id}"`);
+  }
+
+  RNG.init(strategy.seed);
+  setupPlayer(game, strategy);
+  if (CopCarSystem && typeof CopCarSystem._buildPercentNodes === 'function') {
+    CopCarSystem._buildPercentNodes();
+  }
+
+  clock.capturing = true;
+  startWorldLoops(game);
+
+  const biome = BiomeModifierCalculator.getCurrentBiomeModifiers();
+  const tickMs = strategy.tickSeconds * 1000;
+  const endMs = startMs + strategy.hours * HOUR_MS;
+
+  const rows = [];
+  const totals = { attempts: 0, successes: 0, arrests: 0, jailMs: 0, byCrime: {} };
+  let hour = { attempts: 0, successes: 0, arrests: 0, jailMs: 0 };
+  let nextHourMs = startMs + HOUR_MS;
+  let resting = false;
+
+  const record = hourIndex => {
+    const p = GameState.player;
+    rows.push({
+      hour: hourIndex,
+      cash: Math.round(p.cash),
+      dirtyCash: Math.round(p.dirtyCash || 0),
+      xp: lifetimeXP(game),
+      level: p.level,
+      heat: +p.heat.toFixed(1),
+      globalHeat: +(p.globalHeat || 0).toFixed(1),
+      suspicion: +(p.suspicion || 0).toFixed(1),
+      fatigue: +p.fatigue.level.toFixed(1),
+      attempts: hour.attempts,
+      successes: hour.successes,
+      arrests: hour.arrests,
+      jailMinutes: +(hour.jailMs / 60000).toFixed(1),
+      jailMinutesTotal: +(totals.jailMs / 60000).toFixed(1)
+    });
+    hour = { attempts: 0, successes: 0, arrests: 0, jailMs: 0 };
+  };
+
+  record(0);
+
+  while (clock.now < endMs) {
+    const stepStart = clock.now;
+    const wasJailed = GameState.player.jail.isJailed;
+    clock.advanceTo(Math.min(endMs, stepStart + tickMs));
+
+    if (wasJailed) {
+      const jailed = Math.min(clock.now, GameState.player.jail.releaseTime || clock.now) - stepStart;
+      hour.jailMs += Math.max(0, jailed);
+      totals.jailMs += Math.max(0, jailed);
+    }
+
+    // Patrol car arrest at max heat (CopCarSystem.animateMovement)
+    if (!GameState.player.jail.isJailed && GameState.player.heat >= 100 && CopCarSystem) {
+      try { CopCarSystem.arrestPlayer(); } catch (e) {}
+      hour.arrests++;
+      totals.arrests++;
+    }
+
+    if (!GameState.player.jail.isJailed) {
+      const p = GameState.player;
+      if (!resting && (p.heat >= strategy.layLowAtHeat || p.fatigue.level >= strategy.restAtFatigue)) {
+        resting = true;
+      } else if (resting && p.heat <= strategy.resumeAtHeat && p.fatigue.level <= strategy.resumeAtFatigue) {
+        resting = false;
+      }
+
+      const crimeId = resting ? null : chooseCrime(game, strategy);
+      if (crimeId) {
+        GameState.playerStatus = 'active';
+        const result = CrimesSystem.attemptCrime(crimeId);
+        if (result) {
+          const success = result.outcome === 'success' || result.outcome === 'critical_success';
+          hour.attempts++;
+          totals.attempts++;
+          if (success) {
+            hour.successes++;
+            totals.successes++;
+          }
+          const stats = totals.byCrime[crimeId] || (totals.byCrime[crimeId] = { attempts: 0, successes: 0, cash: 0, xp: 0 });
+          stats.attempts++;
+          if (success) stats.successes++;
+          stats.cash += result.rewards.cash;
+          stats.xp += result.rewards.xp;
+        }
+      } else if (resting || strategy.layLowWhileIdle) {
+        GameState.playerStatus = 'laying_low';
+      }
+    }
+
+    if (clock.now >= nextHourMs) {
+      record(Math.round((nextHourMs - startMs) / HOUR_MS));
+      nextHourMs += HOUR_MS;
+    }
+  }
+
+  return {
+    meta: {
+      seed: RNG.seed,
+      catalogVersion: game.CrimesDatabase.version,
+      hours: strategy.hours,
+      biome: biome.id,
+      weather: strategy.weather,
+      strategy: strategy
+    },
+    totals: {
+      attempts: totals.attempts,
+      successes: totals.successes,
+      arrests: totals.arrests,
+      jailMinutes: +(totals.jailMs / 60000).toFixed(1),
+      byCrime: totals.byCrime
+    },
+    hours: rows
+  };
+}
+
+// ========================================
+// OUTPUT
+// ========================================
+function toCSV(report) {
+  const columns = Object.keys(report.hours[0]);
+  const lines = [columns.join(',')];
+  report.hours.forEach(row => lines.push(columns.map(c => row[c]).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const strategy = buildStrategy(args);
+  const report = simulate(strategy, { verbose: !!args.verbose });
+  const format = args.format || 'csv';
+
+  let output;
+  if (format === 'json') {
+    output = JSON.stringify(report, null, 2) + '\n';
+  } else if (format === 'csv') {
+    output = toCSV(report);
+  } else {
+    throw new Error(`Unknown --format "${format}" (expected csv or json)`);
+  }
+
+  if (args.out) {
+    fs.writeFileSync(path.resolve(args.out), output);
+    process.stderr.write(`[balance-sim] Wrote ${report.hours.length - 1} hours to ${args.out}\n`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    process.stderr.write(`[balance-sim] ${err.message}\n`);
+    process.exit(1);
+  }
+}
+
+module.exports = { simulate, buildStrategy, DEFAULT_STRATEGY };